@@ -0,0 +1,36 @@
+/**
+ * Job Source Health Check
+ *
+ * Lists every registered source adapter, whether it is enabled and
+ * configured for this environment, and whether its upstream responds.
+ *
+ * Usage: node check_sources.js
+ */
+
+require("dotenv").config();
+const { checkSourceHealth } = require("./src/sources");
+
+async function checkSources() {
+  console.log("🔍 Checking job sources...\n");
+
+  const results = await checkSourceHealth();
+  for (const result of results) {
+    const status = result.ok ? "✅" : "❌";
+    const state = [
+      result.enabled ? "enabled" : "disabled",
+      result.configured ? "configured" : "not configured",
+    ].join(", ");
+    console.log(`${status} ${result.label} (${result.name}) - ${state}`);
+    console.log(`   ${result.message} in ${result.responseTimeMs}ms`);
+  }
+
+  const failing = results.filter((result) => result.enabled && !result.ok);
+  return failing.length === 0;
+}
+
+checkSources()
+  .then((healthy) => process.exit(healthy ? 0 : 1))
+  .catch((error) => {
+    console.error("💥 Source check failed:", error);
+    process.exit(1);
+  });
@@ -51,6 +51,13 @@ function scrapeLinkedIn() {
         return jobs;
     }
 
+    // The popup's "Remote only" toggle searches with f_WT=2 (1 = on-site,
+    // 3 = hybrid). Only a single value says what every card on the page is.
+    const workTypes = (new URLSearchParams(window.location.search).get('f_WT') || '').split(',');
+    const workArrangement = workTypes.length === 1
+        ? { '1': 'onsite', '2': 'remote', '3': 'hybrid' }[workTypes[0]]
+        : undefined;
+
     jobCards.forEach(card => {
         try {
             // 1. Job Title & Link - Multiple possible selectors
@@ -246,9 +253,9 @@ function scrapeLinkedIn() {
                         card.querySelector('[data-job-id]')?.getAttribute('data-job-id');
             
             if (!jobId) {
-                // Try to extract from URL
+                // Try to extract from URL, else derive from the card content
                 const match = link.match(/\/jobs\/view\/(\d+)/);
-                jobId = match ? match[1] : 'li-' + Math.random().toString(36).substr(2, 9);
+                jobId = match ? match[1] : 'li-' + hashString(`${title}|${company}|${location}`);
             }
 
             if (title !== "Unknown Title") {
@@ -259,6 +266,7 @@ function scrapeLinkedIn() {
                     location,
                     salary,
                     easyApply: isEasyApply,
+                    workArrangement,
                     url: link,
                     image,
                     source: 'LinkedIn'
@@ -284,7 +292,7 @@ function scrapeIndeed() {
             const titleElement = card.querySelector('.jobTitle a, a.jcs-JobTitle');
             let title = "Unknown Title";
             let link = "#";
-            let jobId = 'ind-' + Math.random().toString(36).substr(2, 9);
+            let jobId = null;
 
             if (titleElement) {
                 title = titleElement.innerText.trim();
@@ -299,6 +307,10 @@ function scrapeIndeed() {
                     jobId = titleElement.getAttribute('data-jk');
                 } else if (titleElement.id) {
                      jobId = titleElement.id.replace('job_', '');
+                } else {
+                    // Fall back to the jk/vjk query parameter of the link
+                    const match = link.match(/[?&]v?jk=([a-z0-9]+)/i);
+                    if (match) jobId = match[1];
                 }
             }
 
@@ -334,7 +346,7 @@ function scrapeIndeed() {
 
             if (title !== "Unknown Title") {
                 jobs.push({
-                    id: jobId,
+                    id: jobId || 'ind-' + hashString(link !== '#' ? link : `${title}|${company}|${location}`),
                     title,
                     company,
                     location,
@@ -353,3 +365,15 @@ function scrapeIndeed() {
     
     return jobs;
 }
+
+/**
+ * Deterministic 32-bit FNV-1a hash, so re-scraping the same card yields the same ID
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
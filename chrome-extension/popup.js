@@ -367,30 +367,60 @@ document.getElementById('uploadBtn').addEventListener('click', async () => {
     await uploadToDatabase();
 });
 
+// Server limits uploads to this many jobs per request
+const UPLOAD_URL = 'http://localhost:3000/api/upload';
+const UPLOAD_BATCH_SIZE = 500;
+
 // Reusable upload function
 async function uploadToDatabase() {
     const uploadBtn = document.getElementById('uploadBtn');
-    const originalText = uploadBtn.textContent;
     uploadBtn.textContent = 'Uploading...';
     
+    const { apiKey } = await chrome.storage.local.get('apiKey');
+    if (!apiKey) {
+        updateStatus('❌ Upload failed.');
+        uploadBtn.textContent = 'Retry Upload';
+        showError('Add an API key with the "ingest" scope (create one on your dashboard) before uploading');
+        return;
+    }
+    
+    const totals = { added: 0, duplicates: 0, rejected: 0 };
+    const rejections = [];
+    
     try {
-        const res = await fetch('http://localhost:3000/api/upload', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(allJobs)
-        });
+        for (let i = 0; i < allJobs.length; i += UPLOAD_BATCH_SIZE) {
+            const res = await fetch(UPLOAD_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-API-Key': apiKey
+                },
+                body: JSON.stringify(allJobs.slice(i, i + UPLOAD_BATCH_SIZE))
+            });
+            
+            const data = await res.json();
+            
+            if (!res.ok) {
+                updateStatus('❌ Upload failed.');
+                uploadBtn.textContent = 'Retry Upload';
+                showError(data.message || data.error || 'Failed to upload jobs to database');
+                return;
+            }
+            
+            totals.added += data.added;
+            totals.duplicates += data.duplicates;
+            totals.rejected += data.rejected;
+            data.results
+                .filter(result => result.status === 'rejected')
+                .forEach(result => rejections.push(result));
+        }
         
-        const data = await res.json();
+        updateStatus(`✅ Success! Added ${totals.added} new jobs (${totals.duplicates} duplicates, ${totals.rejected} rejected).`);
+        uploadBtn.textContent = 'Uploaded ✓';
         
-        if (res.ok) {
-            updateStatus(`✅ Success! Added ${data.added} new jobs to database.`);
-            uploadBtn.textContent = 'Uploaded ✓';
-        } else {
-            updateStatus('❌ Upload failed.');
-            uploadBtn.textContent = 'Retry Upload';
-            showError('Failed to upload jobs to database');
+        if (rejections.length > 0) {
+            console.warn('Rejected jobs:', rejections);
+            showError(`${rejections.length} jobs rejected, e.g. ${rejections[0].reasons.join(', ')}`);
         }
     } catch (err) {
         console.error(err);
@@ -400,6 +430,18 @@ async function uploadToDatabase() {
     }
 }
 
+// API key setting
+chrome.storage.local.get('apiKey').then(({ apiKey }) => {
+    if (apiKey) document.getElementById('apiKeyInput').value = apiKey;
+});
+
+document.getElementById('saveApiKey').addEventListener('click', async () => {
+    const apiKey = document.getElementById('apiKeyInput').value.trim();
+    await chrome.storage.local.set({ apiKey });
+    hideError();
+    updateStatus(apiKey ? 'API key saved.' : 'API key cleared.');
+});
+
 function renderJobs(jobs) {
     const listContainer = document.getElementById('jobList');
     
@@ -27,7 +27,7 @@ const run = async () => {
         await initDB();
         
         // Run enrichment
-        const results = await enrichJobDescriptions();
+        const results = await enrichJobDescriptions({ triggeredBy: autoMode ? 'cron' : 'cli' });
         
         if (!autoMode) {
             console.log('✅ Enrichment complete!\n');
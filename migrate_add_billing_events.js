@@ -0,0 +1,72 @@
+/**
+ * Database Migration: Billing Events
+ *
+ * - billing_events: every Square / PayPal webhook event we processed, keyed
+ *   by the provider's event ID so a redelivered event is applied only once
+ * - subscriptions: index for looking rows up by the provider's ID
+ *
+ * Usage: node migrate_add_billing_events.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const { addIndexIfMissing } = require("./src/config/schema");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding billing events...\n");
+
+  try {
+    // 1. Billing Events Table
+    console.log("📦 Creating billing_events table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS billing_events (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                provider ENUM('square', 'paypal') NOT NULL,
+                event_id VARCHAR(255) NOT NULL,
+                event_type VARCHAR(100) NOT NULL,
+                subscription_id INT NULL,
+                payload MEDIUMTEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_provider_event (provider, event_id),
+                FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL,
+                INDEX idx_subscription_id (subscription_id)
+            )
+        `);
+    console.log("   ✅ billing_events table created\n");
+
+    // 2. Provider subscription lookups
+    console.log("📦 Updating subscriptions table...");
+    await addIndexIfMissing(
+      connection,
+      "subscriptions",
+      "idx_provider_subscription",
+      "INDEX idx_provider_subscription (provider, provider_subscription_id)",
+    );
+    console.log("");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
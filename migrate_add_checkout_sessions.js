@@ -0,0 +1,91 @@
+/**
+ * Database Migration: Checkout Sessions and Plan Changes
+ *
+ * - checkout_sessions: one row per checkout started; a paid plan is only
+ *   activated by completing a pending session (single use, 30 min expiry)
+ * - plan_changes: audit trail of every change to users.plan
+ *
+ * Run after migrate_add_billing_events.js.
+ *
+ * Usage: node migrate_add_checkout_sessions.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding checkout sessions and plan changes...\n");
+
+  try {
+    // 1. Checkout Sessions Table
+    console.log("📦 Creating checkout_sessions table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS checkout_sessions (
+                id CHAR(48) PRIMARY KEY,
+                user_id INT NOT NULL,
+                provider ENUM('square', 'paypal') NOT NULL,
+                plan ENUM('starter', 'pro', 'enterprise') NOT NULL,
+                status ENUM('pending', 'completed', 'canceled') DEFAULT 'pending',
+                provider_checkout_id VARCHAR(255) NULL,
+                provider_order_id VARCHAR(255) NULL,
+                subscription_id INT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                completed_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL,
+                UNIQUE KEY uniq_provider_checkout (provider, provider_checkout_id),
+                INDEX idx_user_status (user_id, status, created_at)
+            )
+        `);
+    console.log("   ✅ checkout_sessions table created\n");
+
+    // 2. Plan Changes Table
+    console.log("📦 Creating plan_changes table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS plan_changes (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                from_plan ENUM('free', 'starter', 'pro', 'enterprise') NOT NULL,
+                to_plan ENUM('free', 'starter', 'pro', 'enterprise') NOT NULL,
+                reason VARCHAR(50) NOT NULL,
+                details VARCHAR(255) NULL,
+                subscription_id INT NULL,
+                checkout_session_id CHAR(48) NULL,
+                billing_event_id BIGINT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL,
+                FOREIGN KEY (checkout_session_id) REFERENCES checkout_sessions(id) ON DELETE SET NULL,
+                FOREIGN KEY (billing_event_id) REFERENCES billing_events(id) ON DELETE SET NULL,
+                INDEX idx_user_created (user_id, created_at)
+            )
+        `);
+    console.log("   ✅ plan_changes table created\n");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,135 @@
+/**
+ * Database Migration: Companies
+ *
+ * - companies: canonical name and profile (domain, logo, HQ, industry)
+ * - company_aliases: every normalized name a company is listed under
+ * - Adds jobs.company_id
+ * - Seeds the curated companies in src/config/companies.js and resolves
+ *   every existing job to a company
+ *
+ * Re-run after adding companies or aliases to src/config/companies.js:
+ * companies that were created separately for an alias are merged.
+ *
+ * Usage: node migrate_add_companies.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const {
+  resolveCompany,
+  seedKnownCompanies,
+} = require("./src/services/companyService");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding companies...\n");
+
+  try {
+    // 1. Tables
+    console.log("📦 Creating companies table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS companies (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                domain VARCHAR(255) NULL,
+                logo_url TEXT NULL,
+                hq_location VARCHAR(255) NULL,
+                industry VARCHAR(100) NULL,
+                is_staffing_agency BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_name (name)
+            )
+        `);
+    console.log("   ✅ companies table created\n");
+
+    console.log("📦 Creating company_aliases table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS company_aliases (
+                alias_key VARCHAR(255) PRIMARY KEY,
+                alias VARCHAR(255) NOT NULL,
+                company_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+                INDEX idx_company_id (company_id)
+            )
+        `);
+    console.log("   ✅ company_aliases table created\n");
+
+    // 2. Column
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(connection, "jobs", "company_id", "INT NULL");
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_company_id",
+      "INDEX idx_company_id (company_id, expires_at)",
+    );
+    console.log("");
+
+    // 3. Curated companies
+    console.log("📦 Seeding known companies...");
+    const { created, merged } = await seedKnownCompanies(connection);
+    console.log(
+      `   ✅ ${created} companies created, ${merged} duplicates merged\n`,
+    );
+
+    // 4. Resolve existing jobs
+    console.log("📦 Resolving job companies...");
+    let lastId = "";
+    let scanned = 0;
+    let resolved = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, company FROM jobs WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const company = await resolveCompany(connection, row.company);
+        // Keep updated_at as-is: this is not a change consumers need to sync
+        await connection.execute(
+          "UPDATE jobs SET company_id = ?, updated_at = updated_at WHERE id = ?",
+          [company ? company.id : null, row.id],
+        );
+        if (company) resolved++;
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(`   ✅ Resolved ${resolved} of ${scanned} jobs to a company\n`);
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
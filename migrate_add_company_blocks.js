@@ -0,0 +1,158 @@
+/**
+ * Database Migration: Staffing Agencies and Company Blocks
+ *
+ * - Adds companies.is_staffing_agency, set for known agencies and names
+ *   like "Acme Staffing" (src/utils/agencyDetector.js)
+ * - Adds jobs.is_agency: the company is an agency or the posting is written
+ *   on behalf of a client ("our client is seeking")
+ * - Adds jobs.company_key, so jobs not resolved to a company can still be
+ *   hidden by name
+ * - user_company_blocks: companies each user has hidden
+ *
+ * Run after migrate_add_companies.js. Re-run after adding agencies to
+ * src/config/staffingAgencies.js; companies are only ever flagged here,
+ * never unflagged, so corrections made by an admin stick.
+ *
+ * Usage: node migrate_add_company_blocks.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const { isAgencyName, classifyAgency } = require("./src/utils/agencyDetector");
+const { companyKey } = require("./src/services/companyService");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding staffing agencies and company blocks...\n");
+
+  try {
+    // 1. Columns
+    console.log("📦 Updating companies and jobs tables...");
+    await addColumnIfMissing(
+      connection,
+      "companies",
+      "is_staffing_agency",
+      "BOOLEAN NOT NULL DEFAULT FALSE",
+    );
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "is_agency",
+      "BOOLEAN NOT NULL DEFAULT FALSE",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_is_agency",
+      "INDEX idx_is_agency (is_agency)",
+    );
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "company_key",
+      "VARCHAR(255) NULL",
+    );
+    console.log("");
+
+    // 2. Table
+    console.log("📦 Creating user_company_blocks table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS user_company_blocks (
+                user_id INT NOT NULL,
+                company_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, company_id),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE
+            )
+        `);
+    console.log("   ✅ user_company_blocks table created\n");
+
+    // 3. Flag agencies by any of their names
+    console.log("📦 Flagging staffing agencies...");
+    const [aliases] = await connection.query(
+      `SELECT a.company_id, a.alias FROM company_aliases a
+           JOIN companies c ON c.id = a.company_id
+           WHERE c.is_staffing_agency = FALSE`,
+    );
+    const agencyIds = [
+      ...new Set(
+        aliases
+          .filter((row) => isAgencyName(row.alias))
+          .map((row) => row.company_id),
+      ),
+    ];
+    if (agencyIds.length > 0) {
+      await connection.query(
+        "UPDATE companies SET is_staffing_agency = TRUE WHERE id IN (?)",
+        [agencyIds],
+      );
+    }
+    console.log(`   ✅ Flagged ${agencyIds.length} companies\n`);
+
+    // 4. Classify existing jobs
+    console.log("📦 Classifying jobs and storing company keys...");
+    let lastId = "";
+    let scanned = 0;
+    let agencyJobs = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT j.id, j.title, j.company, j.description, c.is_staffing_agency
+             FROM jobs j LEFT JOIN companies c ON c.id = j.company_id
+             WHERE j.id > ? ORDER BY j.id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const isAgency = classifyAgency(row, {
+          companyIsAgency:
+            row.is_staffing_agency === null
+              ? undefined
+              : row.is_staffing_agency,
+        });
+        // Keep updated_at as-is: this is not a change consumers need to sync
+        await connection.execute(
+          "UPDATE jobs SET is_agency = ?, company_key = ?, updated_at = updated_at WHERE id = ?",
+          [isAgency, companyKey(row.company), row.id],
+        );
+        if (isAgency) agencyJobs++;
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(`   ✅ ${agencyJobs} of ${scanned} jobs are agency postings\n`);
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,83 @@
+/**
+ * Database Migration: Enrichment Runs
+ *
+ * - enrichment_runs: one row per enrichment pass with live progress counters
+ * - enrichment_run_items: per-job outcome, error reason and extracted length
+ *
+ * Usage: node migrate_add_enrichment_runs.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding enrichment run tracking...\n");
+
+  try {
+    // 1. Enrichment Runs Table
+    console.log("📦 Creating enrichment_runs table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS enrichment_runs (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                queue_job_id BIGINT NULL,
+                triggered_by VARCHAR(50) DEFAULT 'api',
+                status ENUM('running', 'completed', 'failed') DEFAULT 'running',
+                total INT DEFAULT 0,
+                processed INT DEFAULT 0,
+                enriched INT DEFAULT 0,
+                failed INT DEFAULT 0,
+                error TEXT,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP NULL,
+                INDEX idx_status (status),
+                INDEX idx_queue_job_id (queue_job_id)
+            )
+        `);
+    console.log("   ✅ enrichment_runs table created\n");
+
+    // 2. Enrichment Run Items Table
+    console.log("📦 Creating enrichment_run_items table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS enrichment_run_items (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                run_id INT NOT NULL,
+                job_id VARCHAR(255) NOT NULL,
+                status ENUM('enriched', 'failed') NOT NULL,
+                error VARCHAR(500),
+                description_length INT DEFAULT 0,
+                attempts INT DEFAULT 1,
+                duration_ms INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (run_id) REFERENCES enrichment_runs(id) ON DELETE CASCADE,
+                INDEX idx_run_id (run_id),
+                INDEX idx_job_id (job_id)
+            )
+        `);
+    console.log("   ✅ enrichment_run_items table created\n");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+/**
+ * Database Migration: Bulk Exports
+ *
+ * - job_exports: one row per export request with its filter, format,
+ *   progress and the file the worker wrote
+ *
+ * Usage: node migrate_add_exports.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding bulk exports...\n");
+
+  try {
+    console.log("📦 Creating job_exports table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS job_exports (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                format ENUM('csv', 'ndjson') NOT NULL,
+                filters TEXT,
+                status ENUM('pending', 'running', 'completed', 'failed', 'expired') DEFAULT 'pending',
+                row_count INT DEFAULT 0,
+                row_limit INT NULL,
+                file_name VARCHAR(255) NULL,
+                file_size BIGINT NULL,
+                error VARCHAR(500) NULL,
+                queue_job_id BIGINT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                started_at TIMESTAMP NULL,
+                completed_at TIMESTAMP NULL,
+                expires_at TIMESTAMP NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_created (user_id, created_at),
+                INDEX idx_status_expires (status, expires_at)
+            )
+        `);
+    console.log("   ✅ job_exports table created\n");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+/**
+ * Database Migration: Full-Text Search
+ *
+ * Adds FULLTEXT indexes used by the search API:
+ * - ft_jobs_search on (title, company, description) for full searches
+ * - one per column for field-scoped searches (?fields=title,company)
+ *
+ * Building FULLTEXT indexes rebuilds the table; expect this to take a while
+ * on large job tables.
+ *
+ * Usage: node migrate_add_fulltext_search.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const { addIndexIfMissing } = require("./src/config/schema");
+
+const FULLTEXT_INDEXES = [
+  ["ft_jobs_search", "title, company, description"],
+  ["ft_jobs_title", "title"],
+  ["ft_jobs_company", "company"],
+  ["ft_jobs_description", "description"],
+];
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding full-text search indexes...\n");
+
+  try {
+    console.log("📦 Updating jobs table...");
+    for (const [name, columns] of FULLTEXT_INDEXES) {
+      await addIndexIfMissing(
+        connection,
+        "jobs",
+        name,
+        `FULLTEXT INDEX ${name} (${columns})`,
+      );
+    }
+    console.log("");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
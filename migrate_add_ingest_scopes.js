@@ -0,0 +1,67 @@
+/**
+ * Database Migration: API Key Scopes and Upload Attribution
+ *
+ * - Adds api_keys.scopes (comma-separated: "read", "ingest"); existing keys keep read access
+ * - Adds jobs.uploaded_by so ingested jobs are attributed to the uploading user
+ *
+ * Usage: node migrate_add_ingest_scopes.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding API key scopes and upload attribution...\n");
+
+  try {
+    // 1. API key scopes
+    console.log("📦 Updating api_keys table...");
+    await addColumnIfMissing(
+      connection,
+      "api_keys",
+      "scopes",
+      "VARCHAR(255) NOT NULL DEFAULT 'read' AFTER name",
+    );
+    console.log("");
+
+    // 2. Upload attribution
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(connection, "jobs", "uploaded_by", "INT NULL");
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_uploaded_by",
+      "INDEX idx_uploaded_by (uploaded_by)",
+    );
+    console.log("");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
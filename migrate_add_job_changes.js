@@ -0,0 +1,110 @@
+/**
+ * Database Migration: Job Change Feed
+ *
+ * - Adds jobs.updated_at (bumped by MySQL on every UPDATE)
+ * - Creates job_changes, the append-only log behind /api/v1/jobs/changes
+ * - Seeds the log with a "created" change for every existing job and an
+ *   "expired" change for every job that has already expired, so a consumer
+ *   syncing from scratch sees the whole table
+ *
+ * Usage: node migrate_add_job_changes.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding job change tracking...\n");
+
+  try {
+    // 1. updated_at column
+    console.log("📦 Updating jobs table...");
+    const added = await addColumnIfMissing(
+      connection,
+      "jobs",
+      "updated_at",
+      "TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP",
+    );
+    if (added) {
+      await connection.execute(
+        "UPDATE jobs SET updated_at = COALESCE(added_at, updated_at)",
+      );
+      console.log("   ✅ Backfilled updated_at from added_at");
+    }
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_updated_at",
+      "INDEX idx_updated_at (updated_at)",
+    );
+    console.log("");
+
+    // 2. Job Changes Table
+    console.log("📦 Creating job_changes table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS job_changes (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                job_id VARCHAR(255) NOT NULL,
+                change_type ENUM('created', 'updated', 'expired', 'removed', 'reopened') NOT NULL,
+                changed_fields VARCHAR(255) NULL,
+                changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_job_type (job_id, change_type),
+                INDEX idx_changed_at (changed_at)
+            )
+        `);
+    console.log("   ✅ job_changes table created\n");
+
+    // 3. Seed the log from existing jobs
+    console.log("📦 Seeding job_changes...");
+    const [[{ count }]] = await connection.execute(
+      "SELECT COUNT(*) AS count FROM job_changes",
+    );
+    if (count > 0) {
+      console.log("   ↪ job_changes already has rows, skipping\n");
+    } else {
+      const [created] = await connection.execute(`
+                INSERT INTO job_changes (job_id, change_type, changed_at)
+                SELECT id, 'created', COALESCE(added_at, NOW()) FROM jobs
+                ORDER BY added_at ASC, id ASC
+            `);
+      const [expired] = await connection.execute(`
+                INSERT INTO job_changes (job_id, change_type, changed_at)
+                SELECT id, 'expired', expires_at FROM jobs
+                WHERE expires_at <= NOW()
+                ORDER BY expires_at ASC, id ASC
+            `);
+      console.log(
+        `   ✅ Seeded ${created.affectedRows} created and ${expired.affectedRows} expired changes\n`,
+      );
+    }
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,122 @@
+/**
+ * Database Migration: Seniority and Employment Type
+ *
+ * - Adds jobs.seniority (intern, junior, mid, senior, lead, manager,
+ *   director) and jobs.employment_type (full-time, part-time, contract,
+ *   internship, temporary); `type` keeps the source's own label
+ * - Classifies existing jobs from their title, type and description
+ *   (src/utils/jobClassifier.js)
+ *
+ * Re-run after changing the classifier rules to reclassify old jobs.
+ *
+ * Usage: node migrate_add_job_classification.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const {
+  SENIORITY_LEVELS,
+  EMPLOYMENT_TYPES,
+  classifySeniority,
+  classifyEmploymentType,
+} = require("./src/utils/jobClassifier");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+const enumOf = (values) => `ENUM(${values.map((v) => `'${v}'`).join(", ")})`;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding seniority and employment type...\n");
+
+  try {
+    // 1. Columns
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "seniority",
+      `${enumOf(SENIORITY_LEVELS)} NULL`,
+    );
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "employment_type",
+      `${enumOf(EMPLOYMENT_TYPES)} NULL`,
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_seniority",
+      "INDEX idx_seniority (seniority)",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_employment_type",
+      "INDEX idx_employment_type (employment_type)",
+    );
+    console.log("");
+
+    // 2. Classify existing jobs
+    console.log("📦 Classifying jobs...");
+    let lastId = "";
+    let scanned = 0;
+    let withSeniority = 0;
+    let withType = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, title, type, description FROM jobs WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const seniority = classifySeniority(row);
+        const employmentType = classifyEmploymentType(row);
+        // Keep updated_at as-is: this is not a change consumers need to sync
+        await connection.execute(
+          "UPDATE jobs SET seniority = ?, employment_type = ?, updated_at = updated_at WHERE id = ?",
+          [seniority, employmentType, row.id],
+        );
+        if (seniority) withSeniority++;
+        if (employmentType) withType++;
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(
+      `   ✅ Classified ${scanned} jobs: ${withSeniority} with a seniority, ${withType} with an employment type\n`,
+    );
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
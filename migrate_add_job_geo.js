@@ -0,0 +1,132 @@
+/**
+ * Database Migration: Job Geo Matching
+ *
+ * - Adds jobs.geo_id / jobs.state_code, resolved from the free-text location
+ *   against chrome-extension/common-geoids.json, and backfills them
+ * - Repairs user_locations.state_code (the dashboard used to send the state
+ *   name instead of its code)
+ * - Adds api_keys.use_saved_locations, the per-key "default to my saved
+ *   locations" switch
+ *
+ * Usage: node migrate_add_job_geo.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const {
+  resolveLocation,
+  getCityByGeoId,
+} = require("./src/services/geoService");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding geo matching for jobs...\n");
+
+  try {
+    // 1. Geo columns
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(connection, "jobs", "geo_id", "VARCHAR(50) NULL");
+    await addColumnIfMissing(connection, "jobs", "state_code", "CHAR(2) NULL");
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_geo_id",
+      "INDEX idx_geo_id (geo_id)",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_state_code",
+      "INDEX idx_state_code (state_code)",
+    );
+    console.log("");
+
+    // 2. Backfill from the free-text location
+    console.log("📦 Resolving job locations...");
+    let lastId = "";
+    let resolved = 0;
+    let scanned = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, location FROM jobs WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const { geoId, stateCode } = resolveLocation(row.location);
+        if (geoId || stateCode) {
+          // Keep updated_at as-is: this is not a change consumers need to sync
+          await connection.execute(
+            "UPDATE jobs SET geo_id = ?, state_code = ?, updated_at = updated_at WHERE id = ?",
+            [geoId, stateCode, row.id],
+          );
+          resolved++;
+        }
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(`   ✅ Resolved ${resolved} of ${scanned} job locations\n`);
+
+    // 3. Repair saved location state codes
+    console.log("📦 Repairing user_locations.state_code...");
+    const [locations] = await connection.execute(
+      "SELECT id, geo_id, state_code FROM user_locations",
+    );
+    let repaired = 0;
+    for (const location of locations) {
+      const city = getCityByGeoId(location.geo_id);
+      if (city && city.stateCode !== location.state_code) {
+        await connection.execute(
+          "UPDATE user_locations SET state_code = ? WHERE id = ?",
+          [city.stateCode, location.id],
+        );
+        repaired++;
+      }
+    }
+    console.log(`   ✅ Repaired ${repaired} saved locations\n`);
+
+    // 4. Per-key default
+    console.log("📦 Updating api_keys table...");
+    await addColumnIfMissing(
+      connection,
+      "api_keys",
+      "use_saved_locations",
+      "BOOLEAN DEFAULT FALSE",
+    );
+    console.log("");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+/**
+ * Database Migration: Job Liveness
+ *
+ * - Adds jobs.status (active, closed, removed), jobs.last_verified_at (last
+ *   time the posting was confirmed live) and jobs.last_checked_at (last
+ *   visit by the liveness checker, whatever the outcome)
+ *
+ * Existing jobs start as active and unchecked; the liveness-check task
+ * visits the oldest-checked ones first.
+ *
+ * Usage: node migrate_add_job_liveness.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding job liveness tracking...\n");
+
+  try {
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "status",
+      "ENUM('active', 'closed', 'removed') NOT NULL DEFAULT 'active'",
+    );
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "last_verified_at",
+      "TIMESTAMP NULL",
+    );
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "last_checked_at",
+      "TIMESTAMP NULL",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_status_checked",
+      "INDEX idx_status_checked (status, last_checked_at)",
+    );
+    console.log("");
+
+    // Jobs a source lists again after they lapsed are logged as reopened
+    console.log("📦 Updating job_changes table...");
+    await connection.execute(`
+            ALTER TABLE job_changes MODIFY COLUMN change_type
+                ENUM('created', 'updated', 'expired', 'removed', 'reopened') NOT NULL
+        `);
+    console.log("   ✅ change_type accepts reopened\n");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
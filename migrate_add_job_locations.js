@@ -0,0 +1,113 @@
+/**
+ * Database Migration: Normalized Job Locations
+ *
+ * - Adds jobs.city / jobs.country / jobs.lat / jobs.lng next to geo_id and
+ *   state_code, for the state filter, radius search and the location
+ *   hierarchy
+ * - Re-resolves every job's free-text location against the gazetteer
+ *   (src/config/gazetteer.js), which also refreshes geo_id and state_code
+ *
+ * Usage: node migrate_add_job_locations.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const { resolveLocation } = require("./src/services/geoService");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Normalizing job locations...\n");
+
+  try {
+    // 1. Location columns
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(connection, "jobs", "city", "VARCHAR(100) NULL");
+    await addColumnIfMissing(connection, "jobs", "country", "CHAR(2) NULL");
+    await addColumnIfMissing(connection, "jobs", "lat", "DECIMAL(9,6) NULL");
+    await addColumnIfMissing(connection, "jobs", "lng", "DECIMAL(9,6) NULL");
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_country_state_city",
+      "INDEX idx_country_state_city (country, state_code, city)",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_lat_lng",
+      "INDEX idx_lat_lng (lat, lng)",
+    );
+    console.log("");
+
+    // 2. Backfill from the free-text location
+    console.log("📦 Resolving job locations...");
+    let lastId = "";
+    let withCity = 0;
+    let withCountry = 0;
+    let scanned = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, location FROM jobs WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const geo = resolveLocation(row.location);
+        // Keep updated_at as-is: this is not a change consumers need to sync
+        await connection.execute(
+          `UPDATE jobs SET geo_id = ?, state_code = ?, city = ?, country = ?, lat = ?, lng = ?,
+               updated_at = updated_at WHERE id = ?`,
+          [
+            geo.geoId,
+            geo.stateCode,
+            geo.city,
+            geo.country,
+            geo.lat,
+            geo.lng,
+            row.id,
+          ],
+        );
+        if (geo.city) withCity++;
+        if (geo.country) withCountry++;
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(
+      `   ✅ ${withCity} of ${scanned} jobs resolved to a city, ${withCountry} to a country\n`,
+    );
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+/**
+ * Database Migration: Job Queue
+ *
+ * Creates queue_jobs, the persistent work queue drained by worker.js
+ * (scrapes, enrichment and other background tasks).
+ *
+ * Usage: node migrate_add_job_queue.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding job queue...\n");
+
+  try {
+    console.log("📦 Creating queue_jobs table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS queue_jobs (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                type VARCHAR(50) NOT NULL,
+                payload TEXT,
+                status ENUM('pending', 'running', 'completed', 'failed') DEFAULT 'pending',
+                priority INT DEFAULT 0,
+                attempts INT DEFAULT 0,
+                max_attempts INT DEFAULT 3,
+                unique_key VARCHAR(191) NULL,
+                run_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                locked_by VARCHAR(100) NULL,
+                locked_until DATETIME NULL,
+                last_error TEXT,
+                result TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME NULL,
+                finished_at DATETIME NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_queue_key (unique_key),
+                INDEX idx_claim (status, run_at, priority),
+                INDEX idx_type_status (type, status),
+                INDEX idx_locked_until (locked_until)
+            )
+        `);
+    console.log("   ✅ queue_jobs table created\n");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,122 @@
+/**
+ * Database Migration: Job Requirements
+ *
+ * - Adds jobs.clearance_level (public-trust, secret, top-secret, ts-sci)
+ *   and jobs.clearance_polygraph
+ * - job_certifications: certifications each job asks for, required or
+ *   preferred
+ * - Detects both for every existing job (src/utils/requirementDetector.js)
+ *
+ * Re-run after changing the detector or the certification aliases in
+ * src/config/skills.js to re-detect old jobs.
+ *
+ * Usage: node migrate_add_job_requirements.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const { tagJobRequirements } = require("./src/services/requirementService");
+
+const BACKFILL_BATCH_SIZE = 200;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding job requirements...\n");
+
+  try {
+    // 1. Columns
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "clearance_level",
+      "ENUM('public-trust', 'secret', 'top-secret', 'ts-sci') NULL",
+    );
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "clearance_polygraph",
+      "BOOLEAN NOT NULL DEFAULT FALSE",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_clearance_level",
+      "INDEX idx_clearance_level (clearance_level)",
+    );
+    console.log("");
+
+    // 2. Table
+    console.log("📦 Creating job_certifications table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS job_certifications (
+                job_id VARCHAR(255) NOT NULL,
+                certification VARCHAR(50) NOT NULL,
+                requirement ENUM('required', 'preferred') NOT NULL,
+                PRIMARY KEY (job_id, certification),
+                FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+                INDEX idx_certification_job (certification, requirement, job_id)
+            )
+        `);
+    console.log("   ✅ job_certifications table created\n");
+
+    // 3. Detect requirements on existing jobs
+    console.log("📦 Detecting requirements...");
+    let lastId = "";
+    let scanned = 0;
+    let withClearance = 0;
+    let withCertifications = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, title, description FROM jobs WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const { clearance, certifications } = await tagJobRequirements(
+          connection,
+          row.id,
+          row,
+        );
+        if (clearance.level) withClearance++;
+        if (certifications.length > 0) withCertifications++;
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(
+      `   ✅ ${withClearance} of ${scanned} jobs ask for a clearance, ${withCertifications} for certifications\n`,
+    );
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+/**
+ * Database Migration: Job Skills
+ *
+ * - job_skills: the skills, tools, certifications and clearance levels
+ *   extracted from each job's title and description (taxonomy in
+ *   src/config/skills.js)
+ * - Tags every existing job
+ *
+ * Re-run after adding skills or aliases to the taxonomy to re-tag old jobs.
+ *
+ * Usage: node migrate_add_job_skills.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const { tagJobSkills } = require("./src/services/skillService");
+
+const BACKFILL_BATCH_SIZE = 200;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding job skills...\n");
+
+  try {
+    // 1. Table
+    console.log("📦 Creating job_skills table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS job_skills (
+                job_id VARCHAR(255) NOT NULL,
+                skill VARCHAR(50) NOT NULL,
+                PRIMARY KEY (job_id, skill),
+                FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+                INDEX idx_skill_job (skill, job_id)
+            )
+        `);
+    console.log("   ✅ job_skills table created\n");
+
+    // 2. Tag existing jobs
+    console.log("📦 Tagging jobs...");
+    let lastId = "";
+    let scanned = 0;
+    let tagged = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, title, description FROM jobs WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const { skills } = await tagJobSkills(connection, row.id, row);
+        if (skills.length > 0) tagged++;
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(`   ✅ Tagged ${tagged} of ${scanned} jobs with skills\n`);
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,153 @@
+/**
+ * Database Migration: Job Sources and Fingerprints
+ *
+ * - Adds jobs.fingerprint (normalized title + company + location hash)
+ * - Creates job_sources, which keeps every source URL for a canonical job
+ * - Backfills fingerprints and seeds job_sources from existing rows
+ * - Collapses existing active duplicates onto the oldest posting
+ *
+ * Usage: node migrate_add_job_sources.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const { jobFingerprint } = require("./src/utils/jobIdentity");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding job sources and fingerprints...\n");
+
+  try {
+    // 1. Fingerprint column
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "fingerprint",
+      "CHAR(40) NULL",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_fingerprint",
+      "INDEX idx_fingerprint (fingerprint)",
+    );
+    console.log("");
+
+    // 2. Job Sources Table
+    console.log("📦 Creating job_sources table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS job_sources (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                job_id VARCHAR(255) NOT NULL,
+                source VARCHAR(100) NOT NULL,
+                source_job_id VARCHAR(255) NOT NULL,
+                url TEXT,
+                first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_source_job (source, source_job_id),
+                INDEX idx_job_id (job_id)
+            )
+        `);
+    console.log("   ✅ job_sources table created\n");
+
+    // 3. Backfill fingerprints
+    console.log("📦 Backfilling fingerprints...");
+    let lastId = "";
+    let backfilled = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, title, company, location FROM jobs
+                 WHERE id > ? AND fingerprint IS NULL
+                 ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        await connection.execute(
+          "UPDATE jobs SET fingerprint = ? WHERE id = ?",
+          [jobFingerprint(row), row.id],
+        );
+      }
+
+      backfilled += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(`   ✅ Fingerprinted ${backfilled} jobs\n`);
+
+    // 4. Every existing job is its own first source
+    console.log("📦 Seeding job_sources...");
+    const [seeded] = await connection.execute(`
+            INSERT IGNORE INTO job_sources (job_id, source, source_job_id, url, first_seen_at, last_seen_at)
+            SELECT id, COALESCE(source, 'External'), id, url, added_at, added_at FROM jobs
+        `);
+    console.log(`   ✅ Seeded ${seeded.affectedRows} source rows\n`);
+
+    // 5. Collapse active duplicates onto the oldest posting
+    console.log("📦 Merging existing duplicates...");
+    const [groups] = await connection.execute(`
+            SELECT fingerprint FROM jobs
+            WHERE expires_at > NOW() AND fingerprint IS NOT NULL
+            GROUP BY fingerprint HAVING COUNT(*) > 1
+        `);
+
+    let merged = 0;
+    for (const { fingerprint } of groups) {
+      const [jobs] = await connection.execute(
+        `SELECT id FROM jobs WHERE fingerprint = ? AND expires_at > NOW()
+                 ORDER BY added_at ASC, id ASC`,
+        [fingerprint],
+      );
+      const [canonical, ...duplicates] = jobs.map((job) => job.id);
+
+      for (const duplicateId of duplicates) {
+        await connection.execute(
+          "UPDATE job_sources SET job_id = ? WHERE job_id = ?",
+          [canonical, duplicateId],
+        );
+        await connection.execute(
+          "UPDATE jobs SET expires_at = NOW() WHERE id = ?",
+          [duplicateId],
+        );
+        merged++;
+      }
+    }
+    console.log(
+      `   ✅ Merged ${merged} duplicates into ${groups.length} canonical jobs\n`,
+    );
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+/**
+ * Database Migration: Structured Salary Fields
+ *
+ * Adds salary_min, salary_max, salary_currency and salary_period to the
+ * jobs table, then backfills them by parsing the existing free-text
+ * salary column.
+ *
+ * Usage: node migrate_add_salary_fields.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const { parseSalary } = require("./src/utils/salaryParser");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+const SALARY_COLUMNS = [
+  ["salary_min", "DECIMAL(12,2) NULL"],
+  ["salary_max", "DECIMAL(12,2) NULL"],
+  ["salary_currency", "CHAR(3) NULL"],
+  ["salary_period", "VARCHAR(10) NULL"],
+];
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding structured salary fields...\n");
+
+  try {
+    console.log("📦 Updating jobs table...");
+    for (const [column, definition] of SALARY_COLUMNS) {
+      await addColumnIfMissing(connection, "jobs", column, definition);
+    }
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_salary_min",
+      "INDEX idx_salary_min (salary_min)",
+    );
+    console.log("");
+
+    // Backfill rows that have salary text but no parsed values yet
+    console.log("📦 Backfilling parsed salaries...");
+    let lastId = "";
+    let scanned = 0;
+    let parsed = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, salary FROM jobs
+                 WHERE id > ? AND salary_min IS NULL AND salary_max IS NULL
+                 ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const salary = parseSalary(row.salary);
+        if (salary) {
+          await connection.execute(
+            `UPDATE jobs SET salary_min = ?, salary_max = ?, salary_currency = ?, salary_period = ?
+                         WHERE id = ?`,
+            [salary.min, salary.max, salary.currency, salary.period, row.id],
+          );
+          parsed++;
+        }
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+
+    console.log(`   ✅ Parsed ${parsed} of ${scanned} salaries\n`);
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,117 @@
+/**
+ * Database Migration: Scrape Profiles and Admin Role
+ *
+ * - Adds users.role so admins can manage scraper settings
+ * - Creates scrape_profiles, the searches the background scraper runs
+ * - Seeds a default profile matching the previous hardcoded search
+ * - Promotes the accounts listed in ADMIN_EMAILS (comma-separated)
+ *
+ * Run before starting this version of the server: login reads users.role.
+ * migrate_all.js runs every migration in order.
+ *
+ * Usage: node migrate_add_scrape_profiles.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const { addColumnIfMissing } = require("./src/config/schema");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding scrape profiles...\n");
+
+  try {
+    // 1. User roles
+    console.log("📦 Updating users table...");
+    await addColumnIfMissing(
+      connection,
+      "users",
+      "role",
+      "ENUM('user', 'admin') DEFAULT 'user' AFTER plan",
+    );
+    console.log("");
+
+    // 2. Scrape Profiles Table
+    console.log("📦 Creating scrape_profiles table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS scrape_profiles (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                keywords TEXT NOT NULL,
+                countries TEXT NOT NULL,
+                locations TEXT,
+                page_depth INT DEFAULT 1,
+                sources TEXT,
+                is_active BOOLEAN DEFAULT TRUE,
+                created_by INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_is_active (is_active)
+            )
+        `);
+    console.log("   ✅ scrape_profiles table created\n");
+
+    // 3. Default profile (what refreshJobCache used to search)
+    console.log("📦 Seeding default profile...");
+    const [existing] = await connection.execute(
+      "SELECT COUNT(*) as count FROM scrape_profiles",
+    );
+    if (existing[0].count === 0) {
+      await connection.execute(
+        `INSERT INTO scrape_profiles (name, keywords, countries, locations, page_depth, sources)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          "Default",
+          JSON.stringify(["Cybersecurity"]),
+          JSON.stringify(["us"]),
+          JSON.stringify([]),
+          1,
+          JSON.stringify([]),
+        ],
+      );
+      console.log("   ✅ Default profile created\n");
+    } else {
+      console.log("   ↪ Profiles already exist\n");
+    }
+
+    // 4. Admin accounts
+    const adminEmails = (process.env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim().toLowerCase())
+      .filter((email) => email);
+
+    if (adminEmails.length > 0) {
+      console.log("📦 Promoting admins...");
+      const [result] = await connection.query(
+        "UPDATE users SET role = 'admin' WHERE LOWER(email) IN (?)",
+        [adminEmails],
+      );
+      console.log(`   ✅ ${result.affectedRows} admin(s) promoted\n`);
+    }
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,136 @@
+/**
+ * Database Migration: Subscription Lifecycle and Dunning
+ *
+ * - Adds subscriptions.past_due_since: start of the grace period after a
+ *   failed payment (backfilled for rows already past_due)
+ * - Adds subscriptions.lifecycle_failures / lifecycle_retry_at /
+ *   lifecycle_error: backoff for rows the lifecycle task failed on
+ * - subscription_transitions: every change of subscriptions.status, with
+ *   the reason and the billing event behind it
+ * - dunning_notices: notices sent while a subscription is past_due, one per
+ *   kind per past-due episode
+ *
+ * Run after migrate_add_checkout_sessions.js.
+ *
+ * Usage: node migrate_add_subscription_lifecycle.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding subscription lifecycle and dunning...\n");
+
+  try {
+    // 1. Columns
+    console.log("📦 Updating subscriptions table...");
+    await addColumnIfMissing(
+      connection,
+      "subscriptions",
+      "past_due_since",
+      "TIMESTAMP NULL",
+    );
+    await addColumnIfMissing(
+      connection,
+      "subscriptions",
+      "lifecycle_failures",
+      "INT NOT NULL DEFAULT 0",
+    );
+    await addColumnIfMissing(
+      connection,
+      "subscriptions",
+      "lifecycle_retry_at",
+      "TIMESTAMP NULL",
+    );
+    await addColumnIfMissing(
+      connection,
+      "subscriptions",
+      "lifecycle_error",
+      "VARCHAR(255) NULL",
+    );
+    await addIndexIfMissing(
+      connection,
+      "subscriptions",
+      "idx_status_period",
+      "INDEX idx_status_period (status, current_period_end)",
+    );
+    const [backfilled] = await connection.execute(`
+            UPDATE subscriptions SET past_due_since = COALESCE(updated_at, NOW())
+            WHERE status = 'past_due' AND past_due_since IS NULL
+        `);
+    console.log(
+      `   ✅ past_due_since set on ${backfilled.affectedRows} subscriptions\n`,
+    );
+
+    // 2. Subscription Transitions Table
+    console.log("📦 Creating subscription_transitions table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS subscription_transitions (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                subscription_id INT NOT NULL,
+                user_id INT NOT NULL,
+                from_status VARCHAR(20) NULL,
+                to_status VARCHAR(20) NOT NULL,
+                reason VARCHAR(50) NOT NULL,
+                details VARCHAR(255) NULL,
+                billing_event_id BIGINT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (billing_event_id) REFERENCES billing_events(id) ON DELETE SET NULL,
+                INDEX idx_subscription_created (subscription_id, created_at)
+            )
+        `);
+    console.log("   ✅ subscription_transitions table created\n");
+
+    // 3. Dunning Notices Table
+    console.log("📦 Creating dunning_notices table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS dunning_notices (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                subscription_id INT NOT NULL,
+                user_id INT NOT NULL,
+                kind ENUM('payment_failed', 'reminder', 'final_notice', 'downgraded') NOT NULL,
+                past_due_since TIMESTAMP NOT NULL,
+                subject VARCHAR(255) NULL,
+                delivered_at TIMESTAMP NULL,
+                error VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY uniq_notice (subscription_id, kind, past_due_since),
+                INDEX idx_user_created (user_id, created_at)
+            )
+        `);
+    console.log("   ✅ dunning_notices table created\n");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
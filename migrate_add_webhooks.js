@@ -0,0 +1,110 @@
+/**
+ * Database Migration: Webhooks
+ *
+ * - webhooks: user endpoints with a job filter, signing secret and failure
+ *   counter (endpoints are disabled after too many failures in a row)
+ * - webhook_deliveries: one row per payload sent, with the outcome of the
+ *   latest attempt
+ * - webhook_delivery_jobs: which delivery carried each job to a webhook, so
+ *   a job is never sent to the same webhook twice
+ *
+ * Usage: node migrate_add_webhooks.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding webhooks...\n");
+
+  try {
+    // 1. Webhooks Table
+    console.log("📦 Creating webhooks table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                url VARCHAR(2048) NOT NULL,
+                description VARCHAR(255),
+                secret VARCHAR(128) NOT NULL,
+                filters TEXT,
+                is_active BOOLEAN DEFAULT TRUE,
+                consecutive_failures INT DEFAULT 0,
+                disabled_reason VARCHAR(255) NULL,
+                disabled_at TIMESTAMP NULL,
+                last_delivery_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_user_id (user_id),
+                INDEX idx_is_active (is_active)
+            )
+        `);
+    console.log("   ✅ webhooks table created\n");
+
+    // 2. Webhook Deliveries Table
+    console.log("📦 Creating webhook_deliveries table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                webhook_id INT NOT NULL,
+                event VARCHAR(50) NOT NULL,
+                payload MEDIUMTEXT NOT NULL,
+                status ENUM('pending', 'succeeded', 'failed') DEFAULT 'pending',
+                attempts INT DEFAULT 0,
+                response_status INT NULL,
+                response_body VARCHAR(1000) NULL,
+                error VARCHAR(500) NULL,
+                duration_ms INT NULL,
+                queue_job_id BIGINT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_attempt_at TIMESTAMP NULL,
+                delivered_at TIMESTAMP NULL,
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+                INDEX idx_webhook_created (webhook_id, created_at),
+                INDEX idx_status (status)
+            )
+        `);
+    console.log("   ✅ webhook_deliveries table created\n");
+
+    // 3. Webhook Delivery Jobs Table
+    console.log("📦 Creating webhook_delivery_jobs table...");
+    await connection.execute(`
+            CREATE TABLE IF NOT EXISTS webhook_delivery_jobs (
+                webhook_id INT NOT NULL,
+                job_id VARCHAR(255) NOT NULL,
+                delivery_id BIGINT NOT NULL,
+                PRIMARY KEY (webhook_id, job_id),
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+                FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+                INDEX idx_delivery_id (delivery_id)
+            )
+        `);
+    console.log("   ✅ webhook_delivery_jobs table created\n");
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,114 @@
+/**
+ * Database Migration: Work Arrangement
+ *
+ * - Adds jobs.work_arrangement (remote, hybrid, onsite), which replaces
+ *   `location LIKE '%remote%'` for the remote filter
+ * - Classifies existing jobs from their source, location, title and
+ *   description (src/utils/workArrangement.js)
+ *
+ * Run after migrate_add_job_locations.js: jobs listed under a known city or
+ * state with no other signal are classified as onsite.
+ *
+ * Usage: node migrate_add_work_arrangement.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  addColumnIfMissing,
+  addIndexIfMissing,
+} = require("./src/config/schema");
+const { classifyWorkArrangement } = require("./src/utils/workArrangement");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Boards that only list remote jobs
+const REMOTE_ONLY_SOURCES = ["RemoteOK", "We Work Remotely"];
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Adding work arrangement...\n");
+
+  try {
+    // 1. Column
+    console.log("📦 Updating jobs table...");
+    await addColumnIfMissing(
+      connection,
+      "jobs",
+      "work_arrangement",
+      "ENUM('remote', 'hybrid', 'onsite') NULL",
+    );
+    await addIndexIfMissing(
+      connection,
+      "jobs",
+      "idx_work_arrangement",
+      "INDEX idx_work_arrangement (work_arrangement)",
+    );
+    console.log("");
+
+    // 2. Classify existing jobs
+    console.log("📦 Classifying jobs...");
+    let lastId = "";
+    let scanned = 0;
+    const counts = { remote: 0, hybrid: 0, onsite: 0, unknown: 0 };
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, title, location, description, source, city, state_code
+             FROM jobs WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const workArrangement = classifyWorkArrangement(
+          {
+            title: row.title,
+            location: row.location,
+            description: row.description,
+            workArrangement: REMOTE_ONLY_SOURCES.includes(row.source)
+              ? "remote"
+              : null,
+          },
+          { hasPlace: Boolean(row.city || row.state_code) },
+        );
+        // Keep updated_at as-is: this is not a change consumers need to sync
+        await connection.execute(
+          "UPDATE jobs SET work_arrangement = ?, updated_at = updated_at WHERE id = ?",
+          [workArrangement, row.id],
+        );
+        counts[workArrangement || "unknown"]++;
+      }
+
+      scanned += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(
+      `   ✅ Classified ${scanned} jobs: ${counts.remote} remote, ${counts.hybrid} hybrid, ${counts.onsite} onsite, ${counts.unknown} unknown\n`,
+    );
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,69 @@
+/**
+ * Run Every Migration
+ *
+ * Creates the jobs table (as the server does on start), then runs each
+ * migrate_*.js script below in order, stopping at the first failure. The
+ * list is the supported run order: later scripts alter tables created by
+ * earlier ones. Every script is idempotent, so this is safe against a fresh
+ * database or one migrated part of the way.
+ *
+ * Add new migrations to the end of MIGRATIONS and give them an npm script.
+ *
+ * Usage: npm run migrate:all
+ */
+
+require("dotenv").config();
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { pool, initDB } = require("./src/config/database");
+
+const MIGRATIONS = [
+  "migrate_api_tables.js",
+  "migrate_add_locations.js",
+  "migrate_add_easy_apply.js",
+  "migrate_add_salary_fields.js",
+  "migrate_add_job_sources.js",
+  "migrate_refresh_job_identity.js",
+  "migrate_add_scrape_profiles.js",
+  "migrate_add_job_queue.js",
+  "migrate_add_enrichment_runs.js",
+  "migrate_add_ingest_scopes.js",
+  "migrate_add_fulltext_search.js",
+  "migrate_add_job_changes.js",
+  "migrate_add_webhooks.js",
+  "migrate_add_exports.js",
+  "migrate_add_job_geo.js",
+  "migrate_add_job_locations.js",
+  "migrate_add_work_arrangement.js",
+  "migrate_add_job_liveness.js",
+  "migrate_add_job_skills.js",
+  "migrate_add_job_requirements.js",
+  "migrate_add_job_classification.js",
+  "migrate_add_companies.js",
+  "migrate_add_company_blocks.js",
+  "migrate_add_billing_events.js",
+  "migrate_add_checkout_sessions.js",
+  "migrate_add_subscription_lifecycle.js",
+];
+
+async function migrateAll() {
+  await initDB();
+  await pool.end();
+
+  for (const file of MIGRATIONS) {
+    console.log(`\n▶️  ${file}`);
+    execFileSync(process.execPath, [path.join(__dirname, file)], {
+      stdio: "inherit",
+    });
+  }
+}
+
+migrateAll()
+  .then(() => {
+    console.log(`\n🎉 Ran ${MIGRATIONS.length} migrations`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migrations stopped:", error.message);
+    process.exit(1);
+  });
@@ -7,6 +7,10 @@
  * - api_usage: Usage tracking per API key
  * - subscriptions: Payment/subscription tracking
  *
+ * Fresh installs get the current columns here; the later migrate_*.js
+ * scripts add them to databases created before they existed. Keep the
+ * definitions in sync when a migration changes one of these tables.
+ *
  * Usage: node migrate_api_tables.js
  */
 
@@ -35,6 +39,7 @@ async function migrate() {
                 first_name VARCHAR(100),
                 last_name VARCHAR(100),
                 plan ENUM('free', 'starter', 'pro', 'enterprise') DEFAULT 'free',
+                role ENUM('user', 'admin') DEFAULT 'user',
                 is_active BOOLEAN DEFAULT TRUE,
                 email_verified BOOLEAN DEFAULT FALSE,
                 stripe_customer_id VARCHAR(255),
@@ -57,6 +62,8 @@ async function migrate() {
                 key_hash VARCHAR(255) NOT NULL,
                 key_prefix VARCHAR(20) NOT NULL,
                 name VARCHAR(100) DEFAULT 'Default Key',
+                scopes VARCHAR(255) NOT NULL DEFAULT 'read',
+                use_saved_locations BOOLEAN DEFAULT FALSE,
                 is_active BOOLEAN DEFAULT TRUE,
                 last_used_at TIMESTAMP NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -125,12 +132,18 @@ async function migrate() {
                 current_period_start TIMESTAMP NULL,
                 current_period_end TIMESTAMP NULL,
                 cancel_at_period_end BOOLEAN DEFAULT FALSE,
+                past_due_since TIMESTAMP NULL,
+                lifecycle_failures INT NOT NULL DEFAULT 0,
+                lifecycle_retry_at TIMESTAMP NULL,
+                lifecycle_error VARCHAR(255) NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 INDEX idx_user_id (user_id),
                 INDEX idx_provider (provider),
-                INDEX idx_status (status)
+                INDEX idx_status (status),
+                INDEX idx_provider_subscription (provider, provider_subscription_id),
+                INDEX idx_status_period (status, current_period_end)
             )
         `);
     console.log("   ✅ subscriptions table created\n");
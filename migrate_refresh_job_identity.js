@@ -0,0 +1,105 @@
+/**
+ * Database Migration: Refresh Job Identity
+ *
+ * - Recomputes jobs.fingerprint now that work arrangement (remote, hybrid,
+ *   on-site) is part of the location key
+ * - Namespaces job_sources.source_job_id by source ("12345" from Adzuna ->
+ *   "adzuna-12345") to match the IDs ingest now derives
+ *
+ * Run after migrate_add_job_sources.js. Safe to re-run.
+ *
+ * Usage: node migrate_refresh_job_identity.js
+ */
+
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  MAX_JOB_ID_LENGTH,
+  jobFingerprint,
+  sourcePrefix,
+} = require("./src/utils/jobIdentity");
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function migrate() {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT || 3306,
+  });
+
+  console.log("🔄 Refreshing job identity...\n");
+
+  try {
+    // 1. Fingerprints
+    console.log("📦 Recomputing fingerprints...");
+    let lastId = "";
+    let updated = 0;
+
+    while (true) {
+      const [rows] = await connection.query(
+        `SELECT id, title, company, location, fingerprint FROM jobs
+                 WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, BACKFILL_BATCH_SIZE],
+      );
+
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const fingerprint = jobFingerprint(row);
+        if (fingerprint === row.fingerprint) continue;
+        await connection.execute(
+          "UPDATE jobs SET fingerprint = ? WHERE id = ?",
+          [fingerprint, row.id],
+        );
+        updated++;
+      }
+
+      lastId = rows[rows.length - 1].id;
+    }
+    console.log(`   ✅ Updated ${updated} fingerprints\n`);
+
+    // 2. Source job IDs
+    console.log("📦 Namespacing source job IDs...");
+    const [sources] = await connection.execute(
+      "SELECT DISTINCT source FROM job_sources",
+    );
+    let renamed = 0;
+
+    for (const { source } of sources) {
+      const prefix = `${sourcePrefix(source)}-`;
+      // IGNORE: a row already stored under the new ID wins. IDs too long
+      // once prefixed are hashed, as namespacedJobId does.
+      const [result] = await connection.execute(
+        `UPDATE IGNORE job_sources
+                 SET source_job_id = IF(
+                     CHAR_LENGTH(source_job_id) + CHAR_LENGTH(?) > ?,
+                     CONCAT(?, LEFT(SHA1(source_job_id), 16)),
+                     CONCAT(?, source_job_id))
+                 WHERE source = ? AND source_job_id NOT LIKE ?`,
+        [prefix, MAX_JOB_ID_LENGTH, prefix, prefix, source, `${prefix}%`],
+      );
+      renamed += result.affectedRows;
+    }
+    console.log(`   ✅ Namespaced ${renamed} source job IDs\n`);
+
+    console.log("✅ Migration completed successfully!\n");
+  } catch (error) {
+    console.error("❌ Migration error:", error.message);
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("\n🎉 Migration completed!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n💥 Migration failed:", error);
+    process.exit(1);
+  });
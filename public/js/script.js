@@ -3,6 +3,7 @@ document.addEventListener('DOMContentLoaded', () => {
     initializeFilters();
     initializeSorting();
     initializeEnrichButton();
+    initializeHideCompanyButtons();
 });
 
 function initializeFilters() {
@@ -15,6 +16,8 @@ function initializeFilters() {
     const companyFilter = document.getElementById('companyFilter');
     const locationFilter = document.getElementById('locationFilter');
     const typeFilter = document.getElementById('typeFilter');
+    const seniorityFilter = document.getElementById('seniorityFilter');
+    const workArrangementFilter = document.getElementById('workArrangementFilter');
     const salaryFilter = document.getElementById('salaryFilter');
     const sourceFilter = document.getElementById('sourceFilter');
     const easyApplyFilter = document.getElementById('easyApplyFilter');
@@ -23,6 +26,8 @@ function initializeFilters() {
     if (companyFilter) companyFilter.addEventListener('change', applyFilters);
     if (locationFilter) locationFilter.addEventListener('change', applyFilters);
     if (typeFilter) typeFilter.addEventListener('change', applyFilters);
+    if (seniorityFilter) seniorityFilter.addEventListener('change', applyFilters);
+    if (workArrangementFilter) workArrangementFilter.addEventListener('change', applyFilters);
     if (salaryFilter) salaryFilter.addEventListener('change', applyFilters);
     if (sourceFilter) sourceFilter.addEventListener('change', applyFilters);
     if (easyApplyFilter) easyApplyFilter.addEventListener('change', applyFilters);
@@ -32,6 +37,8 @@ function initializeFilters() {
             if (companyFilter) companyFilter.value = '';
             if (locationFilter) locationFilter.value = '';
             if (typeFilter) typeFilter.value = '';
+            if (seniorityFilter) seniorityFilter.value = '';
+            if (workArrangementFilter) workArrangementFilter.value = '';
             if (salaryFilter) salaryFilter.value = '';
             if (sourceFilter) sourceFilter.value = '';
             if (easyApplyFilter) easyApplyFilter.checked = false;
@@ -79,6 +86,8 @@ function applyFilters() {
     const companyValue = document.getElementById('companyFilter')?.value || '';
     const locationValue = document.getElementById('locationFilter')?.value || '';
     const typeValue = document.getElementById('typeFilter')?.value || '';
+    const seniorityValue = document.getElementById('seniorityFilter')?.value || '';
+    const workArrangementValue = document.getElementById('workArrangementFilter')?.value || '';
     const salaryValue = document.getElementById('salaryFilter')?.value || '';
     const sourceValue = document.getElementById('sourceFilter')?.value || '';
     const easyApplyOnly = document.getElementById('easyApplyFilter')?.checked || false;
@@ -90,7 +99,8 @@ function applyFilters() {
         const company = card.getAttribute('data-company') || '';
         const location = card.getAttribute('data-location') || '';
         const type = card.getAttribute('data-type') || '';
-        const salary = card.getAttribute('data-salary') || '';
+        const seniority = card.getAttribute('data-seniority') || '';
+        const workArrangement = card.getAttribute('data-work-arrangement') || '';
         const source = card.getAttribute('data-source') || '';
         const isEasyApply = card.getAttribute('data-easy-apply') === 'true';
         
@@ -111,8 +121,18 @@ function applyFilters() {
             matches = false;
         }
         
+        // Check seniority filter
+        if (seniorityValue && seniority !== seniorityValue) {
+            matches = false;
+        }
+        
+        // Check work arrangement filter
+        if (workArrangementValue && workArrangement !== workArrangementValue) {
+            matches = false;
+        }
+        
         // Check salary filter
-        if (salaryValue && !matchesSalaryRange(salary, salaryValue)) {
+        if (salaryValue && !matchesSalaryRange(card, salaryValue)) {
             matches = false;
         }
         
@@ -142,12 +162,13 @@ function applyFilters() {
     }
 }
 
-function matchesSalaryRange(salaryText, range) {
-    // Extract numeric value from salary text
-    const match = salaryText.match(/\$?([\d,]+)/);
-    if (!match) return false;
+// Yearly multipliers for the salary_period values parsed at ingest
+const ANNUAL_MULTIPLIERS = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+function matchesSalaryRange(card, range) {
+    const salary = extractSalaryValue(card);
+    if (!salary) return false;
     
-    const salary = parseInt(match[1].replace(/,/g, ''));
     const [min, max] = range.split('-').map(val => parseInt(val));
     
     return salary >= min && salary <= max;
@@ -207,23 +228,73 @@ function sortJobs(sortBy) {
 }
 
 function extractSalaryValue(card) {
+    // Prefer the structured salary parsed on the server, annualized
+    const amount = parseFloat(card.getAttribute('data-salary-min')) || parseFloat(card.getAttribute('data-salary-max'));
+    if (amount) {
+        const period = card.getAttribute('data-salary-period');
+        return amount * (ANNUAL_MULTIPLIERS[period] || 1);
+    }
+    
+    // Fall back to the first number in the display text
     const salaryText = card.getAttribute('data-salary') || '';
     const match = salaryText.match(/\$?([\d,]+)/);
     return match ? parseInt(match[1].replace(/,/g, '')) : 0;
 }
 
+// Add a company to the user's blocklist and drop its cards from the page
+function initializeHideCompanyButtons() {
+    document.querySelectorAll('.hide-company-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            const companyId = button.getAttribute('data-company-id');
+            button.disabled = true;
+            
+            try {
+                const response = await fetch('/api/blocked-companies', {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ companyId })
+                });
+                
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to hide company');
+                }
+                
+                document.querySelectorAll(`.job-card[data-company-id="${companyId}"]`).forEach(card => card.remove());
+                applyFilters();
+            } catch (error) {
+                console.error('Hide company error:', error);
+                button.disabled = false;
+                alert('Failed to hide company. Please try again.');
+            }
+        });
+    });
+}
+
+const ENRICH_POLL_INTERVAL = 3000;
+
 function initializeEnrichButton() {
     const enrichBtn = document.getElementById('enrichBtn');
     
     if (enrichBtn) {
+        const originalText = enrichBtn.innerHTML;
+        
+        const resetButton = (delay) => {
+            setTimeout(() => {
+                enrichBtn.innerHTML = originalText;
+                enrichBtn.style.pointerEvents = 'auto';
+            }, delay);
+        };
+        
         enrichBtn.addEventListener('click', async (e) => {
             e.preventDefault();
             
-            const icon = enrichBtn.querySelector('i');
-            const originalText = enrichBtn.innerHTML;
-            
             // Show loading state
-            enrichBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Enriching...';
+            enrichBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Queuing...';
             enrichBtn.style.pointerEvents = 'none';
             
             try {
@@ -236,25 +307,64 @@ function initializeEnrichButton() {
                 
                 const data = await response.json();
                 
-                if (response.ok) {
-                    enrichBtn.innerHTML = '<i class="fas fa-check"></i> Started!';
-                    setTimeout(() => {
-                        enrichBtn.innerHTML = originalText;
-                        enrichBtn.style.pointerEvents = 'auto';
-                        alert('Job enrichment started! This will run in the background. Check back in a few minutes and refresh the page to see updated descriptions.');
-                    }, 2000);
-                } else {
+                if (!response.ok) {
                     throw new Error(data.error || 'Enrichment failed');
                 }
+                
+                pollEnrichmentStatus(enrichBtn, data.jobId, resetButton);
             } catch (error) {
                 console.error('Enrichment error:', error);
                 enrichBtn.innerHTML = '<i class="fas fa-times"></i> Failed';
-                setTimeout(() => {
-                    enrichBtn.innerHTML = originalText;
-                    enrichBtn.style.pointerEvents = 'auto';
-                }, 2000);
+                resetButton(2000);
                 alert('Failed to start enrichment. Please try again.');
             }
         });
     }
 }
+
+// Follow a queued enrichment run and show its progress on the button
+function pollEnrichmentStatus(enrichBtn, jobId, resetButton) {
+    const poll = async () => {
+        try {
+            const response = await fetch(`/api/enrich/status?jobId=${encodeURIComponent(jobId)}`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Status check failed');
+            }
+            
+            const queue = data.queue || {};
+            const run = data.run;
+            
+            if (queue.status === 'failed' || (run && run.status === 'failed')) {
+                enrichBtn.innerHTML = '<i class="fas fa-times"></i> Failed';
+                enrichBtn.title = (run && run.error) || queue.lastError || '';
+                resetButton(4000);
+                return;
+            }
+            
+            if (queue.status === 'completed') {
+                enrichBtn.innerHTML = run
+                    ? `<i class="fas fa-check"></i> ${run.enriched}/${run.total} enriched`
+                    : '<i class="fas fa-check"></i> Done';
+                enrichBtn.title = run ? `${run.failed} failed` : '';
+                resetButton(4000);
+                return;
+            }
+            
+            if (run && run.status === 'running') {
+                enrichBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Enriching ${run.processed}/${run.total} (${run.percent}%)`;
+            } else {
+                enrichBtn.innerHTML = '<i class="fas fa-clock"></i> Queued...';
+            }
+            
+            setTimeout(poll, ENRICH_POLL_INTERVAL);
+        } catch (error) {
+            console.error('Enrichment status error:', error);
+            enrichBtn.innerHTML = '<i class="fas fa-times"></i> Status unavailable';
+            resetButton(2000);
+        }
+    };
+    
+    poll();
+}
@@ -44,7 +44,15 @@ app.use(
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(
+  express.json({
+    limit: "2mb", // Extension uploads send up to INGEST_MAX_BATCH_SIZE jobs
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
@@ -58,14 +66,22 @@ const jobRoutes = require("./src/routes/jobs");
 const authRoutes = require("./src/routes/auth");
 const billingRoutes = require("./src/routes/billing");
 const locationsRoutes = require("./src/routes/locations");
+const adminRoutes = require("./src/routes/admin");
+const webhookRoutes = require("./src/routes/webhooks");
+const exportRoutes = require("./src/routes/exports");
+const blockedCompaniesRoutes = require("./src/routes/blockedCompanies");
 const apiV1Routes = require("./src/routes/v1/jobs");
-const { initJobScheduler } = require("./src/services/jobService");
+const { initDB } = require("./src/config/database");
 
 // Mount routes
 app.use("/", jobRoutes); // Job board + API landing page
 app.use("/", authRoutes); // Auth routes (/auth/*, /api/keys/*)
 app.use("/", billingRoutes); // Billing routes (/billing/*)
 app.use("/", locationsRoutes); // Location management routes
+app.use("/", adminRoutes); // Admin routes (/admin/*)
+app.use("/", webhookRoutes); // Webhook management (/api/webhooks/*)
+app.use("/", exportRoutes); // Bulk exports (/api/exports/*)
+app.use("/", blockedCompaniesRoutes); // Company blocklist (/api/blocked-companies/*)
 app.use("/api/v1", apiV1Routes); // Protected API v1 routes
 
 // Error handling
@@ -79,6 +95,6 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  // Start background scraping
-  initJobScheduler();
+  // Scraping and enrichment run in worker.js
+  initDB();
 });
@@ -0,0 +1,201 @@
+/**
+ * Known Companies
+ *
+ * Canonical profiles for employers that post under several names. The
+ * company migration seeds these into `companies` and points every alias at
+ * one entry; any other employer gets a company of its own the first time a
+ * job from it is ingested. Aliases are matched after normalizeCompany()
+ * (case, punctuation and Inc/LLC/Corp suffixes don't matter).
+ */
+
+const KNOWN_COMPANIES = [
+  {
+    name: "Booz Allen Hamilton",
+    aliases: ["Booz Allen", "BAH", "Booz Allen Hamilton Holding"],
+    domain: "boozallen.com",
+    industry: "Defense & Government Services",
+    hqLocation: "McLean, VA",
+  },
+  {
+    name: "Leidos",
+    aliases: ["Leidos Holdings", "Leidos Biomedical Research"],
+    domain: "leidos.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Reston, VA",
+  },
+  {
+    name: "Northrop Grumman",
+    aliases: ["Northrop Grumman Corporation", "NGC"],
+    domain: "northropgrumman.com",
+    industry: "Aerospace & Defense",
+    hqLocation: "Falls Church, VA",
+  },
+  {
+    name: "Lockheed Martin",
+    aliases: ["Lockheed Martin Corporation", "LMCO", "Lockheed"],
+    domain: "lockheedmartin.com",
+    industry: "Aerospace & Defense",
+    hqLocation: "Bethesda, MD",
+  },
+  {
+    name: "General Dynamics Information Technology",
+    aliases: ["GDIT", "General Dynamics IT", "General Dynamics"],
+    domain: "gdit.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Falls Church, VA",
+  },
+  {
+    name: "SAIC",
+    aliases: ["Science Applications International Corporation"],
+    domain: "saic.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Reston, VA",
+  },
+  {
+    name: "CACI",
+    aliases: ["CACI International", "CACI Inc Federal"],
+    domain: "caci.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Reston, VA",
+  },
+  {
+    name: "ManTech",
+    aliases: ["ManTech International", "ManTech International Corporation"],
+    domain: "mantech.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Herndon, VA",
+  },
+  {
+    name: "Peraton",
+    aliases: ["Peraton Labs"],
+    domain: "peraton.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Herndon, VA",
+  },
+  {
+    name: "RTX",
+    aliases: ["Raytheon", "Raytheon Technologies", "Raytheon Company"],
+    domain: "rtx.com",
+    industry: "Aerospace & Defense",
+    hqLocation: "Arlington, VA",
+  },
+  {
+    name: "L3Harris Technologies",
+    aliases: ["L3Harris", "L3 Harris", "Harris Corporation"],
+    domain: "l3harris.com",
+    industry: "Aerospace & Defense",
+    hqLocation: "Melbourne, FL",
+  },
+  {
+    name: "BAE Systems",
+    aliases: ["BAE Systems Inc", "BAE"],
+    domain: "baesystems.com",
+    industry: "Aerospace & Defense",
+    hqLocation: "Falls Church, VA",
+  },
+  {
+    name: "Accenture Federal Services",
+    aliases: ["AFS", "Accenture Federal"],
+    domain: "accenturefederal.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Arlington, VA",
+  },
+  {
+    name: "Accenture",
+    aliases: [],
+    domain: "accenture.com",
+    industry: "Consulting",
+    hqLocation: "Dublin, Ireland",
+  },
+  {
+    name: "Deloitte",
+    aliases: ["Deloitte Consulting", "Deloitte & Touche", "Deloitte LLP"],
+    domain: "deloitte.com",
+    industry: "Consulting",
+    hqLocation: "London, United Kingdom",
+  },
+  {
+    name: "KBR",
+    aliases: ["KBR Inc", "Kellogg Brown & Root"],
+    domain: "kbr.com",
+    industry: "Defense & Government Services",
+    hqLocation: "Houston, TX",
+  },
+  {
+    name: "Johns Hopkins Applied Physics Laboratory",
+    aliases: [
+      "JHU APL",
+      "JHUAPL",
+      "Johns Hopkins APL",
+      "Johns Hopkins University Applied Physics Laboratory",
+    ],
+    domain: "jhuapl.edu",
+    industry: "Research",
+    hqLocation: "Laurel, MD",
+  },
+  {
+    name: "MITRE",
+    aliases: ["The MITRE Corporation", "MITRE Corporation"],
+    domain: "mitre.org",
+    industry: "Research",
+    hqLocation: "McLean, VA",
+  },
+  {
+    name: "Amazon Web Services",
+    aliases: ["AWS", "Amazon Web Services (AWS)"],
+    domain: "aws.amazon.com",
+    industry: "Cloud & Software",
+    hqLocation: "Seattle, WA",
+  },
+  {
+    name: "Amazon",
+    aliases: ["Amazon.com", "Amazon.com Services"],
+    domain: "amazon.com",
+    industry: "Technology",
+    hqLocation: "Seattle, WA",
+  },
+  {
+    name: "Microsoft",
+    aliases: ["Microsoft Corporation"],
+    domain: "microsoft.com",
+    industry: "Cloud & Software",
+    hqLocation: "Redmond, WA",
+  },
+  {
+    name: "Google",
+    aliases: ["Google LLC", "Alphabet"],
+    domain: "google.com",
+    industry: "Cloud & Software",
+    hqLocation: "Mountain View, CA",
+  },
+  {
+    name: "IBM",
+    aliases: ["International Business Machines"],
+    domain: "ibm.com",
+    industry: "Technology",
+    hqLocation: "Armonk, NY",
+  },
+  {
+    name: "CrowdStrike",
+    aliases: ["CrowdStrike Holdings"],
+    domain: "crowdstrike.com",
+    industry: "Cybersecurity",
+    hqLocation: "Austin, TX",
+  },
+  {
+    name: "Palo Alto Networks",
+    aliases: ["PANW"],
+    domain: "paloaltonetworks.com",
+    industry: "Cybersecurity",
+    hqLocation: "Santa Clara, CA",
+  },
+  {
+    name: "Tenable",
+    aliases: ["Tenable Holdings", "Tenable Network Security"],
+    domain: "tenable.com",
+    industry: "Cybersecurity",
+    hqLocation: "Columbia, MD",
+  },
+];
+
+module.exports = { KNOWN_COMPANIES };
@@ -23,16 +23,58 @@ const initDB = async () => {
                 id VARCHAR(255) PRIMARY KEY,
                 title VARCHAR(255),
                 company VARCHAR(255),
+                company_id INT NULL,
+                is_agency BOOLEAN NOT NULL DEFAULT FALSE,
                 location VARCHAR(255),
                 type VARCHAR(100),
                 salary VARCHAR(100),
+                salary_min DECIMAL(12,2) NULL,
+                salary_max DECIMAL(12,2) NULL,
+                salary_currency CHAR(3) NULL,
+                salary_period VARCHAR(10) NULL,
                 posted_date VARCHAR(100),
                 description TEXT,
                 url TEXT,
                 source VARCHAR(100),
                 easy_apply BOOLEAN DEFAULT FALSE,
+                fingerprint CHAR(40) NULL,
+                uploaded_by INT NULL,
+                geo_id VARCHAR(50) NULL,
+                state_code CHAR(2) NULL,
+                city VARCHAR(100) NULL,
+                country CHAR(2) NULL,
+                lat DECIMAL(9,6) NULL,
+                lng DECIMAL(9,6) NULL,
+                work_arrangement ENUM('remote', 'hybrid', 'onsite') NULL,
+                seniority ENUM('intern', 'junior', 'mid', 'senior', 'lead', 'manager', 'director') NULL,
+                employment_type ENUM('full-time', 'part-time', 'contract', 'internship', 'temporary') NULL,
+                clearance_level ENUM('public-trust', 'secret', 'top-secret', 'ts-sci') NULL,
+                clearance_polygraph BOOLEAN NOT NULL DEFAULT FALSE,
+                status ENUM('active', 'closed', 'removed') NOT NULL DEFAULT 'active',
+                last_verified_at TIMESTAMP NULL,
+                last_checked_at TIMESTAMP NULL,
                 added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                expires_at TIMESTAMP NULL
+                expires_at TIMESTAMP NULL,
+                updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_salary_min (salary_min),
+                INDEX idx_fingerprint (fingerprint),
+                INDEX idx_uploaded_by (uploaded_by),
+                INDEX idx_updated_at (updated_at),
+                INDEX idx_geo_id (geo_id),
+                INDEX idx_state_code (state_code),
+                INDEX idx_country_state_city (country, state_code, city),
+                INDEX idx_lat_lng (lat, lng),
+                INDEX idx_work_arrangement (work_arrangement),
+                INDEX idx_clearance_level (clearance_level),
+                INDEX idx_company_id (company_id, expires_at),
+                INDEX idx_is_agency (is_agency),
+                INDEX idx_seniority (seniority),
+                INDEX idx_employment_type (employment_type),
+                INDEX idx_status_checked (status, last_checked_at),
+                FULLTEXT INDEX ft_jobs_search (title, company, description),
+                FULLTEXT INDEX ft_jobs_title (title),
+                FULLTEXT INDEX ft_jobs_company (company),
+                FULLTEXT INDEX ft_jobs_description (description)
             )
         `;
         await connection.query(createTableQuery);
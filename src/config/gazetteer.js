@@ -0,0 +1,415 @@
+/**
+ * Gazetteer
+ *
+ * Offline coordinates for the cities in chrome-extension/common-geoids.json
+ * plus other common job hubs, and the country names seen in job locations.
+ * Used by geoService to normalize free-text locations; coordinates are city
+ * centres, good enough for radius search.
+ */
+
+/**
+ * [latitude, longitude] keyed by "City, ST"
+ */
+const CITY_COORDINATES = {
+  // Alabama
+  "Birmingham, AL": [33.5186, -86.8104],
+  "Montgomery, AL": [32.3792, -86.3077],
+  "Mobile, AL": [30.6954, -88.0399],
+  "Huntsville, AL": [34.7304, -86.5861],
+  // Alaska
+  "Anchorage, AK": [61.2181, -149.9003],
+  "Fairbanks, AK": [64.8378, -147.7164],
+  "Juneau, AK": [58.3019, -134.4197],
+  // Arizona
+  "Phoenix, AZ": [33.4484, -112.074],
+  "Tucson, AZ": [32.2226, -110.9747],
+  "Mesa, AZ": [33.4152, -111.8315],
+  "Chandler, AZ": [33.3062, -111.8413],
+  "Scottsdale, AZ": [33.4942, -111.9261],
+  "Tempe, AZ": [33.4255, -111.94],
+  // Arkansas
+  "Little Rock, AR": [34.7465, -92.2896],
+  "Fort Smith, AR": [35.3859, -94.3985],
+  "Fayetteville, AR": [36.0626, -94.1574],
+  "Bentonville, AR": [36.3729, -94.2088],
+  // California
+  "Los Angeles, CA": [34.0522, -118.2437],
+  "San Diego, CA": [32.7157, -117.1611],
+  "San Jose, CA": [37.3382, -121.8863],
+  "San Francisco, CA": [37.7749, -122.4194],
+  "Fresno, CA": [36.7378, -119.7871],
+  "Sacramento, CA": [38.5816, -121.4944],
+  "Long Beach, CA": [33.7701, -118.1937],
+  "Oakland, CA": [37.8044, -122.2712],
+  "Bakersfield, CA": [35.3733, -119.0187],
+  "Anaheim, CA": [33.8366, -117.9143],
+  "Santa Ana, CA": [33.7455, -117.8677],
+  "Riverside, CA": [33.9806, -117.3755],
+  "Stockton, CA": [37.9577, -121.2908],
+  "Irvine, CA": [33.6846, -117.8265],
+  "Santa Clara, CA": [37.3541, -121.9552],
+  "Fremont, CA": [37.5485, -121.9886],
+  "Palo Alto, CA": [37.4419, -122.143],
+  "Mountain View, CA": [37.3861, -122.0839],
+  "Sunnyvale, CA": [37.3688, -122.0363],
+  "Menlo Park, CA": [37.453, -122.1817],
+  "Cupertino, CA": [37.323, -122.0322],
+  "Redwood City, CA": [37.4852, -122.2364],
+  "San Mateo, CA": [37.563, -122.3255],
+  "Berkeley, CA": [37.8715, -122.273],
+  "Pasadena, CA": [34.1478, -118.1445],
+  "Santa Monica, CA": [34.0195, -118.4912],
+  // Colorado
+  "Denver, CO": [39.7392, -104.9903],
+  "Colorado Springs, CO": [38.8339, -104.8214],
+  "Aurora, CO": [39.7294, -104.8319],
+  "Fort Collins, CO": [40.5853, -105.0844],
+  "Boulder, CO": [40.015, -105.2705],
+  // Connecticut
+  "Bridgeport, CT": [41.1865, -73.1952],
+  "New Haven, CT": [41.3083, -72.9279],
+  "Stamford, CT": [41.0534, -73.5387],
+  "Hartford, CT": [41.7658, -72.6734],
+  // Delaware
+  "Wilmington, DE": [39.7391, -75.5398],
+  "Dover, DE": [39.1582, -75.5244],
+  // District of Columbia
+  "Washington, DC": [38.9072, -77.0369],
+  // Florida
+  "Jacksonville, FL": [30.3322, -81.6557],
+  "Miami, FL": [25.7617, -80.1918],
+  "Tampa, FL": [27.9506, -82.4572],
+  "Orlando, FL": [28.5383, -81.3792],
+  "St. Petersburg, FL": [27.7676, -82.6403],
+  "Tallahassee, FL": [30.4383, -84.2807],
+  "Fort Lauderdale, FL": [26.1224, -80.1373],
+  "Cape Coral, FL": [26.5629, -81.9495],
+  "Gainesville, FL": [29.6516, -82.3248],
+  "Pensacola, FL": [30.4213, -87.2169],
+  // Georgia
+  "Atlanta, GA": [33.749, -84.388],
+  "Augusta, GA": [33.4735, -82.0105],
+  "Columbus, GA": [32.461, -84.9877],
+  "Savannah, GA": [32.0809, -81.0912],
+  "Athens, GA": [33.9519, -83.3576],
+  "Alpharetta, GA": [34.0754, -84.2941],
+  // Hawaii
+  "Honolulu, HI": [21.3069, -157.8583],
+  "Pearl City, HI": [21.3972, -157.9752],
+  "Hilo, HI": [19.7241, -155.0868],
+  "Kailua, HI": [21.4022, -157.7394],
+  // Idaho
+  "Boise, ID": [43.615, -116.2023],
+  "Meridian, ID": [43.6121, -116.3915],
+  "Nampa, ID": [43.5407, -116.5635],
+  // Illinois
+  "Chicago, IL": [41.8781, -87.6298],
+  "Aurora, IL": [41.7606, -88.3201],
+  "Naperville, IL": [41.7508, -88.1535],
+  "Joliet, IL": [41.525, -88.0817],
+  "Rockford, IL": [42.2711, -89.094],
+  "Springfield, IL": [39.7817, -89.6501],
+  // Indiana
+  "Indianapolis, IN": [39.7684, -86.1581],
+  "Fort Wayne, IN": [41.0793, -85.1394],
+  "Evansville, IN": [37.9716, -87.5711],
+  "South Bend, IN": [41.6764, -86.252],
+  // Iowa
+  "Des Moines, IA": [41.5868, -93.625],
+  "Cedar Rapids, IA": [41.9779, -91.6656],
+  "Davenport, IA": [41.5236, -90.5776],
+  // Kansas
+  "Wichita, KS": [37.6872, -97.3301],
+  "Overland Park, KS": [38.9822, -94.6708],
+  "Kansas City, KS": [39.1142, -94.6275],
+  "Topeka, KS": [39.0473, -95.6752],
+  // Kentucky
+  "Louisville, KY": [38.2527, -85.7585],
+  "Lexington, KY": [38.0406, -84.5037],
+  "Bowling Green, KY": [36.9685, -86.4808],
+  // Louisiana
+  "New Orleans, LA": [29.9511, -90.0715],
+  "Baton Rouge, LA": [30.4515, -91.1871],
+  "Shreveport, LA": [32.5252, -93.7502],
+  "Lafayette, LA": [30.2241, -92.0198],
+  // Maine
+  "Portland, ME": [43.6591, -70.2568],
+  "Lewiston, ME": [44.1004, -70.2148],
+  "Bangor, ME": [44.8016, -68.7712],
+  // Maryland
+  "Baltimore, MD": [39.2904, -76.6122],
+  "Frederick, MD": [39.4143, -77.4105],
+  "Rockville, MD": [39.084, -77.1528],
+  "Gaithersburg, MD": [39.1434, -77.2014],
+  "Bethesda, MD": [38.9847, -77.0947],
+  "Silver Spring, MD": [38.9907, -77.0261],
+  "Columbia, MD": [39.2037, -76.861],
+  "Annapolis, MD": [38.9784, -76.4922],
+  "Annapolis Junction, MD": [39.1201, -76.7872],
+  "Fort Meade, MD": [39.1086, -76.7433],
+  // Massachusetts
+  "Boston, MA": [42.3601, -71.0589],
+  "Worcester, MA": [42.2626, -71.8023],
+  "Springfield, MA": [42.1015, -72.5898],
+  "Cambridge, MA": [42.3736, -71.1097],
+  "Lowell, MA": [42.6334, -71.3162],
+  "Waltham, MA": [42.3765, -71.2356],
+  // Michigan
+  "Detroit, MI": [42.3314, -83.0458],
+  "Grand Rapids, MI": [42.9634, -85.6681],
+  "Warren, MI": [42.5145, -83.0147],
+  "Sterling Heights, MI": [42.5803, -83.0302],
+  "Ann Arbor, MI": [42.2808, -83.743],
+  "Lansing, MI": [42.7325, -84.5555],
+  // Minnesota
+  "Minneapolis, MN": [44.9778, -93.265],
+  "St. Paul, MN": [44.9537, -93.09],
+  "Rochester, MN": [44.0121, -92.4802],
+  "Duluth, MN": [46.7867, -92.1005],
+  // Mississippi
+  "Jackson, MS": [32.2988, -90.1848],
+  "Gulfport, MS": [30.3674, -89.0928],
+  "Biloxi, MS": [30.396, -88.8853],
+  // Missouri
+  "Kansas City, MO": [39.0997, -94.5786],
+  "St. Louis, MO": [38.627, -90.1994],
+  "Springfield, MO": [37.209, -93.2923],
+  "Columbia, MO": [38.9517, -92.3341],
+  // Montana
+  "Billings, MT": [45.7833, -108.5007],
+  "Missoula, MT": [46.8721, -113.994],
+  "Great Falls, MT": [47.5053, -111.3008],
+  // Nebraska
+  "Omaha, NE": [41.2565, -95.9345],
+  "Lincoln, NE": [40.8136, -96.7026],
+  "Bellevue, NE": [41.1544, -95.9146],
+  // Nevada
+  "Las Vegas, NV": [36.1699, -115.1398],
+  "Henderson, NV": [36.0395, -114.9817],
+  "Reno, NV": [39.5296, -119.8138],
+  "North Las Vegas, NV": [36.1989, -115.1175],
+  // New Hampshire
+  "Manchester, NH": [42.9956, -71.4548],
+  "Nashua, NH": [42.7654, -71.4676],
+  "Concord, NH": [43.2081, -71.5376],
+  // New Jersey
+  "Newark, NJ": [40.7357, -74.1724],
+  "Jersey City, NJ": [40.7178, -74.0431],
+  "Paterson, NJ": [40.9168, -74.1718],
+  "Elizabeth, NJ": [40.6639, -74.2107],
+  "Trenton, NJ": [40.2206, -74.7597],
+  "Princeton, NJ": [40.3573, -74.6672],
+  "Hoboken, NJ": [40.744, -74.0324],
+  // New Mexico
+  "Albuquerque, NM": [35.0844, -106.6504],
+  "Las Cruces, NM": [32.3199, -106.7637],
+  "Santa Fe, NM": [35.687, -105.9378],
+  // New York
+  "New York, NY": [40.7128, -74.006],
+  "Brooklyn, NY": [40.6782, -73.9442],
+  "Buffalo, NY": [42.8864, -78.8784],
+  "Rochester, NY": [43.1566, -77.6088],
+  "Yonkers, NY": [40.9312, -73.8988],
+  "Syracuse, NY": [43.0481, -76.1474],
+  "Albany, NY": [42.6526, -73.7562],
+  // North Carolina
+  "Charlotte, NC": [35.2271, -80.8431],
+  "Raleigh, NC": [35.7796, -78.6382],
+  "Greensboro, NC": [36.0726, -79.792],
+  "Durham, NC": [35.994, -78.8986],
+  "Winston-Salem, NC": [36.0999, -80.2442],
+  "Fayetteville, NC": [35.0527, -78.8784],
+  "Cary, NC": [35.7915, -78.7811],
+  "Asheville, NC": [35.5951, -82.5515],
+  "Morrisville, NC": [35.8235, -78.8256],
+  // North Dakota
+  "Fargo, ND": [46.8772, -96.7898],
+  "Bismarck, ND": [46.8083, -100.7837],
+  "Grand Forks, ND": [47.9253, -97.0329],
+  // Ohio
+  "Columbus, OH": [39.9612, -82.9988],
+  "Cleveland, OH": [41.4993, -81.6944],
+  "Cincinnati, OH": [39.1031, -84.512],
+  "Toledo, OH": [41.6528, -83.5379],
+  "Akron, OH": [41.0814, -81.519],
+  "Dayton, OH": [39.7589, -84.1916],
+  // Oklahoma
+  "Oklahoma City, OK": [35.4676, -97.5164],
+  "Tulsa, OK": [36.154, -95.9928],
+  "Norman, OK": [35.2226, -97.4395],
+  // Oregon
+  "Portland, OR": [45.5152, -122.6784],
+  "Eugene, OR": [44.0521, -123.0868],
+  "Salem, OR": [44.9429, -123.0351],
+  "Gresham, OR": [45.4984, -122.4302],
+  "Bend, OR": [44.0582, -121.3153],
+  "Beaverton, OR": [45.4871, -122.8037],
+  "Hillsboro, OR": [45.5229, -122.9898],
+  // Pennsylvania
+  "Philadelphia, PA": [39.9526, -75.1652],
+  "Pittsburgh, PA": [40.4406, -79.9959],
+  "Allentown, PA": [40.6084, -75.4902],
+  "Erie, PA": [42.1292, -80.0851],
+  "Reading, PA": [40.3356, -75.9269],
+  // Rhode Island
+  "Providence, RI": [41.824, -71.4128],
+  "Warwick, RI": [41.7001, -71.4162],
+  "Cranston, RI": [41.7798, -71.4373],
+  // South Carolina
+  "Columbia, SC": [34.0007, -81.0348],
+  "Charleston, SC": [32.7765, -79.9311],
+  "North Charleston, SC": [32.8546, -79.9748],
+  "Greenville, SC": [34.8526, -82.394],
+  // South Dakota
+  "Sioux Falls, SD": [43.5446, -96.7311],
+  "Rapid City, SD": [44.0805, -103.231],
+  "Aberdeen, SD": [45.4647, -98.4865],
+  // Tennessee
+  "Nashville, TN": [36.1627, -86.7816],
+  "Memphis, TN": [35.1495, -90.049],
+  "Knoxville, TN": [35.9606, -83.9207],
+  "Chattanooga, TN": [35.0456, -85.3097],
+  "Clarksville, TN": [36.5298, -87.3595],
+  "Oak Ridge, TN": [36.0104, -84.2696],
+  // Texas
+  "Houston, TX": [29.7604, -95.3698],
+  "San Antonio, TX": [29.4241, -98.4936],
+  "Dallas, TX": [32.7767, -96.797],
+  "Austin, TX": [30.2672, -97.7431],
+  "Fort Worth, TX": [32.7555, -97.3308],
+  "El Paso, TX": [31.7619, -106.485],
+  "Arlington, TX": [32.7357, -97.1081],
+  "Corpus Christi, TX": [27.8006, -97.3964],
+  "Plano, TX": [33.0198, -96.6989],
+  "Laredo, TX": [27.5306, -99.4803],
+  "Lubbock, TX": [33.5779, -101.8552],
+  "Irving, TX": [32.814, -96.9489],
+  "Frisco, TX": [33.1507, -96.8236],
+  "Richardson, TX": [32.9483, -96.7299],
+  // Utah
+  "Salt Lake City, UT": [40.7608, -111.891],
+  "West Valley City, UT": [40.6916, -112.0011],
+  "Provo, UT": [40.2338, -111.6585],
+  "West Jordan, UT": [40.6097, -111.9391],
+  "Lehi, UT": [40.3916, -111.8508],
+  // Vermont
+  "Burlington, VT": [44.4759, -73.2121],
+  "South Burlington, VT": [44.4669, -73.171],
+  "Rutland, VT": [43.6106, -72.9726],
+  // Virginia
+  "Virginia Beach, VA": [36.8529, -75.978],
+  "Norfolk, VA": [36.8508, -76.2859],
+  "Chesapeake, VA": [36.7682, -76.2875],
+  "Richmond, VA": [37.5407, -77.436],
+  "Newport News, VA": [37.0871, -76.473],
+  "Alexandria, VA": [38.8048, -77.0469],
+  "Hampton, VA": [37.0299, -76.3452],
+  "Roanoke, VA": [37.271, -79.9414],
+  "Portsmouth, VA": [36.8354, -76.2983],
+  "Suffolk, VA": [36.7282, -76.5836],
+  "Lynchburg, VA": [37.4138, -79.1422],
+  "Arlington, VA": [38.8816, -77.091],
+  "Fredericksburg, VA": [38.3032, -77.4605],
+  "Reston, VA": [38.9586, -77.357],
+  "Herndon, VA": [38.9696, -77.3861],
+  "McLean, VA": [38.9339, -77.1773],
+  "Chantilly, VA": [38.8943, -77.4311],
+  "Fairfax, VA": [38.8462, -77.3064],
+  "Tysons, VA": [38.9187, -77.2311],
+  // Washington
+  "Seattle, WA": [47.6062, -122.3321],
+  "Spokane, WA": [47.6588, -117.426],
+  "Tacoma, WA": [47.2529, -122.4443],
+  "Vancouver, WA": [45.6387, -122.6615],
+  "Bellevue, WA": [47.6101, -122.2015],
+  "Kent, WA": [47.3809, -122.2348],
+  "Redmond, WA": [47.674, -122.1215],
+  "Kirkland, WA": [47.6815, -122.2087],
+  // West Virginia
+  "Charleston, WV": [38.3498, -81.6326],
+  "Huntington, WV": [38.4192, -82.4452],
+  "Morgantown, WV": [39.6295, -79.9559],
+  // Wisconsin
+  "Milwaukee, WI": [43.0389, -87.9065],
+  "Madison, WI": [43.0731, -89.4012],
+  "Green Bay, WI": [44.5133, -88.0133],
+  "Kenosha, WI": [42.5847, -87.8212],
+  // Wyoming
+  "Cheyenne, WY": [41.14, -104.8202],
+  "Casper, WY": [42.8666, -106.3131],
+  "Laramie, WY": [41.3114, -105.5911],
+};
+
+/**
+ * ISO 3166-1 alpha-2 code and display name keyed by lowercase name or alias.
+ * Two-letter aliases are left out where they clash with a US state code
+ * ("CA", "DE", "IN").
+ */
+const COUNTRIES = {
+  "united states": { code: "US", name: "United States" },
+  "united states of america": { code: "US", name: "United States" },
+  usa: { code: "US", name: "United States" },
+  us: { code: "US", name: "United States" },
+  "u.s.": { code: "US", name: "United States" },
+  "u.s.a.": { code: "US", name: "United States" },
+  america: { code: "US", name: "United States" },
+  canada: { code: "CA", name: "Canada" },
+  mexico: { code: "MX", name: "Mexico" },
+  "united kingdom": { code: "GB", name: "United Kingdom" },
+  uk: { code: "GB", name: "United Kingdom" },
+  "great britain": { code: "GB", name: "United Kingdom" },
+  england: { code: "GB", name: "United Kingdom" },
+  scotland: { code: "GB", name: "United Kingdom" },
+  ireland: { code: "IE", name: "Ireland" },
+  germany: { code: "DE", name: "Germany" },
+  deutschland: { code: "DE", name: "Germany" },
+  france: { code: "FR", name: "France" },
+  netherlands: { code: "NL", name: "Netherlands" },
+  "the netherlands": { code: "NL", name: "Netherlands" },
+  spain: { code: "ES", name: "Spain" },
+  portugal: { code: "PT", name: "Portugal" },
+  italy: { code: "IT", name: "Italy" },
+  poland: { code: "PL", name: "Poland" },
+  sweden: { code: "SE", name: "Sweden" },
+  switzerland: { code: "CH", name: "Switzerland" },
+  israel: { code: "IL", name: "Israel" },
+  india: { code: "IN", name: "India" },
+  singapore: { code: "SG", name: "Singapore" },
+  japan: { code: "JP", name: "Japan" },
+  australia: { code: "AU", name: "Australia" },
+  "new zealand": { code: "NZ", name: "New Zealand" },
+  brazil: { code: "BR", name: "Brazil" },
+  argentina: { code: "AR", name: "Argentina" },
+  colombia: { code: "CO", name: "Colombia" },
+  philippines: { code: "PH", name: "Philippines" },
+};
+
+const COUNTRY_NAMES = Object.values(COUNTRIES).reduce((acc, country) => {
+  acc[country.code] = country.name;
+  return acc;
+}, {});
+
+/**
+ * Resolve a country name or alias to its ISO code
+ * @param {string} value - "United States", "USA", "Germany"
+ * @returns {string|null}
+ */
+function getCountryCode(value) {
+  if (!value) return null;
+  const country = COUNTRIES[String(value).trim().toLowerCase()];
+  return country ? country.code : null;
+}
+
+/**
+ * Display name for an ISO country code
+ */
+function getCountryName(code) {
+  return COUNTRY_NAMES[String(code || "").toUpperCase()] || null;
+}
+
+module.exports = {
+  CITY_COORDINATES,
+  COUNTRIES,
+  getCountryCode,
+  getCountryName,
+};
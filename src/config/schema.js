@@ -0,0 +1,70 @@
+/**
+ * Schema Helpers
+ *
+ * Idempotent column and index helpers shared by the migrate_*.js scripts,
+ * so a migration can be re-run safely against a partially migrated database.
+ */
+
+/**
+ * Check whether a column exists on a table
+ */
+async function columnExists(connection, table, column) {
+  const [rows] = await connection.execute(
+    `SELECT COLUMN_NAME
+         FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [process.env.DB_NAME, table, column],
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Check whether an index exists on a table
+ */
+async function indexExists(connection, table, index) {
+  const [rows] = await connection.execute(
+    `SELECT INDEX_NAME
+         FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [process.env.DB_NAME, table, index],
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Add a column unless it already exists
+ * @returns {boolean} Whether the column was added
+ */
+async function addColumnIfMissing(connection, table, column, definition) {
+  if (await columnExists(connection, table, column)) {
+    console.log(`   ↪ ${table}.${column} already exists`);
+    return false;
+  }
+  await connection.query(
+    `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`,
+  );
+  console.log(`   ✅ Added ${table}.${column}`);
+  return true;
+}
+
+/**
+ * Add an index unless it already exists
+ * @param {string} definition - e.g. "INDEX idx_name (col)" or "FULLTEXT INDEX ft_name (col)"
+ * @returns {boolean} Whether the index was added
+ */
+async function addIndexIfMissing(connection, table, index, definition) {
+  if (await indexExists(connection, table, index)) {
+    console.log(`   ↪ ${table}.${index} already exists`);
+    return false;
+  }
+  await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+  console.log(`   ✅ Added index ${table}.${index}`);
+  return true;
+}
+
+module.exports = {
+  columnExists,
+  indexExists,
+  addColumnIfMissing,
+  addIndexIfMissing,
+};
@@ -0,0 +1,677 @@
+/**
+ * Skills Taxonomy
+ *
+ * The curated skills, tools, certifications and clearance levels jobs are
+ * tagged with (src/utils/skillExtractor.js). Slugs are stored in job_skills
+ * and used by the `skills=` filter, so never rename one; add an alias
+ * instead.
+ *
+ * Aliases are matched as whole words, case-insensitively unless the skill
+ * sets caseSensitive (for names that are also ordinary words).
+ */
+
+const SKILL_CATEGORIES = {
+  security: "Security",
+  "security-tool": "Security Tools",
+  certification: "Certifications",
+  clearance: "Clearance",
+  cloud: "Cloud",
+  language: "Languages",
+  framework: "Frameworks",
+  devops: "DevOps",
+  database: "Databases",
+  os: "Operating Systems",
+  networking: "Networking",
+};
+
+const SKILLS = [
+  // Security
+  {
+    slug: "siem",
+    name: "SIEM",
+    category: "security",
+    aliases: ["SIEM", "security information and event management"],
+  },
+  {
+    slug: "soc",
+    name: "SOC",
+    category: "security",
+    aliases: [
+      "SOC",
+      "security operations center",
+      "security operations centre",
+    ],
+  },
+  {
+    slug: "incident-response",
+    name: "Incident Response",
+    category: "security",
+    aliases: ["incident response", "incident handling", "DFIR"],
+  },
+  {
+    slug: "threat-hunting",
+    name: "Threat Hunting",
+    category: "security",
+    aliases: ["threat hunting", "threat hunt"],
+  },
+  {
+    slug: "threat-intelligence",
+    name: "Threat Intelligence",
+    category: "security",
+    aliases: ["threat intelligence", "threat intel", "CTI"],
+  },
+  {
+    slug: "penetration-testing",
+    name: "Penetration Testing",
+    category: "security",
+    aliases: [
+      "penetration testing",
+      "penetration tester",
+      "pen testing",
+      "pentesting",
+      "pentest",
+    ],
+  },
+  {
+    slug: "vulnerability-management",
+    name: "Vulnerability Management",
+    category: "security",
+    aliases: [
+      "vulnerability management",
+      "vulnerability scanning",
+      "vulnerability assessment",
+    ],
+  },
+  {
+    slug: "iam",
+    name: "Identity & Access Management",
+    category: "security",
+    aliases: [
+      "IAM",
+      "identity and access management",
+      "identity & access management",
+    ],
+  },
+  {
+    slug: "zero-trust",
+    name: "Zero Trust",
+    category: "security",
+    aliases: ["zero trust"],
+  },
+  {
+    slug: "digital-forensics",
+    name: "Digital Forensics",
+    category: "security",
+    aliases: ["digital forensics", "computer forensics", "forensic analysis"],
+  },
+  {
+    slug: "malware-analysis",
+    name: "Malware Analysis",
+    category: "security",
+    aliases: ["malware analysis", "reverse engineering"],
+  },
+  {
+    slug: "grc",
+    name: "GRC",
+    category: "security",
+    aliases: [
+      "GRC",
+      "governance, risk and compliance",
+      "governance, risk, and compliance",
+    ],
+  },
+  {
+    slug: "nist",
+    name: "NIST",
+    category: "security",
+    aliases: ["NIST", "NIST 800-53", "NIST CSF", "NIST SP 800-171"],
+  },
+  {
+    slug: "rmf",
+    name: "RMF",
+    category: "security",
+    aliases: ["RMF", "risk management framework"],
+  },
+  {
+    slug: "fedramp",
+    name: "FedRAMP",
+    category: "security",
+    aliases: ["FedRAMP"],
+  },
+  { slug: "cmmc", name: "CMMC", category: "security", aliases: ["CMMC"] },
+  {
+    slug: "iso-27001",
+    name: "ISO 27001",
+    category: "security",
+    aliases: ["ISO 27001", "ISO/IEC 27001", "ISO27001"],
+  },
+  {
+    slug: "soc-2",
+    name: "SOC 2",
+    category: "security",
+    aliases: ["SOC 2", "SOC2", "SOC II"],
+  },
+  {
+    slug: "pci-dss",
+    name: "PCI DSS",
+    category: "security",
+    aliases: ["PCI DSS", "PCI-DSS", "PCI"],
+  },
+  { slug: "hipaa", name: "HIPAA", category: "security", aliases: ["HIPAA"] },
+  {
+    slug: "appsec",
+    name: "Application Security",
+    category: "security",
+    aliases: [
+      "application security",
+      "AppSec",
+      "secure code review",
+      "SAST",
+      "DAST",
+    ],
+  },
+  {
+    slug: "cloud-security",
+    name: "Cloud Security",
+    category: "security",
+    aliases: ["cloud security", "CSPM"],
+  },
+  {
+    slug: "network-security",
+    name: "Network Security",
+    category: "security",
+    aliases: ["network security", "IDS/IPS", "intrusion detection"],
+  },
+  {
+    slug: "edr",
+    name: "EDR",
+    category: "security",
+    aliases: ["EDR", "XDR", "endpoint detection and response"],
+  },
+  {
+    slug: "dlp",
+    name: "DLP",
+    category: "security",
+    aliases: ["DLP", "data loss prevention"],
+  },
+  {
+    slug: "pki",
+    name: "PKI",
+    category: "security",
+    aliases: ["PKI", "public key infrastructure"],
+  },
+  {
+    slug: "stig",
+    name: "STIG",
+    category: "security",
+    aliases: ["STIG", "STIGs", "DISA STIG"],
+  },
+
+  // Security tools
+  {
+    slug: "splunk",
+    name: "Splunk",
+    category: "security-tool",
+    aliases: ["Splunk"],
+  },
+  {
+    slug: "qradar",
+    name: "QRadar",
+    category: "security-tool",
+    aliases: ["QRadar"],
+  },
+  {
+    slug: "microsoft-sentinel",
+    name: "Microsoft Sentinel",
+    category: "security-tool",
+    aliases: ["Microsoft Sentinel", "Azure Sentinel"],
+  },
+  {
+    slug: "elastic",
+    name: "Elastic Stack",
+    category: "security-tool",
+    aliases: ["Elasticsearch", "Elastic Stack", "ELK", "Kibana", "Logstash"],
+  },
+  {
+    slug: "crowdstrike",
+    name: "CrowdStrike",
+    category: "security-tool",
+    aliases: ["CrowdStrike"],
+  },
+  {
+    slug: "sentinelone",
+    name: "SentinelOne",
+    category: "security-tool",
+    aliases: ["SentinelOne"],
+  },
+  {
+    slug: "carbon-black",
+    name: "Carbon Black",
+    category: "security-tool",
+    aliases: ["Carbon Black"],
+  },
+  {
+    slug: "defender",
+    name: "Microsoft Defender",
+    category: "security-tool",
+    aliases: ["Microsoft Defender", "Defender for Endpoint", "MDE"],
+  },
+  {
+    slug: "palo-alto",
+    name: "Palo Alto Networks",
+    category: "security-tool",
+    aliases: [
+      "Palo Alto",
+      "Palo Alto Networks",
+      "Prisma Cloud",
+      "Cortex XSOAR",
+    ],
+  },
+  {
+    slug: "fortinet",
+    name: "Fortinet",
+    category: "security-tool",
+    aliases: ["Fortinet", "FortiGate"],
+  },
+  {
+    slug: "nessus",
+    name: "Nessus",
+    category: "security-tool",
+    aliases: ["Nessus", "Tenable", "ACAS"],
+  },
+  {
+    slug: "qualys",
+    name: "Qualys",
+    category: "security-tool",
+    aliases: ["Qualys"],
+  },
+  {
+    slug: "rapid7",
+    name: "Rapid7",
+    category: "security-tool",
+    aliases: ["Rapid7", "InsightVM", "Nexpose"],
+  },
+  {
+    slug: "burp-suite",
+    name: "Burp Suite",
+    category: "security-tool",
+    aliases: ["Burp Suite", "Burp"],
+  },
+  {
+    slug: "metasploit",
+    name: "Metasploit",
+    category: "security-tool",
+    aliases: ["Metasploit"],
+  },
+  {
+    slug: "wireshark",
+    name: "Wireshark",
+    category: "security-tool",
+    aliases: ["Wireshark", "tcpdump"],
+  },
+  { slug: "nmap", name: "Nmap", category: "security-tool", aliases: ["Nmap"] },
+  { slug: "okta", name: "Okta", category: "security-tool", aliases: ["Okta"] },
+  {
+    slug: "cyberark",
+    name: "CyberArk",
+    category: "security-tool",
+    aliases: ["CyberArk"],
+  },
+  {
+    slug: "zscaler",
+    name: "Zscaler",
+    category: "security-tool",
+    aliases: ["Zscaler"],
+  },
+
+  // Certifications
+  {
+    slug: "cissp",
+    name: "CISSP",
+    category: "certification",
+    aliases: ["CISSP"],
+  },
+  { slug: "cism", name: "CISM", category: "certification", aliases: ["CISM"] },
+  {
+    slug: "cisa",
+    name: "CISA",
+    category: "certification",
+    aliases: ["CISA certification", "Certified Information Systems Auditor"],
+  },
+  { slug: "ccsp", name: "CCSP", category: "certification", aliases: ["CCSP"] },
+  {
+    slug: "security-plus",
+    name: "Security+",
+    category: "certification",
+    aliases: ["Security+", "Security Plus", "Sec+", "CompTIA Security+"],
+  },
+  {
+    slug: "network-plus",
+    name: "Network+",
+    category: "certification",
+    aliases: ["Network+", "CompTIA Network+"],
+  },
+  {
+    slug: "a-plus",
+    name: "A+",
+    category: "certification",
+    aliases: ["CompTIA A+", "A+ certification"],
+  },
+  {
+    slug: "cysa-plus",
+    name: "CySA+",
+    category: "certification",
+    aliases: ["CySA+", "CySA"],
+  },
+  {
+    slug: "casp-plus",
+    name: "CASP+",
+    category: "certification",
+    aliases: ["CASP+", "CASP", "SecurityX"],
+  },
+  {
+    slug: "ceh",
+    name: "CEH",
+    category: "certification",
+    aliases: ["CEH", "Certified Ethical Hacker"],
+  },
+  { slug: "oscp", name: "OSCP", category: "certification", aliases: ["OSCP"] },
+  {
+    slug: "giac",
+    name: "GIAC",
+    category: "certification",
+    aliases: ["GIAC", "GSEC", "GCIH", "GCIA", "GPEN", "GCFA"],
+  },
+  { slug: "ccna", name: "CCNA", category: "certification", aliases: ["CCNA"] },
+  { slug: "ccnp", name: "CCNP", category: "certification", aliases: ["CCNP"] },
+  {
+    slug: "aws-certified",
+    name: "AWS Certification",
+    category: "certification",
+    aliases: ["AWS Certified", "AWS Certification"],
+  },
+  {
+    slug: "azure-certified",
+    name: "Azure Certification",
+    category: "certification",
+    aliases: ["AZ-104", "AZ-500", "AZ-900", "Azure certification"],
+  },
+  { slug: "pmp", name: "PMP", category: "certification", aliases: ["PMP"] },
+  { slug: "itil", name: "ITIL", category: "certification", aliases: ["ITIL"] },
+
+  // Clearance levels
+  {
+    slug: "public-trust",
+    name: "Public Trust",
+    category: "clearance",
+    aliases: ["public trust"],
+  },
+  {
+    slug: "secret-clearance",
+    name: "Secret Clearance",
+    category: "clearance",
+    aliases: ["secret clearance", "secret security clearance", "active secret"],
+  },
+  {
+    slug: "top-secret",
+    name: "Top Secret",
+    category: "clearance",
+    aliases: ["top secret", "top secret clearance", "TS clearance"],
+  },
+  {
+    slug: "ts-sci",
+    name: "TS/SCI",
+    category: "clearance",
+    aliases: ["TS/SCI", "TS-SCI", "TS SCI", "top secret/sci"],
+  },
+  {
+    slug: "polygraph",
+    name: "Polygraph",
+    category: "clearance",
+    aliases: ["polygraph", "CI poly", "full scope poly", "FSP"],
+  },
+
+  // Cloud
+  {
+    slug: "aws",
+    name: "AWS",
+    category: "cloud",
+    aliases: ["AWS", "Amazon Web Services", "EC2", "S3", "Lambda"],
+  },
+  {
+    slug: "azure",
+    name: "Azure",
+    category: "cloud",
+    aliases: ["Azure", "Microsoft Azure"],
+  },
+  {
+    slug: "gcp",
+    name: "Google Cloud",
+    category: "cloud",
+    aliases: ["GCP", "Google Cloud", "Google Cloud Platform"],
+  },
+  {
+    slug: "microsoft-365",
+    name: "Microsoft 365",
+    category: "cloud",
+    aliases: ["Microsoft 365", "Office 365", "O365", "M365"],
+  },
+
+  // Languages
+  { slug: "python", name: "Python", category: "language", aliases: ["Python"] },
+  {
+    slug: "powershell",
+    name: "PowerShell",
+    category: "language",
+    aliases: ["PowerShell"],
+  },
+  {
+    slug: "bash",
+    name: "Bash",
+    category: "language",
+    aliases: ["Bash", "shell scripting"],
+  },
+  {
+    slug: "javascript",
+    name: "JavaScript",
+    category: "language",
+    aliases: ["JavaScript", "ECMAScript"],
+  },
+  {
+    slug: "typescript",
+    name: "TypeScript",
+    category: "language",
+    aliases: ["TypeScript"],
+  },
+  { slug: "java", name: "Java", category: "language", aliases: ["Java"] },
+  {
+    slug: "csharp",
+    name: "C#",
+    category: "language",
+    aliases: ["C#", "C Sharp"],
+  },
+  { slug: "cpp", name: "C++", category: "language", aliases: ["C++"] },
+  {
+    slug: "go",
+    name: "Go",
+    category: "language",
+    aliases: ["Golang", "Go language"],
+  },
+  {
+    slug: "rust",
+    name: "Rust",
+    category: "language",
+    aliases: ["Rust"],
+    caseSensitive: true,
+  },
+  {
+    slug: "ruby",
+    name: "Ruby",
+    category: "language",
+    aliases: ["Ruby"],
+    caseSensitive: true,
+  },
+  { slug: "php", name: "PHP", category: "language", aliases: ["PHP"] },
+  {
+    slug: "sql",
+    name: "SQL",
+    category: "language",
+    aliases: ["SQL", "T-SQL", "PL/SQL"],
+  },
+
+  // Frameworks
+  {
+    slug: "nodejs",
+    name: "Node.js",
+    category: "framework",
+    aliases: ["Node.js", "NodeJS"],
+  },
+  {
+    slug: "react",
+    name: "React",
+    category: "framework",
+    aliases: ["React", "React.js", "ReactJS"],
+    caseSensitive: true,
+  },
+  {
+    slug: "dotnet",
+    name: ".NET",
+    category: "framework",
+    aliases: [".NET", "ASP.NET", "dotnet"],
+  },
+  {
+    slug: "django",
+    name: "Django",
+    category: "framework",
+    aliases: ["Django"],
+  },
+  {
+    slug: "spring",
+    name: "Spring",
+    category: "framework",
+    aliases: ["Spring Boot", "Spring Framework"],
+  },
+
+  // DevOps
+  { slug: "docker", name: "Docker", category: "devops", aliases: ["Docker"] },
+  {
+    slug: "kubernetes",
+    name: "Kubernetes",
+    category: "devops",
+    aliases: ["Kubernetes", "K8s", "EKS", "AKS", "GKE"],
+  },
+  {
+    slug: "terraform",
+    name: "Terraform",
+    category: "devops",
+    aliases: ["Terraform"],
+  },
+  {
+    slug: "ansible",
+    name: "Ansible",
+    category: "devops",
+    aliases: ["Ansible"],
+  },
+  {
+    slug: "ci-cd",
+    name: "CI/CD",
+    category: "devops",
+    aliases: [
+      "CI/CD",
+      "continuous integration",
+      "Jenkins",
+      "GitHub Actions",
+      "GitLab CI",
+    ],
+  },
+  {
+    slug: "git",
+    name: "Git",
+    category: "devops",
+    aliases: ["Git", "GitHub", "GitLab"],
+  },
+
+  // Databases
+  {
+    slug: "mysql",
+    name: "MySQL",
+    category: "database",
+    aliases: ["MySQL", "MariaDB"],
+  },
+  {
+    slug: "postgresql",
+    name: "PostgreSQL",
+    category: "database",
+    aliases: ["PostgreSQL", "Postgres"],
+  },
+  {
+    slug: "sql-server",
+    name: "SQL Server",
+    category: "database",
+    aliases: ["SQL Server", "MSSQL"],
+  },
+  {
+    slug: "oracle-db",
+    name: "Oracle Database",
+    category: "database",
+    aliases: ["Oracle Database", "Oracle DB"],
+  },
+  {
+    slug: "mongodb",
+    name: "MongoDB",
+    category: "database",
+    aliases: ["MongoDB"],
+  },
+
+  // Operating systems
+  {
+    slug: "linux",
+    name: "Linux",
+    category: "os",
+    aliases: ["Linux", "RHEL", "Red Hat", "Ubuntu", "CentOS"],
+  },
+  {
+    slug: "windows-server",
+    name: "Windows Server",
+    category: "os",
+    aliases: ["Windows Server"],
+  },
+  {
+    slug: "active-directory",
+    name: "Active Directory",
+    category: "os",
+    aliases: ["Active Directory", "Entra ID", "Azure AD", "Group Policy"],
+  },
+  {
+    slug: "vmware",
+    name: "VMware",
+    category: "os",
+    aliases: ["VMware", "vSphere", "ESXi"],
+  },
+
+  // Networking
+  {
+    slug: "tcp-ip",
+    name: "TCP/IP",
+    category: "networking",
+    aliases: ["TCP/IP", "DNS", "DHCP"],
+  },
+  {
+    slug: "firewalls",
+    name: "Firewalls",
+    category: "networking",
+    aliases: ["firewall", "firewalls"],
+  },
+  { slug: "cisco", name: "Cisco", category: "networking", aliases: ["Cisco"] },
+  {
+    slug: "vpn",
+    name: "VPN",
+    category: "networking",
+    aliases: ["VPN", "VPNs", "IPsec"],
+  },
+];
+
+module.exports = {
+  SKILL_CATEGORIES,
+  SKILLS,
+};
@@ -0,0 +1,94 @@
+/**
+ * Job Source Configuration
+ *
+ * Which source adapters run and how each one is configured, per environment.
+ *
+ * Add to .env:
+ * JOB_SOURCES=adzuna,weworkremotely,remoteok   (comma-separated, default shown)
+ *
+ * ADZUNA_APP_ID=your_app_id
+ * ADZUNA_APP_KEY=your_app_key
+ * ADZUNA_RESULTS_PER_PAGE=20
+ *
+ * GREENHOUSE_BOARDS=acme,globex                 (board tokens)
+ * LEVER_COMPANIES=initech,hooli                 (Lever site names)
+ *
+ * UPLOAD_SOURCES=LinkedIn,Indeed                (sources /api/upload accepts,
+ *                                                default shown)
+ */
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item);
+
+const DEFAULT_SOURCES = ["adzuna", "weworkremotely", "remoteok"];
+
+// Boards the Chrome extension and ingest clients upload from. Native IDs are
+// namespaced by source, so an upload must not claim a source the scrapers
+// own ("adzuna") and overwrite or reopen that source's jobs.
+const DEFAULT_UPLOAD_SOURCES = ["LinkedIn", "Indeed"];
+
+const sourceConfig = {
+  adzuna: {
+    appId: process.env.ADZUNA_APP_ID,
+    appKey: process.env.ADZUNA_APP_KEY,
+    baseUrl: process.env.BASE_URL || "https://api.adzuna.com/v1/api",
+    resultsPerPage: parseInt(process.env.ADZUNA_RESULTS_PER_PAGE) || 20,
+  },
+  weworkremotely: {},
+  remoteok: {},
+  greenhouse: {
+    boards: splitList(process.env.GREENHOUSE_BOARDS),
+  },
+  lever: {
+    companies: splitList(process.env.LEVER_COMPANIES),
+  },
+};
+
+// Query used by the scheduler when no scrape profiles exist
+// (SCRAPE_KEYWORD / SCRAPE_COUNTRY override it)
+const defaultQuery = {
+  keyword: process.env.SCRAPE_KEYWORD || "Cybersecurity",
+  country: process.env.SCRAPE_COUNTRY || "us",
+  location: null,
+  pages: 1,
+};
+
+/**
+ * Names of the adapters enabled in this environment
+ * @returns {string[]} Adapter names
+ */
+function getEnabledSourceNames() {
+  const configured = splitList(process.env.JOB_SOURCES);
+  return (configured.length > 0 ? configured : DEFAULT_SOURCES).map((name) =>
+    name.toLowerCase(),
+  );
+}
+
+/**
+ * Sources an upload may name
+ * @returns {string[]} Source names as stored on jobs
+ */
+function getUploadSourceNames() {
+  const configured = splitList(process.env.UPLOAD_SOURCES);
+  return configured.length > 0 ? configured : DEFAULT_UPLOAD_SOURCES;
+}
+
+/**
+ * Get configuration for one adapter
+ * @param {string} name - Adapter name
+ * @returns {object} Adapter configuration
+ */
+function getSourceConfig(name) {
+  return sourceConfig[name] || {};
+}
+
+module.exports = {
+  sourceConfig,
+  defaultQuery,
+  getEnabledSourceNames,
+  getUploadSourceNames,
+  getSourceConfig,
+};
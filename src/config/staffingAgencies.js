@@ -0,0 +1,75 @@
+/**
+ * Staffing Agencies
+ *
+ * Recruiters and staffing firms that post jobs on behalf of their clients.
+ * Names are matched after normalizeCompany() (case, punctuation and
+ * Inc/LLC/Corp suffixes don't matter). Names that merely contain
+ * "Staffing", "Recruiting" and the like are caught by the patterns in
+ * src/utils/agencyDetector.js and don't need listing here.
+ */
+
+const KNOWN_AGENCIES = [
+  "Robert Half",
+  "Robert Half Technology",
+  "Protiviti",
+  "TEKsystems",
+  "Aerotek",
+  "Actalent",
+  "Aston Carter",
+  "Allegis Group",
+  "Insight Global",
+  "Randstad",
+  "Randstad Technologies",
+  "Adecco",
+  "Akkodis",
+  "Modis",
+  "Kforce",
+  "Apex Systems",
+  "Kelly Services",
+  "Kelly",
+  "ManpowerGroup",
+  "Manpower",
+  "Experis",
+  "Hays",
+  "Michael Page",
+  "Page Group",
+  "CyberCoders",
+  "Jobot",
+  "Motion Recruitment",
+  "Collabera",
+  "Beacon Hill",
+  "Beacon Hill Staffing Group",
+  "Harvey Nash",
+  "Yoh",
+  "Volt",
+  "Vaco",
+  "Mondo",
+  "Addison Group",
+  "System One",
+  "The Judge Group",
+  "Judge Group",
+  "Diverse Lynx",
+  "Artech",
+  "Artech Information Systems",
+  "Mindlance",
+  "Cynet Systems",
+  "Pyramid Consulting",
+  "Russell Tobin",
+  "Matlen Silver",
+  "Signature Consultants",
+  "Talener",
+  "Hirewell",
+  "Lucas Group",
+  "Korn Ferry",
+  "Kavaliro",
+  "ClearanceJobs Recruiting",
+  "Dexian",
+  "Infojini",
+  "Tech Mahindra Staffing",
+  "Ampcus",
+  "Steneral Consulting",
+  "iTech US",
+  "Conexess Group",
+];
+
+module.exports = { KNOWN_AGENCIES };
@@ -0,0 +1,99 @@
+/**
+ * US States
+ *
+ * Two-letter postal codes keyed by lowercase state name, used to normalize
+ * free-text locations ("Austin, Texas" and "Austin, TX" are the same place).
+ */
+
+const US_STATES = {
+  alabama: "AL",
+  alaska: "AK",
+  arizona: "AZ",
+  arkansas: "AR",
+  california: "CA",
+  colorado: "CO",
+  connecticut: "CT",
+  delaware: "DE",
+  "district of columbia": "DC",
+  florida: "FL",
+  georgia: "GA",
+  hawaii: "HI",
+  idaho: "ID",
+  illinois: "IL",
+  indiana: "IN",
+  iowa: "IA",
+  kansas: "KS",
+  kentucky: "KY",
+  louisiana: "LA",
+  maine: "ME",
+  maryland: "MD",
+  massachusetts: "MA",
+  michigan: "MI",
+  minnesota: "MN",
+  mississippi: "MS",
+  missouri: "MO",
+  montana: "MT",
+  nebraska: "NE",
+  nevada: "NV",
+  "new hampshire": "NH",
+  "new jersey": "NJ",
+  "new mexico": "NM",
+  "new york": "NY",
+  "north carolina": "NC",
+  "north dakota": "ND",
+  ohio: "OH",
+  oklahoma: "OK",
+  oregon: "OR",
+  pennsylvania: "PA",
+  "rhode island": "RI",
+  "south carolina": "SC",
+  "south dakota": "SD",
+  tennessee: "TN",
+  texas: "TX",
+  utah: "UT",
+  vermont: "VT",
+  virginia: "VA",
+  washington: "WA",
+  "west virginia": "WV",
+  wisconsin: "WI",
+  wyoming: "WY",
+};
+
+const STATE_CODES = new Set(Object.values(US_STATES));
+
+/**
+ * Resolve a state name or code to its two-letter code
+ * @param {string} value - "Texas", "texas", "TX" or "tx"
+ * @returns {string|null} Two-letter code
+ */
+function getStateCode(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (STATE_CODES.has(text.toUpperCase()) && text.length === 2) {
+    return text.toUpperCase();
+  }
+  return US_STATES[text.toLowerCase().replace(/_/g, " ")] || null;
+}
+
+const STATE_NAMES = Object.entries(US_STATES).reduce((acc, [name, code]) => {
+  acc[code] = name.replace(/\b(?!of\b)[a-z]/g, (letter) =>
+    letter.toUpperCase(),
+  );
+  return acc;
+}, {});
+
+/**
+ * Display name for a two-letter state code
+ * @param {string} code - "TX"
+ * @returns {string|null} "Texas"
+ */
+function getStateName(code) {
+  return STATE_NAMES[String(code || "").toUpperCase()] || null;
+}
+
+module.exports = {
+  US_STATES,
+  STATE_CODES,
+  getStateCode,
+  getStateName,
+};
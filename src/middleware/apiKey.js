@@ -10,6 +10,10 @@ const {
   checkQuota,
 } = require("../services/apiKeyService");
 const { getPlan, isLocationCountAllowed } = require("../config/plans");
+const { getSavedLocations } = require("../services/geoService");
+
+// location=@saved expands to the user's saved locations (user_locations)
+const SAVED_LOCATIONS_TOKEN = "@saved";
 
 /**
  * Require valid API key for access
@@ -45,6 +49,8 @@ async function requireApiKey(req, res, next) {
       email: validation.email,
       plan: validation.plan,
       planDetails: validation.planDetails,
+      scopes: validation.scopes,
+      useSavedLocations: validation.useSavedLocations,
     };
 
     // Store start time for usage tracking
@@ -60,6 +66,31 @@ async function requireApiKey(req, res, next) {
   }
 }
 
+/**
+ * Require the API key to carry a scope (use after requireApiKey)
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: "API key required",
+      });
+    }
+
+    if (!req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: "Insufficient API key scope",
+        message: `This endpoint requires an API key with the "${scope}" scope`,
+        scopes: req.apiKey.scopes,
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Check and enforce quota limits
  */
@@ -107,8 +138,13 @@ async function enforceQuota(req, res, next) {
 
 /**
  * Validate location filter count against plan limits
+ *
+ * `location=@saved` (alone or next to other locations) expands to the
+ * user's saved locations; keys created with "use saved locations" apply
+ * them when no location is passed. Saved locations count towards the
+ * plan's location limit like any other.
  */
-function enforceLocationLimit(req, res, next) {
+async function enforceLocationLimit(req, res, next) {
   try {
     if (!req.apiKey) {
       return res.status(401).json({
@@ -118,21 +154,36 @@ function enforceLocationLimit(req, res, next) {
     }
 
     // Parse locations from query
-    let locations = req.query.location || req.query.locations;
+    let locations = req.query.location || req.query.locations || [];
+
+    // Handle comma-separated or array
+    if (typeof locations === "string") {
+      locations = locations.split(",");
+    }
+    locations = locations.map((l) => String(l).trim()).filter((l) => l);
+
+    const savedRequested = locations.includes(SAVED_LOCATIONS_TOKEN);
+    const useSaved =
+      savedRequested ||
+      (locations.length === 0 && req.apiKey.useSavedLocations);
 
-    if (!locations) {
+    if (!useSaved && locations.length === 0) {
       return next();
     }
 
-    // Handle comma-separated or array
-    if (typeof locations === "string") {
-      locations = locations
-        .split(",")
-        .map((l) => l.trim())
-        .filter((l) => l);
+    const named = locations.filter((l) => l !== SAVED_LOCATIONS_TOKEN);
+    const saved = useSaved ? await getSavedLocations(req.apiKey.userId) : [];
+
+    if (savedRequested && saved.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No saved locations",
+        message:
+          "location=@saved uses the locations saved on your dashboard, but none are saved yet",
+      });
     }
 
-    const locationCount = Array.isArray(locations) ? locations.length : 1;
+    const locationCount = named.length + saved.length;
     const plan = req.apiKey.planDetails;
 
     // Check if location count is within plan limits
@@ -140,7 +191,7 @@ function enforceLocationLimit(req, res, next) {
       return res.status(403).json({
         success: false,
         error: "Location limit exceeded",
-        message: `Your ${req.apiKey.plan} plan allows ${plan.locationLimit} location(s) per request. You requested ${locationCount}.`,
+        message: `Your ${req.apiKey.plan} plan allows ${plan.locationLimit} location(s) per request. You requested ${locationCount}${saved.length > 0 ? ` (${saved.length} saved)` : ""}.`,
         limit: plan.locationLimit,
         requested: locationCount,
         upgrade: "Upgrade to Pro or Enterprise for unlimited locations",
@@ -148,7 +199,8 @@ function enforceLocationLimit(req, res, next) {
     }
 
     // Normalize locations for downstream use
-    req.locations = locations;
+    req.locations = named;
+    req.savedLocations = saved;
 
     next();
   } catch (error) {
@@ -225,17 +277,26 @@ function trackUsage(req, res, next) {
  */
 const protectApiRoute = [
   requireApiKey,
+  requireScope("read"),
   enforceQuota,
   enforceLocationLimit,
   enforceResultsLimit,
   trackUsage,
 ];
 
+/**
+ * Combined middleware for job ingestion (/api/upload)
+ */
+const protectIngestRoute = [requireApiKey, requireScope("ingest")];
+
 module.exports = {
   requireApiKey,
+  requireScope,
   enforceQuota,
   enforceLocationLimit,
   enforceResultsLimit,
   trackUsage,
   protectApiRoute,
+  protectIngestRoute,
+  SAVED_LOCATIONS_TOKEN,
 };
@@ -146,8 +146,30 @@ function requirePlan(minimumPlan) {
   };
 }
 
+/**
+ * Require an admin account (use after requireAuth)
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+    });
+  }
+
+  if (req.user.role !== "admin") {
+    return res.status(403).json({
+      success: false,
+      error: "Admin access required",
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   requireAuth,
   optionalAuth,
   requirePlan,
+  requireAdmin,
 };
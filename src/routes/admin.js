@@ -0,0 +1,333 @@
+/**
+ * Admin Routes
+ *
+ * Scraper management for admin accounts: scrape profiles, source status,
+ * on-demand runs, the background job queue and company profiles
+ */
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateProfile,
+  listProfiles,
+  getProfileById,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+} = require("../services/scrapeProfileService");
+const {
+  enqueue,
+  getQueueJob,
+  getLatestQueueJob,
+  listQueueJobs,
+  getQueueStats,
+} = require("../services/queueService");
+const {
+  validateCompany,
+  updateCompany,
+  mergeCompaniesInto,
+} = require("../services/companyService");
+const { listSources } = require("../sources");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+
+router.use("/admin", requireAuth, requireAdmin);
+
+/**
+ * GET /admin/scrape-profiles - List all scrape profiles
+ */
+router.get("/admin/scrape-profiles", async (req, res) => {
+  try {
+    const profiles = await listProfiles();
+    res.json({ success: true, profiles, count: profiles.length });
+  } catch (error) {
+    console.error("List scrape profiles error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch scrape profiles",
+    });
+  }
+});
+
+/**
+ * GET /admin/scrape-profiles/:id - Get a scrape profile
+ */
+router.get("/admin/scrape-profiles/:id", async (req, res) => {
+  try {
+    const profile = await getProfileById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: "Scrape profile not found",
+      });
+    }
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error("Get scrape profile error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch scrape profile",
+    });
+  }
+});
+
+/**
+ * POST /admin/scrape-profiles - Create a scrape profile
+ *
+ * Body: { name, keywords[], countries[], locations[], pageDepth, sources[], isActive }
+ * An empty sources list means every enabled source.
+ */
+router.post("/admin/scrape-profiles", async (req, res) => {
+  try {
+    const { values, errors } = validateProfile(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid scrape profile",
+        details: errors,
+      });
+    }
+
+    const profile = await createProfile(values, req.userId);
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    console.error("Create scrape profile error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create scrape profile",
+    });
+  }
+});
+
+/**
+ * PUT /admin/scrape-profiles/:id - Update a scrape profile
+ *
+ * Only the fields present in the body are changed.
+ */
+router.put("/admin/scrape-profiles/:id", async (req, res) => {
+  try {
+    const { values, errors } = validateProfile(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid scrape profile",
+        details: errors,
+      });
+    }
+
+    const profile = await updateProfile(req.params.id, values);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: "Scrape profile not found",
+      });
+    }
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error("Update scrape profile error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update scrape profile",
+    });
+  }
+});
+
+/**
+ * DELETE /admin/scrape-profiles/:id - Delete a scrape profile
+ */
+router.delete("/admin/scrape-profiles/:id", async (req, res) => {
+  try {
+    const deleted = await deleteProfile(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Scrape profile not found",
+      });
+    }
+    res.json({ success: true, message: "Scrape profile deleted" });
+  } catch (error) {
+    console.error("Delete scrape profile error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete scrape profile",
+    });
+  }
+});
+
+/**
+ * POST /admin/scrape-profiles/:id/run - Queue a run of one profile
+ *
+ * worker.js picks it up; poll GET /admin/queue/:jobId for progress.
+ */
+router.post("/admin/scrape-profiles/:id/run", async (req, res) => {
+  try {
+    const profile = await getProfileById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: "Scrape profile not found",
+      });
+    }
+
+    const { job } = await enqueue(
+      "scrape",
+      { profileId: profile.id },
+      { priority: 10 },
+    );
+    res.status(202).json({
+      success: true,
+      message: `Scrape queued for "${profile.name}"`,
+      job,
+    });
+  } catch (error) {
+    console.error("Run scrape profile error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to queue scrape",
+    });
+  }
+});
+
+/**
+ * GET /admin/scrape-report - Sources and the most recent scrape report
+ */
+router.get("/admin/scrape-report", async (req, res) => {
+  try {
+    const lastScrape = await getLatestQueueJob("scrape");
+    res.json({
+      success: true,
+      sources: listSources(),
+      lastScrape,
+    });
+  } catch (error) {
+    console.error("Scrape report error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch scrape report",
+    });
+  }
+});
+
+/**
+ * GET /admin/queue - List queue jobs
+ *
+ * Query Parameters:
+ * - status: pending, running, completed or failed
+ * - type: Task type (scrape, enrich, ...)
+ * - limit: Max results (default 50, max 200)
+ */
+router.get("/admin/queue", async (req, res) => {
+  try {
+    const [jobs, stats] = await Promise.all([
+      listQueueJobs(req.query),
+      getQueueStats(),
+    ]);
+    res.json({ success: true, jobs, stats });
+  } catch (error) {
+    console.error("List queue error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch queue",
+    });
+  }
+});
+
+/**
+ * GET /admin/queue/:id - Get a queue job
+ */
+router.get("/admin/queue/:id", async (req, res) => {
+  try {
+    const job = await getQueueJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Queue job not found",
+      });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error("Get queue job error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch queue job",
+    });
+  }
+});
+
+/**
+ * PUT /admin/companies/:id - Update a company profile
+ *
+ * Body: { name, domain, logoUrl, hqLocation, industry, aliases[] }
+ * Only the fields present are changed; aliases are added. An alias that
+ * already belongs to another company is reported under `conflicts`: merge
+ * the two companies instead.
+ */
+router.put("/admin/companies/:id", async (req, res) => {
+  try {
+    const { values, errors } = validateCompany(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid company",
+        details: errors,
+      });
+    }
+
+    const { company, conflicts } = await updateCompany(req.params.id, values);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: "Company not found",
+      });
+    }
+    res.json({ success: true, company, conflicts });
+  } catch (error) {
+    console.error("Update company error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update company",
+    });
+  }
+});
+
+/**
+ * POST /admin/companies/:id/merge - Merge duplicate companies into this one
+ *
+ * Body: { companyIds[] } - Their aliases and jobs move over and they are
+ * deleted
+ */
+router.post("/admin/companies/:id/merge", async (req, res) => {
+  try {
+    const companyIds = Array.isArray(req.body?.companyIds)
+      ? req.body.companyIds.map(Number)
+      : [];
+    if (
+      companyIds.length === 0 ||
+      !companyIds.every((id) => Number.isInteger(id) && id > 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "companyIds must be a list of company IDs",
+      });
+    }
+
+    const { company, jobsMoved } = await mergeCompaniesInto(
+      req.params.id,
+      companyIds,
+    );
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: "Company not found",
+      });
+    }
+    res.json({ success: true, company, jobsMoved });
+  } catch (error) {
+    console.error("Merge companies error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to merge companies",
+    });
+  }
+});
+
+module.exports = router;
@@ -16,6 +16,7 @@ const {
 const {
   createApiKey,
   getUserApiKeys,
+  updateApiKeySettings,
   revokeApiKey,
   deleteApiKey,
 } = require("../services/apiKeyService");
@@ -56,14 +57,17 @@ router.post("/auth/register", authRateLimiter, async (req, res) => {
       });
     }
 
-    // Create user
+    // Every account starts on free; paid plans are bought through checkout
     const user = await createUser({
       email,
       password,
       firstName,
       lastName,
-      plan: plan || "free",
+      plan: "free",
     });
+    const checkoutPlan = ["starter", "pro", "enterprise"].includes(plan)
+      ? plan
+      : null;
 
     // Create default API key
     const apiKey = await createApiKey(user.id, "Default Key");
@@ -83,6 +87,8 @@ router.post("/auth/register", authRateLimiter, async (req, res) => {
       success: true,
       message: "Account created successfully",
       user: auth.user,
+      // Where to continue: checkout for a paid plan picked at sign-up
+      redirect: checkoutPlan ? `/billing?plan=${checkoutPlan}` : "/dashboard",
       apiKey: {
         key: apiKey.key, // Only shown once!
         name: apiKey.name,
@@ -241,6 +247,10 @@ router.get("/api/keys", requireAuth, async (req, res) => {
 
 /**
  * POST /api/keys - Create new API key
+ *
+ * Body: { name, scopes, useSavedLocations } - scopes: ["read"] (default),
+ * ["ingest"] for the Chrome extension / upload clients, or both.
+ * useSavedLocations makes /api/v1/jobs default to the saved locations.
  */
 router.post(
   "/api/keys",
@@ -248,9 +258,11 @@ router.post(
   apiKeyCreationLimiter,
   async (req, res) => {
     try {
-      const { name } = req.body;
+      const { name, scopes, useSavedLocations } = req.body;
 
-      const apiKey = await createApiKey(req.userId, name || "API Key");
+      const apiKey = await createApiKey(req.userId, name || "API Key", scopes, {
+        useSavedLocations: useSavedLocations === true,
+      });
 
       res.status(201).json({
         success: true,
@@ -258,6 +270,8 @@ router.post(
         key: apiKey.key, // Only shown once!
         id: apiKey.id,
         name: apiKey.name,
+        scopes: apiKey.scopes,
+        useSavedLocations: apiKey.useSavedLocations,
       });
     } catch (error) {
       console.error("Create API key error:", error);
@@ -269,6 +283,47 @@ router.post(
   },
 );
 
+/**
+ * PATCH /api/keys/:id - Update an API key's settings
+ *
+ * Body: { useSavedLocations }
+ */
+router.patch("/api/keys/:id", requireAuth, async (req, res) => {
+  try {
+    const { useSavedLocations } = req.body || {};
+    if (typeof useSavedLocations !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "useSavedLocations must be true or false",
+      });
+    }
+
+    const updated = await updateApiKeySettings(
+      parseInt(req.params.id),
+      req.userId,
+      { useSavedLocations },
+    );
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "API key updated",
+      useSavedLocations,
+    });
+  } catch (error) {
+    console.error("Update API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update API key",
+    });
+  }
+});
+
 /**
  * DELETE /api/keys/:id - Revoke an API key
  */
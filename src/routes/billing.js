@@ -10,12 +10,16 @@ const { requireAuth } = require("../middleware/auth");
 const {
   createSquareCheckout,
   createPayPalCheckout,
-  activateSubscription,
+  confirmCheckout,
   cancelSubscription,
   getSubscription,
   handleSquareWebhook,
   handlePayPalWebhook,
 } = require("../services/billingService");
+const {
+  verifySquareSignature,
+  verifyPayPalSignature,
+} = require("../services/paymentProviders");
 const { getUserUsage } = require("../services/userService");
 const { getAllPlans } = require("../config/plans");
 
@@ -33,6 +37,7 @@ router.get("/billing", requireAuth, async (req, res) => {
       subscription,
       usage,
       plans,
+      error: req.query.error || null,
     });
   } catch (error) {
     console.error("Billing page error:", error);
@@ -95,25 +100,28 @@ router.post("/billing/checkout", requireAuth, async (req, res) => {
 });
 
 /**
- * GET /billing/success - Payment success callback
+ * GET /billing/success - Return URL after checkout
+ *
+ * Query: session (added to the return URL by /billing/checkout). The plan
+ * is only activated once the provider confirms the subscription for the
+ * user's own pending session; until the webhook arrives the page says the
+ * payment is being confirmed.
  */
 router.get("/billing/success", requireAuth, async (req, res) => {
   try {
-    const { plan, provider, subscription_id } = req.query;
-
-    if (plan && provider) {
-      // Activate the subscription
-      await activateSubscription(
-        req.userId,
-        provider,
-        subscription_id || `manual_${Date.now()}`,
-        plan,
-      );
+    const { status, plan } = await confirmCheckout(
+      req.userId,
+      req.query.session,
+    );
+
+    if (status === "invalid" || status === "expired") {
+      return res.redirect(`/billing?error=checkout_${status}`);
     }
 
     res.render("auth/billing-success", {
       user: req.user,
       plan,
+      pending: status === "pending",
     });
   } catch (error) {
     console.error("Payment success handling error:", error);
@@ -169,47 +177,49 @@ router.get("/billing/subscription", requireAuth, async (req, res) => {
 
 /**
  * POST /webhooks/square - Square webhook endpoint
+ *
+ * Signed with x-square-hmacsha256-signature over the notification URL and
+ * the raw body. Processing errors return a 500 so Square retries;
+ * redelivered events are acknowledged without being applied twice.
  */
-router.post(
-  "/webhooks/square",
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
-    try {
-      // In production, verify the webhook signature:
-      // const signature = req.headers['x-square-signature'];
-      // const isValid = verifySquareWebhookSignature(req.body, signature);
-
-      const event = JSON.parse(req.body.toString());
-      await handleSquareWebhook(event);
-
-      res.json({ received: true });
-    } catch (error) {
-      console.error("Square webhook error:", error);
-      res.status(400).json({ error: "Webhook handling failed" });
-    }
-  },
-);
+router.post("/webhooks/square", async (req, res) => {
+  if (
+    !verifySquareSignature(
+      req.rawBody,
+      req.get("x-square-hmacsha256-signature"),
+    )
+  ) {
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  try {
+    const result = await handleSquareWebhook(req.body);
+    res.json(result);
+  } catch (error) {
+    console.error("Square webhook error:", error);
+    res.status(500).json({ error: "Webhook handling failed" });
+  }
+});
 
 /**
  * POST /webhooks/paypal - PayPal webhook endpoint
+ *
+ * Verified with PayPal's verify-webhook-signature API. Processing errors
+ * return a 500 so PayPal retries; redelivered events are acknowledged
+ * without being applied twice.
  */
-router.post(
-  "/webhooks/paypal",
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
-    try {
-      // In production, verify the webhook signature:
-      // const isValid = await verifyPayPalWebhookSignature(req);
-
-      const event = JSON.parse(req.body.toString());
-      await handlePayPalWebhook(event);
-
-      res.json({ received: true });
-    } catch (error) {
-      console.error("PayPal webhook error:", error);
-      res.status(400).json({ error: "Webhook handling failed" });
+router.post("/webhooks/paypal", async (req, res) => {
+  try {
+    if (!(await verifyPayPalSignature(req.headers, req.body))) {
+      return res.status(401).json({ error: "Invalid signature" });
     }
-  },
-);
+
+    const result = await handlePayPalWebhook(req.body);
+    res.json(result);
+  } catch (error) {
+    console.error("PayPal webhook error:", error);
+    res.status(500).json({ error: "Webhook handling failed" });
+  }
+});
 
 module.exports = router;
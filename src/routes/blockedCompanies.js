@@ -0,0 +1,98 @@
+/**
+ * Blocked Companies Routes
+ *
+ * Companies a user never wants to see. The job board hides them for the
+ * logged-in user, and API calls with exclude_company=@blocked leave them out.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth } = require("../middleware/auth");
+const {
+  listBlockedCompanies,
+  blockCompany,
+  unblockCompany,
+  findCompanyId,
+} = require("../services/companyService");
+
+/**
+ * GET /api/blocked-companies - List the user's blocked companies
+ */
+router.get("/api/blocked-companies", requireAuth, async (req, res) => {
+  try {
+    const companies = await listBlockedCompanies(req.userId);
+    res.json({ success: true, companies, count: companies.length });
+  } catch (error) {
+    console.error("List blocked companies error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch blocked companies",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/blocked-companies - Block a company
+ *
+ * Body: { companyId } or { name } (any of the company's names)
+ */
+router.post("/api/blocked-companies", requireAuth, async (req, res) => {
+  try {
+    const { companyId, name } = req.body || {};
+    if (!companyId && !name) {
+      return res.status(400).json({
+        success: false,
+        error: "companyId or name is required",
+      });
+    }
+
+    const id = await findCompanyId(companyId || name);
+    const company = id ? await blockCompany(req.userId, id) : null;
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: "Company not found",
+      });
+    }
+
+    res.json({ success: true, message: "Company blocked", company });
+  } catch (error) {
+    console.error("Block company error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to block company",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/blocked-companies/:companyId - Unblock a company
+ */
+router.delete(
+  "/api/blocked-companies/:companyId",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const unblocked = await unblockCompany(req.userId, req.params.companyId);
+      if (!unblocked) {
+        return res.status(404).json({
+          success: false,
+          error: "Company is not blocked",
+        });
+      }
+
+      res.json({ success: true, message: "Company unblocked" });
+    } catch (error) {
+      console.error("Unblock company error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to unblock company",
+        message: error.message,
+      });
+    }
+  },
+);
+
+module.exports = router;
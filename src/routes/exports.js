@@ -0,0 +1,165 @@
+/**
+ * Export Routes
+ *
+ * Bulk CSV / NDJSON exports for Enterprise accounts. Submit a filter set,
+ * poll the export until it completes, then download the file from the
+ * signed link in `download.url` (no session needed, so it can be handed to
+ * a script).
+ */
+
+const express = require("express");
+const router = express.Router();
+const {
+  validateExportRequest,
+  listExports,
+  getExport,
+  getActiveExport,
+  createExport,
+  createDownloadLink,
+  verifyDownloadLink,
+  getExportFile,
+} = require("../services/exportService");
+const { checkQuota } = require("../services/apiKeyService");
+const { requireAuth, requirePlan } = require("../middleware/auth");
+
+const protectExportRoute = [requireAuth, requirePlan("enterprise")];
+
+/**
+ * Export with a fresh download link when it is ready
+ */
+const withDownload = (exportJob) => ({
+  ...exportJob,
+  download: createDownloadLink(exportJob),
+});
+
+/**
+ * POST /api/exports - Start an export
+ *
+ * Body: { format: "csv"|"ndjson", limit, filters: { search, locations[], company, type, remote, salaryMin, salaryMax, postedAfter } }
+ * Exported rows count against the monthly row quota; an export stops at
+ * whatever quota is left when it runs.
+ */
+router.post("/api/exports", ...protectExportRoute, async (req, res) => {
+  try {
+    const { values, errors } = validateExportRequest(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid export request",
+        details: errors,
+      });
+    }
+
+    const active = await getActiveExport(req.userId);
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        error: "An export is already in progress",
+        export: active,
+      });
+    }
+
+    const quota = await checkQuota(req.userId, 1);
+    if (!quota.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: "Monthly quota exceeded",
+        quota: {
+          limit: quota.limit,
+          used: quota.used,
+          remaining: quota.remaining,
+        },
+      });
+    }
+
+    const exportJob = await createExport(req.userId, values);
+    res.status(202).json({
+      success: true,
+      message: "Export queued",
+      export: exportJob,
+    });
+  } catch (error) {
+    console.error("Create export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to start export",
+    });
+  }
+});
+
+/**
+ * GET /api/exports - List recent exports
+ */
+router.get("/api/exports", ...protectExportRoute, async (req, res) => {
+  try {
+    const exports = await listExports(req.userId, { limit: req.query.limit });
+    res.json({
+      success: true,
+      exports: exports.map(withDownload),
+      count: exports.length,
+    });
+  } catch (error) {
+    console.error("List exports error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch exports",
+    });
+  }
+});
+
+/**
+ * GET /api/exports/:id - Export status, with a download link once completed
+ */
+router.get("/api/exports/:id", ...protectExportRoute, async (req, res) => {
+  try {
+    const exportJob = await getExport(req.params.id, req.userId);
+    if (!exportJob) {
+      return res.status(404).json({
+        success: false,
+        error: "Export not found",
+      });
+    }
+    res.json({ success: true, export: withDownload(exportJob) });
+  } catch (error) {
+    console.error("Get export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch export",
+    });
+  }
+});
+
+/**
+ * GET /api/exports/:id/download?expires=&signature= - Download an export
+ * file through a signed link
+ */
+router.get("/api/exports/:id/download", async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    if (!verifyDownloadLink(req.params.id, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: "Invalid or expired download link",
+      });
+    }
+
+    const file = await getExportFile(req.params.id);
+    if (!file) {
+      return res.status(410).json({
+        success: false,
+        error: "Export file is no longer available",
+      });
+    }
+
+    res.type(file.contentType);
+    res.download(file.path, file.downloadName);
+  } catch (error) {
+    console.error("Download export error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to download export",
+    });
+  }
+});
+
+module.exports = router;
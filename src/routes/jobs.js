@@ -2,19 +2,62 @@ const express = require("express");
 const router = express.Router();
 const jobService = require("../services/jobService");
 const {
-  enrichJobDescriptions,
-  getJobsNeedingEnrichment,
-} = require("../services/jobEnricherService");
+  requireAuth,
+  requireAdmin,
+  optionalAuth,
+} = require("../middleware/auth");
+const { protectIngestRoute } = require("../middleware/apiKey");
+const { validateJob, MAX_BATCH_SIZE } = require("../utils/jobValidator");
+const { getJobsNeedingEnrichment } = require("../services/jobEnricherService");
+const { formatSkill } = require("../utils/skillExtractor");
+const { formatClearance } = require("../utils/requirementDetector");
+const { getBlockedCompanyIds } = require("../services/companyService");
+const {
+  enqueue,
+  getQueueJob,
+  getLatestQueueJob,
+} = require("../services/queueService");
+const {
+  getCurrentRun,
+  getRunById,
+  getRunByQueueJobId,
+  listRuns,
+} = require("../services/enrichmentRunService");
 
-router.get("/", async (req, res) => {
+router.get("/", optionalAuth, async (req, res) => {
   try {
     const { search, location } = req.query;
-    const jobs = await jobService.getJobs({ search, location });
+    const excludeAgencies = req.query.exclude_agencies === "true";
+    const excludeCompany = String(req.query.exclude_company || "");
+    const excluded = excludeCompany
+      .split(",")
+      .map((value) => value.trim())
+      .filter((value) => value);
+
+    // Logged-in users never see the companies they've blocked
+    const blockedIds = req.userId ? await getBlockedCompanyIds(req.userId) : [];
+
+    const jobs = await jobService.getJobs({
+      search,
+      location,
+      excludeAgencies,
+      excludeCompanyIds: [
+        ...excluded.filter((value) => /^\d+$/.test(value)).map(Number),
+        ...blockedIds,
+      ],
+      excludeCompanies: excluded.filter((value) => !/^\d+$/.test(value)),
+    });
     res.render("index", {
       title: "MD Technical Job Board - Cybersecurity & IT Jobs",
       jobs: jobs,
       search: search || "",
       location: location || "",
+      excludeAgencies,
+      excludeCompany,
+      isLoggedIn: Boolean(req.user),
+      isAdmin: Boolean(req.user && req.user.role === "admin"),
+      formatSkill,
+      formatClearance,
     });
   } catch (error) {
     console.error(error);
@@ -37,75 +80,176 @@ router.get("/api/jobs", async (req, res) => {
   }
 });
 
-// Endpoint to receive jobs from the Chrome Extension
-router.post("/api/upload", async (req, res) => {
+// Endpoint to receive jobs from the Chrome Extension or an ingest client
+// Requires an API key with the "ingest" scope; jobs are attributed to its owner
+router.post("/api/upload", ...protectIngestRoute, async (req, res) => {
   try {
     const jobs = req.body; // Expecting an array of job objects
     if (!Array.isArray(jobs)) {
-      return res
-        .status(400)
-        .json({ error: "Invalid data format. Expected an array." });
+      return res.status(400).json({
+        success: false,
+        error: "Invalid data format. Expected an array.",
+      });
     }
 
-    console.log(`📥 Received ${jobs.length} jobs from Chrome Extension`);
-
-    // Log sample job to verify salary and easyApply fields
-    if (jobs.length > 0) {
-      console.log("Sample job data:", {
-        id: jobs[0].id,
-        title: jobs[0].title,
-        salary: jobs[0].salary,
-        easyApply: jobs[0].easyApply,
-        source: jobs[0].source,
+    if (jobs.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        success: false,
+        error: "Batch too large",
+        message: `Upload at most ${MAX_BATCH_SIZE} jobs per request (received ${jobs.length}). Split the upload into smaller batches.`,
+        limit: MAX_BATCH_SIZE,
       });
     }
 
-    const addedCount = await jobService.addJobsToSystem(jobs);
-    res.json({ message: "Jobs received", added: addedCount });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: "Failed to save uploaded jobs" });
-  }
-});
+    console.log(
+      `📥 Received ${jobs.length} jobs from user ${req.apiKey.userId} (key ${req.apiKey.id})`,
+    );
 
-// Endpoint to trigger job enrichment manually
-router.post("/api/enrich", async (req, res) => {
-  try {
-    console.log("📡 Enrichment triggered via API");
+    // Validate every row; only valid rows are stored
+    const results = new Array(jobs.length);
+    const valid = [];
+    jobs.forEach((raw, index) => {
+      const { job, errors } = validateJob(raw);
+      if (job) {
+        valid.push({ index, job });
+      } else {
+        results[index] = {
+          index,
+          id: raw && raw.id ? String(raw.id) : null,
+          status: "rejected",
+          reasons: errors,
+        };
+      }
+    });
 
-    // Run enrichment asynchronously
-    enrichJobDescriptions()
-      .then((results) => {
-        console.log("✅ Enrichment completed:", results);
-      })
-      .catch((error) => {
-        console.error("❌ Enrichment error:", error);
-      });
+    const ingested = await jobService.ingestJobs(
+      valid.map((entry) => entry.job),
+      { uploadedBy: req.apiKey.userId },
+    );
+    ingested.results.forEach((result, i) => {
+      results[valid[i].index] = { index: valid[i].index, ...result };
+    });
 
+    const rejected = jobs.length - valid.length;
     res.json({
-      message: "Job enrichment started in background",
-      status: "processing",
+      success: true,
+      message: "Jobs received",
+      received: jobs.length,
+      added: ingested.added,
+      duplicates: ingested.duplicates,
+      rejected,
+      results,
     });
   } catch (error) {
     console.error(error);
-    res.status(500).json({ error: "Failed to start enrichment" });
+    res.status(500).json({
+      success: false,
+      error: "Failed to save uploaded jobs",
+    });
   }
 });
 
-// Endpoint to check enrichment status
-router.get("/api/enrich/status", async (req, res) => {
+// Endpoint to trigger job enrichment manually (queued for worker.js)
+router.post("/api/enrich", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const jobs = await getJobsNeedingEnrichment();
-    res.json({
-      jobsNeedingEnrichment: jobs.length,
-      jobs: jobs.slice(0, 10), // Return first 10 for preview
+    console.log("📡 Enrichment triggered via API");
+
+    const { job, created } = await enqueue(
+      "enrich",
+      { triggeredBy: `user:${req.userId}` },
+      { singleton: true },
+    );
+
+    res.status(202).json({
+      message: created
+        ? "Job enrichment queued"
+        : "Job enrichment is already queued or running",
+      status: job.status,
+      jobId: job.id,
     });
   } catch (error) {
     console.error(error);
-    res.status(500).json({ error: "Failed to check enrichment status" });
+    res.status(500).json({ error: "Failed to start enrichment" });
   }
 });
 
+// Endpoint to check enrichment status (queue errors and run details are
+// admin-only, like the history below)
+// Pass ?jobId= (from POST /api/enrich) to follow one queued run
+router.get(
+  "/api/enrich/status",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const jobs = await getJobsNeedingEnrichment();
+      const queueJob = req.query.jobId
+        ? await getQueueJob(req.query.jobId)
+        : await getLatestQueueJob("enrich");
+      const run =
+        req.query.jobId && queueJob
+          ? await getRunByQueueJobId(queueJob.id)
+          : await getCurrentRun();
+
+      res.json({
+        jobsNeedingEnrichment: jobs.length,
+        jobs: jobs.slice(0, 10), // Return first 10 for preview
+        queue:
+          queueJob && queueJob.type === "enrich"
+            ? {
+                jobId: queueJob.id,
+                status: queueJob.status,
+                attempts: queueJob.attempts,
+                lastError: queueJob.lastError,
+                createdAt: queueJob.createdAt,
+                startedAt: queueJob.startedAt,
+                finishedAt: queueJob.finishedAt,
+              }
+            : null,
+        run,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: "Failed to check enrichment status" });
+    }
+  },
+);
+
+// Past enrichment runs, newest first
+router.get(
+  "/api/enrich/history",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { runs, total } = await listRuns(req.query);
+      res.json({ runs, total });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: "Failed to fetch enrichment history" });
+    }
+  },
+);
+
+// One enrichment run with the outcome for every job it processed
+router.get(
+  "/api/enrich/runs/:id",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const run = await getRunById(req.params.id, { includeItems: true });
+      if (!run) {
+        return res.status(404).json({ error: "Enrichment run not found" });
+      }
+      res.json(run);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: "Failed to fetch enrichment run" });
+    }
+  },
+);
+
 // ============================================
 // JobbyJobJob API Routes
 // ============================================
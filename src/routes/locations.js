@@ -8,33 +8,23 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
 const { pool } = require('../config/database');
-const fs = require('fs');
-const path = require('path');
-
-// Load geo IDs from JSON file
-const geoIdsPath = path.join(__dirname, '../../chrome-extension/common-geoids.json');
-const geoIds = JSON.parse(fs.readFileSync(geoIdsPath, 'utf8'));
+const { listCities, getCityByGeoId } = require('../services/geoService');
 
 /**
  * GET /locations/available - Get all available cities
  */
 router.get('/locations/available', (req, res) => {
     try {
-        // Flatten the geoIds object into a single array
-        const cities = [];
-        for (const state in geoIds) {
-            geoIds[state].forEach(city => {
-                cities.push({
-                    name: city.name,
-                    geoId: city.geoId,
-                    state: state.replace('_', ' ').toUpperCase()
-                });
-            });
-        }
+        const cities = listCities().map(city => ({
+            name: city.name,
+            geoId: city.geoId,
+            state: city.stateCode,
+            stateName: city.stateName
+        }));
         
         res.json({
             success: true,
-            cities: cities.sort((a, b) => a.name.localeCompare(b.name)),
+            cities,
             total: cities.length
         });
     } catch (error) {
@@ -75,12 +65,21 @@ router.get('/locations/user', requireAuth, async (req, res) => {
  */
 router.post('/locations/user', requireAuth, async (req, res) => {
     try {
-        const { cityName, geoId, stateCode } = req.body;
+        const { geoId } = req.body;
+        
+        if (!geoId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Geo ID is required'
+            });
+        }
         
-        if (!cityName || !geoId) {
+        // Name and state come from the city list so API matching can trust them
+        const city = getCityByGeoId(geoId);
+        if (!city) {
             return res.status(400).json({
                 success: false,
-                message: 'City name and geo ID are required'
+                message: 'Unknown geo ID'
             });
         }
         
@@ -121,7 +120,7 @@ router.post('/locations/user', requireAuth, async (req, res) => {
         // Add location
         await pool.execute(
             'INSERT INTO user_locations (user_id, city_name, geo_id, state_code) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE city_name = VALUES(city_name)',
-            [req.userId, cityName, geoId, stateCode]
+            [req.userId, city.name, city.geoId, city.stateCode]
         );
         
         res.json({
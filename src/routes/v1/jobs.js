@@ -8,27 +8,151 @@ const express = require("express");
 const router = express.Router();
 const jobService = require("../../services/jobService");
 const { protectApiRoute } = require("../../middleware/apiKey");
+const {
+  SEARCHABLE_FIELDS,
+  resolveSearchFields,
+} = require("../../utils/searchQuery");
+const { decodeCursor } = require("../../utils/cursor");
+const { formatJobResponse } = require("../../utils/jobFormatter");
+const { parseSince } = require("../../services/jobChangeService");
+const { getStateCode } = require("../../config/usStates");
+const { WORK_ARRANGEMENTS } = require("../../utils/workArrangement");
+const {
+  SENIORITY_LEVELS,
+  EMPLOYMENT_TYPES,
+  normalizeEmploymentType,
+} = require("../../utils/jobClassifier");
+const { findSkill } = require("../../utils/skillExtractor");
+const {
+  CLEARANCE_LEVELS,
+  CERTIFICATION_REQUIREMENTS,
+} = require("../../utils/requirementDetector");
+const { listSkillCounts } = require("../../services/skillService");
+const { SKILL_CATEGORIES } = require("../../config/skills");
+const {
+  listCompanies,
+  getCompanyById,
+  getCompanyHiring,
+  getBlockedCompanyIds,
+  BLOCKED_COMPANIES_TOKEN,
+} = require("../../services/companyService");
 const { createPlanBasedRateLimiter } = require("../../middleware/rateLimiter");
 
 // Apply rate limiting to all v1 routes
 const rateLimiter = createPlanBasedRateLimiter();
 
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+const DEFAULT_COMPANY_LIMIT = 100;
+const MAX_COMPANY_LIMIT = 500;
+
+/**
+ * Decode a `cursor` query param and check it was issued for this sort/order
+ * @returns {{ cursor: object|null, error: string|null }}
+ */
+function resolveCursor(token, sort, order) {
+  if (!token) return { cursor: null, error: null };
+
+  const cursor = decodeCursor(token);
+  if (!cursor) {
+    return { cursor: null, error: "cursor is malformed" };
+  }
+  if (cursor.sort !== sort || cursor.order !== String(order).toLowerCase()) {
+    return {
+      cursor: null,
+      error: `cursor was issued for sort=${cursor.sort}&order=${cursor.order}; keep the same sort and order while paging`,
+    };
+  }
+  return { cursor, error: null };
+}
+
+/**
+ * Parse `near=lat,lng` and `radius_km` into a radius filter
+ * @returns {{ near: object|null, error: string|null }}
+ */
+function resolveNear(near, radiusKm) {
+  if (!near) {
+    return radiusKm
+      ? { near: null, error: "radius_km requires near=lat,lng" }
+      : { near: null, error: null };
+  }
+
+  const [lat, lng, ...rest] = String(near).split(",").map(Number);
+  if (
+    rest.length > 0 ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return {
+      near: null,
+      error: "near must be latitude,longitude, e.g. near=30.2672,-97.7431",
+    };
+  }
+
+  const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return {
+      near: null,
+      error: `radius_km must be a number between 0 and ${MAX_RADIUS_KM}`,
+    };
+  }
+
+  return { near: { lat, lng, radiusKm: radius }, error: null };
+}
+
 /**
  * GET /api/v1/jobs - Get job listings
  *
  * Query Parameters:
  * - limit: Number of results (max depends on plan)
- * - offset: Pagination offset
- * - location: Filter by location (comma-separated for multiple)
- * - search: Search in title, company, description
- * - company: Filter by company name
- * - type: Filter by job type (full-time, part-time, contract, etc.)
- * - remote: Filter for remote jobs only (true/false)
- * - salary_min: Minimum salary filter
- * - salary_max: Maximum salary filter
+ * - cursor: Opaque meta.next_cursor / meta.prev_cursor from a previous page
+ *   (stable while new jobs arrive; takes precedence over offset)
+ * - offset: Pagination offset (kept for backward compatibility)
+ * - location: Filter by location (comma-separated for multiple). "@saved"
+ *   expands to the locations saved on the dashboard, matched by geo ID;
+ *   keys created with "use saved locations" apply them by default
+ * - state: US state codes or names (comma-separated for multiple)
+ * - near: latitude,longitude; only jobs in a known city within radius_km
+ * - radius_km: Radius for near (default 50, max 500)
+ * - search: Full-text search in title, company, description
+ *   ("quoted phrase", +required, -excluded)
+ * - skills: Skill slugs or names from /api/v1/skills (comma-separated;
+ *   jobs must be tagged with all of them)
+ * - clearance: Security clearance the job asks for: public-trust, secret,
+ *   top-secret, ts-sci or none (comma-separated for multiple)
+ * - certifications: Certification slugs or names from
+ *   /api/v1/skills?category=certification (comma-separated; jobs asking for
+ *   any of them)
+ * - certification_requirement: With certifications, only jobs where they
+ *   are required (or only preferred)
+ * - company: Filter by company name (also matches the company's aliases)
+ * - company_id: Only jobs at this company (see /api/v1/companies)
+ * - exclude_company: Company IDs or names to leave out (comma-separated;
+ *   names also match aliases). "@blocked" expands to the companies blocked
+ *   on the dashboard
+ * - exclude_agencies: Leave out staffing agencies and jobs posted on behalf
+ *   of a client (true/false)
+ * - type: Employment type: full-time, part-time, contract, internship or
+ *   temporary (comma-separated for multiple), normalized from the source's
+ *   label, title and description
+ * - seniority: intern, junior, mid, senior, lead, manager or director
+ *   (comma-separated for multiple), classified from the title and
+ *   description
+ * - work_arrangement: remote, hybrid or onsite (comma-separated for
+ *   multiple), classified from the source, location, title and description
+ * - remote: Shorthand for work_arrangement=remote (true/false)
+ * - salary_min: Minimum yearly salary (hourly/monthly pay is annualized)
+ * - salary_max: Maximum yearly salary
  * - posted_after: Jobs posted after this date (ISO format)
- * - sort: Sort field (posted_at, salary, company)
+ * - sort: Sort field (posted_at, salary, company, relevance);
+ *   defaults to relevance when searching, otherwise posted_at
  * - order: Sort order (asc, desc)
+ *
+ * Invalid sort, order, salary, date, state, company_id, exclude_company,
+ * type, seniority, work_arrangement, skills, clearance, certifications, near
+ * or cursor values are rejected with a 400.
  */
 router.get("/jobs", rateLimiter, ...protectApiRoute, async (req, res) => {
   const startTime = Date.now();
@@ -40,21 +164,234 @@ router.get("/jobs", rateLimiter, ...protectApiRoute, async (req, res) => {
       location,
       search,
       company,
-      type,
       remote,
       salary_min,
       salary_max,
       posted_after,
-      sort = "posted_at",
       order = "desc",
     } = req.query;
+    const sort = req.query.sort || (search ? "relevance" : "posted_at");
+
+    if (!Object.keys(jobService.SORT_FIELDS).includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid sort field",
+        message: `sort must be one of: ${Object.keys(jobService.SORT_FIELDS).join(", ")}`,
+      });
+    }
+
+    if (!jobService.SORT_ORDERS.includes(String(order).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid sort order",
+        message: "order must be asc or desc",
+      });
+    }
+
+    if (posted_after && isNaN(Date.parse(posted_after))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid posted_after date",
+        message: "posted_after must be an ISO 8601 date, e.g. 2026-01-31",
+      });
+    }
+
+    if (
+      (salary_min && isNaN(parseInt(salary_min))) ||
+      (salary_max && isNaN(parseInt(salary_max)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid salary filter",
+        message: "salary_min and salary_max must be numbers",
+      });
+    }
+
+    const states = String(req.query.state || "")
+      .split(",")
+      .map((state) => state.trim())
+      .filter((state) => state);
+    const stateCodes = states.map(getStateCode);
+    if (stateCodes.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid state filter",
+        message: `Unknown state: ${states.filter((state, i) => !stateCodes[i]).join(", ")}`,
+      });
+    }
+
+    const companyId =
+      req.query.company_id === undefined ? null : Number(req.query.company_id);
+    if (companyId !== null && !(Number.isInteger(companyId) && companyId > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid company_id filter",
+        message: "company_id must be a company ID from /api/v1/companies",
+      });
+    }
+
+    const excludedCompanies = String(req.query.exclude_company || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter((value) => value);
+    const excludeCompanyIds = excludedCompanies
+      .filter((value) => /^\d+$/.test(value))
+      .map(Number);
+    const excludeCompanies = excludedCompanies.filter(
+      (value) => !/^\d+$/.test(value) && value !== BLOCKED_COMPANIES_TOKEN,
+    );
+    if (excludeCompanyIds.some((id) => id <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid exclude_company filter",
+        message:
+          "exclude_company must be company IDs from /api/v1/companies, company names or @blocked",
+      });
+    }
+    if (excludedCompanies.includes(BLOCKED_COMPANIES_TOKEN)) {
+      excludeCompanyIds.push(
+        ...(await getBlockedCompanyIds(req.apiKey.userId)),
+      );
+    }
+
+    const typeNames = String(req.query.type || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter((value) => value);
+    const employmentTypes = typeNames.map(normalizeEmploymentType);
+    if (employmentTypes.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid type filter",
+        message: `type must be one of: ${EMPLOYMENT_TYPES.join(", ")}`,
+      });
+    }
+
+    const seniorities = String(req.query.seniority || "")
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter((value) => value);
+    if (seniorities.some((value) => !SENIORITY_LEVELS.includes(value))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid seniority filter",
+        message: `seniority must be one of: ${SENIORITY_LEVELS.join(", ")}`,
+      });
+    }
+
+    const workArrangements = String(req.query.work_arrangement || "")
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter((value) => value);
+    if (workArrangements.some((value) => !WORK_ARRANGEMENTS.includes(value))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid work_arrangement filter",
+        message: `work_arrangement must be one of: ${WORK_ARRANGEMENTS.join(", ")}`,
+      });
+    }
+
+    const skillNames = String(req.query.skills || "")
+      .split(",")
+      .map((skill) => skill.trim())
+      .filter((skill) => skill);
+    const skills = skillNames.map(findSkill);
+    if (skills.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid skills filter",
+        message: `Unknown skill: ${skillNames.filter((skill, i) => !skills[i]).join(", ")}. See /api/v1/skills`,
+      });
+    }
+
+    const clearances = String(req.query.clearance || "")
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter((value) => value);
+    const clearanceValues = [...CLEARANCE_LEVELS, "none"];
+    if (clearances.some((value) => !clearanceValues.includes(value))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid clearance filter",
+        message: `clearance must be one of: ${clearanceValues.join(", ")}`,
+      });
+    }
+
+    const certificationNames = String(req.query.certifications || "")
+      .split(",")
+      .map((cert) => cert.trim())
+      .filter((cert) => cert);
+    const certifications = certificationNames.map((name) => {
+      const skill = findSkill(name);
+      return skill && skill.category === "certification" ? skill : null;
+    });
+    if (certifications.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid certifications filter",
+        message: `Unknown certification: ${certificationNames.filter((cert, i) => !certifications[i]).join(", ")}. See /api/v1/skills?category=certification`,
+      });
+    }
+
+    const certificationRequirement = req.query.certification_requirement
+      ? String(req.query.certification_requirement).toLowerCase()
+      : null;
+    if (
+      certificationRequirement &&
+      (!CERTIFICATION_REQUIREMENTS.includes(certificationRequirement) ||
+        certifications.length === 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid certifications filter",
+        message: `certification_requirement must be one of ${CERTIFICATION_REQUIREMENTS.join(", ")} and needs certifications`,
+      });
+    }
+
+    const { near, error: nearError } = resolveNear(
+      req.query.near,
+      req.query.radius_km,
+    );
+    if (nearError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid radius filter",
+        message: nearError,
+      });
+    }
+
+    const { cursor, error: cursorError } = resolveCursor(
+      req.query.cursor,
+      sort,
+      order,
+    );
+    if (cursorError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid cursor",
+        message: cursorError,
+      });
+    }
 
     // Build query options
     const options = {
       search,
       location: req.locations || location, // Use normalized locations from middleware
+      savedLocations: req.savedLocations,
+      states: [...new Set(stateCodes)],
+      near,
       company,
-      type,
+      companyId,
+      excludeCompanyIds: [...new Set(excludeCompanyIds)],
+      excludeCompanies,
+      excludeAgencies: req.query.exclude_agencies === "true",
+      type: [...new Set(employmentTypes)],
+      seniority: [...new Set(seniorities)],
+      workArrangement: workArrangements,
+      skills: [...new Set(skills.map((skill) => skill.slug))],
+      clearance: [...new Set(clearances)],
+      certifications: [...new Set(certifications.map((cert) => cert.slug))],
+      certificationRequirement,
       remote: remote === "true",
       salaryMin: salary_min ? parseInt(salary_min) : undefined,
       salaryMax: salary_max ? parseInt(salary_max) : undefined,
@@ -62,11 +399,13 @@ router.get("/jobs", rateLimiter, ...protectApiRoute, async (req, res) => {
       sort,
       order,
       limit: parseInt(limit) || req.apiKey.planDetails.resultsPerRequest,
-      offset: parseInt(offset) || 0,
+      offset: cursor ? 0 : parseInt(offset) || 0,
+      cursor,
     };
 
     // Fetch jobs
-    const jobs = await jobService.getJobs(options);
+    const { jobs, nextCursor, prevCursor, hasMore } =
+      await jobService.getJobPage(options);
 
     // Get total count for pagination
     const totalJobs = await jobService.getJobCount(options);
@@ -81,7 +420,23 @@ router.get("/jobs", rateLimiter, ...protectApiRoute, async (req, res) => {
         returned: jobs.length,
         limit: options.limit,
         offset: options.offset,
-        hasMore: options.offset + jobs.length < totalJobs,
+        hasMore,
+        next_cursor: nextCursor,
+        prev_cursor: prevCursor,
+        savedLocations: (req.savedLocations || []).map((loc) => loc.cityName),
+        states: options.states,
+        excludeCompanyIds: options.excludeCompanyIds,
+        excludeCompanies,
+        excludeAgencies: options.excludeAgencies,
+        type: options.type,
+        seniority: options.seniority,
+        skills: options.skills,
+        clearance: options.clearance,
+        certifications: options.certifications,
+        certificationRequirement,
+        near,
+        sort: options.sort,
+        order: options.order.toLowerCase(),
         responseTimeMs: responseTime,
       },
       quota: {
@@ -89,7 +444,7 @@ router.get("/jobs", rateLimiter, ...protectApiRoute, async (req, res) => {
         limit: req.quota?.limit || 0,
         remaining: req.quota?.remaining || 0,
       },
-      data: jobs.map(formatJobResponse),
+      data: jobs.map((job) => formatJobResponse(job)),
     });
   } catch (error) {
     console.error("API v1 jobs error:", error);
@@ -101,6 +456,72 @@ router.get("/jobs", rateLimiter, ...protectApiRoute, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/jobs/changes - Incremental feed of job changes
+ *
+ * Query Parameters:
+ * - since: meta.next_token from a previous response, an ISO 8601 timestamp
+ *   or Unix epoch seconds (omit to start from the beginning)
+ * - limit: Number of changes (max depends on plan)
+ *
+ * Each change has a type (created, updated, expired, removed, reopened) and
+ * the job's current state (null if the job no longer exists). A job that
+ * expired or was removed is reopened when a source lists it again. Apply
+ * changes in order, store meta.next_token and pass it as `since` on the next
+ * sync; keep paging while meta.hasMore is true.
+ */
+router.get(
+  "/jobs/changes",
+  rateLimiter,
+  ...protectApiRoute,
+  async (req, res) => {
+    try {
+      const since = parseSince(req.query.since);
+      if (!since) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid since value",
+          message:
+            "since must be a next_token from a previous response, an ISO 8601 timestamp or Unix epoch seconds",
+        });
+      }
+
+      const maxLimit = req.apiKey.planDetails.resultsPerRequest;
+      const limit = Math.min(parseInt(req.query.limit) || maxLimit, maxLimit);
+
+      const { changes, nextToken, hasMore } = await jobService.getJobChanges(
+        since,
+        limit,
+      );
+
+      res.json({
+        success: true,
+        meta: {
+          since: req.query.since || null,
+          returned: changes.length,
+          limit,
+          hasMore,
+          next_token: nextToken,
+        },
+        data: changes.map((change) => ({
+          type: change.type,
+          jobId: change.jobId,
+          changedAt: change.changedAt,
+          changedFields: change.changedFields,
+          job: change.job ? formatJobResponse(change.job, true) : null,
+        })),
+      });
+    } catch (error) {
+      console.error("API v1 job changes error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch job changes",
+        message: error.message,
+      });
+    }
+  },
+);
+
 /**
  * GET /api/v1/jobs/:id - Get a single job by ID
  */
@@ -131,39 +552,85 @@ router.get("/jobs/:id", rateLimiter, ...protectApiRoute, async (req, res) => {
 });
 
 /**
- * GET /api/v1/jobs/search - Advanced search
+ * GET /api/v1/search - Full-text search ranked by relevance
+ *
+ * Query Parameters:
+ * - q: Search query. Words are required and prefix-matched; supports
+ *   "quoted phrases", +required and -excluded terms
+ * - fields: Comma-separated fields to search (title, company, description)
+ * - exact: Match q as one exact phrase (true/false)
+ * - limit: Number of results
+ * - cursor: meta.next_cursor / meta.prev_cursor from a previous page
+ * - offset: Pagination offset (kept for backward compatibility)
+ *
+ * Each result includes a relevance `score` (higher is better).
  */
 router.get("/search", rateLimiter, ...protectApiRoute, async (req, res) => {
   try {
     const { q, fields, exact } = req.query;
 
-    if (!q) {
+    if (!q || !q.trim()) {
       return res.status(400).json({
         success: false,
         error: "Search query (q) is required",
       });
     }
 
+    const searchFields = resolveSearchFields(fields);
+    if (!searchFields) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid search fields",
+        message: `fields must be a comma-separated list of: ${SEARCHABLE_FIELDS.join(", ")}`,
+      });
+    }
+
+    const { cursor, error: cursorError } = resolveCursor(
+      req.query.cursor,
+      "relevance",
+      "desc",
+    );
+    if (cursorError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid cursor",
+        message: cursorError,
+      });
+    }
+
     const options = {
       search: q,
-      searchFields: fields
-        ? fields.split(",")
-        : ["title", "company", "description"],
+      searchFields,
       exactMatch: exact === "true",
       limit:
         parseInt(req.query.limit) || req.apiKey.planDetails.resultsPerRequest,
-      offset: parseInt(req.query.offset) || 0,
+      offset: cursor ? 0 : parseInt(req.query.offset) || 0,
+      cursor,
     };
 
-    const jobs = await jobService.searchJobs(options);
+    const { jobs, nextCursor, prevCursor, hasMore } =
+      await jobService.searchJobs(options);
+    const total = await jobService.getJobCount(options);
 
     res.json({
       success: true,
       meta: {
         query: q,
+        fields: searchFields,
+        exact: options.exactMatch,
+        total,
         returned: jobs.length,
+        limit: options.limit,
+        offset: options.offset,
+        hasMore,
+        next_cursor: nextCursor,
+        prev_cursor: prevCursor,
       },
-      data: jobs.map(formatJobResponse),
+      data: jobs.map((job) => ({
+        ...formatJobResponse(job),
+        score:
+          job.score !== undefined ? Number(Number(job.score).toFixed(4)) : null,
+      })),
     });
   } catch (error) {
     console.error("API v1 search error:", error);
@@ -195,7 +662,8 @@ router.get("/stats", rateLimiter, ...protectApiRoute, async (req, res) => {
 });
 
 /**
- * GET /api/v1/locations - Get available locations
+ * GET /api/v1/locations - Locations of active jobs as a country → state →
+ * city hierarchy with job counts
  */
 router.get("/locations", rateLimiter, ...protectApiRoute, async (req, res) => {
   try {
@@ -215,14 +683,61 @@ router.get("/locations", rateLimiter, ...protectApiRoute, async (req, res) => {
 });
 
 /**
- * GET /api/v1/companies - Get available companies
+ * GET /api/v1/skills - Skills tagged on active jobs, with job counts
+ *
+ * Query Parameters:
+ * - category: Only skills in this category (e.g. certification, clearance)
+ */
+router.get("/skills", rateLimiter, ...protectApiRoute, async (req, res) => {
+  try {
+    const { category } = req.query;
+    if (category && !SKILL_CATEGORIES[category]) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid category",
+        message: `category must be one of: ${Object.keys(SKILL_CATEGORIES).join(", ")}`,
+      });
+    }
+
+    const skills = await listSkillCounts({ category });
+
+    res.json({
+      success: true,
+      data: skills,
+    });
+  } catch (error) {
+    console.error("API v1 skills error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch skills",
+    });
+  }
+});
+
+/**
+ * GET /api/v1/companies - Companies with active jobs, most active first
+ *
+ * Query Parameters:
+ * - search: Only companies with a name or alias containing this text
+ * - limit: Number of results (default 100, max 500)
+ * - offset: Pagination offset
  */
 router.get("/companies", rateLimiter, ...protectApiRoute, async (req, res) => {
   try {
-    const companies = await jobService.getUniqueCompanies();
+    const limit = Math.min(
+      parseInt(req.query.limit) || DEFAULT_COMPANY_LIMIT,
+      MAX_COMPANY_LIMIT,
+    );
+    const offset = parseInt(req.query.offset) || 0;
+    const companies = await listCompanies({
+      search: req.query.search,
+      limit,
+      offset,
+    });
 
     res.json({
       success: true,
+      meta: { returned: companies.length, limit, offset },
       data: companies,
     });
   } catch (error) {
@@ -235,27 +750,132 @@ router.get("/companies", rateLimiter, ...protectApiRoute, async (req, res) => {
 });
 
 /**
- * Format job for API response
+ * GET /api/v1/companies/:id - Company profile, aliases and hiring activity
+ * (open jobs, jobs added in the last 30 days vs the 30 before, weekly
+ * trend and most requested skills)
  */
-function formatJobResponse(job, includeFullDescription = false) {
-  return {
-    id: job.id,
-    title: job.title,
-    company: job.company,
-    location: job.location,
-    salary: job.salary || null,
-    type: job.type || "Full-time",
-    source: job.source,
-    url: job.url,
-    easyApply: Boolean(job.easy_apply),
-    description: includeFullDescription
-      ? job.description
-      : job.description
-        ? job.description.substring(0, 300) + "..."
-        : null,
-    postedAt: job.added_at,
-    expiresAt: job.expires_at,
-  };
-}
+router.get(
+  "/companies/:id",
+  rateLimiter,
+  ...protectApiRoute,
+  async (req, res) => {
+    try {
+      const company = await getCompanyById(req.params.id);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          error: "Company not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { ...company, hiring: await getCompanyHiring(company.id) },
+      });
+    } catch (error) {
+      console.error("API v1 company error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch company",
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/v1/companies/:id/jobs - Active jobs at a company, under any of
+ * its names
+ *
+ * Query Parameters:
+ * - limit: Number of results (max depends on plan)
+ * - cursor: meta.next_cursor / meta.prev_cursor from a previous page
+ * - offset: Pagination offset
+ * - sort: Sort field (posted_at, salary, company)
+ * - order: Sort order (asc, desc)
+ */
+router.get(
+  "/companies/:id/jobs",
+  rateLimiter,
+  ...protectApiRoute,
+  async (req, res) => {
+    try {
+      const { sort = "posted_at", order = "desc" } = req.query;
+      if (
+        sort === "relevance" ||
+        !Object.keys(jobService.SORT_FIELDS).includes(sort)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid sort field",
+          message: "sort must be one of: posted_at, salary, company",
+        });
+      }
+      if (!jobService.SORT_ORDERS.includes(String(order).toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid sort order",
+          message: "order must be asc or desc",
+        });
+      }
+
+      const { cursor, error: cursorError } = resolveCursor(
+        req.query.cursor,
+        sort,
+        order,
+      );
+      if (cursorError) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid cursor",
+          message: cursorError,
+        });
+      }
+
+      const company = await getCompanyById(req.params.id);
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          error: "Company not found",
+        });
+      }
+
+      const options = {
+        companyId: company.id,
+        sort,
+        order,
+        limit:
+          parseInt(req.query.limit) || req.apiKey.planDetails.resultsPerRequest,
+        offset: cursor ? 0 : parseInt(req.query.offset) || 0,
+        cursor,
+      };
+      const { jobs, nextCursor, prevCursor, hasMore } =
+        await jobService.getJobPage(options);
+      const total = await jobService.getJobCount(options);
+
+      res.json({
+        success: true,
+        meta: {
+          company: { id: company.id, name: company.name },
+          total,
+          returned: jobs.length,
+          limit: options.limit,
+          offset: options.offset,
+          hasMore,
+          next_cursor: nextCursor,
+          prev_cursor: prevCursor,
+          sort,
+          order: String(order).toLowerCase(),
+        },
+        data: jobs.map((job) => formatJobResponse(job)),
+      });
+    } catch (error) {
+      console.error("API v1 company jobs error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch company jobs",
+      });
+    }
+  },
+);
 
 module.exports = router;
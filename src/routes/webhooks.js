@@ -0,0 +1,276 @@
+/**
+ * Webhook Routes
+ *
+ * Lets Pro (and higher) accounts register endpoints that receive new jobs
+ * matching a saved filter, inspect the delivery log and redeliver payloads.
+ *
+ * Each delivery is a JSON POST with these headers:
+ * - X-Webhook-Event: "jobs.created"
+ * - X-Webhook-Delivery: delivery ID (stable across retries)
+ * - X-Webhook-Timestamp: Unix seconds when the attempt was sent
+ * - X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ *   keyed with the webhook secret
+ */
+
+const express = require("express");
+const router = express.Router();
+const {
+  MAX_WEBHOOKS_PER_USER,
+  validateWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+} = require("../services/webhookService");
+const { requireAuth, requirePlan } = require("../middleware/auth");
+
+const protectWebhookRoute = [requireAuth, requirePlan("pro")];
+
+/**
+ * GET /api/webhooks - List the user's webhooks
+ */
+router.get("/api/webhooks", ...protectWebhookRoute, async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(req.userId);
+    res.json({ success: true, webhooks, count: webhooks.length });
+  } catch (error) {
+    console.error("List webhooks error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhooks",
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks - Register a webhook
+ *
+ * Body: { url, description, filters: { search, locations[], company, remote, salaryMin, salaryMax } }
+ * The signing secret is only returned in this response.
+ */
+router.post("/api/webhooks", ...protectWebhookRoute, async (req, res) => {
+  try {
+    const { values, errors } = validateWebhook(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid webhook",
+        details: errors,
+      });
+    }
+
+    const existing = await listWebhooks(req.userId);
+    if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: "Webhook limit reached",
+        message: `Maximum of ${MAX_WEBHOOKS_PER_USER} webhooks per account`,
+      });
+    }
+
+    const webhook = await createWebhook(req.userId, values);
+    res.status(201).json({
+      success: true,
+      message:
+        "Webhook created. Save the secret now - it won't be shown again.",
+      webhook,
+    });
+  } catch (error) {
+    console.error("Create webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create webhook",
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id - Get a webhook
+ */
+router.get("/api/webhooks/:id", ...protectWebhookRoute, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id, req.userId);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+    res.json({ success: true, webhook });
+  } catch (error) {
+    console.error("Get webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhook",
+    });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id - Update a webhook
+ *
+ * Only the fields present in the body are changed. Setting isActive to
+ * true re-enables a webhook that was disabled after repeated failures.
+ */
+router.put("/api/webhooks/:id", ...protectWebhookRoute, async (req, res) => {
+  try {
+    const { values, errors } = validateWebhook(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid webhook",
+        details: errors,
+      });
+    }
+
+    const webhook = await updateWebhook(req.params.id, req.userId, values);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+    res.json({ success: true, webhook });
+  } catch (error) {
+    console.error("Update webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update webhook",
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+ */
+router.delete("/api/webhooks/:id", ...protectWebhookRoute, async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.params.id, req.userId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+      });
+    }
+    res.json({ success: true, message: "Webhook deleted" });
+  } catch (error) {
+    console.error("Delete webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete webhook",
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - Delivery log, newest first
+ *
+ * Query Parameters:
+ * - limit: Number of deliveries (default 50, max 200)
+ */
+router.get(
+  "/api/webhooks/:id/deliveries",
+  ...protectWebhookRoute,
+  async (req, res) => {
+    try {
+      const webhook = await getWebhook(req.params.id, req.userId);
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook not found",
+        });
+      }
+
+      const deliveries = await listDeliveries(webhook.id, {
+        limit: req.query.limit,
+      });
+      res.json({ success: true, deliveries, count: deliveries.length });
+    } catch (error) {
+      console.error("List webhook deliveries error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch deliveries",
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId - A delivery with its payload
+ * and the endpoint's last response
+ */
+router.get(
+  "/api/webhooks/:id/deliveries/:deliveryId",
+  ...protectWebhookRoute,
+  async (req, res) => {
+    try {
+      const webhook = await getWebhook(req.params.id, req.userId);
+      const delivery = webhook
+        ? await getDelivery(req.params.deliveryId, webhook.id)
+        : null;
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: "Delivery not found",
+        });
+      }
+      res.json({ success: true, delivery });
+    } catch (error) {
+      console.error("Get webhook delivery error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch delivery",
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again
+ */
+router.post(
+  "/api/webhooks/:id/deliveries/:deliveryId/redeliver",
+  ...protectWebhookRoute,
+  async (req, res) => {
+    try {
+      const webhook = await getWebhook(req.params.id, req.userId);
+      const delivery = webhook
+        ? await getDelivery(req.params.deliveryId, webhook.id)
+        : null;
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: "Delivery not found",
+        });
+      }
+
+      if (!webhook.isActive) {
+        return res.status(409).json({
+          success: false,
+          error: "Webhook is disabled",
+          message: "Re-enable the webhook before redelivering",
+        });
+      }
+
+      const job = await redeliver(delivery.id);
+      res.status(202).json({
+        success: true,
+        message: "Redelivery queued",
+        deliveryId: delivery.id,
+        jobId: job.id,
+      });
+    } catch (error) {
+      console.error("Redeliver webhook error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to queue redelivery",
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -9,6 +9,34 @@ const { v4: uuidv4 } = require("uuid");
 const { pool } = require("../config/database");
 const { getPlan } = require("../config/plans");
 
+// What a key may be used for: "read" the v1 API, "ingest" jobs via /api/upload
+const API_KEY_SCOPES = ["read", "ingest"];
+const DEFAULT_SCOPES = ["read"];
+
+const parseScopes = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((scope) => scope.trim())
+        .filter((scope) => scope)
+    : DEFAULT_SCOPES;
+
+/**
+ * Normalize requested scopes
+ * @param {string|string[]} scopes - e.g. ["read", "ingest"] or "read,ingest"
+ * @returns {string[]} Scopes, defaulting to read-only
+ * @throws {Error} If a scope is unknown
+ */
+function normalizeScopes(scopes) {
+  if (!scopes || scopes.length === 0) return DEFAULT_SCOPES;
+  const list = Array.isArray(scopes) ? scopes : parseScopes(scopes);
+  const unknown = list.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown API key scopes: ${unknown.join(", ")}`);
+  }
+  return Array.from(new Set(list));
+}
+
 /**
  * Generate a new API key
  * Format: jjj_live_xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx
@@ -29,7 +57,13 @@ function hashApiKey(apiKey) {
 /**
  * Create a new API key for a user
  */
-async function createApiKey(userId, name = "Default Key") {
+async function createApiKey(
+  userId,
+  name = "Default Key",
+  scopes,
+  options = {},
+) {
+  const keyScopes = normalizeScopes(scopes);
   const connection = await pool.getConnection();
 
   try {
@@ -48,9 +82,16 @@ async function createApiKey(userId, name = "Default Key") {
     const keyPrefix = apiKey.substring(0, 12); // jjj_live_xxx
 
     const [result] = await connection.execute(
-      `INSERT INTO api_keys (user_id, key_hash, key_prefix, name) 
-             VALUES (?, ?, ?, ?)`,
-      [userId, keyHash, keyPrefix, name],
+      `INSERT INTO api_keys (user_id, key_hash, key_prefix, name, scopes, use_saved_locations) 
+             VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        keyHash,
+        keyPrefix,
+        name,
+        keyScopes.join(","),
+        Boolean(options.useSavedLocations),
+      ],
     );
 
     return {
@@ -58,6 +99,8 @@ async function createApiKey(userId, name = "Default Key") {
       key: apiKey, // Only returned once, never stored in plain text
       keyPrefix,
       name,
+      scopes: keyScopes,
+      useSavedLocations: Boolean(options.useSavedLocations),
     };
   } finally {
     connection.release();
@@ -74,7 +117,7 @@ async function validateApiKey(apiKey) {
     const keyHash = hashApiKey(apiKey);
 
     const [keys] = await connection.execute(
-      `SELECT ak.id, ak.user_id, ak.name, ak.is_active,
+      `SELECT ak.id, ak.user_id, ak.name, ak.scopes, ak.use_saved_locations, ak.is_active,
                     u.email, u.plan, u.is_active as user_active
              FROM api_keys ak
              JOIN users u ON ak.user_id = u.id
@@ -111,6 +154,8 @@ async function validateApiKey(apiKey) {
       email: key.email,
       plan: key.plan,
       planDetails: plan,
+      scopes: parseScopes(key.scopes),
+      useSavedLocations: Boolean(key.use_saved_locations),
     };
   } finally {
     connection.release();
@@ -125,7 +170,7 @@ async function getUserApiKeys(userId) {
 
   try {
     const [keys] = await connection.execute(
-      `SELECT id, key_prefix, name, is_active, last_used_at, created_at
+      `SELECT id, key_prefix, name, scopes, use_saved_locations, is_active, last_used_at, created_at
              FROM api_keys 
              WHERE user_id = ? 
              ORDER BY created_at DESC`,
@@ -136,6 +181,8 @@ async function getUserApiKeys(userId) {
       id: key.id,
       keyPrefix: key.key_prefix,
       name: key.name,
+      scopes: parseScopes(key.scopes),
+      useSavedLocations: Boolean(key.use_saved_locations),
       isActive: key.is_active,
       lastUsedAt: key.last_used_at,
       createdAt: key.created_at,
@@ -145,6 +192,21 @@ async function getUserApiKeys(userId) {
   }
 }
 
+/**
+ * Update an API key's settings
+ * @param {object} settings - { useSavedLocations }
+ * @returns {Promise<boolean>} True if the key was found
+ */
+async function updateApiKeySettings(keyId, userId, settings = {}) {
+  if (settings.useSavedLocations === undefined) return true;
+
+  const [result] = await pool.execute(
+    "UPDATE api_keys SET use_saved_locations = ? WHERE id = ? AND user_id = ?",
+    [Boolean(settings.useSavedLocations), keyId, userId],
+  );
+  return result.affectedRows > 0;
+}
+
 /**
  * Revoke (deactivate) an API key
  */
@@ -234,6 +296,22 @@ async function recordUsage(
   }
 }
 
+/**
+ * Count rows delivered outside a single API request (e.g. a bulk export)
+ * against the user's monthly quota
+ */
+async function recordRowUsage(userId, rows) {
+  const yearMonth = new Date().toISOString().slice(0, 7);
+  await pool.execute(
+    `INSERT INTO monthly_usage (user_id, usage_month, total_rows, total_requests)
+         VALUES (?, ?, ?, 1)
+         ON DUPLICATE KEY UPDATE
+         total_rows = total_rows + ?,
+         total_requests = total_requests + 1`,
+    [userId, yearMonth, rows || 0, rows || 0],
+  );
+}
+
 /**
  * Check if user has remaining quota
  */
@@ -289,8 +367,12 @@ module.exports = {
   createApiKey,
   validateApiKey,
   getUserApiKeys,
+  updateApiKeySettings,
   revokeApiKey,
   deleteApiKey,
   recordUsage,
+  recordRowUsage,
   checkQuota,
+  normalizeScopes,
+  API_KEY_SCOPES,
 };
@@ -0,0 +1,416 @@
+/**
+ * Billing Lifecycle Service
+ *
+ * Scheduled subscription upkeep, run by the billing-lifecycle queue task
+ * (see worker.js). Each run:
+ * 1. Renewals: live subscriptions whose period has ended are checked with
+ *    the provider, in case the renewal webhook never arrived. A renewed one
+ *    gets its new period; one the provider hasn't collected goes past_due.
+ * 2. Cancellations: subscriptions canceled at period end are ended and
+ *    their users moved to free.
+ * 3. Dunning: past_due subscriptions get notices during the grace period
+ *    and are canceled and downgraded once it runs out (after one last
+ *    check with the provider).
+ *
+ * A subscription whose step fails is logged and backed off (retried after
+ * 1, 2, 4... hours, at most a day apart; subscriptions.lifecycle_retry_at) so
+ * rows that keep failing don't fill every batch. The error is kept in
+ * subscriptions.lifecycle_error until a step succeeds.
+ *
+ * Status changes are recorded in subscription_transitions and plan changes
+ * in plan_changes. Notices are stored in dunning_notices, shown on the
+ * billing page and, when BILLING_NOTICE_URL is set, POSTed there as JSON
+ * { to, kind, subject, text, plan, graceEndsAt } (e.g. to an email relay).
+ *
+ * Add to .env (optional):
+ * BILLING_GRACE_DAYS=7               Grace period after a failed payment
+ * BILLING_RENEWAL_DELAY_HOURS=6      Wait this long past period end for the
+ *                                    renewal webhook before asking the provider
+ * BILLING_NOTICE_URL=                Endpoint that delivers dunning notices
+ */
+
+const axios = require("axios");
+const { pool } = require("../config/database");
+const { getPlan } = require("../config/plans");
+const { changeUserPlan } = require("./userService");
+const {
+  processExpiredSubscriptions,
+  transitionSubscription,
+  hasOtherLiveSubscription,
+  fetchProviderState,
+  applyLifecycleState,
+  cancelWithProvider,
+  GRACE_PERIOD_DAYS,
+} = require("./billingService");
+
+const RENEWAL_DELAY_HOURS =
+  parseInt(process.env.BILLING_RENEWAL_DELAY_HOURS) || 6;
+const NOTICE_URL = process.env.BILLING_NOTICE_URL || null;
+const NOTICE_TIMEOUT_MS = 10000;
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIVE_STATUSES = ["active", "past_due", "trialing"];
+
+// Notices sent while past_due, by days since the payment failed. Only the
+// latest one due is sent, so a missed run doesn't send several at once.
+const DUNNING_SCHEDULE = [
+  { kind: "payment_failed", afterDays: 0 },
+  { kind: "reminder", afterDays: Math.floor(GRACE_PERIOD_DAYS / 2) },
+  { kind: "final_notice", afterDays: GRACE_PERIOD_DAYS - 1 },
+];
+
+/**
+ * Subject and text of a dunning notice
+ */
+function noticeContent(kind, subscription, graceEndsAt) {
+  const planName = getPlan(subscription.plan).name;
+  const deadline = graceEndsAt.toDateString();
+  const name = subscription.first_name || "there";
+
+  switch (kind) {
+    case "payment_failed":
+      return {
+        subject: `Your ${planName} payment failed`,
+        text: `Hi ${name}, we couldn't collect the payment for your ${planName} plan. Please update your payment method by ${deadline} to keep your plan.`,
+      };
+    case "reminder":
+      return {
+        subject: "Reminder: update your payment method",
+        text: `Hi ${name}, your ${planName} payment is still outstanding. Your account moves to the Free plan on ${deadline} unless the payment goes through.`,
+      };
+    case "final_notice":
+      return {
+        subject: `Last chance to keep your ${planName} plan`,
+        text: `Hi ${name}, your account moves to the Free plan on ${deadline}. Update your payment method before then to keep your ${planName} limits.`,
+      };
+    default:
+      return {
+        subject: "Your account has moved to the Free plan",
+        text: `Hi ${name}, we couldn't collect the payment for your ${planName} plan, so your account is now on the Free plan. You can subscribe again from the billing page at any time.`,
+      };
+  }
+}
+
+/**
+ * Send a dunning notice once per past-due episode
+ * @param {object} subscription - subscriptions row joined with email and
+ *   first_name
+ * @returns {Promise<boolean>} Whether a new notice was sent
+ */
+async function sendNotice(subscription, kind, pastDueSince, graceEndsAt) {
+  const [inserted] = await pool.execute(
+    `INSERT IGNORE INTO dunning_notices (subscription_id, user_id, kind, past_due_since)
+         VALUES (?, ?, ?, ?)`,
+    [subscription.id, subscription.user_id, kind, pastDueSince],
+  );
+  if (inserted.affectedRows === 0) return false;
+
+  const notice = noticeContent(kind, subscription, graceEndsAt);
+  let error = null;
+  if (NOTICE_URL) {
+    try {
+      await axios.post(
+        NOTICE_URL,
+        {
+          to: subscription.email,
+          kind,
+          ...notice,
+          plan: subscription.plan,
+          graceEndsAt,
+        },
+        { timeout: NOTICE_TIMEOUT_MS },
+      );
+    } catch (requestError) {
+      error = requestError.message;
+      console.error(
+        `⚠️ Failed to deliver ${kind} notice for subscription ${subscription.id}:`,
+        error,
+      );
+    }
+  } else {
+    console.log(
+      `📧 ${kind} notice for user ${subscription.user_id}: ${notice.subject}`,
+    );
+  }
+
+  await pool.execute(
+    `UPDATE dunning_notices SET subject = ?, delivered_at = IF(?, NOW(), NULL), error = ?
+         WHERE id = ?`,
+    [
+      notice.subject,
+      Boolean(NOTICE_URL) && !error,
+      error ? error.substring(0, 255) : null,
+      inserted.insertId,
+    ],
+  );
+  return true;
+}
+
+/**
+ * Back a subscription off after a failed lifecycle step
+ */
+async function recordFailure(subscription, error) {
+  try {
+    await pool.execute(
+      `UPDATE subscriptions
+           SET lifecycle_retry_at = NOW() + INTERVAL LEAST(1 << LEAST(lifecycle_failures, 5), 24) HOUR,
+               lifecycle_failures = lifecycle_failures + 1, lifecycle_error = ?,
+               updated_at = updated_at
+           WHERE id = ?`,
+      [String(error.message).substring(0, 255), subscription.id],
+    );
+  } catch (updateError) {
+    console.error(
+      `⚠️ Failed to back off subscription ${subscription.id}:`,
+      updateError.message,
+    );
+  }
+}
+
+/**
+ * Clear a subscription's backoff once a lifecycle step succeeds
+ */
+async function clearFailures(subscription) {
+  if (!subscription.lifecycle_failures) return;
+  await pool.execute(
+    `UPDATE subscriptions
+         SET lifecycle_failures = 0, lifecycle_retry_at = NULL, lifecycle_error = NULL,
+             updated_at = updated_at
+         WHERE id = ?`,
+    [subscription.id],
+  );
+}
+
+/**
+ * Provider state of a subscription, or null when the provider no longer
+ * knows it. Throws when the provider couldn't be asked.
+ */
+async function checkWithProvider(subscription) {
+  if (!subscription.provider_subscription_id) return null;
+  try {
+    return await fetchProviderState(subscription);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Move a subscription to past_due, starting its grace period
+ */
+async function markPastDue(subscription, change) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await transitionSubscription(connection, subscription, "past_due", change);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Check one subscription whose period ended without a renewal
+ * @returns {Promise<string>} renewed, pastDue or synced
+ */
+async function renewSubscription(subscription) {
+  const state = await checkWithProvider(subscription);
+
+  const live = state && LIVE_STATUSES.includes(state.status);
+  if (live && state.periodEnd && state.periodEnd > new Date()) {
+    await applyLifecycleState(subscription, state, {
+      reason: "renewal",
+      details: "Renewal confirmed with the provider",
+    });
+    return "renewed";
+  }
+  if (!state || live) {
+    await markPastDue(subscription, {
+      reason: "renewal_failed",
+      details: "Period ended without a renewal payment",
+    });
+    return "pastDue";
+  }
+  await applyLifecycleState(subscription, state, {
+    reason: "provider_sync",
+    details: `Provider reports the subscription ${state.status}`,
+  });
+  return "synced";
+}
+
+/**
+ * Check live subscriptions whose period ended without a renewal
+ */
+async function renewDueSubscriptions() {
+  const [due] = await pool.query(
+    `SELECT * FROM subscriptions
+         WHERE status IN ('active', 'trialing') AND cancel_at_period_end = FALSE
+         AND current_period_end < NOW() - INTERVAL ? HOUR
+         AND (lifecycle_retry_at IS NULL OR lifecycle_retry_at <= NOW())
+         ORDER BY current_period_end LIMIT ?`,
+    [RENEWAL_DELAY_HOURS, BATCH_SIZE],
+  );
+  const summary = { renewed: 0, pastDue: 0, synced: 0, errors: 0 };
+
+  for (const subscription of due) {
+    try {
+      summary[await renewSubscription(subscription)]++;
+      await clearFailures(subscription);
+    } catch (error) {
+      console.error(
+        `⚠️ Renewal check failed for subscription ${subscription.id}:`,
+        error.message,
+      );
+      await recordFailure(subscription, error);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * End a past_due subscription whose grace period ran out
+ */
+async function expireGracePeriod(subscription) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await transitionSubscription(connection, subscription, "canceled", {
+      reason: "grace_expired",
+      details: `Unpaid for ${GRACE_PERIOD_DAYS} days`,
+    });
+
+    // Only downgrade when this was the user's live subscription
+    if (
+      !(await hasOtherLiveSubscription(
+        connection,
+        subscription.user_id,
+        subscription.id,
+      ))
+    ) {
+      await changeUserPlan(connection, subscription.user_id, "free", {
+        reason: "grace_expired",
+        details: `Unpaid for ${GRACE_PERIOD_DAYS} days`,
+        subscriptionId: subscription.id,
+      });
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  // Stop the provider retrying the charge
+  try {
+    await cancelWithProvider(subscription);
+  } catch (error) {
+    console.error(
+      `⚠️ Failed to cancel ${subscription.provider} subscription ${subscription.provider_subscription_id}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Send the dunning notice due for a past_due subscription, or downgrade it
+ * once its grace period is over
+ * @returns {Promise<string|null>} noticesSent, recovered, downgraded, or
+ *   null when nothing was due
+ */
+async function settlePastDue(subscription) {
+  const since = new Date(
+    subscription.past_due_since || subscription.updated_at,
+  );
+  const graceEndsAt = new Date(since.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+
+  if (Date.now() < graceEndsAt.getTime()) {
+    const daysPastDue = (Date.now() - since.getTime()) / DAY_MS;
+    const step = [...DUNNING_SCHEDULE]
+      .reverse()
+      .find((entry) => daysPastDue >= entry.afterDays);
+    const sent = await sendNotice(subscription, step.kind, since, graceEndsAt);
+    return sent ? "noticesSent" : null;
+  }
+
+  // Last check: the payment may have gone through without a webhook
+  const state = await checkWithProvider(subscription);
+  if (
+    state &&
+    ["active", "trialing"].includes(state.status) &&
+    state.periodEnd &&
+    state.periodEnd > new Date()
+  ) {
+    await applyLifecycleState(subscription, state, {
+      reason: "renewal",
+      details: "Payment recovered during the grace period",
+    });
+    return "recovered";
+  }
+
+  await expireGracePeriod(subscription);
+  await sendNotice(subscription, "downgraded", since, graceEndsAt);
+  console.log(
+    `Downgraded user ${subscription.user_id} to free plan after the grace period`,
+  );
+  return "downgraded";
+}
+
+/**
+ * Send dunning notices for past_due subscriptions and downgrade the ones
+ * whose grace period is over
+ */
+async function processPastDueSubscriptions() {
+  const [pastDue] = await pool.query(
+    `SELECT s.*, u.email, u.first_name
+         FROM subscriptions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.status = 'past_due'
+         AND (s.lifecycle_retry_at IS NULL OR s.lifecycle_retry_at <= NOW())
+         ORDER BY s.past_due_since LIMIT ?`,
+    [BATCH_SIZE],
+  );
+  const summary = { noticesSent: 0, recovered: 0, downgraded: 0, errors: 0 };
+
+  for (const subscription of pastDue) {
+    try {
+      const outcome = await settlePastDue(subscription);
+      if (outcome) summary[outcome]++;
+      await clearFailures(subscription);
+    } catch (error) {
+      console.error(
+        `⚠️ Grace check failed for subscription ${subscription.id}:`,
+        error.message,
+      );
+      await recordFailure(subscription, error);
+      summary.errors++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Run every lifecycle step once
+ */
+async function runBillingLifecycle() {
+  const renewals = await renewDueSubscriptions();
+  const { processed: canceled } = await processExpiredSubscriptions();
+  const dunning = await processPastDueSubscriptions();
+
+  return { renewals, canceled, dunning };
+}
+
+module.exports = {
+  runBillingLifecycle,
+  renewDueSubscriptions,
+  processPastDueSubscriptions,
+};
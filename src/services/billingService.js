@@ -1,25 +1,57 @@
 /**
  * Billing Service
  *
- * Handles payment processing with Square and PayPal
+ * Handles payment processing with Square and PayPal: hosted checkout,
+ * cancellation, and the provider webhooks that move rows in
+ * `subscriptions` between active, past_due, paused and canceled. Webhook
+ * events are recorded in `billing_events` so a redelivered event is only
+ * applied once.
+ *
+ * A paid plan is only ever granted against a `checkout_sessions` row: one
+ * is created per checkout, expires after 30 minutes, and is completed
+ * exactly once, by the provider's webhook or by confirming the subscription
+ * with the provider when the buyer returns. Every change to users.plan goes
+ * through changeUserPlan and is recorded in `plan_changes`; every status
+ * change goes through transitionSubscription and is recorded in
+ * `subscription_transitions`.
+ *
+ * A failed payment starts a grace period of BILLING_GRACE_DAYS (default 7)
+ * days. Missed renewals, period-end cancellations, dunning notices and the
+ * downgrade when the grace period runs out are handled by the scheduled
+ * billing-lifecycle task (src/services/billingLifecycleService.js).
  *
  * Setup:
- * 1. Square: Get API credentials from https://developer.squareup.com
- * 2. PayPal: Get API credentials from https://developer.paypal.com
+ * 1. Square: Get API credentials from https://developer.squareup.com and
+ *    create a subscription plan variation per paid plan
+ * 2. PayPal: Get API credentials from https://developer.paypal.com and
+ *    create a billing plan per paid plan
+ * 3. Register /webhooks/square and /webhooks/paypal with each provider
  *
- * Add to .env:
- * SQUARE_ACCESS_TOKEN=your_square_access_token
- * SQUARE_LOCATION_ID=your_square_location_id
- * SQUARE_ENVIRONMENT=sandbox (or production)
+ * Credentials and webhook keys: see src/services/paymentProviders.js
  *
- * PAYPAL_CLIENT_ID=your_paypal_client_id
- * PAYPAL_CLIENT_SECRET=your_paypal_client_secret
- * PAYPAL_MODE=sandbox (or live)
+ * Plan IDs (.env):
+ * SQUARE_PRICE_STARTER / SQUARE_PRICE_PRO / SQUARE_PRICE_ENTERPRISE
+ *   Square subscription plan variation IDs
+ * PAYPAL_PLAN_STARTER / PAYPAL_PLAN_PRO / PAYPAL_PLAN_ENTERPRISE
+ *   PayPal billing plan IDs
  */
 
+const crypto = require("crypto");
 const { pool } = require("../config/database");
 const { getPlan, plans } = require("../config/plans");
-const { updateUserPlan } = require("./userService");
+const { changeUserPlan } = require("./userService");
+const providers = require("./paymentProviders");
+
+const CHECKOUT_TTL_MS = 30 * 60 * 1000;
+
+// Statuses in which the user keeps their paid plan
+const LIVE_STATUSES = ["active", "past_due", "trialing"];
+
+// Statuses a subscription never leaves; resubscribing starts a new one
+const TERMINAL_STATUSES = ["canceled"];
+
+// Days a past_due subscription keeps its plan before being downgraded
+const GRACE_PERIOD_DAYS = parseInt(process.env.BILLING_GRACE_DAYS) || 7;
 
 // Plan price IDs (you'll set these up in Square/PayPal)
 const PLAN_PRICES = {
@@ -36,126 +68,225 @@ const PLAN_PRICES = {
 };
 
 /**
- * Create a checkout session for Square
+ * Plan name for a provider's price / plan ID
  */
-async function createSquareCheckout(userId, planName, redirectUrl) {
-  const plan = getPlan(planName);
+function planForPrice(provider, priceId) {
+  const entry = Object.entries(PLAN_PRICES[provider] || {}).find(
+    ([, id]) => id === priceId,
+  );
+  return entry ? entry[0] : null;
+}
 
-  if (!plan || plan.price === 0) {
+/**
+ * Plan that can be bought through checkout
+ */
+function getCheckoutPlan(planName) {
+  const plan = getPlan(planName);
+  if (!plan || plan.price === 0 || !PLAN_PRICES.square[planName]) {
     throw new Error("Invalid plan for checkout");
   }
+  return plan;
+}
 
-  // In production, use Square SDK:
-  // const { Client, Environment } = require('square');
-  // const client = new Client({
-  //     accessToken: process.env.SQUARE_ACCESS_TOKEN,
-  //     environment: process.env.SQUARE_ENVIRONMENT === 'production'
-  //         ? Environment.Production
-  //         : Environment.Sandbox
-  // });
+/**
+ * Start a checkout session: a single-use record of what the user is buying,
+ * referenced from the provider's return URL
+ * @returns {Promise<object>} { id, redirectUrl }
+ */
+async function startCheckoutSession(userId, provider, planName, redirectUrl) {
+  const id = crypto.randomBytes(24).toString("hex");
+  await pool.execute(
+    `INSERT INTO checkout_sessions (id, user_id, provider, plan, status, expires_at)
+         VALUES (?, ?, ?, ?, 'pending', ?)`,
+    [id, userId, provider, planName, new Date(Date.now() + CHECKOUT_TTL_MS)],
+  );
+
+  const url = new URL(redirectUrl);
+  url.searchParams.set("session", id);
+  return { id, redirectUrl: url.href };
+}
+
+/**
+ * Attach the provider's checkout to a session, or cancel the session when
+ * the provider call failed
+ */
+async function finishCheckoutSession(sessionId, providerCheckout) {
+  if (!providerCheckout) {
+    await pool.execute(
+      "UPDATE checkout_sessions SET status = 'canceled' WHERE id = ?",
+      [sessionId],
+    );
+    return;
+  }
+  await pool.execute(
+    `UPDATE checkout_sessions SET provider_checkout_id = ?, provider_order_id = ?
+         WHERE id = ?`,
+    [providerCheckout.id, providerCheckout.orderId || null, sessionId],
+  );
+}
+
+/**
+ * Create a checkout session for Square: a hosted payment link that signs
+ * the buyer up for the plan's subscription plan variation. The subscription
+ * reaches us through the subscription.created webhook and is matched to the
+ * session by the payment link's order (provider_order_id), which Square
+ * bills as the subscription's first invoice.
+ */
+async function createSquareCheckout(userId, planName, redirectUrl) {
+  const plan = getCheckoutPlan(planName);
+  const [users] = await pool.execute("SELECT email FROM users WHERE id = ?", [
+    userId,
+  ]);
+  const session = await startCheckoutSession(
+    userId,
+    "square",
+    planName,
+    redirectUrl,
+  );
 
-  // For now, return a placeholder checkout URL
-  // Replace this with actual Square Checkout API integration
+  let link;
+  try {
+    link = await providers.createSquarePaymentLink({
+      planVariationId: PLAN_PRICES.square[planName],
+      name: `${plan.name} plan`,
+      amountCents: Math.round(plan.price * 100),
+      buyerEmail: users.length > 0 ? users[0].email : null,
+      redirectUrl: session.redirectUrl,
+      idempotencyKey: session.id,
+    });
+  } finally {
+    await finishCheckoutSession(session.id, link);
+  }
 
-  const checkoutData = {
+  return {
     provider: "square",
     planName,
     price: plan.price,
     userId,
-    // This would be the actual checkout URL from Square
-    checkoutUrl: `/billing/square/checkout?plan=${planName}&user=${userId}`,
-    expiresAt: new Date(Date.now() + 30 * 60 * 1000), // 30 min expiry
+    sessionId: session.id,
+    checkoutId: link.id,
+    checkoutUrl: link.url,
+    expiresAt: new Date(Date.now() + CHECKOUT_TTL_MS),
   };
-
-  return checkoutData;
 }
 
 /**
- * Create a checkout session for PayPal
+ * Create a checkout session for PayPal: a subscription awaiting the buyer's
+ * approval. custom_id carries our user ID through to the webhooks.
  */
 async function createPayPalCheckout(userId, planName, redirectUrl) {
-  const plan = getPlan(planName);
+  const plan = getCheckoutPlan(planName);
+  const session = await startCheckoutSession(
+    userId,
+    "paypal",
+    planName,
+    redirectUrl,
+  );
 
-  if (!plan || plan.price === 0) {
-    throw new Error("Invalid plan for checkout");
+  let subscription;
+  try {
+    subscription = await providers.createPayPalSubscription({
+      planId: PLAN_PRICES.paypal[planName],
+      customId: String(userId),
+      returnUrl: session.redirectUrl,
+      cancelUrl: new URL("/billing", redirectUrl).href,
+      requestId: session.id,
+    });
+  } finally {
+    await finishCheckoutSession(session.id, subscription);
   }
 
-  // In production, use PayPal SDK:
-  // const paypal = require('@paypal/checkout-server-sdk');
-  // const environment = process.env.PAYPAL_MODE === 'live'
-  //     ? new paypal.core.LiveEnvironment(clientId, clientSecret)
-  //     : new paypal.core.SandboxEnvironment(clientId, clientSecret);
-  // const client = new paypal.core.PayPalHttpClient(environment);
-
-  // For now, return a placeholder checkout URL
-  const checkoutData = {
+  return {
     provider: "paypal",
     planName,
     price: plan.price,
     userId,
-    checkoutUrl: `/billing/paypal/checkout?plan=${planName}&user=${userId}`,
-    expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    sessionId: session.id,
+    checkoutId: subscription.id,
+    checkoutUrl: subscription.approveUrl,
+    expiresAt: new Date(Date.now() + CHECKOUT_TTL_MS),
   };
-
-  return checkoutData;
 }
 
 /**
- * Process successful payment and activate subscription
+ * Confirm a checkout when the buyer returns from the provider. Only the
+ * user's own pending, unexpired session can activate a plan, and only once
+ * the provider reports the subscription as active; otherwise the webhook
+ * completes it later.
+ * @returns {Promise<object>} { status: completed|pending|expired|invalid, plan }
  */
-async function activateSubscription(
-  userId,
-  provider,
-  subscriptionId,
-  planName,
-) {
-  const connection = await pool.getConnection();
-
-  try {
-    await connection.beginTransaction();
+async function confirmCheckout(userId, sessionId) {
+  const [sessions] = await pool.execute(
+    "SELECT * FROM checkout_sessions WHERE id = ? AND user_id = ?",
+    [String(sessionId || ""), userId],
+  );
+  const session = sessions[0];
+  if (!session) return { status: "invalid", plan: null };
+  if (session.status === "completed") {
+    return { status: "completed", plan: session.plan };
+  }
+  if (
+    session.status !== "pending" ||
+    new Date(session.expires_at) < new Date()
+  ) {
+    return { status: "expired", plan: session.plan };
+  }
 
-    // Deactivate any existing subscriptions
-    await connection.execute(
-      `UPDATE subscriptions SET status = 'canceled' WHERE user_id = ? AND status = 'active'`,
-      [userId],
-    );
+  // Square only confirms through the subscription.created webhook
+  if (session.provider !== "paypal" || !session.provider_checkout_id) {
+    return { status: "pending", plan: session.plan };
+  }
 
-    // Calculate period dates
-    const now = new Date();
-    const periodEnd = new Date(now);
-    periodEnd.setMonth(periodEnd.getMonth() + 1);
+  const state = paypalSubscriptionState(
+    await providers.getPayPalSubscription(session.provider_checkout_id),
+  );
+  if (!state || state.status !== "active" || state.userId !== userId) {
+    return { status: "pending", plan: session.plan };
+  }
 
-    // Create new subscription record
-    await connection.execute(
-      `INSERT INTO subscriptions 
-             (user_id, provider, provider_subscription_id, plan, status, current_period_start, current_period_end)
-             VALUES (?, ?, ?, ?, 'active', ?, ?)`,
-      [userId, provider, subscriptionId, planName, now, periodEnd],
+  const connection = await pool.getConnection();
+  let result;
+  try {
+    await connection.beginTransaction();
+    result = await applySubscriptionState(
+      connection,
+      { provider: "paypal", ...state },
+      { reason: "checkout", details: "Confirmed on return from PayPal" },
     );
-
-    // Update user's plan
-    await connection.execute("UPDATE users SET plan = ? WHERE id = ?", [
-      planName,
-      userId,
-    ]);
-
     await connection.commit();
-
-    return {
-      success: true,
-      plan: planName,
-      periodEnd,
-    };
   } catch (error) {
     await connection.rollback();
     throw error;
   } finally {
     connection.release();
   }
+
+  await cancelReplaced(result.replaced);
+  return {
+    status: result.subscriptionId ? "completed" : "pending",
+    plan: state.plan,
+  };
 }
 
 /**
- * Cancel a subscription
+ * Cancel a provider subscription (no further charges)
+ */
+async function cancelWithProvider(subscription) {
+  if (!subscription.provider_subscription_id) return;
+  if (subscription.provider === "square") {
+    await providers.cancelSquareSubscription(
+      subscription.provider_subscription_id,
+    );
+  } else if (subscription.provider === "paypal") {
+    await providers.cancelPayPalSubscription(
+      subscription.provider_subscription_id,
+    );
+  }
+}
+
+/**
+ * Cancel a subscription. The provider stops charging now; the plan stays
+ * until the end of the paid period.
  */
 async function cancelSubscription(userId) {
   const connection = await pool.getConnection();
@@ -163,7 +294,8 @@ async function cancelSubscription(userId) {
   try {
     // Get active subscription
     const [subs] = await connection.execute(
-      `SELECT * FROM subscriptions WHERE user_id = ? AND status = 'active'`,
+      `SELECT * FROM subscriptions WHERE user_id = ? AND status IN ('active', 'past_due')
+             ORDER BY created_at DESC LIMIT 1`,
       [userId],
     );
 
@@ -173,16 +305,14 @@ async function cancelSubscription(userId) {
 
     const subscription = subs[0];
 
+    await cancelWithProvider(subscription);
+
     // Mark for cancellation at period end
     await connection.execute(
       `UPDATE subscriptions SET cancel_at_period_end = TRUE WHERE id = ?`,
       [subscription.id],
     );
 
-    // In production, also cancel with the payment provider:
-    // if (subscription.provider === 'square') { /* Cancel with Square */ }
-    // if (subscription.provider === 'paypal') { /* Cancel with PayPal */ }
-
     return {
       success: true,
       message: "Subscription will be canceled at the end of the billing period",
@@ -218,6 +348,13 @@ async function getSubscription(userId) {
       currentPeriodStart: sub.current_period_start,
       currentPeriodEnd: sub.current_period_end,
       cancelAtPeriodEnd: sub.cancel_at_period_end,
+      pastDueSince: sub.past_due_since || null,
+      graceEndsAt: sub.past_due_since
+        ? new Date(
+            new Date(sub.past_due_since).getTime() +
+              GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000,
+          )
+        : null,
       createdAt: sub.created_at,
     };
   } finally {
@@ -226,70 +363,498 @@ async function getSubscription(userId) {
 }
 
 /**
- * Handle webhook from Square
+ * Move a subscription to a new status and record the transition. Entering
+ * past_due starts the grace period (past_due_since); leaving it ends it.
+ * @param {object} connection - Connection inside a transaction
+ * @param {object} subscription - subscriptions row (its current status)
+ * @param {string} toStatus
+ * @param {object} [change] - { reason, details, billingEventId }
+ * @returns {Promise<boolean>} Whether the status changed
+ */
+async function transitionSubscription(
+  connection,
+  subscription,
+  toStatus,
+  change = {},
+) {
+  const fromStatus = subscription.status || null;
+  if (fromStatus === toStatus) return false;
+  // A late event can't bring back a subscription that already ended
+  if (TERMINAL_STATUSES.includes(fromStatus)) return false;
+
+  await connection.execute(
+    `UPDATE subscriptions
+         SET status = ?, past_due_since = IF(? = 'past_due', COALESCE(past_due_since, NOW()), NULL)
+         WHERE id = ?`,
+    [toStatus, toStatus, subscription.id],
+  );
+  await connection.execute(
+    `INSERT INTO subscription_transitions
+         (subscription_id, user_id, from_status, to_status, reason, details, billing_event_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      subscription.id,
+      subscription.user_id,
+      fromStatus,
+      toStatus,
+      change.reason || "manual",
+      change.details || null,
+      change.billingEventId || null,
+    ],
+  );
+  return true;
+}
+
+/**
+ * Whether the user has a live subscription other than this one, in which
+ * case ending this one must not downgrade them
+ */
+async function hasOtherLiveSubscription(connection, userId, subscriptionId) {
+  const [live] = await connection.execute(
+    `SELECT id FROM subscriptions WHERE user_id = ? AND id <> ? AND status IN ('active', 'past_due', 'trialing')`,
+    [userId, subscriptionId],
+  );
+  return live.length > 0;
+}
+
+/**
+ * Whether a provider event has already been processed
+ */
+async function isEventProcessed(provider, eventId) {
+  const [rows] = await pool.execute(
+    "SELECT id FROM billing_events WHERE provider = ? AND event_id = ?",
+    [provider, eventId],
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Pending checkout session that a new provider subscription completes.
+ * PayPal subscriptions are created at checkout, so they match by ID; Square
+ * ones match by the payment link's order. Sessions still pending past their
+ * expiry are accepted here: the provider has taken the payment.
+ */
+async function findCheckoutSession(connection, state) {
+  if (state.provider === "paypal") {
+    const [sessions] = await connection.execute(
+      `SELECT * FROM checkout_sessions
+           WHERE provider = 'paypal' AND provider_checkout_id = ? AND status = 'pending'
+           FOR UPDATE`,
+      [state.providerSubscriptionId],
+    );
+    return sessions[0] || null;
+  }
+
+  if (!state.orderId) return null;
+  const [sessions] = await connection.execute(
+    `SELECT * FROM checkout_sessions
+         WHERE provider = 'square' AND provider_order_id = ? AND status = 'pending'
+         FOR UPDATE`,
+    [state.orderId],
+  );
+  return sessions[0] || null;
+}
+
+/**
+ * Move a provider subscription into a new state and keep the user's plan in
+ * step with it. A subscription we haven't seen yet is only created when it
+ * is live and completes one of the user's pending checkout sessions; it
+ * replaces the user's other live subscriptions. A live subscription that
+ * matches no session throws, so the provider redelivers the event (the
+ * session may not be recorded yet) instead of it being consumed.
+ *
+ * @param {object} connection - Connection inside a transaction
+ * @param {object} state - { provider, providerSubscriptionId,
+ *   providerCustomerId, userId, orderId, plan, status, periodEnd,
+ *   cancelAtPeriodEnd } where status is one of active, past_due, paused,
+ *   canceled. userId (PayPal) or orderId (Square) ties a new subscription to
+ *   its checkout session. A cancellation with paid time left only sets
+ *   cancel_at_period_end; anything after the cancellation is ignored.
+ * @param {object} [change] - { reason, details, billingEventId } for the
+ *   plan_changes audit trail
+ * @returns {Promise<object>} { subscriptionId, replaced[] } - replaced
+ *   subscriptions still need canceling with their provider
+ */
+async function applySubscriptionState(connection, state, change = {}) {
+  const [rows] = await connection.execute(
+    `SELECT * FROM subscriptions WHERE provider = ? AND provider_subscription_id = ?
+         ORDER BY id DESC LIMIT 1 FOR UPDATE`,
+    [state.provider, state.providerSubscriptionId],
+  );
+  const existing = rows[0];
+  const replaced = [];
+
+  // Events arriving after the cancellation (a failed retry charge, a stale
+  // update) must not revive the subscription or re-upgrade the user
+  if (existing && TERMINAL_STATUSES.includes(existing.status)) {
+    return { subscriptionId: existing.id, replaced };
+  }
+  const periodEnd =
+    state.periodEnd || (existing ? existing.current_period_end : null);
+
+  let status = state.status;
+  let cancelAtPeriodEnd = Boolean(state.cancelAtPeriodEnd);
+  if (
+    status === "canceled" &&
+    periodEnd &&
+    new Date(periodEnd) > new Date() &&
+    existing &&
+    LIVE_STATUSES.includes(existing.status)
+  ) {
+    // Paid through the end of the period; processExpiredSubscriptions
+    // downgrades the user then
+    status = existing.status;
+    cancelAtPeriodEnd = true;
+  }
+
+  let subscriptionId;
+  let userId;
+  let plan;
+  let session = null;
+  if (existing) {
+    subscriptionId = existing.id;
+    userId = existing.user_id;
+    plan = state.plan || existing.plan;
+    await connection.execute(
+      `UPDATE subscriptions
+             SET plan = ?, cancel_at_period_end = ?,
+                 provider_customer_id = COALESCE(?, provider_customer_id),
+                 current_period_start = IF(? > current_period_end, current_period_end, current_period_start),
+                 current_period_end = ?
+             WHERE id = ?`,
+      [
+        plan,
+        cancelAtPeriodEnd,
+        state.providerCustomerId || null,
+        periodEnd,
+        periodEnd,
+        existing.id,
+      ],
+    );
+  } else {
+    // Status-only updates (a failed charge) don't start a subscription
+    if (!state.plan || !LIVE_STATUSES.includes(status)) {
+      return { subscriptionId: null, replaced };
+    }
+
+    session = await findCheckoutSession(connection, state);
+    if (
+      !session ||
+      session.plan !== state.plan ||
+      (state.userId && session.user_id !== state.userId)
+    ) {
+      throw new Error(
+        `No checkout session for ${state.provider} subscription ${state.providerSubscriptionId}`,
+      );
+    }
+    userId = session.user_id;
+    plan = state.plan;
+
+    const [others] = await connection.execute(
+      `SELECT * FROM subscriptions WHERE user_id = ? AND status IN ('active', 'past_due', 'trialing', 'paused')`,
+      [userId],
+    );
+    for (const other of others) {
+      await transitionSubscription(connection, other, "canceled", {
+        reason: "replaced",
+        details: `Replaced by a new ${state.provider} checkout`,
+      });
+      replaced.push(other);
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO subscriptions
+             (user_id, provider, provider_subscription_id, provider_customer_id, plan, status,
+              current_period_start, current_period_end, cancel_at_period_end)
+             VALUES (?, ?, ?, ?, ?, ?, NOW(), ?, ?)`,
+      [
+        userId,
+        state.provider,
+        state.providerSubscriptionId,
+        state.providerCustomerId || null,
+        plan,
+        status,
+        periodEnd,
+        cancelAtPeriodEnd,
+      ],
+    );
+    subscriptionId = result.insertId;
+    await transitionSubscription(
+      connection,
+      { id: subscriptionId, user_id: userId, status: null },
+      status,
+      { reason: "checkout", details: change.details },
+    );
+
+    // Single use: a completed session can't activate anything else
+    await connection.execute(
+      `UPDATE checkout_sessions SET status = 'completed', completed_at = NOW(), subscription_id = ?
+           WHERE id = ?`,
+      [subscriptionId, session.id],
+    );
+  }
+
+  const audit = {
+    reason: change.reason || (session ? "checkout" : "subscription_update"),
+    details: change.details || `${state.provider} subscription ${status}`,
+    subscriptionId,
+    checkoutSessionId: session ? session.id : null,
+    billingEventId: change.billingEventId,
+  };
+  if (existing) {
+    await transitionSubscription(connection, existing, status, audit);
+  }
+  if (LIVE_STATUSES.includes(status)) {
+    await changeUserPlan(connection, userId, plan, audit);
+  } else if (
+    !(await hasOtherLiveSubscription(connection, userId, subscriptionId))
+  ) {
+    await changeUserPlan(connection, userId, "free", audit);
+  }
+
+  return { subscriptionId, replaced };
+}
+
+/**
+ * Stop the provider billing subscriptions that a new checkout replaced
+ */
+async function cancelReplaced(replaced) {
+  for (const subscription of replaced) {
+    try {
+      await cancelWithProvider(subscription);
+    } catch (error) {
+      console.error(
+        `Failed to cancel replaced ${subscription.provider} subscription ${subscription.provider_subscription_id}:`,
+        error.message,
+      );
+    }
+  }
+}
+
+/**
+ * Record a provider event and apply its subscription state in one
+ * transaction. A redelivered event is skipped.
+ */
+async function processBillingEvent(provider, event, eventId, eventType, state) {
+  const connection = await pool.getConnection();
+  let replaced = [];
+
+  try {
+    await connection.beginTransaction();
+
+    const [inserted] = await connection.execute(
+      `INSERT IGNORE INTO billing_events (provider, event_id, event_type, payload)
+             VALUES (?, ?, ?, ?)`,
+      [provider, eventId, eventType, JSON.stringify(event)],
+    );
+    if (inserted.affectedRows === 0) {
+      await connection.rollback();
+      return { received: true, duplicate: true };
+    }
+
+    let subscriptionId = null;
+    if (state) {
+      ({ subscriptionId, replaced } = await applySubscriptionState(
+        connection,
+        { provider, ...state },
+        { details: eventType, billingEventId: inserted.insertId },
+      ));
+      await connection.execute(
+        "UPDATE billing_events SET subscription_id = ? WHERE id = ?",
+        [subscriptionId, inserted.insertId],
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await cancelReplaced(replaced);
+  return { received: true, duplicate: false };
+}
+
+/**
+ * Subscription state from a Square subscription object. Square
+ * subscriptions only know the customer, so one we haven't stored yet is
+ * tied to its checkout by the order its first invoice bills.
+ */
+async function squareSubscriptionState(subscription) {
+  const statuses = {
+    ACTIVE: "active",
+    PAUSED: "paused",
+    CANCELED: "canceled",
+    DEACTIVATED: "canceled",
+  };
+  const status = statuses[subscription.status];
+  if (!status) return null; // PENDING: not started yet
+
+  let orderId = null;
+  const invoiceIds = subscription.invoice_ids || [];
+  if (invoiceIds.length > 0) {
+    const [known] = await pool.execute(
+      "SELECT id FROM subscriptions WHERE provider = 'square' AND provider_subscription_id = ?",
+      [subscription.id],
+    );
+    if (known.length === 0) {
+      // Newest invoice first
+      const invoice = await providers.getSquareInvoice(
+        invoiceIds[invoiceIds.length - 1],
+      );
+      orderId = invoice ? invoice.order_id || null : null;
+    }
+  }
+
+  return {
+    providerSubscriptionId: subscription.id,
+    providerCustomerId: subscription.customer_id || null,
+    orderId,
+    plan: planForPrice("square", subscription.plan_variation_id),
+    status,
+    periodEnd: subscription.charged_through_date
+      ? new Date(subscription.charged_through_date)
+      : null,
+    // Square keeps a pending cancellation ACTIVE with a canceled_date
+    cancelAtPeriodEnd:
+      status === "active" && Boolean(subscription.canceled_date),
+  };
+}
+
+/**
+ * Handle webhook from Square (signature already verified)
  */
 async function handleSquareWebhook(event) {
   const eventType = event.type;
-  const data = event.data?.object;
+  const data = event.data?.object || {};
 
+  if (!event.event_id) {
+    throw new Error("Square event has no event_id");
+  }
+  if (await isEventProcessed("square", event.event_id)) {
+    return { received: true, duplicate: true };
+  }
+
+  let state = null;
   switch (eventType) {
     case "subscription.created":
     case "subscription.updated":
-      // Handle subscription updates
-      console.log("Square subscription event:", eventType);
+      if (data.subscription) {
+        state = await squareSubscriptionState(data.subscription);
+      }
       break;
 
-    case "subscription.canceled":
-      // Handle cancellation
-      console.log("Square subscription canceled");
+    case "invoice.payment_made":
+      // Renewal paid: pick up the new charged-through date
+      if (data.invoice?.subscription_id) {
+        state = await squareSubscriptionState(
+          await providers.getSquareSubscription(data.invoice.subscription_id),
+        );
+      }
       break;
 
-    case "payment.completed":
-      // Handle successful payment
-      console.log("Square payment completed");
-      break;
-
-    case "payment.failed":
-      // Handle failed payment
-      console.log("Square payment failed");
+    case "invoice.scheduled_charge_failed":
+      if (data.invoice?.subscription_id) {
+        state = {
+          providerSubscriptionId: data.invoice.subscription_id,
+          status: "past_due",
+        };
+      }
       break;
   }
 
-  return { received: true };
+  return processBillingEvent("square", event, event.event_id, eventType, state);
 }
 
 /**
- * Handle webhook from PayPal
+ * Subscription state from a PayPal subscription resource
+ */
+function paypalSubscriptionState(subscription) {
+  const statuses = {
+    ACTIVE: "active",
+    SUSPENDED: "paused",
+    CANCELLED: "canceled",
+    EXPIRED: "canceled",
+  };
+  let status = statuses[subscription.status];
+  if (!status) return null; // APPROVAL_PENDING / APPROVED: not started yet
+
+  // Still in a trial billing cycle
+  const inTrial = (subscription.billing_info?.cycle_executions || []).some(
+    (cycle) => cycle.tenure_type === "TRIAL" && cycle.cycles_remaining > 0,
+  );
+  if (status === "active" && inTrial) status = "trialing";
+
+  const nextBilling = subscription.billing_info?.next_billing_time;
+  return {
+    providerSubscriptionId: subscription.id,
+    providerCustomerId: subscription.subscriber?.payer_id || null,
+    userId: parseInt(subscription.custom_id) || null,
+    plan: planForPrice("paypal", subscription.plan_id),
+    status,
+    periodEnd: nextBilling ? new Date(nextBilling) : null,
+  };
+}
+
+/**
+ * Handle webhook from PayPal (signature already verified)
  */
 async function handlePayPalWebhook(event) {
   const eventType = event.event_type;
-  const resource = event.resource;
+  const resource = event.resource || {};
+
+  if (!event.id) {
+    throw new Error("PayPal event has no id");
+  }
+  if (await isEventProcessed("paypal", event.id)) {
+    return { received: true, duplicate: true };
+  }
 
+  let state = null;
   switch (eventType) {
-    case "BILLING.SUBSCRIPTION.CREATED":
     case "BILLING.SUBSCRIPTION.ACTIVATED":
-      console.log("PayPal subscription activated");
-      break;
-
+    case "BILLING.SUBSCRIPTION.RE-ACTIVATED":
+    case "BILLING.SUBSCRIPTION.UPDATED":
     case "BILLING.SUBSCRIPTION.CANCELLED":
     case "BILLING.SUBSCRIPTION.SUSPENDED":
-      console.log("PayPal subscription canceled/suspended");
+    case "BILLING.SUBSCRIPTION.EXPIRED":
+      state = paypalSubscriptionState(resource);
+      break;
+
+    case "BILLING.SUBSCRIPTION.PAYMENT.FAILED":
+      state = { providerSubscriptionId: resource.id, status: "past_due" };
       break;
 
     case "PAYMENT.SALE.COMPLETED":
-      console.log("PayPal payment completed");
+      // Renewal paid: pick up the next billing time
+      if (resource.billing_agreement_id) {
+        state = paypalSubscriptionState(
+          await providers.getPayPalSubscription(resource.billing_agreement_id),
+        );
+      }
       break;
 
     case "PAYMENT.SALE.DENIED":
-      console.log("PayPal payment denied");
+      if (resource.billing_agreement_id) {
+        state = {
+          providerSubscriptionId: resource.billing_agreement_id,
+          status: "past_due",
+        };
+      }
       break;
   }
 
-  return { received: true };
+  return processBillingEvent("paypal", event, event.id, eventType, state);
 }
 
 /**
- * Downgrade expired subscriptions (run this as a cron job)
+ * Cancel subscriptions marked for cancellation whose period has ended and
+ * downgrade their users unless they have another live subscription (run by
+ * the billing-lifecycle task). A row that fails is logged and retried on the
+ * next run.
+ * @returns {Promise<object>} { processed, errors }
  */
 async function processExpiredSubscriptions() {
   const connection = await pool.getConnection();
@@ -297,44 +862,129 @@ async function processExpiredSubscriptions() {
   try {
     // Find subscriptions that have ended and are marked for cancellation
     const [expired] = await connection.execute(
-      `SELECT s.*, u.email 
+      `SELECT s.*
              FROM subscriptions s
-             JOIN users u ON s.user_id = u.id
-             WHERE s.cancel_at_period_end = TRUE 
+             WHERE s.cancel_at_period_end = TRUE
              AND s.current_period_end < NOW()
-             AND s.status = 'active'`,
+             AND s.status IN ('active', 'past_due', 'trialing')`,
     );
 
+    let processed = 0;
+    let errors = 0;
     for (const sub of expired) {
-      // Downgrade to free plan
-      await connection.execute("UPDATE users SET plan = ? WHERE id = ?", [
-        "free",
-        sub.user_id,
-      ]);
+      let downgraded = false;
+      try {
+        await connection.beginTransaction();
+        await transitionSubscription(connection, sub, "canceled", {
+          reason: "period_end",
+          details: "Canceled subscription reached the end of its period",
+        });
+
+        // Downgrade to free plan
+        if (
+          !(await hasOtherLiveSubscription(connection, sub.user_id, sub.id))
+        ) {
+          downgraded = await changeUserPlan(connection, sub.user_id, "free", {
+            reason: "period_end",
+            details: "Canceled subscription reached the end of its period",
+            subscriptionId: sub.id,
+          });
+        }
+
+        await connection.commit();
+        processed++;
+      } catch (error) {
+        await connection.rollback();
+        console.error(
+          `⚠️ Failed to end subscription ${sub.id} at period end:`,
+          error.message,
+        );
+        errors++;
+        continue;
+      }
+
+      if (downgraded) {
+        console.log(`Downgraded user ${sub.user_id} to free plan`);
+      }
+    }
 
-      // Mark subscription as canceled
-      await connection.execute(
-        `UPDATE subscriptions SET status = 'canceled' WHERE id = ?`,
-        [sub.id],
-      );
+    return { processed, errors };
+  } finally {
+    connection.release();
+  }
+}
 
-      console.log(`Downgraded user ${sub.user_id} to free plan`);
-    }
+/**
+ * Current state of a subscription according to its provider
+ * @returns {Promise<object|null>} Subscription state, or null when the
+ *   provider has nothing we act on
+ */
+async function fetchProviderState(subscription) {
+  if (subscription.provider === "square") {
+    return squareSubscriptionState(
+      await providers.getSquareSubscription(
+        subscription.provider_subscription_id,
+      ),
+    );
+  }
+  if (subscription.provider === "paypal") {
+    return paypalSubscriptionState(
+      await providers.getPayPalSubscription(
+        subscription.provider_subscription_id,
+      ),
+    );
+  }
+  return null;
+}
 
-    return { processed: expired.length };
+/**
+ * Apply a state to one of our subscriptions outside of a webhook (renewal
+ * checks, grace expiry)
+ * @returns {Promise<object>} The subscriptions row afterwards
+ */
+async function applyLifecycleState(subscription, state, change) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await applySubscriptionState(
+      connection,
+      {
+        provider: subscription.provider,
+        providerSubscriptionId: subscription.provider_subscription_id,
+        ...state,
+      },
+      change,
+    );
+    const [rows] = await connection.execute(
+      "SELECT * FROM subscriptions WHERE id = ?",
+      [subscription.id],
+    );
+    await connection.commit();
+    return rows[0];
+  } catch (error) {
+    await connection.rollback();
+    throw error;
   } finally {
     connection.release();
   }
 }
 
 module.exports = {
+  planForPrice,
   createSquareCheckout,
   createPayPalCheckout,
-  activateSubscription,
+  confirmCheckout,
   cancelSubscription,
   getSubscription,
   handleSquareWebhook,
   handlePayPalWebhook,
   processExpiredSubscriptions,
+  transitionSubscription,
+  hasOtherLiveSubscription,
+  fetchProviderState,
+  applyLifecycleState,
+  cancelWithProvider,
   PLAN_PRICES,
+  GRACE_PERIOD_DAYS,
 };
@@ -0,0 +1,607 @@
+/**
+ * Company Service
+ *
+ * Companies as entities: each has a canonical name, a profile (domain,
+ * logo, HQ, industry) and the aliases jobs list it under, so "Booz Allen
+ * Hamilton", "Booz Allen" and "BAH" all resolve to one company_id. Ingest
+ * resolves every job through company_aliases and creates a company the
+ * first time an unknown name shows up.
+ *
+ * Companies whose name marks them as a staffing agency are flagged when
+ * created (an admin can correct the flag), and users can block companies
+ * so their jobs are hidden from them.
+ */
+
+const { pool } = require("../config/database");
+const { normalizeCompany } = require("../utils/jobIdentity");
+const { formatSkill } = require("../utils/skillExtractor");
+const { isAgencyName, classifyAgency } = require("../utils/agencyDetector");
+const { KNOWN_COMPANIES } = require("../config/companies");
+
+const TREND_WEEKS = 12;
+
+// Placeholders that don't name an employer
+const PLACEHOLDER_KEYS = new Set([
+  "",
+  "unknown",
+  "unknown company",
+  "confidential",
+  "company confidential",
+  "n a",
+  "not listed",
+]);
+
+const PROFILE_FIELDS = {
+  name: { column: "name", max: 255 },
+  domain: { column: "domain", max: 255 },
+  logoUrl: { column: "logo_url", max: 2000 },
+  hqLocation: { column: "hq_location", max: 255 },
+  industry: { column: "industry", max: 100 },
+};
+
+/**
+ * Alias lookup key: normalizeCompany() without a leading "The"
+ * @returns {string|null} null for placeholders like "Unknown Company"
+ */
+function companyKey(name) {
+  const key = normalizeCompany(name).replace(/^the\s+/, "");
+  return PLACEHOLDER_KEYS.has(key) ? null : key;
+}
+
+const cleanList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter((item) => item);
+
+/**
+ * Format a companies row for callers
+ */
+function formatCompany(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    domain: row.domain || null,
+    logoUrl: row.logo_url || null,
+    hqLocation: row.hq_location || null,
+    industry: row.industry || null,
+    isStaffingAgency: Boolean(row.is_staffing_agency),
+    ...(row.aliases ? { aliases: row.aliases } : {}),
+    ...(row.active_jobs !== undefined
+      ? { activeJobs: Number(row.active_jobs) }
+      : {}),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validate and normalize profile input
+ * @param {object} input - Request body
+ * @returns {{ values: object, errors: string[] }}
+ */
+function validateCompany(input) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, { max }] of Object.entries(PROFILE_FIELDS)) {
+    if (input[key] === undefined) continue;
+    const value =
+      input[key] === null ? null : String(input[key]).trim() || null;
+    if (key === "name" && !value) {
+      errors.push("name cannot be empty");
+    } else if (value && value.length > max) {
+      errors.push(`${key} must be at most ${max} characters`);
+    } else {
+      values[key] = value;
+    }
+  }
+
+  if (values.domain) {
+    values.domain = values.domain
+      .toLowerCase()
+      .replace(/^https?:\/\//, "")
+      .replace(/^www\./, "")
+      .replace(/\/.*$/, "");
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(values.domain)) {
+      errors.push("domain must be a hostname, e.g. example.com");
+    }
+  }
+
+  if (values.logoUrl && !/^https?:\/\/\S+$/i.test(values.logoUrl)) {
+    errors.push("logoUrl must be an http(s) URL");
+  }
+
+  if (input.isStaffingAgency !== undefined) {
+    if (typeof input.isStaffingAgency !== "boolean") {
+      errors.push("isStaffingAgency must be true or false");
+    } else {
+      values.isStaffingAgency = input.isStaffingAgency;
+    }
+  }
+
+  if (input.aliases !== undefined) {
+    values.aliases = cleanList(input.aliases);
+    const invalid = values.aliases.filter((alias) => !companyKey(alias));
+    if (invalid.length > 0) {
+      errors.push(`Invalid aliases: ${invalid.join(", ")}`);
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Company for a name as listed on a job, creating it on first sight
+ * @param {object} db - Pool or connection (so ingest can resolve inside its own connection)
+ * @param {string} name - Company name from the source
+ * @returns {Promise<{ id: number, isStaffingAgency: boolean }|null>} null
+ *   for placeholders like "Unknown Company"
+ */
+async function resolveCompany(db, name) {
+  const key = companyKey(name);
+  if (!key) return null;
+
+  const findByKey = async () => {
+    const [rows] = await db.execute(
+      `SELECT c.id, c.is_staffing_agency FROM company_aliases a
+           JOIN companies c ON c.id = a.company_id
+           WHERE a.alias_key = ?`,
+      [key],
+    );
+    return rows.length > 0
+      ? {
+          id: rows[0].id,
+          isStaffingAgency: Boolean(rows[0].is_staffing_agency),
+        }
+      : null;
+  };
+
+  const existing = await findByKey();
+  if (existing) return existing;
+
+  const displayName = String(name).trim().substring(0, 255);
+  const isStaffingAgency = isAgencyName(displayName);
+  const [result] = await db.execute(
+    "INSERT INTO companies (name, is_staffing_agency) VALUES (?, ?)",
+    [displayName, isStaffingAgency],
+  );
+  try {
+    await db.execute(
+      "INSERT INTO company_aliases (alias_key, alias, company_id) VALUES (?, ?, ?)",
+      [key, displayName, result.insertId],
+    );
+    return { id: result.insertId, isStaffingAgency };
+  } catch (error) {
+    // Another ingest created it first
+    if (error.code !== "ER_DUP_ENTRY") throw error;
+    await db.execute("DELETE FROM companies WHERE id = ?", [result.insertId]);
+    return findByKey();
+  }
+}
+
+/**
+ * Re-classify a company's jobs as agency postings after its flag changed
+ * @returns {Promise<number>} Jobs whose is_agency changed
+ */
+async function refreshAgencyJobs(db, companyId) {
+  const [[company]] = await db.execute(
+    "SELECT is_staffing_agency FROM companies WHERE id = ?",
+    [companyId],
+  );
+  if (!company) return 0;
+
+  const [jobs] = await db.execute(
+    "SELECT id, title, description, is_agency FROM jobs WHERE company_id = ?",
+    [companyId],
+  );
+  let changed = 0;
+  for (const job of jobs) {
+    const isAgency = classifyAgency(job, {
+      companyIsAgency: company.is_staffing_agency,
+    });
+    if (isAgency === Boolean(job.is_agency)) continue;
+    await db.execute(
+      "UPDATE jobs SET is_agency = ?, updated_at = updated_at WHERE id = ?",
+      [isAgency, job.id],
+    );
+    changed++;
+  }
+  return changed;
+}
+
+/**
+ * Point aliases at a company. Aliases that already belong to another
+ * company are returned as conflicts and left alone (merge the companies
+ * instead).
+ * @returns {Promise<{ added: string[], conflicts: Array<{ alias, companyId }> }>}
+ */
+async function addCompanyAliases(db, companyId, aliases) {
+  const added = [];
+  const conflicts = [];
+
+  for (const alias of aliases) {
+    const key = companyKey(alias);
+    if (!key) continue;
+
+    const [rows] = await db.execute(
+      "SELECT company_id FROM company_aliases WHERE alias_key = ?",
+      [key],
+    );
+    if (rows.length > 0) {
+      if (rows[0].company_id !== Number(companyId)) {
+        conflicts.push({ alias, companyId: rows[0].company_id });
+      }
+      continue;
+    }
+
+    await db.execute(
+      "INSERT INTO company_aliases (alias_key, alias, company_id) VALUES (?, ?, ?)",
+      [key, alias.substring(0, 255), companyId],
+    );
+    added.push(alias);
+  }
+
+  return { added, conflicts };
+}
+
+/**
+ * Fold other companies into one: their aliases and jobs move over and the
+ * duplicates are deleted
+ * @param {object} db - Connection, inside a transaction when called from a route
+ * @param {number} targetId - Company to keep
+ * @param {number[]} sourceIds - Companies to merge into it
+ * @returns {Promise<number>} Jobs moved
+ */
+async function mergeCompanies(db, targetId, sourceIds) {
+  const ids = sourceIds
+    .map(Number)
+    .filter((id) => id && id !== Number(targetId));
+  if (ids.length === 0) return 0;
+
+  await db.query(
+    "UPDATE company_aliases SET company_id = ? WHERE company_id IN (?)",
+    [targetId, ids],
+  );
+  const [result] = await db.query(
+    "UPDATE jobs SET company_id = ?, updated_at = updated_at WHERE company_id IN (?)",
+    [targetId, ids],
+  );
+  await db.query("DELETE FROM companies WHERE id IN (?)", [ids]);
+  return result.affectedRows;
+}
+
+/**
+ * Create or update the curated companies in src/config/companies.js,
+ * merging companies that were created separately for their aliases
+ * @returns {Promise<{ created: number, merged: number }>}
+ */
+async function seedKnownCompanies(db) {
+  let created = 0;
+  let merged = 0;
+
+  for (const company of KNOWN_COMPANIES) {
+    const names = [company.name, ...company.aliases];
+    const keys = [...new Set(names.map(companyKey).filter(Boolean))];
+    const [rows] = await db.query(
+      `SELECT DISTINCT a.company_id, c.name FROM company_aliases a
+           JOIN companies c ON c.id = a.company_id
+           WHERE a.alias_key IN (?) ORDER BY a.company_id`,
+      [keys],
+    );
+
+    // Keep the company already listed under the canonical name if any
+    const canonical =
+      rows.find((row) => companyKey(row.name) === companyKey(company.name)) ||
+      rows[0];
+    let companyId = canonical ? canonical.company_id : null;
+    if (!companyId) {
+      const [result] = await db.execute(
+        "INSERT INTO companies (name) VALUES (?)",
+        [company.name],
+      );
+      companyId = result.insertId;
+      created++;
+    }
+
+    const duplicates = rows
+      .map((row) => row.company_id)
+      .filter((id) => id !== companyId);
+    if (duplicates.length > 0) {
+      await mergeCompanies(db, companyId, duplicates);
+      merged += duplicates.length;
+    }
+
+    await db.execute(
+      `UPDATE companies SET name = ?, domain = ?, hq_location = ?, industry = ?
+         WHERE id = ?`,
+      [
+        company.name,
+        company.domain || null,
+        company.hqLocation || null,
+        company.industry || null,
+        companyId,
+      ],
+    );
+    await addCompanyAliases(db, companyId, names);
+  }
+
+  return { created, merged };
+}
+
+/**
+ * Get a company with its aliases
+ * @returns {Promise<object|null>}
+ */
+async function getCompanyById(id) {
+  const [rows] = await pool.execute(
+    `SELECT c.*, (SELECT COUNT(*) FROM jobs j
+             WHERE j.company_id = c.id AND j.expires_at > NOW()) AS active_jobs
+         FROM companies c WHERE c.id = ?`,
+    [id],
+  );
+  if (rows.length === 0) return null;
+
+  const [aliases] = await pool.execute(
+    "SELECT alias FROM company_aliases WHERE company_id = ? ORDER BY alias",
+    [id],
+  );
+  return formatCompany({
+    ...rows[0],
+    aliases: aliases
+      .map((row) => row.alias)
+      .filter((alias) => alias !== rows[0].name),
+  });
+}
+
+/**
+ * Companies with active jobs, most active first
+ * @param {object} [options] - { search, limit, offset }
+ */
+async function listCompanies(options = {}) {
+  const params = [];
+  let where = "";
+  if (options.search) {
+    where = `WHERE c.id IN (SELECT company_id FROM company_aliases WHERE alias LIKE ?)`;
+    params.push(`%${options.search}%`);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT c.*, COUNT(j.id) AS active_jobs FROM companies c
+         JOIN jobs j ON j.company_id = c.id AND j.expires_at > NOW()
+         ${where}
+         GROUP BY c.id
+         ORDER BY active_jobs DESC, c.name ASC
+         LIMIT ? OFFSET ?`,
+    [...params, options.limit || 100, options.offset || 0],
+  );
+  return rows.map(formatCompany);
+}
+
+/**
+ * Hiring activity: open jobs, jobs added in the last two 30-day windows
+ * and weekly counts of jobs added over the last TREND_WEEKS weeks
+ * @returns {Promise<object>}
+ */
+async function getCompanyHiring(id) {
+  const [[counts]] = await pool.execute(
+    `SELECT
+             SUM(expires_at > NOW()) AS active_jobs,
+             SUM(added_at > DATE_SUB(NOW(), INTERVAL 30 DAY)) AS last_30,
+             SUM(added_at <= DATE_SUB(NOW(), INTERVAL 30 DAY)
+                 AND added_at > DATE_SUB(NOW(), INTERVAL 60 DAY)) AS previous_30
+         FROM jobs WHERE company_id = ?`,
+    [id],
+  );
+
+  const [weeks] = await pool.query(
+    `SELECT DATE_FORMAT(DATE_SUB(DATE(added_at), INTERVAL WEEKDAY(added_at) DAY), '%Y-%m-%d') AS week_start,
+             COUNT(*) AS count
+         FROM jobs
+         WHERE company_id = ? AND added_at > DATE_SUB(NOW(), INTERVAL ? WEEK)
+         GROUP BY week_start ORDER BY week_start`,
+    [id, TREND_WEEKS],
+  );
+
+  const [topSkills] = await pool.query(
+    `SELECT s.skill, COUNT(*) AS count FROM job_skills s
+         JOIN jobs j ON j.id = s.job_id
+         WHERE j.company_id = ? AND j.expires_at > NOW()
+         GROUP BY s.skill ORDER BY count DESC, s.skill LIMIT 10`,
+    [id],
+  );
+
+  // Every week in the window, including ones with no new jobs
+  const byWeek = Object.fromEntries(
+    weeks.map((row) => [row.week_start, Number(row.count)]),
+  );
+  const monday = new Date();
+  monday.setUTCHours(0, 0, 0, 0);
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  const weekly = [];
+  for (let i = TREND_WEEKS - 1; i >= 0; i--) {
+    const start = new Date(monday);
+    start.setUTCDate(start.getUTCDate() - i * 7);
+    const key = start.toISOString().substring(0, 10);
+    weekly.push({ weekStart: key, added: byWeek[key] || 0 });
+  }
+
+  const last30 = Number(counts.last_30) || 0;
+  const previous30 = Number(counts.previous_30) || 0;
+  return {
+    activeJobs: Number(counts.active_jobs) || 0,
+    addedLast30Days: last30,
+    addedPrevious30Days: previous30,
+    changePercent:
+      previous30 > 0
+        ? Math.round(((last30 - previous30) / previous30) * 100)
+        : null,
+    weekly,
+    topSkills: topSkills
+      .map((row) => ({ ...formatSkill(row.skill), count: Number(row.count) }))
+      .filter((skill) => skill.slug),
+  };
+}
+
+/**
+ * Update a company's profile and add aliases
+ * @returns {Promise<{ company: object|null, conflicts: Array }>} company is
+ *   null when it doesn't exist
+ */
+async function updateCompany(id, values) {
+  const [rows] = await pool.execute("SELECT id FROM companies WHERE id = ?", [
+    id,
+  ]);
+  if (rows.length === 0) return { company: null, conflicts: [] };
+
+  const updates = Object.entries({
+    ...PROFILE_FIELDS,
+    isStaffingAgency: { column: "is_staffing_agency" },
+  }).filter(([key]) => values[key] !== undefined);
+  if (updates.length > 0) {
+    await pool.execute(
+      `UPDATE companies SET ${updates.map(([, { column }]) => `${column} = ?`).join(", ")}
+         WHERE id = ?`,
+      [...updates.map(([key]) => values[key]), id],
+    );
+  }
+  if (values.isStaffingAgency !== undefined) {
+    await refreshAgencyJobs(pool, rows[0].id);
+  }
+
+  const names = [
+    ...(values.aliases || []),
+    ...(values.name ? [values.name] : []),
+  ];
+  const { conflicts } = await addCompanyAliases(pool, rows[0].id, names);
+  return { company: await getCompanyById(id), conflicts };
+}
+
+/**
+ * Merge companies into one inside a transaction
+ * @returns {Promise<{ company: object|null, jobsMoved: number }>}
+ */
+async function mergeCompaniesInto(targetId, sourceIds) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.execute(
+      "SELECT id FROM companies WHERE id = ? FOR UPDATE",
+      [targetId],
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { company: null, jobsMoved: 0 };
+    }
+    const jobsMoved = await mergeCompanies(connection, rows[0].id, sourceIds);
+    await refreshAgencyJobs(connection, rows[0].id);
+    await connection.commit();
+    return { company: await getCompanyById(targetId), jobsMoved };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// exclude_company value that expands to the caller's blocked companies
+const BLOCKED_COMPANIES_TOKEN = "@blocked";
+
+/**
+ * Companies a user has blocked
+ */
+async function listBlockedCompanies(userId) {
+  const [rows] = await pool.execute(
+    `SELECT c.*, b.created_at AS blocked_at FROM user_company_blocks b
+         JOIN companies c ON c.id = b.company_id
+         WHERE b.user_id = ? ORDER BY c.name`,
+    [userId],
+  );
+  return rows.map((row) => ({
+    ...formatCompany(row),
+    blockedAt: row.blocked_at,
+  }));
+}
+
+/**
+ * IDs of the companies a user has blocked
+ * @returns {Promise<number[]>}
+ */
+async function getBlockedCompanyIds(userId) {
+  const [rows] = await pool.execute(
+    "SELECT company_id FROM user_company_blocks WHERE user_id = ?",
+    [userId],
+  );
+  return rows.map((row) => row.company_id);
+}
+
+/**
+ * Block a company for a user (no-op when already blocked)
+ * @returns {Promise<object|null>} The company, or null when it doesn't exist
+ */
+async function blockCompany(userId, companyId) {
+  const [rows] = await pool.execute("SELECT * FROM companies WHERE id = ?", [
+    companyId,
+  ]);
+  if (rows.length === 0) return null;
+
+  await pool.execute(
+    "INSERT IGNORE INTO user_company_blocks (user_id, company_id) VALUES (?, ?)",
+    [userId, rows[0].id],
+  );
+  return formatCompany(rows[0]);
+}
+
+/**
+ * Unblock a company for a user
+ * @returns {Promise<boolean>} Whether it was blocked
+ */
+async function unblockCompany(userId, companyId) {
+  const [result] = await pool.execute(
+    "DELETE FROM user_company_blocks WHERE user_id = ? AND company_id = ?",
+    [userId, companyId],
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Look up a company by ID or by any of its names
+ * @returns {Promise<number|null>} Company ID
+ */
+async function findCompanyId(value) {
+  const text = String(value || "").trim();
+  if (/^\d+$/.test(text)) {
+    const [rows] = await pool.execute("SELECT id FROM companies WHERE id = ?", [
+      text,
+    ]);
+    if (rows.length > 0) return rows[0].id;
+  }
+
+  const key = companyKey(text);
+  if (!key) return null;
+  const [rows] = await pool.execute(
+    "SELECT company_id FROM company_aliases WHERE alias_key = ?",
+    [key],
+  );
+  return rows.length > 0 ? rows[0].company_id : null;
+}
+
+module.exports = {
+  BLOCKED_COMPANIES_TOKEN,
+  companyKey,
+  validateCompany,
+  resolveCompany,
+  refreshAgencyJobs,
+  addCompanyAliases,
+  seedKnownCompanies,
+  getCompanyById,
+  listCompanies,
+  getCompanyHiring,
+  updateCompany,
+  mergeCompaniesInto,
+  findCompanyId,
+  listBlockedCompanies,
+  getBlockedCompanyIds,
+  blockCompany,
+  unblockCompany,
+};
@@ -0,0 +1,202 @@
+/**
+ * Enrichment Run Service
+ *
+ * Records each enrichment pass and the outcome for every job it touched,
+ * so progress can be reported while a run is in flight and reviewed later.
+ */
+
+const { pool } = require("../config/database");
+
+/**
+ * Format an enrichment_runs row for callers
+ */
+function formatRun(row) {
+  return {
+    id: row.id,
+    queueJobId: row.queue_job_id,
+    triggeredBy: row.triggered_by,
+    status: row.status,
+    total: row.total,
+    processed: row.processed,
+    enriched: row.enriched,
+    failed: row.failed,
+    percent:
+      row.total > 0 ? Math.round((row.processed / row.total) * 100) : 100,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+/**
+ * Open a new run
+ * @param {object} options - { total, queueJobId, triggeredBy }
+ * @returns {Promise<number>} Run ID
+ */
+async function startRun(options = {}) {
+  if (options.queueJobId) {
+    // A retry of the same queue job supersedes any attempt left running
+    await pool.execute(
+      `UPDATE enrichment_runs
+           SET status = 'failed', error = 'Superseded by a retry', finished_at = NOW()
+           WHERE queue_job_id = ? AND status = 'running'`,
+      [options.queueJobId],
+    );
+  }
+
+  const [result] = await pool.execute(
+    `INSERT INTO enrichment_runs (queue_job_id, triggered_by, total)
+         VALUES (?, ?, ?)`,
+    [
+      options.queueJobId || null,
+      options.triggeredBy || "api",
+      options.total || 0,
+    ],
+  );
+  return result.insertId;
+}
+
+/**
+ * Record the outcome for one job and advance the run's counters
+ * @param {number} runId
+ * @param {object} item - { jobId, status: "enriched"|"failed", error, descriptionLength, attempts, durationMs }
+ */
+async function recordItem(runId, item) {
+  const enriched = item.status === "enriched" ? 1 : 0;
+
+  await pool.execute(
+    `INSERT INTO enrichment_run_items
+         (run_id, job_id, status, error, description_length, attempts, duration_ms)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      runId,
+      item.jobId,
+      item.status,
+      item.error ? String(item.error).substring(0, 500) : null,
+      item.descriptionLength || 0,
+      item.attempts || 1,
+      item.durationMs || null,
+    ],
+  );
+  await pool.execute(
+    `UPDATE enrichment_runs
+         SET processed = processed + 1, enriched = enriched + ?, failed = failed + ?
+         WHERE id = ?`,
+    [enriched, 1 - enriched, runId],
+  );
+}
+
+/**
+ * Close a run
+ * @param {number} runId
+ * @param {object} options - { error } marks the run failed
+ */
+async function finishRun(runId, options = {}) {
+  await pool.execute(
+    `UPDATE enrichment_runs SET status = ?, error = ?, finished_at = NOW()
+         WHERE id = ?`,
+    [options.error ? "failed" : "completed", options.error || null, runId],
+  );
+}
+
+/**
+ * Fail runs left 'running' by a worker that died: their queue job is no
+ * longer running (its lease expired and was recovered). Runs started
+ * outside the queue (enrich_jobs.js) are left alone.
+ * @returns {Promise<number>} Number of runs marked failed
+ */
+async function failOrphanedRuns() {
+  const [result] = await pool.execute(
+    `UPDATE enrichment_runs r
+         JOIN queue_jobs q ON q.id = r.queue_job_id
+         SET r.status = 'failed', r.error = 'Worker stopped before the run finished',
+             r.finished_at = NOW()
+         WHERE r.status = 'running' AND q.status <> 'running'`,
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Get a run, optionally with its per-job items
+ */
+async function getRunById(runId, options = {}) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM enrichment_runs WHERE id = ?",
+    [runId],
+  );
+  if (rows.length === 0) return null;
+
+  const run = formatRun(rows[0]);
+  if (options.includeItems) {
+    const [items] = await pool.execute(
+      `SELECT i.job_id, i.status, i.error, i.description_length, i.attempts,
+                    i.duration_ms, i.created_at, j.title, j.company, j.source
+             FROM enrichment_run_items i
+             LEFT JOIN jobs j ON j.id = i.job_id
+             WHERE i.run_id = ?
+             ORDER BY i.id`,
+      [runId],
+    );
+    run.items = items.map((item) => ({
+      jobId: item.job_id,
+      title: item.title,
+      company: item.company,
+      source: item.source,
+      status: item.status,
+      error: item.error,
+      descriptionLength: item.description_length,
+      attempts: item.attempts,
+      durationMs: item.duration_ms,
+      processedAt: item.created_at,
+    }));
+  }
+  return run;
+}
+
+/**
+ * Get the run started by a queue job
+ */
+async function getRunByQueueJobId(queueJobId) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM enrichment_runs WHERE queue_job_id = ? ORDER BY id DESC LIMIT 1",
+    [queueJobId],
+  );
+  return rows.length > 0 ? formatRun(rows[0]) : null;
+}
+
+/**
+ * The most recent run (in progress or finished)
+ */
+async function getCurrentRun() {
+  const [rows] = await pool.execute(
+    "SELECT * FROM enrichment_runs ORDER BY id DESC LIMIT 1",
+  );
+  return rows.length > 0 ? formatRun(rows[0]) : null;
+}
+
+/**
+ * List past runs, newest first
+ */
+async function listRuns(options = {}) {
+  const limit = Math.min(parseInt(options.limit) || 20, 100);
+  const offset = parseInt(options.offset) || 0;
+  const [rows] = await pool.query(
+    "SELECT * FROM enrichment_runs ORDER BY id DESC LIMIT ? OFFSET ?",
+    [limit, offset],
+  );
+  const [countRows] = await pool.execute(
+    "SELECT COUNT(*) as total FROM enrichment_runs",
+  );
+  return { runs: rows.map(formatRun), total: countRows[0].total };
+}
+
+module.exports = {
+  startRun,
+  recordItem,
+  finishRun,
+  failOrphanedRuns,
+  getRunById,
+  getRunByQueueJobId,
+  getCurrentRun,
+  listRuns,
+};
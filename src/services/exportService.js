@@ -0,0 +1,508 @@
+/**
+ * Export Service
+ *
+ * Asynchronous bulk exports for Enterprise accounts. A request is stored in
+ * job_exports and queued; the worker streams every matching job to a CSV
+ * or NDJSON file in EXPORT_DIR, counts the rows against the user's monthly
+ * quota, and the user downloads the file through a signed, expiring link.
+ *
+ * Add to .env (optional):
+ * EXPORT_DIR=./data/exports             Where export files are written
+ * EXPORT_SIGNING_SECRET=...             Download link key (defaults to JWT_SECRET)
+ * EXPORT_LINK_TTL_MINUTES=60            How long a download link is valid
+ * EXPORT_RETENTION_HOURS=72             How long finished files are kept
+ */
+
+const crypto = require("crypto");
+const { once } = require("events");
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("../config/database");
+const { enqueue } = require("./queueService");
+const { forEachJobBatch } = require("./jobService");
+const { checkQuota, recordRowUsage } = require("./apiKeyService");
+const { formatJobResponse } = require("../utils/jobFormatter");
+
+const EXPORT_DIR =
+  process.env.EXPORT_DIR || path.join(__dirname, "../../data/exports");
+const SIGNING_SECRET =
+  process.env.EXPORT_SIGNING_SECRET ||
+  process.env.JWT_SECRET ||
+  "your-super-secret-jwt-key-change-in-production";
+const LINK_TTL_MINUTES = parseInt(process.env.EXPORT_LINK_TTL_MINUTES) || 60;
+const RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS) || 72;
+const BATCH_SIZE = 1000;
+
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv" },
+  ndjson: { extension: "ndjson", contentType: "application/x-ndjson" },
+};
+
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "company",
+  "isAgency",
+  "location",
+  "type",
+  "employmentType",
+  "seniority",
+  "workArrangement",
+  "salary",
+  "salaryMin",
+  "salaryMax",
+  "salaryCurrency",
+  "salaryPeriod",
+  "source",
+  "url",
+  "sourceUrls",
+  "easyApply",
+  "skills",
+  "clearance",
+  "certifications",
+  "postedAt",
+  "updatedAt",
+  "expiresAt",
+  "description",
+];
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const cleanList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter((item) => item);
+
+/**
+ * Quote a value for CSV. Cells that a spreadsheet would run as a formula
+ * are prefixed with a quote.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One export line for a job in the given format
+ */
+function formatExportRow(job, format) {
+  const row = formatJobResponse(job, true);
+  if (format === "ndjson") return `${JSON.stringify(row)}\n`;
+
+  row.sourceUrls = row.sources.map((source) => source.url).join(" | ");
+  row.skills = row.skills.map((skill) => skill.name).join(" | ");
+  row.clearance = row.clearance
+    ? `${row.clearance.name}${row.clearance.polygraph ? " with polygraph" : ""}`
+    : "";
+  row.certifications = row.certifications
+    .map((cert) => `${cert.name} (${cert.requirement})`)
+    .join(" | ");
+  return `${CSV_COLUMNS.map((column) => csvCell(row[column])).join(",")}\n`;
+}
+
+/**
+ * Format a job_exports row for callers
+ */
+function formatExport(row) {
+  return {
+    id: row.id,
+    format: row.format,
+    filters: parseJson(row.filters) || {},
+    status: row.status,
+    rowCount: row.row_count,
+    rowLimit: row.row_limit,
+    fileSize: row.file_size,
+    error: row.error,
+    queueJobId: row.queue_job_id,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Validate and normalize an export request
+ * @param {object} input - { format, limit, filters: { search, locations[], company, type, remote, salaryMin, salaryMax, postedAfter } }
+ * @returns {{ values: object, errors: string[] }}
+ */
+function validateExportRequest(input = {}) {
+  const values = { filters: {} };
+  const errors = [];
+
+  values.format = String(input.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS[values.format]) {
+    errors.push(
+      `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    );
+  }
+
+  if (input.limit !== undefined && input.limit !== null && input.limit !== "") {
+    values.limit = Number(input.limit);
+    if (!Number.isInteger(values.limit) || values.limit < 1) {
+      errors.push("limit must be a positive integer");
+    }
+  }
+
+  const filters = input.filters || {};
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    errors.push("filters must be an object");
+    return { values, errors };
+  }
+
+  for (const key of ["search", "company", "type"]) {
+    if (filters[key] !== undefined && String(filters[key]).trim()) {
+      values.filters[key] = String(filters[key]).trim().substring(0, 255);
+    }
+  }
+
+  const locations = cleanList(filters.locations);
+  if (locations.length > 0) values.filters.locations = locations;
+
+  if (filters.remote !== undefined) {
+    values.filters.remote =
+      filters.remote === true || filters.remote === "true";
+  }
+
+  for (const key of ["salaryMin", "salaryMax"]) {
+    if (filters[key] === undefined || filters[key] === "") continue;
+    const value = Number(filters[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`filters.${key} must be a positive number`);
+    } else {
+      values.filters[key] = value;
+    }
+  }
+
+  if (filters.postedAfter) {
+    if (isNaN(Date.parse(filters.postedAfter))) {
+      errors.push("filters.postedAfter must be an ISO 8601 date");
+    } else {
+      values.filters.postedAfter = String(filters.postedAfter);
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Map an export filter onto jobService's API filters
+ */
+function toJobFilters(filters = {}) {
+  return {
+    search: filters.search,
+    location: filters.locations,
+    company: filters.company,
+    type: filters.type,
+    remote: filters.remote === true,
+    salaryMin: filters.salaryMin,
+    salaryMax: filters.salaryMax,
+    postedAfter: filters.postedAfter,
+  };
+}
+
+/**
+ * List a user's exports, newest first
+ */
+async function listExports(userId, options = {}) {
+  const limit = Math.min(parseInt(options.limit) || 20, 100);
+  const [rows] = await pool.query(
+    "SELECT * FROM job_exports WHERE user_id = ? ORDER BY id DESC LIMIT ?",
+    [userId, limit],
+  );
+  return rows.map(formatExport);
+}
+
+/**
+ * Get one of a user's exports
+ */
+async function getExport(id, userId) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM job_exports WHERE id = ? AND user_id = ?",
+    [id, userId],
+  );
+  return rows.length > 0 ? formatExport(rows[0]) : null;
+}
+
+/**
+ * The user's pending or running export, if any
+ */
+async function getActiveExport(userId) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM job_exports
+         WHERE user_id = ? AND status IN ('pending', 'running')
+         ORDER BY id DESC LIMIT 1`,
+    [userId],
+  );
+  return rows.length > 0 ? formatExport(rows[0]) : null;
+}
+
+/**
+ * Store an export request and queue it for the worker
+ * @param {number} userId
+ * @param {object} values - From validateExportRequest
+ */
+async function createExport(userId, values) {
+  const [result] = await pool.execute(
+    `INSERT INTO job_exports (user_id, format, filters, row_limit)
+         VALUES (?, ?, ?, ?)`,
+    [
+      userId,
+      values.format,
+      JSON.stringify(values.filters),
+      values.limit || null,
+    ],
+  );
+  const exportId = result.insertId;
+
+  const { job } = await enqueue("export", { exportId });
+  await pool.execute("UPDATE job_exports SET queue_job_id = ? WHERE id = ?", [
+    job.id,
+    exportId,
+  ]);
+
+  return getExport(exportId, userId);
+}
+
+/**
+ * Write an export file. Run by the worker; throws to let the queue retry.
+ * @param {number} exportId
+ * @param {object} options - { finalAttempt }
+ * @returns {Promise<object>} Summary stored as the queue job result
+ */
+async function runExport(exportId, options = {}) {
+  const [rows] = await pool.execute("SELECT * FROM job_exports WHERE id = ?", [
+    exportId,
+  ]);
+  if (rows.length === 0) return { skipped: true, reason: "Export not found" };
+
+  const exportRow = rows[0];
+  if (!["pending", "running"].includes(exportRow.status)) {
+    return { skipped: true, reason: `Export is ${exportRow.status}` };
+  }
+
+  await pool.execute(
+    `UPDATE job_exports SET status = 'running', started_at = NOW(), row_count = 0, error = NULL
+         WHERE id = ?`,
+    [exportId],
+  );
+
+  // Never export more rows than the plan has left this month
+  const quota = await checkQuota(exportRow.user_id);
+  const remaining = Math.max(0, quota.remaining || 0);
+  if (!quota.allowed || remaining === 0) {
+    await pool.execute(
+      `UPDATE job_exports SET status = 'failed', error = 'Monthly row quota exhausted',
+                 completed_at = NOW()
+             WHERE id = ?`,
+      [exportId],
+    );
+    return { exported: 0, reason: "Monthly row quota exhausted" };
+  }
+  const rowLimit = exportRow.row_limit
+    ? Math.min(exportRow.row_limit, remaining)
+    : remaining;
+
+  const format = EXPORT_FORMATS[exportRow.format];
+  const fileName = `export-${exportId}-${crypto.randomBytes(8).toString("hex")}.${format.extension}`;
+  const filePath = path.join(EXPORT_DIR, fileName);
+  const tempPath = `${filePath}.part`;
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+
+  const stream = fs.createWriteStream(tempPath);
+  let streamError = null;
+  stream.on("error", (error) => {
+    streamError = error;
+  });
+  // events.once rejects if the stream errors while we wait for "drain"
+  const write = async (chunk) => {
+    if (streamError) throw streamError;
+    if (!stream.write(chunk)) await once(stream, "drain");
+  };
+
+  let rowCount = 0;
+  try {
+    if (exportRow.format === "csv") await write(`${CSV_COLUMNS.join(",")}\n`);
+
+    await forEachJobBatch(
+      toJobFilters(parseJson(exportRow.filters) || {}),
+      async (jobs) => {
+        for (const job of jobs.slice(0, rowLimit - rowCount)) {
+          await write(formatExportRow(job, exportRow.format));
+          rowCount++;
+        }
+        await pool.execute(
+          "UPDATE job_exports SET row_count = ? WHERE id = ?",
+          [rowCount, exportId],
+        );
+        return rowCount < rowLimit;
+      },
+      { batchSize: BATCH_SIZE },
+    );
+
+    await new Promise((resolve, reject) => {
+      if (streamError) return reject(streamError);
+      stream.once("error", reject);
+      stream.end(resolve);
+    });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    stream.destroy();
+    fs.rmSync(tempPath, { force: true });
+
+    await pool.execute(
+      "UPDATE job_exports SET status = ?, error = ?, completed_at = ? WHERE id = ?",
+      [
+        options.finalAttempt ? "failed" : "pending",
+        String(error.message).substring(0, 500),
+        options.finalAttempt ? new Date() : null,
+        exportId,
+      ],
+    );
+    throw error;
+  }
+
+  await recordRowUsage(exportRow.user_id, rowCount);
+  await pool.execute(
+    `UPDATE job_exports
+         SET status = 'completed', row_count = ?, file_name = ?, file_size = ?,
+             completed_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+         WHERE id = ?`,
+    [rowCount, fileName, fs.statSync(filePath).size, RETENTION_HOURS, exportId],
+  );
+
+  return { exported: rowCount, truncated: rowCount >= rowLimit };
+}
+
+/**
+ * Fail exports whose queue job gave up without finishing them (the worker
+ * died on the final attempt and the lease expired), so the user is not left
+ * polling a "running" export forever
+ * @returns {Promise<number>} Number of exports failed
+ */
+async function failOrphanedExports() {
+  const [result] = await pool.execute(
+    `UPDATE job_exports e
+         JOIN queue_jobs q ON q.id = e.queue_job_id
+         SET e.status = 'failed', e.error = 'Worker stopped before the export finished',
+             e.completed_at = NOW()
+         WHERE e.status IN ('pending', 'running') AND q.status = 'failed'`,
+  );
+  return result.affectedRows;
+}
+
+/**
+ * HMAC over the export and the link expiry
+ */
+function downloadSignature(exportId, expires) {
+  return crypto
+    .createHmac("sha256", SIGNING_SECRET)
+    .update(`export:${exportId}:${expires}`)
+    .digest("hex");
+}
+
+/**
+ * Signed download link for a completed export, valid for
+ * EXPORT_LINK_TTL_MINUTES (or until the file is deleted, if sooner)
+ * @param {object} exportJob - Formatted export
+ * @returns {{ url: string, expiresAt: Date }|null}
+ */
+function createDownloadLink(exportJob) {
+  if (exportJob.status !== "completed") return null;
+
+  let expiresAt = Date.now() + LINK_TTL_MINUTES * 60000;
+  if (exportJob.expiresAt) {
+    expiresAt = Math.min(expiresAt, new Date(exportJob.expiresAt).getTime());
+  }
+  const expires = Math.floor(expiresAt / 1000);
+
+  return {
+    url: `/api/exports/${exportJob.id}/download?expires=${expires}&signature=${downloadSignature(exportJob.id, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+}
+
+/**
+ * Check a download link's signature and expiry
+ */
+function verifyDownloadLink(exportId, expires, signature) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt * 1000 < Date.now() || !signature) return false;
+
+  const expected = Buffer.from(downloadSignature(exportId, expiresAt));
+  const given = Buffer.from(String(signature));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * File to serve for a completed, unexpired export
+ * @returns {Promise<{path, downloadName, contentType}|null>}
+ */
+async function getExportFile(exportId) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM job_exports
+         WHERE id = ? AND status = 'completed' AND expires_at > NOW()`,
+    [exportId],
+  );
+  if (rows.length === 0 || !rows[0].file_name) return null;
+
+  const row = rows[0];
+  const filePath = path.join(EXPORT_DIR, row.file_name);
+  if (!fs.existsSync(filePath)) return null;
+
+  const format = EXPORT_FORMATS[row.format];
+  return {
+    path: filePath,
+    downloadName: `jobs-export-${row.id}.${format.extension}`,
+    contentType: format.contentType,
+  };
+}
+
+/**
+ * Delete files of exports past their retention period
+ * @returns {Promise<number>} Number of exports expired
+ */
+async function cleanupExpiredExports() {
+  const [rows] = await pool.execute(
+    `SELECT id, file_name FROM job_exports
+         WHERE status = 'completed' AND expires_at <= NOW()`,
+  );
+
+  for (const row of rows) {
+    if (row.file_name) {
+      fs.rmSync(path.join(EXPORT_DIR, row.file_name), { force: true });
+    }
+    await pool.execute(
+      "UPDATE job_exports SET status = 'expired', file_name = NULL WHERE id = ?",
+      [row.id],
+    );
+  }
+
+  return rows.length;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  validateExportRequest,
+  listExports,
+  getExport,
+  getActiveExport,
+  createExport,
+  runExport,
+  createDownloadLink,
+  verifyDownloadLink,
+  getExportFile,
+  cleanupExpiredExports,
+  failOrphanedExports,
+};
@@ -0,0 +1,212 @@
+/**
+ * Geo Service
+ *
+ * The city list (LinkedIn geo IDs) shared by the Chrome extension and the
+ * dashboard's saved locations, plus normalization of free-text job
+ * locations ("Austin, TX (Hybrid)", "Texas, United States") into city,
+ * state, country and coordinates against the offline gazetteer, so jobs can
+ * be matched to saved locations and searched by radius without
+ * `location LIKE '%...%'`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("../config/database");
+const { getStateCode } = require("../config/usStates");
+const { CITY_COORDINATES, getCountryCode } = require("../config/gazetteer");
+const { normalizeText } = require("../utils/jobIdentity");
+
+const GEO_IDS_PATH = path.join(
+  __dirname,
+  "../../chrome-extension/common-geoids.json",
+);
+
+const EARTH_RADIUS_KM = 6371;
+
+// Location parts that say nothing about where the job is
+const NON_PLACE_PATTERN =
+  /^(remote|unknown|anywhere|worldwide|global|hybrid|on-?site|in[- ]office|multiple locations|various|n\/a|tbd)$/i;
+
+let cities = null;
+let citiesByGeoId = null;
+let citiesByKey = null;
+
+/**
+ * Lookup key for a city name: "Saint Louis", "St. Louis" and
+ * "Greater St. Louis Area" share one
+ */
+function cityKey(name) {
+  return normalizeText(name)
+    .replace(/^greater /, "")
+    .replace(/ (metropolitan |metro |bay )?area$/, "")
+    .replace(/^(saint|st) /, "st ")
+    .replace(/^(fort|ft) /, "fort ");
+}
+
+/**
+ * Load the gazetteer and common-geoids.json once and index them by
+ * geo ID and city name
+ */
+function loadCities() {
+  if (cities) return cities;
+
+  const byName = new Map();
+  for (const [name, [lat, lng]] of Object.entries(CITY_COORDINATES)) {
+    const [cityName, stateCode] = name.split(",").map((part) => part.trim());
+    byName.set(name, {
+      name,
+      city: cityName,
+      geoId: null,
+      stateCode,
+      lat,
+      lng,
+    });
+  }
+
+  const data = JSON.parse(fs.readFileSync(GEO_IDS_PATH, "utf8"));
+  for (const [stateKey, stateCities] of Object.entries(data)) {
+    for (const entry of stateCities) {
+      const [cityName, code] = entry.name.split(",").map((part) => part.trim());
+      const stateCode = (code || "").toUpperCase() || getStateCode(stateKey);
+      const name = `${cityName}, ${stateCode}`;
+      byName.set(name, {
+        lat: null,
+        lng: null,
+        ...byName.get(name),
+        name: entry.name,
+        city: cityName,
+        geoId: String(entry.geoId),
+        stateCode,
+        stateName: stateKey.replace(/_/g, " "),
+      });
+    }
+  }
+
+  cities = [...byName.values()];
+  citiesByGeoId = new Map(
+    cities.filter((city) => city.geoId).map((city) => [city.geoId, city]),
+  );
+  citiesByKey = new Map();
+  for (const city of cities) {
+    const key = cityKey(city.city);
+    citiesByKey.set(`${key}|${city.stateCode}`, city);
+    citiesByKey.set(key, citiesByKey.has(key) ? null : city); // null = ambiguous
+  }
+
+  return cities;
+}
+
+/**
+ * Every city with a geo ID, sorted by name
+ * @returns {Array<{name, city, geoId, stateCode, stateName, lat, lng}>}
+ */
+function listCities() {
+  return loadCities()
+    .filter((city) => city.geoId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Look up a city by its geo ID
+ */
+function getCityByGeoId(geoId) {
+  loadCities();
+  return citiesByGeoId.get(String(geoId)) || null;
+}
+
+/**
+ * Normalize a free-text location ("Austin, TX (Hybrid)", "Austin, Texas
+ * 78701", "Texas, United States", "London, United Kingdom",
+ * "Remote/Unknown") to a known city, US state and country. Coordinates are
+ * only set when the city is known.
+ * @param {string} location
+ * @returns {{ geoId: string|null, city: string|null, stateCode: string|null, country: string|null, lat: number|null, lng: number|null }}
+ */
+function resolveLocation(location) {
+  loadCities();
+  const parts = String(location || "")
+    .split(/[,(/|;]| - /)
+    .map((part) => part.replace(/[)\d]/g, "").trim())
+    .filter((part) => part && !NON_PLACE_PATTERN.test(part));
+
+  const result = {
+    geoId: null,
+    city: null,
+    stateCode: null,
+    country: null,
+    lat: null,
+    lng: null,
+  };
+
+  for (const part of parts) {
+    result.country = result.country || getCountryCode(part);
+  }
+  if (result.country && result.country !== "US") return result;
+
+  let stateIndex = -1;
+  for (let i = parts.length - 1; i >= 0 && stateIndex < 0; i--) {
+    result.stateCode = getStateCode(parts[i]);
+    if (result.stateCode) stateIndex = i;
+  }
+
+  // "New York, United States" is the state, not the city
+  const key = parts.length > 0 && stateIndex !== 0 ? cityKey(parts[0]) : "";
+  const city = result.stateCode
+    ? citiesByKey.get(`${key}|${result.stateCode}`)
+    : citiesByKey.get(key);
+
+  if (city) {
+    result.geoId = city.geoId;
+    result.city = city.city;
+    result.stateCode = city.stateCode;
+    result.lat = city.lat;
+    result.lng = city.lng;
+  }
+  if (result.stateCode) result.country = "US";
+
+  return result;
+}
+
+/**
+ * Latitude/longitude bounds that contain every point within radiusKm of a
+ * point, so radius queries can use the (lat, lng) index before the exact
+ * distance check
+ * @returns {{ minLat, maxLat, minLng, maxLng }}
+ */
+function getBoundingBox(lat, lng, radiusKm) {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLng: Math.max(lng - lngDelta, -180),
+    maxLng: Math.min(lng + lngDelta, 180),
+  };
+}
+
+/**
+ * A user's saved locations (user_locations)
+ * @returns {Promise<Array<{id, cityName, geoId, stateCode}>>}
+ */
+async function getSavedLocations(userId) {
+  const [rows] = await pool.execute(
+    `SELECT id, city_name, geo_id, state_code FROM user_locations
+         WHERE user_id = ? ORDER BY city_name`,
+    [userId],
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    cityName: row.city_name,
+    geoId: row.geo_id,
+    stateCode: row.state_code,
+  }));
+}
+
+module.exports = {
+  listCities,
+  getCityByGeoId,
+  resolveLocation,
+  getBoundingBox,
+  getSavedLocations,
+  EARTH_RADIUS_KM,
+};
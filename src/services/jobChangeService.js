@@ -0,0 +1,167 @@
+/**
+ * Job Change Service
+ *
+ * Append-only log of created / updated / expired / removed jobs behind the
+ * /api/v1/jobs/changes feed. Change IDs only ever grow, so the ID of the
+ * last change a consumer has applied is all it needs to resume.
+ */
+
+const { pool } = require("../config/database");
+
+const CHANGE_TYPES = ["created", "updated", "expired", "removed", "reopened"];
+const TOKEN_PREFIX = "chg:";
+const EXPIRY_SWEEP_BATCH_SIZE = 500;
+
+/**
+ * Append a change to the log
+ * @param {object} db - Pool or connection (so ingest can log inside its own connection)
+ * @param {string} jobId
+ * @param {string} changeType - One of CHANGE_TYPES
+ * @param {string[]} [changedFields] - Columns touched by an "updated" change
+ */
+async function recordChange(db, jobId, changeType, changedFields = []) {
+  if (!CHANGE_TYPES.includes(changeType)) {
+    throw new Error(`Unknown job change type "${changeType}"`);
+  }
+  await db.execute(
+    `INSERT INTO job_changes (job_id, change_type, changed_fields)
+         VALUES (?, ?, ?)`,
+    [
+      jobId,
+      changeType,
+      changedFields.length > 0 ? changedFields.join(",") : null,
+    ],
+  );
+}
+
+/**
+ * Log an "expired" change for jobs whose expires_at has passed since the
+ * last sweep. Safe to run from several workers: a job is logged once per
+ * lapse, so a reopened job is logged again when it next expires.
+ * @returns {Promise<number>} Number of jobs logged
+ */
+async function recordExpiredJobs() {
+  let recorded = 0;
+
+  while (true) {
+    const [rows] = await pool.query(
+      `SELECT j.id FROM jobs j
+             WHERE j.expires_at <= NOW()
+             AND NOT EXISTS (
+                 SELECT 1 FROM job_changes c
+                 WHERE c.job_id = j.id AND c.change_type IN ('expired', 'removed')
+                 AND NOT EXISTS (
+                     SELECT 1 FROM job_changes r
+                     WHERE r.job_id = j.id AND r.change_type = 'reopened' AND r.id > c.id
+                 )
+             )
+             ORDER BY j.expires_at ASC, j.id ASC
+             LIMIT ?`,
+      [EXPIRY_SWEEP_BATCH_SIZE],
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await recordChange(pool, row.id, "expired");
+    }
+    recorded += rows.length;
+    if (rows.length < EXPIRY_SWEEP_BATCH_SIZE) break;
+  }
+
+  return recorded;
+}
+
+/**
+ * Encode a resumable token for a change ID
+ */
+function encodeChangeToken(changeId) {
+  return Buffer.from(`${TOKEN_PREFIX}${changeId}`).toString("base64url");
+}
+
+/**
+ * Decode a token from encodeChangeToken
+ * @returns {number|null} Change ID, or null if the token is malformed
+ */
+function decodeChangeToken(token) {
+  const text = Buffer.from(String(token), "base64url").toString("utf8");
+  if (!text.startsWith(TOKEN_PREFIX)) return null;
+
+  const changeId = Number(text.substring(TOKEN_PREFIX.length));
+  return Number.isSafeInteger(changeId) && changeId >= 0 ? changeId : null;
+}
+
+/**
+ * Parse a `since` value: a token from a previous response, an ISO 8601
+ * timestamp or Unix epoch seconds
+ * @returns {{ token: number|null, timestamp: Date|null }|null} null if unrecognised
+ */
+function parseSince(since) {
+  if (since === undefined || since === null || since === "") {
+    return { token: 0, timestamp: null };
+  }
+
+  const text = String(since).trim();
+  if (/^\d+$/.test(text)) {
+    return { token: null, timestamp: new Date(parseInt(text) * 1000) };
+  }
+
+  const token = decodeChangeToken(text);
+  if (token !== null) return { token, timestamp: null };
+
+  // Require a date-looking value so arbitrary strings aren't parsed as dates
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && !isNaN(Date.parse(text))) {
+    return { token: null, timestamp: new Date(text) };
+  }
+  return null;
+}
+
+/**
+ * Change ID to resume after for a parsed `since`
+ * @param {object} since - Result of parseSince
+ * @returns {Promise<number>}
+ */
+async function resolveSinceId(since) {
+  if (since.token !== null) return since.token;
+
+  const [[row]] = await pool.execute(
+    "SELECT COALESCE(MAX(id), 0) AS id FROM job_changes WHERE changed_at < ?",
+    [since.timestamp],
+  );
+  return Number(row.id);
+}
+
+/**
+ * Changes after a change ID, oldest first
+ * @param {number} afterId
+ * @param {number} limit
+ * @returns {Promise<{changes: object[], hasMore: boolean}>}
+ */
+async function listChanges(afterId, limit) {
+  const [rows] = await pool.query(
+    `SELECT id, job_id, change_type, changed_fields, changed_at
+         FROM job_changes WHERE id > ? ORDER BY id ASC LIMIT ?`,
+    [afterId, limit + 1],
+  );
+
+  return {
+    changes: rows.slice(0, limit).map((row) => ({
+      id: Number(row.id),
+      jobId: row.job_id,
+      type: row.change_type,
+      changedFields: row.changed_fields ? row.changed_fields.split(",") : [],
+      changedAt: row.changed_at,
+    })),
+    hasMore: rows.length > limit,
+  };
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  recordChange,
+  recordExpiredJobs,
+  encodeChangeToken,
+  decodeChangeToken,
+  parseSince,
+  resolveSinceId,
+  listChanges,
+};
@@ -1,5 +1,12 @@
 const puppeteer = require('puppeteer');
 const { pool } = require('../config/database');
+const { startRun, recordItem, finishRun } = require('./enrichmentRunService');
+const { recordChange } = require('./jobChangeService');
+const { classifyWorkArrangement } = require('../utils/workArrangement');
+const { classifySeniority, classifyEmploymentType } = require('../utils/jobClassifier');
+const { classifyAgency } = require('../utils/agencyDetector');
+const { tagJobSkills } = require('./skillService');
+const { tagJobRequirements } = require('./requirementService');
 
 /**
  * Job Enricher Service
@@ -141,9 +148,11 @@ const extractGenericDescription = async (page) => {
 
 /**
  * Fetch job description from URL based on source
+ * Returns { description, error, attempts } - description is null on failure
  */
 const fetchJobDescription = async (browser, job, retryCount = 0) => {
     let page;
+    let error = null;
     try {
         page = await browser.newPage();
         
@@ -176,19 +185,22 @@ const fetchJobDescription = async (browser, job, retryCount = 0) => {
         await page.close();
         
         if (description && description.length > 50) {
-            return description;
+            return { description, error: null, attempts: retryCount + 1 };
         }
         
+        error = description
+            ? `Extracted description too short (${description.length} chars)`
+            : 'No description found on page';
+        
         // Retry if description is too short or null
         if (retryCount < MAX_RETRIES) {
             console.log(`  Retrying... (${retryCount + 1}/${MAX_RETRIES})`);
             return await fetchJobDescription(browser, job, retryCount + 1);
         }
-        
-        return null;
-    } catch (error) {
-        console.error(`  Error fetching ${job.id}:`, error.message);
+    } catch (fetchError) {
+        console.error(`  Error fetching ${job.id}:`, fetchError.message);
         if (page) await page.close().catch(() => {});
+        error = fetchError.message;
         
         // Retry on error
         if (retryCount < MAX_RETRIES) {
@@ -196,22 +208,133 @@ const fetchJobDescription = async (browser, job, retryCount = 0) => {
             await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds before retry
             return await fetchJobDescription(browser, job, retryCount + 1);
         }
-        
-        return null;
     }
+    
+    return { description: null, error, attempts: retryCount + 1 };
+};
+
+/**
+ * Re-run the work arrangement classifier with the full description. Remote
+ * and hybrid come from explicit signals and are kept; onsite may only be
+ * the fallback for a job listed under a city, so the description can
+ * still override it.
+ * @returns {Promise<boolean>} Whether work_arrangement changed
+ */
+const reclassifyWorkArrangement = async (connection, jobId, description) => {
+    const [rows] = await connection.execute(
+        'SELECT title, location, city, state_code, work_arrangement FROM jobs WHERE id = ?',
+        [jobId]
+    );
+    const job = rows[0];
+    if (!job || job.work_arrangement === 'remote' || job.work_arrangement === 'hybrid') {
+        return false;
+    }
+
+    const workArrangement = classifyWorkArrangement(
+        { title: job.title, location: job.location, description },
+        { hasPlace: Boolean(job.city || job.state_code) }
+    );
+    if (!workArrangement || workArrangement === job.work_arrangement) return false;
+
+    await connection.execute(
+        'UPDATE jobs SET work_arrangement = ? WHERE id = ?',
+        [workArrangement, jobId]
+    );
+    return true;
+};
+
+/**
+ * Re-run the seniority and employment type classifiers with the full
+ * description. Title signals still win, so this mostly fills in jobs the
+ * title said nothing about.
+ * @returns {Promise<string[]>} Columns that changed
+ */
+const reclassifyJobLevel = async (connection, jobId, description) => {
+    const [rows] = await connection.execute(
+        'SELECT title, type, seniority, employment_type FROM jobs WHERE id = ?',
+        [jobId]
+    );
+    const job = rows[0];
+    if (!job) return [];
+
+    const seniority = classifySeniority({ title: job.title, description });
+    const employmentType = classifyEmploymentType({ title: job.title, type: job.type, description });
+
+    const changed = [];
+    if (seniority !== job.seniority) changed.push('seniority');
+    if (employmentType !== job.employment_type) changed.push('employment_type');
+    if (changed.length === 0) return changed;
+
+    await connection.execute(
+        'UPDATE jobs SET seniority = ?, employment_type = ? WHERE id = ?',
+        [seniority, employmentType, jobId]
+    );
+    return changed;
+};
+
+/**
+ * Re-check a job for agency language ("our client is seeking") that only
+ * shows up in the full description
+ * @returns {Promise<boolean>} Whether is_agency changed
+ */
+const reclassifyAgency = async (connection, jobId, description) => {
+    const [rows] = await connection.execute(
+        `SELECT j.title, j.company, j.is_agency, c.is_staffing_agency
+         FROM jobs j LEFT JOIN companies c ON c.id = j.company_id
+         WHERE j.id = ?`,
+        [jobId]
+    );
+    const job = rows[0];
+    if (!job) return false;
+
+    const isAgency = classifyAgency(
+        { title: job.title, company: job.company, description },
+        { companyIsAgency: job.is_staffing_agency === null ? undefined : job.is_staffing_agency }
+    );
+    if (isAgency === Boolean(job.is_agency)) return false;
+
+    await connection.execute('UPDATE jobs SET is_agency = ? WHERE id = ?', [isAgency, jobId]);
+    return true;
 };
 
 /**
- * Update job description in database
+ * Update job description in database and log it to the change feed
  */
 const updateJobDescription = async (jobId, description) => {
     try {
         const connection = await pool.getConnection();
-        await connection.execute(
-            'UPDATE jobs SET description = ? WHERE id = ?',
-            [description, jobId]
-        );
-        connection.release();
+        try {
+            const [result] = await connection.execute(
+                'UPDATE jobs SET description = ? WHERE id = ?',
+                [description, jobId]
+            );
+            if (result.changedRows > 0) {
+                const changedFields = ['description'];
+                if (await reclassifyWorkArrangement(connection, jobId, description)) {
+                    changedFields.push('work_arrangement');
+                }
+                changedFields.push(...await reclassifyJobLevel(connection, jobId, description));
+                if (await reclassifyAgency(connection, jobId, description)) {
+                    changedFields.push('is_agency');
+                }
+                const [[job]] = await connection.execute('SELECT title FROM jobs WHERE id = ?', [jobId]);
+                const text = { title: job ? job.title : '', description };
+                const { changed: skillsChanged } = await tagJobSkills(connection, jobId, text);
+                if (skillsChanged) {
+                    changedFields.push('skills');
+                }
+                const { clearanceChanged, certificationsChanged } = await tagJobRequirements(connection, jobId, text);
+                if (clearanceChanged) {
+                    changedFields.push('clearance');
+                }
+                if (certificationsChanged) {
+                    changedFields.push('certifications');
+                }
+                await recordChange(connection, jobId, 'updated', changedFields);
+            }
+        } finally {
+            connection.release();
+        }
         return true;
     } catch (error) {
         console.error(`Error updating job ${jobId}:`, error.message);
@@ -252,37 +375,45 @@ const getJobsNeedingEnrichment = async () => {
 
 /**
  * Main enrichment function
+ * @param {object} options - { queueJobId, triggeredBy } recorded on the run
  */
-const enrichJobDescriptions = async () => {
+const enrichJobDescriptions = async (options = {}) => {
     console.log('\n🔍 Starting Job Enrichment Process...\n');
     
     const jobs = await getJobsNeedingEnrichment();
+    const runId = await startRun({
+        total: jobs.length,
+        queueJobId: options.queueJobId,
+        triggeredBy: options.triggeredBy
+    });
     
     if (jobs.length === 0) {
         console.log('✅ No jobs need enrichment. All jobs are up to date!\n');
-        return { total: 0, enriched: 0, failed: 0 };
+        await finishRun(runId);
+        return { runId, total: 0, enriched: 0, failed: 0 };
     }
     
-    console.log(`📊 Found ${jobs.length} jobs needing enrichment\n`);
+    console.log(`📊 Found ${jobs.length} jobs needing enrichment (run ${runId})\n`);
     
     let enrichedCount = 0;
     let failedCount = 0;
-    
-    // Launch browser once for all jobs
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ]
-    });
+    let browser;
     
     try {
+        // Launch browser once for all jobs
+        browser = await puppeteer.launch({
+            headless: 'new',
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--disable-gpu'
+            ]
+        });
+        
         // Process jobs in batches
         for (let i = 0; i < jobs.length; i += BATCH_SIZE) {
             const batch = jobs.slice(i, i + BATCH_SIZE);
@@ -291,27 +422,47 @@ const enrichJobDescriptions = async () => {
             
             // Process batch in parallel
             const results = await Promise.allSettled(
-                batch.map(job => fetchJobDescription(browser, job))
+                batch.map(async job => {
+                    const startTime = Date.now();
+                    const outcome = await fetchJobDescription(browser, job);
+                    return { ...outcome, durationMs: Date.now() - startTime };
+                })
             );
             
             // Update database with results
             for (let j = 0; j < batch.length; j++) {
                 const job = batch[j];
                 const result = results[j];
+                const outcome = result.status === 'fulfilled'
+                    ? result.value
+                    : { description: null, error: result.reason && result.reason.message, attempts: 1 };
+                const item = {
+                    jobId: job.id,
+                    attempts: outcome.attempts,
+                    durationMs: outcome.durationMs,
+                    descriptionLength: outcome.description ? outcome.description.length : 0
+                };
                 
-                if (result.status === 'fulfilled' && result.value) {
-                    const success = await updateJobDescription(job.id, result.value);
+                if (outcome.description) {
+                    const success = await updateJobDescription(job.id, outcome.description);
                     if (success) {
                         enrichedCount++;
+                        item.status = 'enriched';
                         console.log(`  ✅ Enriched: ${job.title} (${job.company})`);
                     } else {
                         failedCount++;
+                        item.status = 'failed';
+                        item.error = 'Failed to save description';
                         console.log(`  ❌ Failed to update: ${job.title}`);
                     }
                 } else {
                     failedCount++;
+                    item.status = 'failed';
+                    item.error = outcome.error || 'Unknown error';
                     console.log(`  ❌ Failed to fetch: ${job.title}`);
                 }
+                
+                await recordItem(runId, item);
             }
             
             // Wait between batches to be respectful to servers
@@ -320,10 +471,15 @@ const enrichJobDescriptions = async () => {
                 await new Promise(resolve => setTimeout(resolve, 5000));
             }
         }
+    } catch (error) {
+        await finishRun(runId, { error: error.message });
+        throw error;
     } finally {
-        await browser.close();
+        if (browser) await browser.close();
     }
     
+    await finishRun(runId);
+    
     console.log('\n' + '='.repeat(60));
     console.log('📈 Enrichment Summary:');
     console.log(`   Total jobs processed: ${jobs.length}`);
@@ -332,6 +488,7 @@ const enrichJobDescriptions = async () => {
     console.log('='.repeat(60) + '\n');
     
     return {
+        runId,
         total: jobs.length,
         enriched: enrichedCount,
         failed: failedCount
@@ -1,7 +1,40 @@
-const axios = require("axios");
 const path = require("path");
-const { scrapeWeWorkRemotely, scrapeRemoteOK } = require("./scraperService");
-const { pool, initDB } = require("../config/database");
+const { pool } = require("../config/database");
+const { parseSalary, ANNUAL_MULTIPLIERS } = require("../utils/salaryParser");
+const { ensureJobId, jobFingerprint } = require("../utils/jobIdentity");
+const { buildSearch } = require("../utils/searchQuery");
+const { encodeCursor } = require("../utils/cursor");
+const { getEnabledSources, fetchFromSource } = require("../sources");
+const { defaultQuery } = require("../config/sources");
+const { listProfiles } = require("./scrapeProfileService");
+const {
+  resolveLocation,
+  getBoundingBox,
+  EARTH_RADIUS_KM,
+} = require("./geoService");
+const { getStateName } = require("../config/usStates");
+const { classifyWorkArrangement } = require("../utils/workArrangement");
+const {
+  classifySeniority,
+  classifyEmploymentType,
+  normalizeEmploymentType,
+} = require("../utils/jobClassifier");
+const { getCountryName } = require("../config/gazetteer");
+const {
+  recordChange,
+  resolveSinceId,
+  listChanges,
+  encodeChangeToken,
+} = require("./jobChangeService");
+const { enqueue } = require("./queueService");
+const { JOB_TTL_DAYS } = require("./livenessService");
+const { tagJobSkills, getSkillsByJobIds } = require("./skillService");
+const { companyKey, resolveCompany } = require("./companyService");
+const { classifyAgency } = require("../utils/agencyDetector");
+const {
+  tagJobRequirements,
+  getCertificationsByJobIds,
+} = require("./requirementService");
 
 const generateMockJobs = () => {
   return [
@@ -20,50 +53,203 @@ const generateMockJobs = () => {
   ];
 };
 
-const addJobsToSystem = async (newJobs) => {
-  if (!newJobs || newJobs.length === 0) return 0;
+/**
+ * Structured salary for a job: values supplied by the source (e.g. Adzuna's
+ * salary_min/salary_max) win over parsing the display string
+ */
+const resolveSalary = (job) => {
+  if (job.salaryMin || job.salaryMax) {
+    return {
+      min: job.salaryMin || null,
+      max: job.salaryMax || null,
+      currency: job.salaryCurrency || "USD",
+      period: job.salaryPeriod || "year",
+    };
+  }
+  return (
+    parseSalary(job.salary) || {
+      min: null,
+      max: null,
+      currency: null,
+      period: null,
+    }
+  );
+};
+
+/**
+ * Record that a source lists a job (first sighting inserts, later ones refresh last_seen_at)
+ */
+const recordJobSource = async (connection, jobId, job, sourceJobId) => {
+  await connection.execute(
+    `INSERT INTO job_sources (job_id, source, source_job_id, url)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE url = VALUES(url), last_seen_at = CURRENT_TIMESTAMP`,
+    [jobId, job.source || "External", sourceJobId, job.url || ""],
+  );
+};
+
+/**
+ * A source still lists the job: keep it from expiring before the liveness
+ * checker gets to it. A job that had lapsed or been closed is reopened and
+ * queued for a fresh liveness check.
+ * @returns {Promise<boolean>} Whether the job was reopened
+ */
+const refreshSightedJob = async (connection, jobId, expiresAt) => {
+  const [reopened] = await connection.execute(
+    `UPDATE jobs SET status = 'active', expires_at = ?, last_checked_at = NULL
+         WHERE id = ? AND (status <> 'active' OR expires_at <= NOW())`,
+    [expiresAt, jobId],
+  );
+  if (reopened.affectedRows > 0) {
+    await recordChange(connection, jobId, "reopened", ["status", "expires_at"]);
+    return true;
+  }
+
+  await connection.execute(
+    `UPDATE jobs SET expires_at = GREATEST(expires_at, ?), updated_at = updated_at
+         WHERE id = ?`,
+    [expiresAt, jobId],
+  );
+  return false;
+};
+
+/**
+ * Store jobs and report what happened to each one
+ * @param {object[]} newJobs - Jobs in the scraper/extension shape
+ * @param {object} [options] - { uploadedBy } user ID recorded on new jobs
+ * @returns {Promise<{added: number, duplicates: number, results: object[]}>}
+ *   results[i] is { id, status: "accepted"|"duplicate", reason, duplicateOf }
+ */
+const ingestJobs = async (newJobs, options = {}) => {
+  const results = [];
+  if (!newJobs || newJobs.length === 0) {
+    return { added: 0, duplicates: 0, results };
+  }
 
   let addedCount = 0;
+  let knownCount = 0;
+  let mergedCount = 0;
   let connection;
 
   try {
     connection = await pool.getConnection();
-    const now = new Date();
-    const expiresAt = new Date(now.setMonth(now.getMonth() + 1));
+    // Until the liveness checker verifies it, a job lives JOB_TTL_DAYS
     const addedAt = new Date();
+    const expiresAt = new Date(
+      addedAt.getTime() + JOB_TTL_DAYS * 24 * 60 * 60 * 1000,
+    );
 
     for (const job of newJobs) {
+      const jobId = ensureJobId(job);
+      const fingerprint = jobFingerprint(job);
+
+      // Already stored under this ID, or already seen from this source
       const [rows] = await connection.execute(
-        "SELECT id FROM jobs WHERE id = ?",
-        [job.id],
+        `SELECT id FROM jobs WHERE id = ?
+             UNION
+             SELECT job_id FROM job_sources WHERE source = ? AND source_job_id = ?`,
+        [jobId, job.source || "External", jobId],
       );
 
-      if (rows.length === 0) {
-        const query = `
+      if (rows.length > 0) {
+        await recordJobSource(connection, rows[0].id, job, jobId);
+        const reopened = await refreshSightedJob(
+          connection,
+          rows[0].id,
+          expiresAt,
+        );
+        knownCount++;
+        results.push({
+          id: jobId,
+          status: "duplicate",
+          reason: reopened
+            ? "Job already exists; reopened"
+            : "Job already exists",
+          duplicateOf: rows[0].id,
+        });
+        continue;
+      }
+
+      // Same role already listed by another source: keep its URL on the canonical job
+      const [duplicates] = await connection.execute(
+        `SELECT id FROM jobs WHERE fingerprint = ? AND expires_at > NOW()
+             ORDER BY added_at ASC LIMIT 1`,
+        [fingerprint],
+      );
+
+      if (duplicates.length > 0) {
+        await recordJobSource(connection, duplicates[0].id, job, jobId);
+        await refreshSightedJob(connection, duplicates[0].id, expiresAt);
+        mergedCount++;
+        results.push({
+          id: jobId,
+          status: "duplicate",
+          reason: "Same title, company and location already listed",
+          duplicateOf: duplicates[0].id,
+        });
+        continue;
+      }
+
+      const salary = resolveSalary(job);
+      const geo = resolveLocation(job.location);
+      const workArrangement = classifyWorkArrangement(job, {
+        hasPlace: Boolean(geo.city || geo.stateCode),
+      });
+      const seniority = classifySeniority(job);
+      const employmentType = classifyEmploymentType(job);
+      const company = await resolveCompany(connection, job.company);
+      const isAgency = classifyAgency(job, {
+        companyIsAgency: company ? company.isStaffingAgency : undefined,
+      });
+      const query = `
                     INSERT INTO jobs 
-                    (id, title, company, location, type, salary, posted_date, description, url, source, easy_apply, added_at, expires_at) 
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    (id, title, company, company_id, company_key, is_agency, location, type, salary, salary_min, salary_max, salary_currency, salary_period, posted_date, description, url, source, easy_apply, fingerprint, uploaded_by, geo_id, state_code, city, country, lat, lng, work_arrangement, seniority, employment_type, added_at, expires_at) 
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `;
 
-        await connection.execute(query, [
-          job.id,
-          job.title || "Unknown Title",
-          job.company || "Unknown Company",
-          job.location || "Remote",
-          job.type || "Full-time",
-          job.salary || "Not listed",
-          job.posted || new Date().toLocaleDateString(),
-          job.description || "",
-          job.url || "",
-          job.source || "External",
-          job.easyApply || false,
-          addedAt,
-          expiresAt,
-        ]);
-        addedCount++;
-      }
+      await connection.execute(query, [
+        jobId,
+        job.title || "Unknown Title",
+        job.company || "Unknown Company",
+        company ? company.id : null,
+        companyKey(job.company),
+        isAgency,
+        job.location || "Remote",
+        job.type || "Full-time",
+        job.salary || "Not listed",
+        salary.min,
+        salary.max,
+        salary.currency,
+        salary.period,
+        job.posted || new Date().toLocaleDateString(),
+        job.description || "",
+        job.url || "",
+        job.source || "External",
+        job.easyApply || false,
+        fingerprint,
+        options.uploadedBy || null,
+        geo.geoId,
+        geo.stateCode,
+        geo.city,
+        geo.country,
+        geo.lat,
+        geo.lng,
+        workArrangement,
+        seniority,
+        employmentType,
+        addedAt,
+        expiresAt,
+      ]);
+      await recordJobSource(connection, jobId, job, jobId);
+      await tagJobSkills(connection, jobId, job);
+      await tagJobRequirements(connection, jobId, job);
+      await recordChange(connection, jobId, "created");
+      addedCount++;
+      results.push({ id: jobId, status: "accepted" });
     }
-    console.log(`✅ Added ${addedCount} new unique jobs to the database.`);
+    console.log(
+      `✅ Added ${addedCount} new unique jobs to the database (${knownCount} already known, ${mergedCount} merged as cross-source duplicates).`,
+    );
   } catch (err) {
     console.error("Error adding jobs to DB:", err);
     console.error("Database connection details:", {
@@ -75,135 +261,538 @@ const addJobsToSystem = async (newJobs) => {
   } finally {
     if (connection) connection.release();
   }
-  return addedCount;
+
+  // Hand new jobs to the webhook fan-out; delivery never blocks ingest
+  const addedIds = results
+    .filter((result) => result.status === "accepted")
+    .map((result) => result.id);
+  if (addedIds.length > 0) {
+    try {
+      await enqueue("webhook-fanout", { jobIds: addedIds });
+    } catch (err) {
+      console.error("Error queueing webhook fan-out:", err.message);
+    }
+  }
+
+  return {
+    added: addedCount,
+    duplicates: knownCount + mergedCount,
+    results,
+  };
 };
 
-const refreshJobCache = async () => {
-  console.log("🔄 Starting background job scrape...");
-  const searchTerm = "Cybersecurity";
-  let newJobs = [];
+/**
+ * Store jobs and return how many were new
+ */
+const addJobsToSystem = async (newJobs) => (await ingestJobs(newJobs)).added;
 
-  try {
-    const appId = process.env.ADZUNA_APP_ID;
-    const appKey = process.env.ADZUNA_APP_KEY;
-    const countryCode = "us";
-
-    if (appId && appKey && appId !== "your_app_id_here") {
-      const url = `${process.env.BASE_URL || "https://api.adzuna.com/v1/api"}/jobs/${countryCode}/search/1`;
-      const response = await axios.get(url, {
-        params: {
-          app_id: appId,
-          app_key: appKey,
-          what: searchTerm,
-          results_per_page: 20,
-          "content-type": "application/json",
-          sort_by: "date",
-        },
-      });
+let scrapeInProgress = false;
+
+/**
+ * Run enabled source adapters for one query and store the results
+ * @param {object} [query] - Overrides for the default query, plus optional `sources`
+ * @returns {Promise<Array<{source, fetched, added, error, durationMs}>>} Per-source report
+ */
+const refreshJobCache = async (query = {}) => {
+  const sourceQuery = { ...defaultQuery, ...query };
+  const report = [];
+
+  console.log(
+    `🔄 Scraping "${sourceQuery.keyword}" (${[sourceQuery.location, sourceQuery.country].filter(Boolean).join(", ")})...`,
+  );
 
-      if (response.data && response.data.results) {
-        const apiJobs = response.data.results.map((job) => ({
-          id: String(job.id),
-          title: job.title.replace(/<[^>]*>?/gm, ""),
-          company: job.company.display_name,
-          location: job.location.display_name,
-          type: job.contract_time || "Full-time",
-          salary: job.salary_min
-            ? `$${job.salary_min} - $${job.salary_max}`
-            : "Not listed",
-          posted: new Date(job.created).toLocaleDateString(),
-          description:
-            job.description.replace(/<[^>]*>?/gm, "").substring(0, 200) + "...",
-          url: job.redirect_url,
-          source: "Adzuna",
-        }));
-        newJobs = newJobs.concat(apiJobs);
+  for (const { adapter, config } of getEnabledSources(query.sources)) {
+    const startTime = Date.now();
+    const entry = { source: adapter.name, fetched: 0, added: 0, error: null };
+
+    try {
+      console.log(`...Fetching ${adapter.label}`);
+      const jobs = await fetchFromSource(adapter, config, sourceQuery);
+      entry.fetched = jobs.length;
+      if (jobs.length > 0) {
+        entry.added = await addJobsToSystem(jobs);
       }
+    } catch (error) {
+      console.error(`⚠️ ${adapter.label} Error:`, error.message);
+      entry.error = error.message;
     }
-  } catch (error) {
-    console.error("⚠️ Adzuna API Error:", error.message);
+
+    entry.durationMs = Date.now() - startTime;
+    report.push(entry);
   }
 
-  try {
-    console.log("...Scraping WeWorkRemotely");
-    const scrapedJobs = await scrapeWeWorkRemotely(searchTerm);
-    newJobs = newJobs.concat(scrapedJobs);
-  } catch (scrapeError) {
-    console.error("⚠️ WeWorkRemotely Scraping Error:", scrapeError.message);
+  report.forEach((entry) => {
+    console.log(
+      `   ${entry.error ? "❌" : "✅"} ${entry.source}: ${entry.fetched} fetched, ${entry.added} added` +
+        (entry.error ? ` (${entry.error})` : ""),
+    );
+  });
+
+  return report;
+};
+
+/**
+ * Expand a scrape profile into the queries to run. Sources that ignore
+ * location (remote boards, company ATS feeds) run once per keyword.
+ */
+const buildProfileQueries = (profile) => {
+  const adapters = getEnabledSources(
+    profile.sources.length > 0 ? profile.sources : undefined,
+  ).map(({ adapter }) => adapter);
+  const located = adapters.filter((adapter) => adapter.supportsLocation);
+  const global = adapters.filter((adapter) => !adapter.supportsLocation);
+  const locations = profile.locations.length > 0 ? profile.locations : [null];
+  const queries = [];
+
+  for (const keyword of profile.keywords) {
+    if (global.length > 0) {
+      queries.push({
+        keyword,
+        country: profile.countries[0],
+        location: null,
+        pages: profile.pageDepth,
+        sources: global.map((adapter) => adapter.name),
+      });
+    }
+    if (located.length === 0) continue;
+    for (const country of profile.countries) {
+      for (const location of locations) {
+        queries.push({
+          keyword,
+          country,
+          location,
+          pages: profile.pageDepth,
+          sources: located.map((adapter) => adapter.name),
+        });
+      }
+    }
   }
 
-  try {
-    console.log("...Scraping RemoteOK");
-    const remoteOkJobs = await scrapeRemoteOK(searchTerm);
-    newJobs = newJobs.concat(remoteOkJobs);
-  } catch (rokError) {
-    console.error("⚠️ RemoteOK Scraping Error:", rokError.message);
+  return queries;
+};
+
+/**
+ * Run every active scrape profile, falling back to the default query when
+ * no profiles are configured
+ * @param {object[]} [profiles] - Profiles to run instead of the active ones
+ * @returns {Promise<object|null>} Run report, or null if a run was already in progress
+ */
+const runScrapeProfiles = async (profiles) => {
+  if (scrapeInProgress) {
+    console.log("⏳ Scrape already in progress - skipping");
+    return null;
   }
+  scrapeInProgress = true;
+  const startedAt = new Date();
 
-  if (newJobs.length > 0) {
-    await addJobsToSystem(newJobs);
-  } else {
-    console.log("⚠️ No new jobs found during background scrape.");
+  try {
+    if (!profiles) {
+      try {
+        profiles = await listProfiles({ activeOnly: true });
+      } catch (error) {
+        console.error("⚠️ Could not load scrape profiles:", error.message);
+        profiles = [];
+      }
+    }
+    if (profiles.length === 0) {
+      profiles = [
+        {
+          id: null,
+          name: "Default",
+          keywords: [defaultQuery.keyword],
+          countries: [defaultQuery.country],
+          locations: [],
+          pageDepth: defaultQuery.pages,
+          sources: [],
+        },
+      ];
+    }
+
+    console.log(
+      `🔄 Starting background job scrape (${profiles.length} profiles)...`,
+    );
+    const results = [];
+
+    for (const profile of profiles) {
+      const sources = [];
+      for (const query of buildProfileQueries(profile)) {
+        const report = await refreshJobCache(query);
+        report.forEach((entry) =>
+          sources.push({
+            ...entry,
+            keyword: query.keyword,
+            country: query.country,
+            location: query.location,
+          }),
+        );
+      }
+
+      results.push({
+        id: profile.id,
+        name: profile.name,
+        fetched: sources.reduce((sum, entry) => sum + entry.fetched, 0),
+        added: sources.reduce((sum, entry) => sum + entry.added, 0),
+        errors: sources.filter((entry) => entry.error).length,
+        sources,
+      });
+    }
+
+    console.log("📊 Scrape summary:");
+    results.forEach((result) => {
+      console.log(
+        `   ${result.name}: ${result.fetched} fetched, ${result.added} added, ${result.errors} errors`,
+      );
+    });
+
+    return { startedAt, finishedAt: new Date(), profiles: results };
+  } finally {
+    scrapeInProgress = false;
   }
 };
 
-const initJobScheduler = async () => {
-  await initDB();
-  console.log("🚀 System started. Job Scheduler active.");
-  refreshJobCache();
-  setInterval(refreshJobCache, 3600000);
+// Salary columns converted to yearly amounts so hourly, monthly and annual
+// postings compare on the same scale
+const annualSalarySql = (column) =>
+  `(${column} * CASE salary_period ${Object.entries(ANNUAL_MULTIPLIERS)
+    .map(([period, multiplier]) => `WHEN '${period}' THEN ${multiplier}`)
+    .join(" ")} ELSE 1 END)`;
+const SALARY_LOW_SQL = annualSalarySql("COALESCE(salary_min, salary_max)");
+const SALARY_HIGH_SQL = annualSalarySql("COALESCE(salary_max, salary_min)");
+
+// Whitelisted sort fields (API name -> SQL expression)
+// "relevance" orders by the FULLTEXT score and needs a search term
+const SORT_FIELDS = {
+  posted_at: "added_at",
+  salary: SALARY_LOW_SQL,
+  company: "company",
+  relevance: "score",
 };
 
-const getJobs = async (filters) => {
-  try {
-    let query = "SELECT * FROM jobs WHERE expires_at > NOW()";
-    const params = [];
+const SORT_ORDERS = ["asc", "desc"];
 
-    if (filters && filters.search && filters.search.trim() !== "") {
-      query += " AND (title LIKE ? OR company LIKE ? OR description LIKE ?)";
-      const term = `%${filters.search}%`;
-      params.push(term, term, term);
+/**
+ * Split a comma-separated string (or pass through an array) into trimmed values
+ */
+const toList = (value) => {
+  if (Array.isArray(value)) {
+    return value.map((v) => String(v).trim()).filter((v) => v);
+  }
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((v) => v.trim())
+      .filter((v) => v);
+  }
+  return [];
+};
+
+/**
+ * Build the WHERE clause shared by getJobs and getJobCount
+ */
+const buildJobFilters = (filters = {}) => {
+  const conditions = ["expires_at > NOW()"];
+  const params = [];
+  let score = null;
+
+  if (filters.search && filters.search.trim() !== "") {
+    const search = buildSearch(filters.search, {
+      fields: filters.searchFields,
+      exact: filters.exactMatch,
+    });
+    if (search) {
+      conditions.push(search.condition);
+      params.push(...search.params);
+      score = { sql: search.scoreSql, params: search.scoreParams };
     }
+  }
 
-    if (filters && filters.location && filters.location.trim() !== "") {
-      // Handle multiple locations (array or comma-separated)
-      let locations = filters.location;
-      if (typeof locations === "string") {
-        locations = locations
-          .split(",")
-          .map((l) => l.trim())
-          .filter((l) => l);
-      }
-      if (Array.isArray(locations) && locations.length > 0) {
-        const locationConditions = locations
-          .map(() => "location LIKE ?")
-          .join(" OR ");
-        query += ` AND (${locationConditions})`;
-        locations.forEach((loc) => params.push(`%${loc}%`));
-      }
+  // Handle multiple locations (array or comma-separated); any may match
+  const locations = toList(filters.location);
+  const locationConditions = locations.map(() => "location LIKE ?");
+  locations.forEach((loc) => params.push(`%${loc}%`));
+
+  // Saved locations match on geo ID. Jobs whose city wasn't recognised
+  // ("Greater Austin Area, TX") fall back to the city name within its state.
+  const savedLocations = filters.savedLocations || [];
+  const geoIds = [
+    ...new Set(savedLocations.map((loc) => loc.geoId).filter(Boolean)),
+  ];
+  if (geoIds.length > 0) {
+    locationConditions.push(`geo_id IN (${geoIds.map(() => "?").join(", ")})`);
+    params.push(...geoIds);
+  }
+  for (const loc of savedLocations) {
+    const cityName = String(loc.cityName || "")
+      .split(",")[0]
+      .trim();
+    if (loc.stateCode && cityName) {
+      locationConditions.push(
+        "(geo_id IS NULL AND state_code = ? AND location LIKE ?)",
+      );
+      params.push(loc.stateCode, `%${cityName}%`);
+    }
+  }
+
+  if (locationConditions.length > 0) {
+    conditions.push(`(${locationConditions.join(" OR ")})`);
+  }
+
+  // Skill slugs; every one must be tagged on the job
+  for (const skill of toList(filters.skills)) {
+    conditions.push(
+      "EXISTS (SELECT 1 FROM job_skills js WHERE js.job_id = jobs.id AND js.skill = ?)",
+    );
+    params.push(skill);
+  }
+
+  // Clearance levels; any may match, "none" for jobs that don't ask for one
+  const clearances = toList(filters.clearance);
+  if (clearances.length > 0) {
+    const levels = clearances.filter((level) => level !== "none");
+    const clearanceConditions = [];
+    if (levels.length > 0) {
+      clearanceConditions.push(
+        `clearance_level IN (${levels.map(() => "?").join(", ")})`,
+      );
+      params.push(...levels);
     }
+    if (clearances.includes("none")) {
+      clearanceConditions.push("clearance_level IS NULL");
+    }
+    conditions.push(`(${clearanceConditions.join(" OR ")})`);
+  }
+
+  // Certification slugs; any may match, optionally only where required
+  // (or only where preferred)
+  const certifications = toList(filters.certifications);
+  if (certifications.length > 0) {
+    const requirement = filters.certificationRequirement
+      ? " AND jc.requirement = ?"
+      : "";
+    conditions.push(
+      `EXISTS (SELECT 1 FROM job_certifications jc WHERE jc.job_id = jobs.id AND jc.certification IN (${certifications.map(() => "?").join(", ")})${requirement})`,
+    );
+    params.push(...certifications);
+    if (requirement) params.push(filters.certificationRequirement);
+  }
+
+  // Two-letter state codes; any may match
+  const states = toList(filters.states);
+  if (states.length > 0) {
+    conditions.push(`state_code IN (${states.map(() => "?").join(", ")})`);
+    params.push(...states);
+  }
 
-    if (filters && filters.company && filters.company.trim() !== "") {
-      query += " AND company LIKE ?";
+  // Radius search: the bounding box narrows on idx_lat_lng, haversine decides
+  if (filters.near) {
+    const { lat, lng, radiusKm } = filters.near;
+    const box = getBoundingBox(lat, lng, radiusKm);
+    conditions.push(
+      `lat BETWEEN ? AND ? AND lng BETWEEN ? AND ?
+         AND ${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+           POWER(SIN(RADIANS(lat - ?) / 2), 2) +
+           COS(RADIANS(?)) * COS(RADIANS(lat)) * POWER(SIN(RADIANS(lng - ?) / 2), 2)
+         ))) <= ?`,
+    );
+    params.push(box.minLat, box.maxLat, box.minLng, box.maxLng);
+    params.push(lat, lat, lng, radiusKm);
+  }
+
+  // Company name; also matches jobs listed under any of the company's
+  // other names ("Booz Allen" finds "BAH")
+  if (filters.company && filters.company.trim() !== "") {
+    const key = companyKey(filters.company);
+    if (key) {
+      conditions.push(
+        "(company LIKE ? OR company_id IN (SELECT company_id FROM company_aliases WHERE alias_key = ?))",
+      );
+      params.push(`%${filters.company}%`, key);
+    } else {
+      conditions.push("company LIKE ?");
       params.push(`%${filters.company}%`);
     }
+  }
+
+  if (filters.companyId) {
+    conditions.push("company_id = ?");
+    params.push(filters.companyId);
+  }
 
-    if (filters && filters.remote === true) {
-      query += " AND (location LIKE ? OR location LIKE ?)";
-      params.push("%remote%", "%Remote%");
+  // Hide blocked or excluded companies, by ID or by any of their names.
+  // Jobs never resolved to a company are matched by their company key.
+  const excludeIds = toList(filters.excludeCompanyIds);
+  const excludeKeys = toList(filters.excludeCompanies)
+    .map(companyKey)
+    .filter(Boolean);
+  if (excludeIds.length > 0 || excludeKeys.length > 0) {
+    const resolved = [];
+    const unresolved = [];
+    const resolvedParams = [];
+    const unresolvedParams = [];
+    if (excludeIds.length > 0) {
+      const list = excludeIds.map(() => "?").join(", ");
+      resolved.push(`company_id NOT IN (${list})`);
+      resolvedParams.push(...excludeIds);
+      unresolved.push(
+        `company_key NOT IN (SELECT alias_key FROM company_aliases WHERE company_id IN (${list}))`,
+      );
+      unresolvedParams.push(...excludeIds);
     }
+    if (excludeKeys.length > 0) {
+      const list = excludeKeys.map(() => "?").join(", ");
+      resolved.push(
+        `company_id NOT IN (SELECT company_id FROM company_aliases WHERE alias_key IN (${list}))`,
+      );
+      resolvedParams.push(...excludeKeys);
+      unresolved.push(`company_key NOT IN (${list})`);
+      unresolvedParams.push(...excludeKeys);
+    }
+    conditions.push(
+      `(CASE WHEN company_id IS NULL
+             THEN company_key IS NULL OR (${unresolved.join(" AND ")})
+             ELSE ${resolved.join(" AND ")} END)`,
+    );
+    params.push(...unresolvedParams, ...resolvedParams);
+  }
 
-    query += " ORDER BY added_at DESC";
+  // Staffing agencies and jobs posted on behalf of a client
+  if (filters.excludeAgencies === true) {
+    conditions.push("is_agency = FALSE");
+  }
+
+  // Employment types; any may match. Labels the classifier doesn't know
+  // fall back to matching the source's own type text.
+  const types = toList(filters.type);
+  if (types.length > 0) {
+    const employmentTypes = [
+      ...new Set(types.map(normalizeEmploymentType).filter(Boolean)),
+    ];
+    const typeConditions = [];
+    if (employmentTypes.length > 0) {
+      typeConditions.push(
+        `employment_type IN (${employmentTypes.map(() => "?").join(", ")})`,
+      );
+      params.push(...employmentTypes);
+    }
+    for (const type of types.filter((type) => !normalizeEmploymentType(type))) {
+      typeConditions.push("type LIKE ?");
+      params.push(`%${type}%`);
+    }
+    conditions.push(`(${typeConditions.join(" OR ")})`);
+  }
+
+  // Seniority levels; any may match
+  const seniorities = toList(filters.seniority);
+  if (seniorities.length > 0) {
+    conditions.push(`seniority IN (${seniorities.map(() => "?").join(", ")})`);
+    params.push(...seniorities);
+  }
+
+  // remote, hybrid and/or onsite; `remote: true` is shorthand for remote
+  const workArrangements = toList(filters.workArrangement);
+  if (filters.remote === true && !workArrangements.includes("remote")) {
+    workArrangements.push("remote");
+  }
+  if (workArrangements.length > 0) {
+    conditions.push(
+      `work_arrangement IN (${workArrangements.map(() => "?").join(", ")})`,
+    );
+    params.push(...workArrangements);
+  }
+
+  // Salary ranges overlap the requested bounds
+  if (Number.isFinite(filters.salaryMin)) {
+    conditions.push(`${SALARY_HIGH_SQL} >= ?`);
+    params.push(filters.salaryMin);
+  }
+
+  if (Number.isFinite(filters.salaryMax)) {
+    conditions.push(`${SALARY_LOW_SQL} <= ?`);
+    params.push(filters.salaryMax);
+  }
+
+  if (filters.postedAfter) {
+    const postedAfter = new Date(filters.postedAfter);
+    if (!isNaN(postedAfter.getTime())) {
+      conditions.push("added_at >= ?");
+      params.push(postedAfter);
+    }
+  }
+
+  return {
+    where: `WHERE ${conditions.join(" AND ")}`,
+    params,
+    score,
+  };
+};
+
+/**
+ * Build the ORDER BY clause from a whitelisted sort field and order
+ */
+const buildJobOrder = (filters = {}, hasScore = false) => {
+  const sort = filters.sort || (hasScore ? "relevance" : "posted_at");
+  const direction =
+    String(filters.order).toLowerCase() === "asc" ? "ASC" : "DESC";
+
+  if (sort === "relevance") {
+    return hasScore
+      ? `ORDER BY score ${direction}, id ${direction}`
+      : `ORDER BY added_at ${direction}, id ${direction}`;
+  }
+
+  const column = SORT_FIELDS[sort] || SORT_FIELDS.posted_at;
+
+  // Keep jobs without a value (e.g. unlisted salary) at the end, then
+  // break ties on id so pages are stable
+  return `ORDER BY (${column}) IS NULL, ${column} ${direction}, id ${direction}`;
+};
+
+/**
+ * Attach every source listing (source, URL, native ID), the extracted
+ * skill slugs and the detected certifications to each job row
+ */
+const attachJobDetails = async (rows) => {
+  if (rows.length === 0) return rows;
+
+  const skillsByJob = await getSkillsByJobIds(rows.map((row) => row.id));
+  const certificationsByJob = await getCertificationsByJobIds(
+    rows.map((row) => row.id),
+  );
+  const [sources] = await pool.query(
+    `SELECT job_id, source, source_job_id, url, first_seen_at, last_seen_at
+         FROM job_sources WHERE job_id IN (?) ORDER BY first_seen_at ASC`,
+    [rows.map((row) => row.id)],
+  );
+
+  const byJob = sources.reduce((acc, source) => {
+    (acc[source.job_id] = acc[source.job_id] || []).push(source);
+    return acc;
+  }, {});
+
+  return rows.map((row) => ({
+    ...row,
+    sources: byJob[row.id] || [],
+    skills: skillsByJob[row.id] || [],
+    certifications: certificationsByJob[row.id] || [],
+  }));
+};
+
+const getJobs = async (filters = {}) => {
+  try {
+    const { where, params: whereParams, score } = buildJobFilters(filters);
+    const select = score ? `SELECT *, ${score.sql} AS score` : "SELECT *";
+    const params = [...(score ? score.params : []), ...whereParams];
+    let query = `${select} FROM jobs ${where} ${buildJobOrder(filters, Boolean(score))}`;
 
     // Apply limit and offset
-    if (filters && filters.limit) {
+    if (filters.limit) {
       query += " LIMIT ?";
       params.push(parseInt(filters.limit));
-    }
 
-    if (filters && filters.offset) {
-      query += " OFFSET ?";
-      params.push(parseInt(filters.offset));
+      if (filters.offset) {
+        query += " OFFSET ?";
+        params.push(parseInt(filters.offset));
+      }
     }
 
     const [rows] = await pool.execute(query, params);
@@ -212,7 +801,7 @@ const getJobs = async (filters) => {
       return [];
     }
 
-    return rows.map((row) => ({
+    return (await attachJobDetails(rows)).map((row) => ({
       ...row,
       posted: row.posted_date,
     }));
@@ -223,37 +812,150 @@ const getJobs = async (filters) => {
 };
 
 /**
- * Get total count of jobs matching filters
+ * WHERE condition selecting the rows after (or before) a cursor position,
+ * in the (sort IS NULL, sort, id) order used by getJobPage
  */
-const getJobCount = async (filters) => {
-  try {
-    let query = "SELECT COUNT(*) as total FROM jobs WHERE expires_at > NOW()";
-    const params = [];
+const buildKeysetCondition = (sortSql, sortParams, cursor, order, nullable) => {
+  const backwards = cursor.direction === "prev";
+  const cmp = (order === "desc") !== backwards ? "<" : ">";
 
-    if (filters && filters.search && filters.search.trim() !== "") {
-      query += " AND (title LIKE ? OR company LIKE ? OR description LIKE ?)";
-      const term = `%${filters.search}%`;
-      params.push(term, term, term);
-    }
+  if (cursor.value === null) {
+    // Cursor sits among rows without a sort value (always ordered last)
+    return backwards
+      ? {
+          sql: `((${sortSql}) IS NOT NULL OR ((${sortSql}) IS NULL AND id ${cmp} ?))`,
+          params: [...sortParams, ...sortParams, cursor.id],
+        }
+      : {
+          sql: `((${sortSql}) IS NULL AND id ${cmp} ?)`,
+          params: [...sortParams, cursor.id],
+        };
+  }
 
-    if (filters && filters.location && filters.location.trim() !== "") {
-      let locations = filters.location;
-      if (typeof locations === "string") {
-        locations = locations
-          .split(",")
-          .map((l) => l.trim())
-          .filter((l) => l);
-      }
-      if (Array.isArray(locations) && locations.length > 0) {
-        const locationConditions = locations
-          .map(() => "location LIKE ?")
-          .join(" OR ");
-        query += ` AND (${locationConditions})`;
-        locations.forEach((loc) => params.push(`%${loc}%`));
-      }
+  let sql = `((${sortSql}) ${cmp} ? OR ((${sortSql}) = ? AND id ${cmp} ?))`;
+  let params = [
+    ...sortParams,
+    cursor.value,
+    ...sortParams,
+    cursor.value,
+    cursor.id,
+  ];
+  if (nullable) {
+    sql = `((${sortSql}) IS NOT NULL AND ${sql})`;
+    params = [...sortParams, ...params];
+    if (!backwards) {
+      sql = `(${sql} OR (${sortSql}) IS NULL)`;
+      params = [...params, ...sortParams];
     }
+  }
+  return { sql, params };
+};
 
-    const [rows] = await pool.execute(query, params);
+/**
+ * Get one page of jobs with keyset cursors
+ * @param {object} filters - getJobs filters plus `cursor` (decoded, see utils/cursor)
+ * @returns {Promise<{jobs: object[], nextCursor: string|null, prevCursor: string|null, hasMore: boolean}>}
+ */
+const getJobPage = async (filters = {}) => {
+  const { where, params: whereParams, score } = buildJobFilters(filters);
+  const requestedSort = filters.sort || (score ? "relevance" : "posted_at");
+  const sort =
+    requestedSort === "relevance" && !score ? "posted_at" : requestedSort;
+  const order = String(filters.order).toLowerCase() === "asc" ? "asc" : "desc";
+  const limit = parseInt(filters.limit) || 20;
+  const cursor = filters.cursor || null;
+  const backwards = Boolean(cursor && cursor.direction === "prev");
+
+  const sortSql =
+    sort === "relevance"
+      ? score.sql
+      : SORT_FIELDS[sort] || SORT_FIELDS.posted_at;
+  const sortParams = sort === "relevance" ? score.params : [];
+  const nullable = sort !== "relevance";
+
+  const conditions = [where];
+  const params = [
+    ...(score ? score.params : []),
+    ...sortParams,
+    ...whereParams,
+  ];
+  if (cursor) {
+    const keyset = buildKeysetCondition(
+      sortSql,
+      sortParams,
+      cursor,
+      order,
+      nullable,
+    );
+    conditions.push(`AND ${keyset.sql}`);
+    params.push(...keyset.params);
+  }
+
+  // Paging backwards scans in reverse and flips the rows afterwards
+  const direction = (order === "asc") !== backwards ? "ASC" : "DESC";
+  const orderBy = [
+    nullable ? `(${sortSql}) IS NULL ${backwards ? "DESC" : "ASC"}` : null,
+    `${sortSql} ${direction}`,
+    `id ${direction}`,
+  ].filter(Boolean);
+  if (nullable) params.push(...sortParams);
+  params.push(...sortParams);
+
+  let query = `SELECT *${score ? `, ${score.sql} AS score` : ""}, ${sortSql} AS sort_value
+         FROM jobs ${conditions.join(" ")}
+         ORDER BY ${orderBy.join(", ")}
+         LIMIT ?`;
+  params.push(limit + 1);
+  if (!cursor && filters.offset) {
+    query += " OFFSET ?";
+    params.push(parseInt(filters.offset));
+  }
+
+  const [rows] = await pool.query(query, params);
+  const hasExtra = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const toCursor = (row, cursorDirection) =>
+    encodeCursor({
+      sort: requestedSort,
+      order,
+      value: row.sort_value,
+      id: row.id,
+      direction: cursorDirection,
+    });
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  let nextCursor = null;
+  let prevCursor = null;
+  if (backwards) {
+    nextCursor = last ? toCursor(last, "next") : null;
+    prevCursor = hasExtra ? toCursor(first, "prev") : null;
+  } else {
+    nextCursor = hasExtra ? toCursor(last, "next") : null;
+    prevCursor =
+      first && (cursor || filters.offset > 0) ? toCursor(first, "prev") : null;
+  }
+
+  const jobs = (await attachJobDetails(page)).map(({ sort_value, ...row }) => ({
+    ...row,
+    posted: row.posted_date,
+  }));
+
+  return { jobs, nextCursor, prevCursor, hasMore: Boolean(nextCursor) };
+};
+
+/**
+ * Get total count of jobs matching filters
+ */
+const getJobCount = async (filters = {}) => {
+  try {
+    const { where, params } = buildJobFilters(filters);
+    const [rows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM jobs ${where}`,
+      params,
+    );
     return rows[0]?.total || 0;
   } catch (err) {
     console.error("Error counting jobs:", err);
@@ -269,7 +971,10 @@ const getJobById = async (jobId) => {
     const [rows] = await pool.execute("SELECT * FROM jobs WHERE id = ?", [
       jobId,
     ]);
-    return rows[0] || null;
+    if (rows.length === 0) return null;
+
+    const [job] = await attachJobDetails(rows);
+    return job;
   } catch (err) {
     console.error("Error fetching job by ID:", err);
     return null;
@@ -277,31 +982,136 @@ const getJobById = async (jobId) => {
 };
 
 /**
- * Get unique locations from jobs
+ * Get jobs (expired or not) by ID, with sources attached
+ * @param {string[]} jobIds
  */
-const getUniqueLocations = async () => {
-  try {
-    const [rows] = await pool.execute(
-      "SELECT DISTINCT location FROM jobs WHERE expires_at > NOW() ORDER BY location",
+const getJobsByIds = async (jobIds) => {
+  if (!jobIds || jobIds.length === 0) return [];
+
+  const [rows] = await pool.query("SELECT * FROM jobs WHERE id IN (?)", [
+    jobIds,
+  ]);
+  return attachJobDetails(rows);
+};
+
+/**
+ * Walk every active job matching API-style filters in ID order, one batch
+ * at a time, without holding the whole result set in memory
+ * @param {object} filters - Filters accepted by buildJobFilters
+ * @param {function(object[]): Promise<boolean|void>} onBatch - Return false to stop early
+ * @param {object} options - { batchSize }
+ */
+const forEachJobBatch = async (filters, onBatch, options = {}) => {
+  const batchSize = options.batchSize || 500;
+  const { where, params } = buildJobFilters(filters);
+  let lastId = "";
+
+  while (true) {
+    const [rows] = await pool.query(
+      `SELECT * FROM jobs ${where} AND id > ? ORDER BY id ASC LIMIT ?`,
+      [...params, lastId, batchSize],
     );
-    return rows.map((r) => r.location);
-  } catch (err) {
-    console.error("Error fetching locations:", err);
-    return [];
+    if (rows.length === 0) break;
+
+    const keepGoing = await onBatch(await attachJobDetails(rows));
+    if (keepGoing === false || rows.length < batchSize) break;
+    lastId = rows[rows.length - 1].id;
   }
 };
 
 /**
- * Get unique companies from jobs
+ * Narrow a set of job IDs to the active jobs matching API-style filters
+ * (the same semantics as GET /api/v1/jobs)
+ * @param {string[]} jobIds
+ * @param {object} filters - Filters accepted by buildJobFilters
+ * @returns {Promise<string[]>} Matching IDs
+ */
+const filterJobIds = async (jobIds, filters = {}) => {
+  if (!jobIds || jobIds.length === 0) return [];
+
+  const { where, params } = buildJobFilters(filters);
+  const [rows] = await pool.query(
+    `SELECT id FROM jobs ${where} AND id IN (?) ORDER BY added_at ASC, id ASC`,
+    [...params, jobIds],
+  );
+  return rows.map((row) => row.id);
+};
+
+/**
+ * Changes since a point in the change log, each with the job's current row
+ * (null once the job is gone)
+ * @param {object} since - Parsed `since` from jobChangeService.parseSince
+ * @param {number} limit - Max changes to return
+ * @returns {Promise<{changes, nextToken, hasMore}>} nextToken resumes after the last change
+ */
+const getJobChanges = async (since, limit) => {
+  const afterId = await resolveSinceId(since);
+  const { changes, hasMore } = await listChanges(afterId, limit);
+
+  const jobsById = (
+    await getJobsByIds([...new Set(changes.map((change) => change.jobId))])
+  ).reduce((acc, job) => {
+    acc[job.id] = job;
+    return acc;
+  }, {});
+
+  const lastId = changes.length > 0 ? changes[changes.length - 1].id : afterId;
+  return {
+    changes: changes.map((change) => ({
+      ...change,
+      job: jobsById[change.jobId] || null,
+    })),
+    nextToken: encodeChangeToken(lastId),
+    hasMore,
+  };
+};
+
+/**
+ * Locations of active jobs as a country → state → city hierarchy with job
+ * counts. Jobs whose location couldn't be normalized are left out.
+ * @returns {Promise<Array<{ code, name, count, states: Array<{ code, name, count, cities: Array<{ name, count }> }> }>>}
  */
-const getUniqueCompanies = async () => {
+const getUniqueLocations = async () => {
   try {
     const [rows] = await pool.execute(
-      "SELECT DISTINCT company FROM jobs WHERE expires_at > NOW() ORDER BY company",
+      `SELECT country, state_code, city, COUNT(*) AS count FROM jobs
+           WHERE expires_at > NOW() AND country IS NOT NULL
+           GROUP BY country, state_code, city
+           ORDER BY country, state_code, city`,
     );
-    return rows.map((r) => r.company);
+
+    const countries = new Map();
+    for (const row of rows) {
+      if (!countries.has(row.country)) {
+        countries.set(row.country, {
+          code: row.country,
+          name: getCountryName(row.country) || row.country,
+          count: 0,
+          states: new Map(),
+        });
+      }
+      const country = countries.get(row.country);
+      country.count += row.count;
+      if (!row.state_code) continue;
+
+      if (!country.states.has(row.state_code)) {
+        country.states.set(row.state_code, {
+          code: row.state_code,
+          name: getStateName(row.state_code) || row.state_code,
+          count: 0,
+          cities: [],
+        });
+      }
+      const state = country.states.get(row.state_code);
+      state.count += row.count;
+      if (row.city) state.cities.push({ name: row.city, count: row.count });
+    }
+
+    return [...countries.values()]
+      .map((country) => ({ ...country, states: [...country.states.values()] }))
+      .sort((a, b) => b.count - a.count);
   } catch (err) {
-    console.error("Error fetching companies:", err);
+    console.error("Error fetching locations:", err);
     return [];
   }
 };
@@ -338,24 +1148,39 @@ const getJobStats = async () => {
 };
 
 /**
- * Search jobs with advanced options
+ * Full-text search ranked by relevance, one page at a time
+ * @param {object} options - { search, searchFields, exactMatch, limit, offset, cursor }
+ * @returns {Promise<{jobs, nextCursor, prevCursor, hasMore}>} See getJobPage
  */
 const searchJobs = async (options) => {
-  return getJobs({
+  return getJobPage({
     search: options.search,
+    searchFields: options.searchFields,
+    exactMatch: options.exactMatch,
+    sort: "relevance",
+    order: "desc",
     limit: options.limit,
     offset: options.offset,
+    cursor: options.cursor,
   });
 };
 
 module.exports = {
   getJobs,
+  getJobPage,
   getJobCount,
   getJobById,
+  getJobsByIds,
+  filterJobIds,
+  forEachJobBatch,
+  getJobChanges,
   getUniqueLocations,
-  getUniqueCompanies,
   getJobStats,
   searchJobs,
-  initJobScheduler,
+  refreshJobCache,
+  runScrapeProfiles,
   addJobsToSystem,
+  ingestJobs,
+  SORT_FIELDS,
+  SORT_ORDERS,
 };
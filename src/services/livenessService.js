@@ -0,0 +1,231 @@
+/**
+ * Liveness Service
+ *
+ * Revisits job URLs to find postings that were taken down or closed, in
+ * place of trusting a fixed TTL. A live posting pushes expires_at out again;
+ * a removed or closed one is hidden right away and logged to the change
+ * feed. Inconclusive checks (timeouts, 5xx, LinkedIn's 999 bot wall) change
+ * nothing, and the job simply drops off when expires_at passes unverified.
+ */
+
+const axios = require("axios");
+const { pool } = require("../config/database");
+const { recordChange } = require("./jobChangeService");
+
+const JOB_TTL_DAYS = parseInt(process.env.JOB_TTL_DAYS) || 30;
+const BATCH_SIZE = parseInt(process.env.LIVENESS_BATCH_SIZE) || 50;
+const RECHECK_HOURS = parseInt(process.env.LIVENESS_RECHECK_HOURS) || 24;
+const TIMEOUT_MS = parseInt(process.env.LIVENESS_TIMEOUT_MS) || 15000;
+const HOST_DELAY_MS = parseInt(process.env.LIVENESS_HOST_DELAY_MS) || 1000;
+
+// Text on any board that means applications are closed
+const GENERIC_CLOSED_PATTERNS = [
+  /no longer accepting applications/i,
+  /(job|position|posting|role) (is )?no longer (available|open|active)/i,
+  /(job|position|posting) has (expired|been filled|been closed)/i,
+  /this (job|position|posting) (is )?(closed|expired)/i,
+];
+
+/**
+ * Per-source signals, keyed by jobs.source
+ * - closed: page text that means the posting is closed
+ * - removedUrl: where the board redirects a missing posting (search
+ *   results, the company's job list, the home page)
+ */
+const SOURCE_SIGNALS = {
+  LinkedIn: {
+    closed: [/no longer accepting applications/i],
+    removedUrl: /linkedin\.com\/jobs(\/search|\/?$|\/?\?)/i,
+  },
+  Indeed: {
+    closed: [/this job has expired/i],
+    removedUrl: /indeed\.com\/(jobs|q-[^/]*-jobs\.html)(\?|$)/i,
+  },
+  Greenhouse: {
+    closed: [/job you are looking for is no longer open/i],
+    removedUrl: /greenhouse\.io\/[^/]+\/?(\?error=true)?$/i,
+  },
+  Lever: {
+    closed: [/sorry, we couldn't find anything here/i],
+    removedUrl: /jobs\.lever\.co\/[^/]+\/?$/i,
+  },
+  RemoteOK: {
+    closed: [/this job is closed/i, /job (has been )?closed/i],
+    removedUrl: /remoteok\.com\/?(\?.*)?$/i,
+  },
+  "We Work Remotely": {
+    closed: [/this (job|listing) (has )?(expired|closed)/i],
+    removedUrl: /weworkremotely\.com\/?(remote-jobs\/search.*)?$/i,
+  },
+  Adzuna: {
+    closed: [/this (job|ad) is no longer available/i],
+    removedUrl: /adzuna\.[a-z.]+\/(search|jobs)?\/?(\?.*)?$/i,
+  },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Decide what a fetched page says about a posting
+ * @param {string} source - jobs.source
+ * @param {string} url - The job URL that was requested
+ * @param {{ status: number, finalUrl: string, body: string }} page
+ * @returns {{ outcome: "live"|"closed"|"removed"|"inconclusive", reason: string }}
+ */
+function classifyResponse(source, url, page) {
+  const signals = SOURCE_SIGNALS[source] || {};
+
+  if (page.status === 404 || page.status === 410) {
+    return { outcome: "removed", reason: `HTTP ${page.status}` };
+  }
+  if (page.status < 200 || page.status >= 300) {
+    return { outcome: "inconclusive", reason: `HTTP ${page.status}` };
+  }
+
+  if (
+    signals.removedUrl &&
+    page.finalUrl !== url &&
+    signals.removedUrl.test(page.finalUrl.split("#")[0])
+  ) {
+    return {
+      outcome: "removed",
+      reason: `Redirected to ${page.finalUrl.substring(0, 200)}`,
+    };
+  }
+
+  const closedPattern = [
+    ...(signals.closed || []),
+    ...GENERIC_CLOSED_PATTERNS,
+  ].find((pattern) => pattern.test(page.body));
+  if (closedPattern) {
+    return { outcome: "closed", reason: `Page says ${closedPattern}` };
+  }
+
+  return { outcome: "live", reason: `HTTP ${page.status}` };
+}
+
+/**
+ * Fetch a job URL and classify it
+ * @param {{ source: string, url: string }} job
+ */
+async function checkJobUrl(job) {
+  try {
+    const response = await axios.get(job.url, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 5,
+      maxContentLength: 5 * 1024 * 1024,
+      responseType: "text",
+      validateStatus: () => true,
+      headers: {
+        "User-Agent": "Mozilla/5.0 (compatible; JobbyJobJob-LinkChecker/1.0)",
+        Accept: "text/html,application/xhtml+xml",
+      },
+    });
+    return classifyResponse(job.source, job.url, {
+      status: response.status,
+      finalUrl: response.request?.res?.responseUrl || job.url,
+      body: typeof response.data === "string" ? response.data : "",
+    });
+  } catch (error) {
+    return { outcome: "inconclusive", reason: error.message };
+  }
+}
+
+/**
+ * Active jobs that were never checked or not checked recently, oldest first
+ */
+async function getJobsDueForCheck(limit = BATCH_SIZE) {
+  const [rows] = await pool.query(
+    `SELECT id, source, url FROM jobs
+         WHERE status = 'active' AND expires_at > NOW()
+         AND url LIKE 'http%'
+         AND (last_checked_at IS NULL OR last_checked_at < DATE_SUB(NOW(), INTERVAL ? HOUR))
+         ORDER BY last_checked_at IS NOT NULL, last_checked_at ASC
+         LIMIT ?`,
+    [RECHECK_HOURS, limit],
+  );
+  return rows;
+}
+
+/**
+ * Store the outcome of a check
+ */
+async function applyOutcome(jobId, { outcome }) {
+  if (outcome === "live") {
+    // Keep updated_at as-is: consumers only care when the status changes
+    await pool.execute(
+      `UPDATE jobs SET last_checked_at = NOW(), last_verified_at = NOW(),
+             expires_at = GREATEST(expires_at, DATE_ADD(NOW(), INTERVAL ? DAY)),
+             updated_at = updated_at
+         WHERE id = ?`,
+      [JOB_TTL_DAYS, jobId],
+    );
+    return;
+  }
+
+  if (outcome === "inconclusive") {
+    await pool.execute(
+      `UPDATE jobs SET last_checked_at = NOW(), updated_at = updated_at WHERE id = ?`,
+      [jobId],
+    );
+    return;
+  }
+
+  const [result] = await pool.execute(
+    `UPDATE jobs SET status = ?, last_checked_at = NOW(), expires_at = LEAST(expires_at, NOW())
+         WHERE id = ? AND status = 'active'`,
+    [outcome, jobId],
+  );
+  if (result.affectedRows > 0) {
+    await recordChange(pool, jobId, "removed", ["status"]);
+  }
+}
+
+/**
+ * Check one batch of jobs that are due. Requests to the same host are
+ * spaced out by LIVENESS_HOST_DELAY_MS.
+ * @returns {Promise<{ checked: number, live: number, closed: number, removed: number, inconclusive: number }>}
+ */
+async function checkJobLiveness(options = {}) {
+  const jobs = await getJobsDueForCheck(options.limit);
+  const summary = {
+    checked: 0,
+    live: 0,
+    closed: 0,
+    removed: 0,
+    inconclusive: 0,
+  };
+  const lastRequestByHost = {};
+
+  for (const job of jobs) {
+    let result;
+    if (!URL.canParse(job.url)) {
+      result = { outcome: "inconclusive", reason: "Invalid URL" };
+    } else {
+      const host = new URL(job.url).host;
+      const wait = (lastRequestByHost[host] || 0) + HOST_DELAY_MS - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastRequestByHost[host] = Date.now();
+
+      result = await checkJobUrl(job);
+    }
+    await applyOutcome(job.id, result);
+    if (result.outcome !== "live") {
+      console.log(
+        `🔎 ${job.id} (${job.source}): ${result.outcome} - ${result.reason}`,
+      );
+    }
+
+    summary.checked++;
+    summary[result.outcome]++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  JOB_TTL_DAYS,
+  classifyResponse,
+  checkJobUrl,
+  checkJobLiveness,
+};
@@ -0,0 +1,348 @@
+/**
+ * Payment Providers
+ *
+ * Thin HTTP clients for the Square and PayPal REST APIs: hosted checkout,
+ * subscription lookups and cancellation, and webhook signature checks.
+ * billingService decides what the calls mean for our subscriptions.
+ *
+ * Add to .env:
+ * SQUARE_ACCESS_TOKEN=your_square_access_token
+ * SQUARE_LOCATION_ID=your_square_location_id
+ * SQUARE_ENVIRONMENT=sandbox (or production)
+ * SQUARE_WEBHOOK_SIGNATURE_KEY=from the webhook subscription in the dashboard
+ * SQUARE_WEBHOOK_URL=https://your.domain/webhooks/square (exactly as registered)
+ *
+ * PAYPAL_CLIENT_ID=your_paypal_client_id
+ * PAYPAL_CLIENT_SECRET=your_paypal_client_secret
+ * PAYPAL_MODE=sandbox (or live)
+ * PAYPAL_WEBHOOK_ID=from the webhook in the developer dashboard
+ *
+ * Optional:
+ * SQUARE_API_BASE_URL / PAYPAL_API_BASE_URL  Override the API host (e.g. a
+ *                                            local stub of the provider)
+ * PAYMENT_PROVIDER_TIMEOUT_MS=15000          Per-request timeout
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const TIMEOUT_MS = parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15000;
+const SQUARE_API_VERSION = "2024-10-17";
+
+// Refresh PayPal tokens a minute before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let paypalToken = null;
+
+const squareBaseUrl = () =>
+  process.env.SQUARE_API_BASE_URL ||
+  (process.env.SQUARE_ENVIRONMENT === "production"
+    ? "https://connect.squareup.com"
+    : "https://connect.squareupsandbox.com");
+
+const paypalBaseUrl = () =>
+  process.env.PAYPAL_API_BASE_URL ||
+  (process.env.PAYPAL_MODE === "live"
+    ? "https://api-m.paypal.com"
+    : "https://api-m.sandbox.paypal.com");
+
+/**
+ * Turn an axios failure into an Error carrying the provider's own message
+ * and HTTP status (null when the provider couldn't be reached)
+ */
+function providerError(provider, error) {
+  const data = error.response ? error.response.data : null;
+  const detail =
+    (data && Array.isArray(data.errors) && data.errors[0]?.detail) ||
+    (data && (data.message || data.error_description)) ||
+    error.message;
+  const wrapped = new Error(`${provider}: ${detail}`);
+  wrapped.status = error.response ? error.response.status : null;
+  return wrapped;
+}
+
+// ============================================
+// Square
+// ============================================
+
+/**
+ * Call the Square API
+ */
+async function squareRequest(method, path, data) {
+  if (!process.env.SQUARE_ACCESS_TOKEN) {
+    throw new Error("square: SQUARE_ACCESS_TOKEN is not set");
+  }
+  try {
+    const response = await axios({
+      method,
+      url: `${squareBaseUrl()}${path}`,
+      data,
+      timeout: TIMEOUT_MS,
+      headers: {
+        Authorization: `Bearer ${process.env.SQUARE_ACCESS_TOKEN}`,
+        "Square-Version": SQUARE_API_VERSION,
+        "Content-Type": "application/json",
+      },
+    });
+    return response.data;
+  } catch (error) {
+    throw providerError("square", error);
+  }
+}
+
+/**
+ * Create a Square payment link that signs the buyer up for a subscription
+ * plan variation
+ * @returns {Promise<object>} { id, url, orderId }
+ */
+async function createSquarePaymentLink({
+  planVariationId,
+  name,
+  amountCents,
+  buyerEmail,
+  redirectUrl,
+  idempotencyKey,
+}) {
+  const data = await squareRequest(
+    "POST",
+    "/v2/online-checkout/payment-links",
+    {
+      idempotency_key: idempotencyKey,
+      quick_pay: {
+        name,
+        price_money: { amount: amountCents, currency: "USD" },
+        location_id: process.env.SQUARE_LOCATION_ID,
+      },
+      checkout_options: {
+        subscription_plan_id: planVariationId,
+        redirect_url: redirectUrl,
+      },
+      pre_populated_data: buyerEmail ? { buyer_email: buyerEmail } : undefined,
+    },
+  );
+  const link = data.payment_link;
+  return { id: link.id, url: link.url, orderId: link.order_id || null };
+}
+
+/**
+ * Fetch a Square subscription
+ */
+async function getSquareSubscription(subscriptionId) {
+  const data = await squareRequest(
+    "GET",
+    `/v2/subscriptions/${encodeURIComponent(subscriptionId)}`,
+  );
+  return data.subscription;
+}
+
+/**
+ * Fetch a Square invoice
+ */
+async function getSquareInvoice(invoiceId) {
+  const data = await squareRequest(
+    "GET",
+    `/v2/invoices/${encodeURIComponent(invoiceId)}`,
+  );
+  return data.invoice;
+}
+
+/**
+ * Cancel a Square subscription at the end of its paid-through period
+ */
+async function cancelSquareSubscription(subscriptionId) {
+  const data = await squareRequest(
+    "POST",
+    `/v2/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`,
+  );
+  return data.subscription;
+}
+
+/**
+ * Verify a Square webhook: base64 HMAC-SHA256 of the notification URL
+ * followed by the raw body, keyed with the subscription's signature key
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - x-square-hmacsha256-signature header
+ * @returns {boolean}
+ */
+function verifySquareSignature(rawBody, signature) {
+  const key = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  const url = process.env.SQUARE_WEBHOOK_URL;
+  if (!key || !url || !signature || rawBody === undefined) return false;
+
+  const expected = crypto
+    .createHmac("sha256", key)
+    .update(url + rawBody.toString("utf8"))
+    .digest();
+  const received = Buffer.from(String(signature), "base64");
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+// ============================================
+// PayPal
+// ============================================
+
+/**
+ * OAuth access token for the PayPal API, cached until shortly before it
+ * expires
+ */
+async function getPayPalToken() {
+  if (paypalToken && paypalToken.expiresAt > Date.now()) {
+    return paypalToken.value;
+  }
+  if (!process.env.PAYPAL_CLIENT_ID || !process.env.PAYPAL_CLIENT_SECRET) {
+    throw new Error(
+      "paypal: PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET must be set",
+    );
+  }
+
+  try {
+    const response = await axios.post(
+      `${paypalBaseUrl()}/v1/oauth2/token`,
+      "grant_type=client_credentials",
+      {
+        timeout: TIMEOUT_MS,
+        auth: {
+          username: process.env.PAYPAL_CLIENT_ID,
+          password: process.env.PAYPAL_CLIENT_SECRET,
+        },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      },
+    );
+    paypalToken = {
+      value: response.data.access_token,
+      expiresAt:
+        Date.now() +
+        (response.data.expires_in || 0) * 1000 -
+        TOKEN_EXPIRY_MARGIN_MS,
+    };
+    return paypalToken.value;
+  } catch (error) {
+    throw providerError("paypal", error);
+  }
+}
+
+/**
+ * Call the PayPal API
+ */
+async function paypalRequest(method, path, data, headers = {}) {
+  const token = await getPayPalToken();
+  try {
+    const response = await axios({
+      method,
+      url: `${paypalBaseUrl()}${path}`,
+      data,
+      timeout: TIMEOUT_MS,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+        ...headers,
+      },
+    });
+    return response.data;
+  } catch (error) {
+    throw providerError("paypal", error);
+  }
+}
+
+/**
+ * Create a PayPal subscription awaiting buyer approval
+ * @returns {Promise<object>} { id, approveUrl }
+ */
+async function createPayPalSubscription({
+  planId,
+  customId,
+  returnUrl,
+  cancelUrl,
+  requestId,
+}) {
+  const data = await paypalRequest(
+    "POST",
+    "/v1/billing/subscriptions",
+    {
+      plan_id: planId,
+      custom_id: customId,
+      application_context: {
+        brand_name: "MD Technical Job Board",
+        user_action: "SUBSCRIBE_NOW",
+        shipping_preference: "NO_SHIPPING",
+        return_url: returnUrl,
+        cancel_url: cancelUrl,
+      },
+    },
+    { "PayPal-Request-Id": requestId },
+  );
+  const approve = (data.links || []).find((link) => link.rel === "approve");
+  if (!approve) {
+    throw new Error("paypal: No approval link returned");
+  }
+  return { id: data.id, approveUrl: approve.href };
+}
+
+/**
+ * Fetch a PayPal subscription
+ */
+async function getPayPalSubscription(subscriptionId) {
+  return paypalRequest(
+    "GET",
+    `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}`,
+  );
+}
+
+/**
+ * Cancel a PayPal subscription (no further billing)
+ */
+async function cancelPayPalSubscription(subscriptionId, reason) {
+  await paypalRequest(
+    "POST",
+    `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`,
+    { reason: reason || "Canceled by customer" },
+  );
+}
+
+/**
+ * Verify a PayPal webhook with PayPal's verify-webhook-signature API
+ * @param {object} headers - Request headers (lower-cased, as Express has them)
+ * @param {object} event - Parsed webhook body
+ * @returns {Promise<boolean>}
+ */
+async function verifyPayPalSignature(headers, event) {
+  if (!process.env.PAYPAL_WEBHOOK_ID) return false;
+  const required = [
+    "paypal-auth-algo",
+    "paypal-cert-url",
+    "paypal-transmission-id",
+    "paypal-transmission-sig",
+    "paypal-transmission-time",
+  ];
+  if (required.some((name) => !headers[name])) return false;
+
+  const data = await paypalRequest(
+    "POST",
+    "/v1/notifications/verify-webhook-signature",
+    {
+      auth_algo: headers["paypal-auth-algo"],
+      cert_url: headers["paypal-cert-url"],
+      transmission_id: headers["paypal-transmission-id"],
+      transmission_sig: headers["paypal-transmission-sig"],
+      transmission_time: headers["paypal-transmission-time"],
+      webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+      webhook_event: event,
+    },
+  );
+  return data.verification_status === "SUCCESS";
+}
+
+module.exports = {
+  createSquarePaymentLink,
+  getSquareSubscription,
+  getSquareInvoice,
+  cancelSquareSubscription,
+  verifySquareSignature,
+  createPayPalSubscription,
+  getPayPalSubscription,
+  cancelPayPalSubscription,
+  verifyPayPalSignature,
+};
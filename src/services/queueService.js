@@ -0,0 +1,352 @@
+/**
+ * Queue Service
+ *
+ * MySQL-backed work queue shared by the web server (producer) and
+ * worker.js (consumer). Workers lease a job for a fixed time and extend
+ * the lease while they run it; a job whose lease expires is handed to the
+ * next worker. Failures are retried with exponential backoff until
+ * max_attempts is reached.
+ */
+
+const { pool } = require("../config/database");
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_LEASE_SECONDS = parseInt(process.env.QUEUE_LEASE_SECONDS) || 300;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 3600;
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Format a queue_jobs row for callers
+ */
+function formatQueueJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    payload: parseJson(row.payload) || {},
+    status: row.status,
+    priority: row.priority,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    uniqueKey: row.unique_key,
+    runAt: row.run_at,
+    lockedBy: row.locked_by,
+    lockedUntil: row.locked_until,
+    lastError: row.last_error,
+    result: parseJson(row.result),
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+/**
+ * Seconds to wait before retry number `attempts` + 1
+ */
+function backoffSeconds(attempts) {
+  return Math.min(
+    BACKOFF_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)),
+    BACKOFF_MAX_SECONDS,
+  );
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Task name handled by the worker
+ * @param {object} payload - Task arguments (JSON-serializable)
+ * @param {object} options
+ * @param {string} [options.uniqueKey] - Idempotency key; an existing job with this key is returned instead
+ * @param {boolean} [options.singleton] - Return the pending/running job of this type if there is one
+ * @param {number} [options.delaySeconds] - Run no earlier than this many seconds from now
+ * @param {number} [options.priority] - Higher runs first
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked failed
+ * @returns {Promise<{job: object, created: boolean}>}
+ */
+async function enqueue(type, payload = {}, options = {}) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    if (options.uniqueKey) {
+      const [existing] = await connection.execute(
+        "SELECT * FROM queue_jobs WHERE unique_key = ? FOR UPDATE",
+        [options.uniqueKey],
+      );
+      if (existing.length > 0) {
+        await connection.commit();
+        return { job: formatQueueJob(existing[0]), created: false };
+      }
+    }
+
+    if (options.singleton) {
+      const [active] = await connection.execute(
+        `SELECT * FROM queue_jobs
+                 WHERE type = ? AND status IN ('pending', 'running')
+                 ORDER BY id LIMIT 1 FOR UPDATE`,
+        [type],
+      );
+      if (active.length > 0) {
+        await connection.commit();
+        return { job: formatQueueJob(active[0]), created: false };
+      }
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO queue_jobs (type, payload, priority, max_attempts, unique_key, run_at)
+             VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [
+        type,
+        JSON.stringify(payload),
+        options.priority || 0,
+        options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        options.uniqueKey || null,
+        options.delaySeconds || 0,
+      ],
+    );
+
+    const [rows] = await connection.execute(
+      "SELECT * FROM queue_jobs WHERE id = ?",
+      [result.insertId],
+    );
+    await connection.commit();
+
+    return { job: formatQueueJob(rows[0]), created: true };
+  } catch (error) {
+    await connection.rollback();
+
+    // Another producer inserted the same unique key first
+    if (error.code === "ER_DUP_ENTRY" && options.uniqueKey) {
+      const [existing] = await pool.execute(
+        "SELECT * FROM queue_jobs WHERE unique_key = ?",
+        [options.uniqueKey],
+      );
+      return { job: formatQueueJob(existing[0]), created: false };
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Lease the next due job
+ * @param {string} workerId - Identifies the worker holding the lease
+ * @param {object} options - { types, leaseSeconds }
+ * @returns {Promise<object|null>} Claimed job, or null if nothing is due
+ */
+async function claimNext(workerId, options = {}) {
+  const leaseSeconds = options.leaseSeconds || DEFAULT_LEASE_SECONDS;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    let typeFilter = "";
+    const params = [];
+    if (options.types && options.types.length > 0) {
+      typeFilter = `AND type IN (${options.types.map(() => "?").join(", ")})`;
+      params.push(...options.types);
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT id FROM queue_jobs
+             WHERE status = 'pending' AND run_at <= NOW() ${typeFilter}
+             ORDER BY priority DESC, run_at ASC, id ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED`,
+      params,
+    );
+
+    if (rows.length === 0) {
+      await connection.commit();
+      return null;
+    }
+
+    await connection.execute(
+      `UPDATE queue_jobs
+             SET status = 'running', attempts = attempts + 1, locked_by = ?,
+                 locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND),
+                 started_at = NOW(), last_error = NULL
+             WHERE id = ?`,
+      [workerId, leaseSeconds, rows[0].id],
+    );
+    const [claimed] = await connection.execute(
+      "SELECT * FROM queue_jobs WHERE id = ?",
+      [rows[0].id],
+    );
+    await connection.commit();
+
+    return formatQueueJob(claimed[0]);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Extend the lease on a running job
+ * @returns {Promise<boolean>} False if the worker no longer holds the lease
+ */
+async function extendLease(
+  jobId,
+  workerId,
+  leaseSeconds = DEFAULT_LEASE_SECONDS,
+) {
+  const [result] = await pool.execute(
+    `UPDATE queue_jobs SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE id = ? AND locked_by = ? AND status = 'running'`,
+    [leaseSeconds, jobId, workerId],
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Mark a job completed and store its result
+ */
+async function completeJob(jobId, workerId, result = null) {
+  const [update] = await pool.execute(
+    `UPDATE queue_jobs
+         SET status = 'completed', result = ?, finished_at = NOW(),
+             locked_by = NULL, locked_until = NULL
+         WHERE id = ? AND locked_by = ?`,
+    [JSON.stringify(result), jobId, workerId],
+  );
+  return update.affectedRows > 0;
+}
+
+/**
+ * Record a failed attempt. The job is rescheduled with backoff, or marked
+ * failed once it has used all its attempts.
+ * @returns {Promise<string|null>} New status, or null if the lease was lost
+ */
+async function failJob(jobId, workerId, error) {
+  const [rows] = await pool.execute(
+    "SELECT attempts, max_attempts FROM queue_jobs WHERE id = ? AND locked_by = ?",
+    [jobId, workerId],
+  );
+  if (rows.length === 0) return null;
+
+  const { attempts, max_attempts: maxAttempts } = rows[0];
+  const message = (error && error.message) || String(error);
+
+  if (attempts >= maxAttempts) {
+    await pool.execute(
+      `UPDATE queue_jobs
+             SET status = 'failed', last_error = ?, finished_at = NOW(),
+                 locked_by = NULL, locked_until = NULL
+             WHERE id = ?`,
+      [message, jobId],
+    );
+    return "failed";
+  }
+
+  await pool.execute(
+    `UPDATE queue_jobs
+         SET status = 'pending', last_error = ?,
+             run_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+             locked_by = NULL, locked_until = NULL
+         WHERE id = ?`,
+    [message, backoffSeconds(attempts), jobId],
+  );
+  return "pending";
+}
+
+/**
+ * Return jobs whose worker died (lease expired) to the queue, or fail them
+ * if they are out of attempts
+ * @returns {Promise<number>} Number of jobs recovered
+ */
+async function recoverExpiredLeases() {
+  const [result] = await pool.execute(
+    `UPDATE queue_jobs
+         SET status = IF(attempts >= max_attempts, 'failed', 'pending'),
+             finished_at = IF(attempts >= max_attempts, NOW(), NULL),
+             last_error = 'Lease expired before the job finished',
+             locked_by = NULL, locked_until = NULL
+         WHERE status = 'running' AND locked_until < NOW()`,
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Get a queue job by ID
+ */
+async function getQueueJob(jobId) {
+  const [rows] = await pool.execute("SELECT * FROM queue_jobs WHERE id = ?", [
+    jobId,
+  ]);
+  return rows.length > 0 ? formatQueueJob(rows[0]) : null;
+}
+
+/**
+ * Most recent queue job of a type
+ */
+async function getLatestQueueJob(type) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM queue_jobs WHERE type = ? ORDER BY id DESC LIMIT 1",
+    [type],
+  );
+  return rows.length > 0 ? formatQueueJob(rows[0]) : null;
+}
+
+/**
+ * List queue jobs, newest first
+ * @param {object} filters - { status, type, limit }
+ */
+async function listQueueJobs(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.status) {
+    conditions.push("status = ?");
+    params.push(filters.status);
+  }
+  if (filters.type) {
+    conditions.push("type = ?");
+    params.push(filters.type);
+  }
+
+  const limit = Math.min(parseInt(filters.limit) || 50, 200);
+  const where =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const [rows] = await pool.query(
+    `SELECT * FROM queue_jobs ${where} ORDER BY id DESC LIMIT ?`,
+    [...params, limit],
+  );
+  return rows.map(formatQueueJob);
+}
+
+/**
+ * Job counts by status
+ */
+async function getQueueStats() {
+  const [rows] = await pool.execute(
+    "SELECT type, status, COUNT(*) as count FROM queue_jobs GROUP BY type, status",
+  );
+  return rows;
+}
+
+module.exports = {
+  enqueue,
+  claimNext,
+  extendLease,
+  completeJob,
+  failJob,
+  recoverExpiredLeases,
+  getQueueJob,
+  getLatestQueueJob,
+  listQueueJobs,
+  getQueueStats,
+  backoffSeconds,
+};
@@ -0,0 +1,92 @@
+/**
+ * Requirement Service
+ *
+ * Stores the clearance (jobs.clearance_level / clearance_polygraph) and
+ * certifications (job_certifications) detected by
+ * src/utils/requirementDetector.js, and reads certifications back for job
+ * responses.
+ */
+
+const { pool } = require("../config/database");
+const { detectRequirements } = require("../utils/requirementDetector");
+
+/**
+ * Re-detect a job's requirements from its title and description,
+ * replacing previous ones
+ * @param {object} db - Pool or connection (so ingest can tag inside its own connection)
+ * @param {string} jobId
+ * @param {{ title: string, description: string }} job
+ * @returns {Promise<{ clearance: object, certifications: Array<{ slug, requirement }>, clearanceChanged: boolean, certificationsChanged: boolean }>}
+ */
+async function tagJobRequirements(db, jobId, job) {
+  const { clearance, certifications } = detectRequirements(job);
+
+  const [[current]] = await db.execute(
+    "SELECT clearance_level, clearance_polygraph FROM jobs WHERE id = ?",
+    [jobId],
+  );
+  const clearanceChanged =
+    Boolean(current) &&
+    ((current.clearance_level || null) !== clearance.level ||
+      Boolean(current.clearance_polygraph) !== clearance.polygraph);
+  if (clearanceChanged) {
+    await db.execute(
+      `UPDATE jobs SET clearance_level = ?, clearance_polygraph = ?, updated_at = updated_at
+         WHERE id = ?`,
+      [clearance.level, clearance.polygraph, jobId],
+    );
+  }
+
+  const [rows] = await db.execute(
+    "SELECT certification, requirement FROM job_certifications WHERE job_id = ?",
+    [jobId],
+  );
+  const key = (list) =>
+    list
+      .map((item) => `${item.slug}:${item.requirement}`)
+      .sort()
+      .join(",");
+  const certificationsChanged =
+    key(rows.map((row) => ({ ...row, slug: row.certification }))) !==
+    key(certifications);
+  if (certificationsChanged) {
+    await db.execute("DELETE FROM job_certifications WHERE job_id = ?", [
+      jobId,
+    ]);
+    if (certifications.length > 0) {
+      await db.query(
+        "INSERT INTO job_certifications (job_id, certification, requirement) VALUES ?",
+        [certifications.map((cert) => [jobId, cert.slug, cert.requirement])],
+      );
+    }
+  }
+
+  return { clearance, certifications, clearanceChanged, certificationsChanged };
+}
+
+/**
+ * Certifications for each job
+ * @param {string[]} jobIds
+ * @returns {Promise<Object<string, Array<{ slug, requirement }>>>} jobId -> certifications
+ */
+async function getCertificationsByJobIds(jobIds) {
+  if (!jobIds || jobIds.length === 0) return {};
+
+  const [rows] = await pool.query(
+    `SELECT job_id, certification, requirement FROM job_certifications
+         WHERE job_id IN (?) ORDER BY requirement = 'preferred', certification`,
+    [jobIds],
+  );
+  return rows.reduce((acc, row) => {
+    (acc[row.job_id] = acc[row.job_id] || []).push({
+      slug: row.certification,
+      requirement: row.requirement,
+    });
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  tagJobRequirements,
+  getCertificationsByJobIds,
+};
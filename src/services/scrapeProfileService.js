@@ -0,0 +1,213 @@
+/**
+ * Scrape Profile Service
+ *
+ * Stores the searches the background scraper runs: keywords, countries,
+ * locations, page depth and which sources to use.
+ */
+
+const { pool } = require("../config/database");
+const { getSource } = require("../sources");
+
+const MAX_PAGE_DEPTH = 10;
+
+const parseList = (value) => {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const cleanList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter((item) => item);
+
+/**
+ * Format a scrape_profiles row for callers
+ */
+function formatProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keywords: parseList(row.keywords),
+    countries: parseList(row.countries),
+    locations: parseList(row.locations),
+    pageDepth: row.page_depth,
+    sources: parseList(row.sources),
+    isActive: Boolean(row.is_active),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validate and normalize profile input
+ * @param {object} input - Request body
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {{ values: object, errors: string[] }}
+ */
+function validateProfile(input, partial = false) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input[key] !== undefined;
+
+  if (has("name") || !partial) {
+    values.name = String(input.name || "").trim();
+    if (!values.name) errors.push("name is required");
+  }
+
+  if (has("keywords") || !partial) {
+    values.keywords = cleanList(input.keywords);
+    if (values.keywords.length === 0) {
+      errors.push("keywords must contain at least one search term");
+    }
+  }
+
+  if (has("countries") || !partial) {
+    values.countries = cleanList(input.countries).map((c) => c.toLowerCase());
+    if (values.countries.length === 0) values.countries = ["us"];
+    const invalid = values.countries.filter((c) => !/^[a-z]{2}$/.test(c));
+    if (invalid.length > 0) {
+      errors.push(`Invalid country codes: ${invalid.join(", ")}`);
+    }
+  }
+
+  if (has("locations") || !partial) {
+    values.locations = cleanList(input.locations);
+  }
+
+  if (has("pageDepth") || !partial) {
+    values.pageDepth =
+      input.pageDepth === undefined ? 1 : Number(input.pageDepth);
+    if (
+      !Number.isInteger(values.pageDepth) ||
+      values.pageDepth < 1 ||
+      values.pageDepth > MAX_PAGE_DEPTH
+    ) {
+      errors.push(`pageDepth must be an integer from 1 to ${MAX_PAGE_DEPTH}`);
+    }
+  }
+
+  if (has("sources") || !partial) {
+    values.sources = cleanList(input.sources).map((s) => s.toLowerCase());
+    const unknown = values.sources.filter((s) => !getSource(s));
+    if (unknown.length > 0) {
+      errors.push(`Unknown sources: ${unknown.join(", ")}`);
+    }
+  }
+
+  if (has("isActive")) {
+    values.isActive = input.isActive === true || input.isActive === "true";
+  } else if (!partial) {
+    values.isActive = true;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * List scrape profiles
+ * @param {object} options - { activeOnly }
+ */
+async function listProfiles(options = {}) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM scrape_profiles
+         ${options.activeOnly ? "WHERE is_active = TRUE" : ""}
+         ORDER BY id`,
+  );
+  return rows.map(formatProfile);
+}
+
+/**
+ * Get a single scrape profile
+ */
+async function getProfileById(id) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM scrape_profiles WHERE id = ?",
+    [id],
+  );
+  return rows.length > 0 ? formatProfile(rows[0]) : null;
+}
+
+/**
+ * Create a scrape profile from validated values
+ */
+async function createProfile(values, userId = null) {
+  const [result] = await pool.execute(
+    `INSERT INTO scrape_profiles
+         (name, keywords, countries, locations, page_depth, sources, is_active, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      values.name,
+      JSON.stringify(values.keywords),
+      JSON.stringify(values.countries),
+      JSON.stringify(values.locations),
+      values.pageDepth,
+      JSON.stringify(values.sources),
+      values.isActive,
+      userId,
+    ],
+  );
+  return getProfileById(result.insertId);
+}
+
+/**
+ * Update the given fields of a scrape profile
+ * @returns {Promise<object|null>} Updated profile, or null if not found
+ */
+async function updateProfile(id, values) {
+  const columns = {
+    name: ["name", (v) => v],
+    keywords: ["keywords", JSON.stringify],
+    countries: ["countries", JSON.stringify],
+    locations: ["locations", JSON.stringify],
+    pageDepth: ["page_depth", (v) => v],
+    sources: ["sources", JSON.stringify],
+    isActive: ["is_active", (v) => v],
+  };
+
+  const updates = [];
+  const params = [];
+  for (const [key, [column, serialize]] of Object.entries(columns)) {
+    if (values[key] !== undefined) {
+      updates.push(`${column} = ?`);
+      params.push(serialize(values[key]));
+    }
+  }
+
+  if (updates.length > 0) {
+    params.push(id);
+    await pool.execute(
+      `UPDATE scrape_profiles SET ${updates.join(", ")} WHERE id = ?`,
+      params,
+    );
+  }
+
+  return getProfileById(id);
+}
+
+/**
+ * Delete a scrape profile
+ * @returns {Promise<boolean>} True if a profile was deleted
+ */
+async function deleteProfile(id) {
+  const [result] = await pool.execute(
+    "DELETE FROM scrape_profiles WHERE id = ?",
+    [id],
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  validateProfile,
+  listProfiles,
+  getProfileById,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  MAX_PAGE_DEPTH,
+};
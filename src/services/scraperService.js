@@ -56,8 +56,12 @@ const scrapeWeWorkRemotely = async (search) => {
                 const regionNode = node.querySelector('.region'); // Sometimes used for date or location
 
                 if (titleNode && companyNode) {
+                    // The listing slug is stable across scrapes, e.g.
+                    // /remote-jobs/acme-senior-security-engineer -> wwr-acme-senior-security-engineer
+                    const slug = anchor.getAttribute('href').split('?')[0].split('/').filter(Boolean).pop();
+
                     scrapedData.push({
-                        id: 'wwr-' + Math.random().toString(36).substr(2, 9), // Generate temp ID
+                        id: 'wwr-' + slug,
                         title: titleNode.innerText.trim(),
                         company: companyNode.innerText.trim(),
                         location: regionNode ? regionNode.innerText.trim() : 'Remote',
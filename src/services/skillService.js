@@ -0,0 +1,84 @@
+/**
+ * Skill Service
+ *
+ * Stores the skills extracted from each job (src/utils/skillExtractor.js)
+ * in job_skills, and reads them back for job responses, the `skills=`
+ * filter and /api/v1/skills.
+ */
+
+const { pool } = require("../config/database");
+const { extractSkills, formatSkill } = require("../utils/skillExtractor");
+
+/**
+ * Re-tag a job from its title and description, replacing previous tags
+ * @param {object} db - Pool or connection (so ingest can tag inside its own connection)
+ * @param {string} jobId
+ * @param {{ title: string, description: string }} job
+ * @returns {Promise<{ skills: string[], changed: boolean }>}
+ */
+async function tagJobSkills(db, jobId, job) {
+  const skills = extractSkills(`${job.title || ""}\n${job.description || ""}`);
+
+  const [rows] = await db.execute(
+    "SELECT skill FROM job_skills WHERE job_id = ? ORDER BY skill",
+    [jobId],
+  );
+  const previous = rows.map((row) => row.skill);
+  const changed = previous.join(",") !== [...skills].sort().join(",");
+  if (!changed) return { skills, changed };
+
+  await db.execute("DELETE FROM job_skills WHERE job_id = ?", [jobId]);
+  if (skills.length > 0) {
+    await db.query("INSERT INTO job_skills (job_id, skill) VALUES ?", [
+      skills.map((skill) => [jobId, skill]),
+    ]);
+  }
+  return { skills, changed };
+}
+
+/**
+ * Skill slugs for each job
+ * @param {string[]} jobIds
+ * @returns {Promise<Object<string, string[]>>} jobId -> slugs
+ */
+async function getSkillsByJobIds(jobIds) {
+  if (!jobIds || jobIds.length === 0) return {};
+
+  const [rows] = await pool.query(
+    "SELECT job_id, skill FROM job_skills WHERE job_id IN (?)",
+    [jobIds],
+  );
+  return rows.reduce((acc, row) => {
+    (acc[row.job_id] = acc[row.job_id] || []).push(row.skill);
+    return acc;
+  }, {});
+}
+
+/**
+ * Skills on active jobs with the number of jobs tagged with each, most
+ * common first
+ * @param {object} [options] - { category }
+ * @returns {Promise<Array<{ slug, name, category, categoryName, count }>>}
+ */
+async function listSkillCounts(options = {}) {
+  const [rows] = await pool.query(
+    `SELECT s.skill, COUNT(*) AS count FROM job_skills s
+         JOIN jobs j ON j.id = s.job_id
+         WHERE j.expires_at > NOW()
+         GROUP BY s.skill
+         ORDER BY count DESC, s.skill ASC`,
+  );
+
+  return rows
+    .map((row) => ({ ...formatSkill(row.skill), count: row.count }))
+    .filter((skill) => skill.slug)
+    .filter(
+      (skill) => !options.category || skill.category === options.category,
+    );
+}
+
+module.exports = {
+  tagJobSkills,
+  getSkillsByJobIds,
+  listSkillCounts,
+};
@@ -133,7 +133,7 @@ async function getUserById(userId) {
 
   try {
     const [users] = await connection.execute(
-      `SELECT id, email, first_name, last_name, plan, is_active, created_at 
+      `SELECT id, email, first_name, last_name, plan, role, is_active, created_at 
              FROM users WHERE id = ?`,
       [userId],
     );
@@ -150,6 +150,7 @@ async function getUserById(userId) {
       lastName: user.last_name,
       name: `${user.first_name} ${user.last_name}`,
       plan: user.plan,
+      role: user.role || "user",
       isActive: user.is_active,
       createdAt: user.created_at,
     };
@@ -207,19 +208,59 @@ async function getUserUsage(userId) {
   }
 }
 
+/**
+ * Change a user's plan and record it in plan_changes
+ * @param {object} connection - Connection (inside the caller's transaction)
+ * @param {number} userId
+ * @param {string} toPlan
+ * @param {object} change - { reason, details, subscriptionId,
+ *   checkoutSessionId, billingEventId }
+ * @returns {Promise<boolean>} Whether the plan changed
+ */
+async function changeUserPlan(connection, userId, toPlan, change = {}) {
+  const [users] = await connection.execute(
+    "SELECT plan FROM users WHERE id = ? FOR UPDATE",
+    [userId],
+  );
+  if (users.length === 0 || users[0].plan === toPlan) return false;
+
+  await connection.execute("UPDATE users SET plan = ? WHERE id = ?", [
+    toPlan,
+    userId,
+  ]);
+  await connection.execute(
+    `INSERT INTO plan_changes
+         (user_id, from_plan, to_plan, reason, details, subscription_id, checkout_session_id, billing_event_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      users[0].plan,
+      toPlan,
+      change.reason || "manual",
+      change.details || null,
+      change.subscriptionId || null,
+      change.checkoutSessionId || null,
+      change.billingEventId || null,
+    ],
+  );
+  return true;
+}
+
 /**
  * Update user's plan
  */
-async function updateUserPlan(userId, newPlan) {
+async function updateUserPlan(userId, newPlan, change = {}) {
   const connection = await pool.getConnection();
 
   try {
-    await connection.execute("UPDATE users SET plan = ? WHERE id = ?", [
-      newPlan,
-      userId,
-    ]);
+    await connection.beginTransaction();
+    const changed = await changeUserPlan(connection, userId, newPlan, change);
+    await connection.commit();
 
-    return true;
+    return changed;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
   } finally {
     connection.release();
   }
@@ -298,6 +339,7 @@ module.exports = {
   authenticateUser,
   getUserById,
   getUserUsage,
+  changeUserPlan,
   updateUserPlan,
   updateUserProfile,
   changePassword,
@@ -0,0 +1,647 @@
+/**
+ * Webhook Service
+ *
+ * User-registered endpoints that receive new jobs matching a saved filter.
+ * Each ingest batch is fanned out by the worker into one delivery per
+ * matching webhook; deliveries are HMAC-signed, retried through the job
+ * queue with exponential backoff, and logged. An endpoint is disabled after
+ * WEBHOOK_FAILURE_THRESHOLD failed attempts in a row.
+ *
+ * Only accounts on a webhook plan receive deliveries, and each job is sent
+ * to a webhook at most once (webhook_delivery_jobs). Endpoints must be on
+ * the public internet: hosts resolving to loopback, private or link-local
+ * addresses are refused at send time (src/utils/networkGuard.js).
+ *
+ * Add to .env (optional):
+ * WEBHOOK_TIMEOUT_MS=10000          Per-request timeout
+ * WEBHOOK_MAX_ATTEMPTS=6            Attempts per delivery before it is failed
+ * WEBHOOK_FAILURE_THRESHOLD=15      Consecutive failed attempts before disabling
+ * WEBHOOK_ALLOW_PRIVATE_NETWORKS=false  Allow private endpoints (local
+ *                                   development only)
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { pool } = require("../config/database");
+const { enqueue } = require("./queueService");
+const { filterJobIds, getJobsByIds } = require("./jobService");
+const { formatJobResponse } = require("../utils/jobFormatter");
+const { blockedHostReason, publicAgents } = require("../utils/networkGuard");
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const FAILURE_THRESHOLD = parseInt(process.env.WEBHOOK_FAILURE_THRESHOLD) || 15;
+const MAX_WEBHOOKS_PER_USER = 10;
+const MAX_JOBS_PER_DELIVERY = 100;
+const ALLOW_PRIVATE_NETWORKS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === "true";
+
+// Plans that include webhooks (routes/webhooks.js requires "pro" or higher)
+const WEBHOOK_PLANS = ["pro", "enterprise"];
+
+const EVENT_JOBS_CREATED = "jobs.created";
+
+const parseJson = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const cleanList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter((item) => item);
+
+/**
+ * Format a webhooks row for callers. The secret is only included when asked
+ * (on creation), since it is what receivers verify signatures with.
+ */
+function formatWebhook(row, options = {}) {
+  const webhook = {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    filters: parseJson(row.filters) || {},
+    isActive: Boolean(row.is_active),
+    consecutiveFailures: row.consecutive_failures,
+    disabledReason: row.disabled_reason,
+    disabledAt: row.disabled_at,
+    lastDeliveryAt: row.last_delivery_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  if (options.includeSecret) webhook.secret = row.secret;
+  return webhook;
+}
+
+/**
+ * Format a webhook_deliveries row for callers
+ */
+function formatDelivery(row, options = {}) {
+  const delivery = {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    durationMs: row.duration_ms,
+    queueJobId: row.queue_job_id,
+    createdAt: row.created_at,
+    lastAttemptAt: row.last_attempt_at,
+    deliveredAt: row.delivered_at,
+  };
+  if (options.includePayload) {
+    delivery.payload = parseJson(row.payload);
+    delivery.responseBody = row.response_body;
+  }
+  return delivery;
+}
+
+/**
+ * Validate and normalize the job filter of a webhook
+ * @returns {{ filters: object, errors: string[] }}
+ */
+function validateFilters(input = {}) {
+  const filters = {};
+  const errors = [];
+
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { filters, errors: ["filters must be an object"] };
+  }
+
+  if (input.search !== undefined && String(input.search).trim()) {
+    filters.search = String(input.search).trim().substring(0, 255);
+  }
+
+  if (input.locations !== undefined) {
+    const locations = cleanList(input.locations);
+    if (locations.length > 0) filters.locations = locations;
+  }
+
+  if (input.company !== undefined && String(input.company).trim()) {
+    filters.company = String(input.company).trim().substring(0, 255);
+  }
+
+  if (input.remote !== undefined) {
+    filters.remote = input.remote === true || input.remote === "true";
+  }
+
+  for (const key of ["salaryMin", "salaryMax"]) {
+    if (input[key] === undefined || input[key] === null || input[key] === "") {
+      continue;
+    }
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`filters.${key} must be a positive number`);
+    } else {
+      filters[key] = value;
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Validate and normalize webhook input
+ * @param {object} input - Request body
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {{ values: object, errors: string[] }}
+ */
+function validateWebhook(input, partial = false) {
+  const values = {};
+  const errors = [];
+  const has = (key) => input[key] !== undefined;
+
+  if (has("url") || !partial) {
+    values.url = String(input.url || "").trim();
+    let parsed = null;
+    try {
+      parsed = new URL(values.url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      errors.push("url must be an http(s) URL");
+    } else if (values.url.length > 2048) {
+      errors.push("url must be at most 2048 characters");
+    } else if (!ALLOW_PRIVATE_NETWORKS && blockedHostReason(values.url)) {
+      errors.push("url must point to a public host");
+    }
+  }
+
+  if (has("description")) {
+    values.description = String(input.description || "")
+      .trim()
+      .substring(0, 255);
+  }
+
+  if (has("filters") || !partial) {
+    const { filters, errors: filterErrors } = validateFilters(input.filters);
+    values.filters = filters;
+    errors.push(...filterErrors);
+  }
+
+  if (has("isActive")) {
+    values.isActive = input.isActive === true || input.isActive === "true";
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Map a webhook filter onto jobService's API filters
+ */
+function toJobFilters(filters = {}) {
+  return {
+    search: filters.search,
+    location: filters.locations,
+    company: filters.company,
+    remote: filters.remote === true,
+    salaryMin: filters.salaryMin,
+    salaryMax: filters.salaryMax,
+  };
+}
+
+/**
+ * Signature receivers should recompute: hex HMAC-SHA256 of
+ * "<timestamp>.<raw body>" keyed with the webhook secret
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * List a user's webhooks
+ */
+async function listWebhooks(userId) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM webhooks WHERE user_id = ? ORDER BY id",
+    [userId],
+  );
+  return rows.map((row) => formatWebhook(row));
+}
+
+/**
+ * Get one of a user's webhooks
+ */
+async function getWebhook(id, userId) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM webhooks WHERE id = ? AND user_id = ?",
+    [id, userId],
+  );
+  return rows.length > 0 ? formatWebhook(rows[0]) : null;
+}
+
+/**
+ * Create a webhook from validated values
+ * @returns {Promise<object>} Webhook including its signing secret
+ */
+async function createWebhook(userId, values) {
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  const [result] = await pool.execute(
+    `INSERT INTO webhooks (user_id, url, description, secret, filters, is_active)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      values.url,
+      values.description || null,
+      secret,
+      JSON.stringify(values.filters || {}),
+      values.isActive !== false,
+    ],
+  );
+
+  const [rows] = await pool.execute("SELECT * FROM webhooks WHERE id = ?", [
+    result.insertId,
+  ]);
+  return formatWebhook(rows[0], { includeSecret: true });
+}
+
+/**
+ * Update the given fields of a user's webhook. Re-enabling a webhook clears
+ * its failure counter.
+ * @returns {Promise<object|null>} Updated webhook, or null if not found
+ */
+async function updateWebhook(id, userId, values) {
+  const updates = [];
+  const params = [];
+
+  if (values.url !== undefined) {
+    updates.push("url = ?");
+    params.push(values.url);
+  }
+  if (values.description !== undefined) {
+    updates.push("description = ?");
+    params.push(values.description || null);
+  }
+  if (values.filters !== undefined) {
+    updates.push("filters = ?");
+    params.push(JSON.stringify(values.filters));
+  }
+  if (values.isActive !== undefined) {
+    updates.push("is_active = ?");
+    params.push(values.isActive);
+    if (values.isActive) {
+      updates.push(
+        "consecutive_failures = 0",
+        "disabled_reason = NULL",
+        "disabled_at = NULL",
+      );
+    }
+  }
+
+  if (updates.length > 0) {
+    params.push(id, userId);
+    await pool.execute(
+      `UPDATE webhooks SET ${updates.join(", ")} WHERE id = ? AND user_id = ?`,
+      params,
+    );
+  }
+
+  return getWebhook(id, userId);
+}
+
+/**
+ * Delete a user's webhook and its delivery log
+ * @returns {Promise<boolean>} True if a webhook was deleted
+ */
+async function deleteWebhook(id, userId) {
+  const [result] = await pool.execute(
+    "DELETE FROM webhooks WHERE id = ? AND user_id = ?",
+    [id, userId],
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * List a webhook's deliveries, newest first
+ */
+async function listDeliveries(webhookId, options = {}) {
+  const limit = Math.min(parseInt(options.limit) || 50, 200);
+  const [rows] = await pool.query(
+    `SELECT * FROM webhook_deliveries WHERE webhook_id = ?
+         ORDER BY id DESC LIMIT ?`,
+    [webhookId, limit],
+  );
+  return rows.map((row) => formatDelivery(row));
+}
+
+/**
+ * Get one delivery of a webhook, including its payload
+ */
+async function getDelivery(deliveryId, webhookId) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?",
+    [deliveryId, webhookId],
+  );
+  return rows.length > 0
+    ? formatDelivery(rows[0], { includePayload: true })
+    : null;
+}
+
+/**
+ * Queue a delivery for sending
+ * @returns {Promise<object>} Queue job
+ */
+async function queueDelivery(deliveryId) {
+  const { job } = await enqueue(
+    "webhook-delivery",
+    { deliveryId },
+    { maxAttempts: MAX_ATTEMPTS },
+  );
+  await pool.execute(
+    "UPDATE webhook_deliveries SET queue_job_id = ? WHERE id = ?",
+    [job.id, deliveryId],
+  );
+  return job;
+}
+
+/**
+ * Send a stored delivery again (e.g. after fixing the receiving endpoint)
+ * @returns {Promise<object>} Queue job
+ */
+async function redeliver(deliveryId) {
+  await pool.execute(
+    "UPDATE webhook_deliveries SET status = 'pending', error = NULL WHERE id = ?",
+    [deliveryId],
+  );
+  return queueDelivery(deliveryId);
+}
+
+/**
+ * Create a delivery of the given jobs to a webhook. Jobs the webhook was
+ * already sent (e.g. by an earlier attempt of the same fan-out) are left
+ * out.
+ * @returns {Promise<number|null>} Delivery ID, or null if every job was
+ *   already delivered
+ */
+async function createDelivery(webhook, jobIds) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+           VALUES (?, ?, '')`,
+      [webhook.id, EVENT_JOBS_CREATED],
+    );
+    const deliveryId = result.insertId;
+
+    await connection.query(
+      `INSERT IGNORE INTO webhook_delivery_jobs (webhook_id, job_id, delivery_id)
+           VALUES ?`,
+      [jobIds.map((jobId) => [webhook.id, jobId, deliveryId])],
+    );
+    const [claimed] = await connection.execute(
+      "SELECT job_id FROM webhook_delivery_jobs WHERE delivery_id = ?",
+      [deliveryId],
+    );
+    if (claimed.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const jobs = await getJobsByIds(claimed.map((row) => row.job_id));
+    const payload = JSON.stringify({
+      event: EVENT_JOBS_CREATED,
+      webhookId: webhook.id,
+      createdAt: new Date().toISOString(),
+      data: jobs.map((job) => formatJobResponse(job, true)),
+    });
+    await connection.execute(
+      "UPDATE webhook_deliveries SET payload = ? WHERE id = ?",
+      [payload, deliveryId],
+    );
+    await connection.commit();
+    return deliveryId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Create and queue one delivery per active webhook whose filter matches
+ * the given jobs, for accounts whose plan includes webhooks
+ * @param {string[]} jobIds - Newly added jobs
+ * @returns {Promise<{webhooks: number, deliveries: number}>}
+ */
+async function fanOutJobs(jobIds) {
+  const [webhooks] = await pool.query(
+    `SELECT w.* FROM webhooks w
+         JOIN users u ON u.id = w.user_id
+         WHERE w.is_active = TRUE AND u.is_active = TRUE AND u.plan IN (?)`,
+    [WEBHOOK_PLANS],
+  );
+
+  let deliveries = 0;
+  for (const row of webhooks) {
+    const webhook = formatWebhook(row);
+    const matchingIds = await filterJobIds(
+      jobIds,
+      toJobFilters(webhook.filters),
+    );
+
+    for (let i = 0; i < matchingIds.length; i += MAX_JOBS_PER_DELIVERY) {
+      const deliveryId = await createDelivery(
+        webhook,
+        matchingIds.slice(i, i + MAX_JOBS_PER_DELIVERY),
+      );
+      if (!deliveryId) continue;
+      await queueDelivery(deliveryId);
+      deliveries++;
+    }
+  }
+
+  return { webhooks: webhooks.length, deliveries };
+}
+
+/**
+ * Count a failed attempt against the webhook, disabling it at the threshold
+ */
+async function recordFailure(webhookId) {
+  await pool.execute(
+    `UPDATE webhooks SET consecutive_failures = consecutive_failures + 1
+         WHERE id = ?`,
+    [webhookId],
+  );
+  const [result] = await pool.execute(
+    `UPDATE webhooks
+         SET is_active = FALSE, disabled_at = NOW(),
+             disabled_reason = CONCAT('Disabled after ', consecutive_failures, ' consecutive failed deliveries')
+         WHERE id = ? AND is_active = TRUE AND consecutive_failures >= ?`,
+    [webhookId, FAILURE_THRESHOLD],
+  );
+  if (result.affectedRows > 0) {
+    console.warn(`⚠️ Webhook ${webhookId} disabled after repeated failures`);
+  }
+}
+
+/**
+ * POST a delivery to its webhook. Throws on failure so the queue retries
+ * it; on the last attempt the delivery is marked failed.
+ * @param {number} deliveryId
+ * @param {object} options - { finalAttempt }
+ * @returns {Promise<object>} Outcome stored as the queue job result
+ */
+async function sendDelivery(deliveryId, options = {}) {
+  const [rows] = await pool.execute(
+    `SELECT d.id, d.event, d.payload, w.id AS webhook_id, w.url, w.secret, w.is_active,
+                u.plan
+         FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         JOIN users u ON u.id = w.user_id
+         WHERE d.id = ?`,
+    [deliveryId],
+  );
+  if (rows.length === 0) {
+    return { skipped: true, reason: "Delivery no longer exists" };
+  }
+
+  const delivery = rows[0];
+  let skipReason = null;
+  if (!delivery.is_active) {
+    skipReason = "Webhook is disabled";
+  } else if (!WEBHOOK_PLANS.includes(delivery.plan)) {
+    skipReason = "Plan no longer includes webhooks";
+  } else if (!ALLOW_PRIVATE_NETWORKS) {
+    skipReason = blockedHostReason(delivery.url);
+  }
+  if (skipReason) {
+    await pool.execute(
+      `UPDATE webhook_deliveries SET status = 'failed', error = ?, response_body = NULL
+             WHERE id = ?`,
+      [skipReason, deliveryId],
+    );
+    return { skipped: true, reason: skipReason };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await axios.post(delivery.url, delivery.payload, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      ...(ALLOW_PRIVATE_NETWORKS
+        ? {}
+        : { httpAgent: publicAgents.http, httpsAgent: publicAgents.https }),
+      responseType: "text",
+      validateStatus: () => true,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "JobbyJobJob-Webhooks/1.0",
+        "X-Webhook-Id": String(delivery.webhook_id),
+        "X-Webhook-Delivery": String(delivery.id),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`,
+      },
+    });
+    responseStatus = response.status;
+    if (response.status >= 300 && response.status < 400) {
+      // Not followed, and the body isn't kept: it may come from elsewhere
+      error = `Endpoint redirected with HTTP ${response.status}; redirects are not followed`;
+    } else {
+      responseBody = String(response.data || "").substring(0, 1000);
+      if (response.status < 200 || response.status >= 300) {
+        error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    }
+  } catch (requestError) {
+    if (requestError.code === "EADDRBLOCKED") {
+      await pool.execute(
+        `UPDATE webhook_deliveries
+               SET status = 'failed', attempts = attempts + 1, error = 'Endpoint address is not allowed',
+                   response_status = NULL, response_body = NULL, last_attempt_at = NOW()
+               WHERE id = ?`,
+        [deliveryId],
+      );
+      await recordFailure(delivery.webhook_id);
+      return { skipped: true, reason: "Endpoint address is not allowed" };
+    }
+    error = requestError.message;
+  }
+
+  const succeeded = !error;
+  const status = succeeded
+    ? "succeeded"
+    : options.finalAttempt
+      ? "failed"
+      : "pending";
+  await pool.execute(
+    `UPDATE webhook_deliveries
+         SET status = ?, attempts = attempts + 1, response_status = ?, response_body = ?,
+             error = ?, duration_ms = ?, last_attempt_at = NOW(),
+             delivered_at = IF(? = 'succeeded', NOW(), delivered_at)
+         WHERE id = ?`,
+    [
+      status,
+      responseStatus,
+      responseBody,
+      error ? error.substring(0, 500) : null,
+      Date.now() - startTime,
+      status,
+      deliveryId,
+    ],
+  );
+
+  if (succeeded) {
+    await pool.execute(
+      `UPDATE webhooks SET consecutive_failures = 0, last_delivery_at = NOW()
+             WHERE id = ?`,
+      [delivery.webhook_id],
+    );
+    return { delivered: true, responseStatus };
+  }
+
+  await recordFailure(delivery.webhook_id);
+  throw new Error(`Webhook delivery ${deliveryId} failed: ${error}`);
+}
+
+/**
+ * Fail deliveries left pending by a worker that died on the last attempt:
+ * the queue gave up on their job (lease expired, no attempts left), so
+ * sendDelivery never marked them failed
+ * @returns {Promise<number>} Number of deliveries marked failed
+ */
+async function failOrphanedDeliveries() {
+  const [result] = await pool.execute(
+    `UPDATE webhook_deliveries d
+         JOIN queue_jobs q ON q.id = d.queue_job_id
+         SET d.status = 'failed', d.error = 'Worker stopped before the delivery finished'
+         WHERE d.status = 'pending' AND q.status = 'failed'`,
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  EVENT_JOBS_CREATED,
+  MAX_WEBHOOKS_PER_USER,
+  validateWebhook,
+  signPayload,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  fanOutJobs,
+  sendDelivery,
+  failOrphanedDeliveries,
+};
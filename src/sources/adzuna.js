@@ -0,0 +1,104 @@
+/**
+ * Adzuna Source Adapter
+ *
+ * Uses the Adzuna search API (https://developer.adzuna.com)
+ */
+
+const axios = require("axios");
+
+// Adzuna country code -> salary currency
+const COUNTRY_CURRENCIES = {
+  us: "USD",
+  gb: "GBP",
+  ca: "CAD",
+  au: "AUD",
+  in: "INR",
+  de: "EUR",
+  fr: "EUR",
+  nl: "EUR",
+  it: "EUR",
+  es: "EUR",
+};
+
+const stripHtml = (text) => (text || "").replace(/<[^>]*>?/gm, "");
+
+module.exports = {
+  name: "adzuna",
+  label: "Adzuna",
+  supportsLocation: true,
+
+  isConfigured(config) {
+    return Boolean(
+      config.appId && config.appKey && config.appId !== "your_app_id_here",
+    );
+  },
+
+  async fetch(query, config) {
+    const country = (query.country || "us").toLowerCase();
+    let results = [];
+
+    for (let page = 1; page <= (query.pages || 1); page++) {
+      const response = await axios.get(
+        `${config.baseUrl}/jobs/${country}/search/${page}`,
+        {
+          params: {
+            app_id: config.appId,
+            app_key: config.appKey,
+            what: query.keyword,
+            where: query.location || undefined,
+            results_per_page: config.resultsPerPage,
+            "content-type": "application/json",
+            sort_by: "date",
+          },
+        },
+      );
+
+      const pageResults = (response.data && response.data.results) || [];
+      results = results.concat(pageResults.map((job) => ({ ...job, country })));
+      if (pageResults.length < config.resultsPerPage) break;
+    }
+
+    return results;
+  },
+
+  normalize(job) {
+    return {
+      id: String(job.id),
+      title: stripHtml(job.title),
+      company: job.company?.display_name,
+      location: job.location?.display_name,
+      type: job.contract_time || "Full-time",
+      salary: job.salary_min
+        ? `$${job.salary_min} - $${job.salary_max}`
+        : "Not listed",
+      salaryMin: job.salary_min,
+      salaryMax: job.salary_max,
+      salaryCurrency: COUNTRY_CURRENCIES[job.country] || "USD",
+      salaryPeriod: "year",
+      posted: new Date(job.created).toLocaleDateString(),
+      description: stripHtml(job.description).substring(0, 200) + "...",
+      url: job.redirect_url,
+      source: "Adzuna",
+    };
+  },
+
+  async healthCheck(config) {
+    if (!this.isConfigured(config)) {
+      return { ok: false, message: "ADZUNA_APP_ID / ADZUNA_APP_KEY not set" };
+    }
+    const response = await axios.get(`${config.baseUrl}/jobs/us/search/1`, {
+      params: {
+        app_id: config.appId,
+        app_key: config.appKey,
+        results_per_page: 1,
+        "content-type": "application/json",
+      },
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    return {
+      ok: response.status === 200,
+      message: `HTTP ${response.status}`,
+    };
+  },
+};
@@ -0,0 +1,101 @@
+/**
+ * Greenhouse Source Adapter
+ *
+ * Reads public job boards from the Greenhouse Job Board API
+ * (https://developers.greenhouse.io/job-board.html). Boards are listed by
+ * token in GREENHOUSE_BOARDS; postings are filtered by the query keyword.
+ */
+
+const axios = require("axios");
+
+const API_BASE = "https://boards-api.greenhouse.io/v1/boards";
+
+const decodeHtml = (html) =>
+  (html || "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/<[^>]*>?/gm, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const matchesKeyword = (text, keyword) => {
+  if (!keyword) return true;
+  const haystack = text.toLowerCase();
+  return keyword
+    .toLowerCase()
+    .split(/\s+/)
+    .every((word) => haystack.includes(word));
+};
+
+const titleCase = (slug) =>
+  slug.replace(/[-_]+/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+module.exports = {
+  name: "greenhouse",
+  label: "Greenhouse",
+
+  isConfigured(config) {
+    return config.boards && config.boards.length > 0;
+  },
+
+  async fetch(query, config) {
+    let results = [];
+
+    for (const board of config.boards) {
+      try {
+        const response = await axios.get(`${API_BASE}/${board}/jobs`, {
+          params: { content: true },
+          timeout: 30000,
+        });
+        const jobs = (response.data && response.data.jobs) || [];
+        results = results.concat(
+          jobs
+            .filter((job) =>
+              matchesKeyword(
+                `${job.title} ${decodeHtml(job.content)}`,
+                query.keyword,
+              ),
+            )
+            .map((job) => ({ ...job, board })),
+        );
+      } catch (error) {
+        console.error(`⚠️ Greenhouse board "${board}" error:`, error.message);
+      }
+    }
+
+    return results;
+  },
+
+  normalize(job) {
+    const description = decodeHtml(job.content);
+    return {
+      id: `gh-${job.id}`,
+      title: job.title,
+      company: job.company_name || titleCase(job.board),
+      location: job.location?.name || "Unknown Location",
+      type: "Full-time",
+      salary: "Not listed",
+      posted: new Date(job.updated_at).toLocaleDateString(),
+      description,
+      url: job.absolute_url,
+      source: "Greenhouse",
+    };
+  },
+
+  async healthCheck(config) {
+    if (!this.isConfigured(config)) {
+      return { ok: false, message: "GREENHOUSE_BOARDS not set" };
+    }
+    const response = await axios.get(`${API_BASE}/${config.boards[0]}/jobs`, {
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    return {
+      ok: response.status === 200,
+      message: `HTTP ${response.status}`,
+    };
+  },
+};
@@ -0,0 +1,140 @@
+/**
+ * Job Source Registry
+ *
+ * Every job board is a source adapter module with this shape:
+ *
+ *   {
+ *     name: "adzuna",                    // registry key, used in JOB_SOURCES
+ *     label: "Adzuna",                   // stored as jobs.source
+ *     supportsLocation: true,            // optional: fetch honors country/location
+ *     isConfigured(config) -> boolean,   // credentials/settings present
+ *     fetch(query, config) -> raw[],     // query: { keyword, country, location, pages }
+ *     normalize(raw, query) -> job,      // map one raw result to our job shape
+ *     healthCheck(config) -> { ok, message }
+ *   }
+ *
+ * To add a board, create a module in this directory and register it below.
+ */
+
+const { getEnabledSourceNames, getSourceConfig } = require("../config/sources");
+
+const registry = new Map();
+
+/**
+ * Register a source adapter
+ */
+function registerSource(adapter) {
+  const required = ["name", "label", "fetch", "normalize", "healthCheck"];
+  const missing = required.filter((key) => !adapter[key]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Source adapter "${adapter.name || "unknown"}" is missing: ${missing.join(", ")}`,
+    );
+  }
+  registry.set(adapter.name, adapter);
+}
+
+/**
+ * Get a registered adapter by name
+ */
+function getSource(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * List all registered adapters with their enabled/configured state
+ */
+function listSources() {
+  const enabled = getEnabledSourceNames();
+  return Array.from(registry.values()).map((adapter) => {
+    const config = getSourceConfig(adapter.name);
+    return {
+      name: adapter.name,
+      label: adapter.label,
+      enabled: enabled.includes(adapter.name),
+      configured: adapter.isConfigured ? adapter.isConfigured(config) : true,
+    };
+  });
+}
+
+/**
+ * Adapters that are enabled for this environment and fully configured
+ * @param {string[]} [names] - Restrict to these adapters (e.g. from a scrape profile)
+ * @returns {Array<{adapter: object, config: object}>}
+ */
+function getEnabledSources(names) {
+  const enabled = getEnabledSourceNames();
+  const requested = names && names.length > 0 ? names : enabled;
+
+  return requested
+    .filter((name) => enabled.includes(name))
+    .map((name) => {
+      const adapter = registry.get(name);
+      if (!adapter) {
+        console.warn(`⚠️ Unknown job source "${name}" - skipping`);
+        return null;
+      }
+      const config = getSourceConfig(name);
+      if (adapter.isConfigured && !adapter.isConfigured(config)) {
+        console.warn(`⚠️ Job source "${name}" is not configured - skipping`);
+        return null;
+      }
+      return { adapter, config };
+    })
+    .filter((entry) => entry);
+}
+
+/**
+ * Fetch and normalize jobs from one adapter
+ */
+async function fetchFromSource(adapter, config, query) {
+  const rawJobs = await adapter.fetch(query, config);
+  return rawJobs
+    .map((raw) => adapter.normalize(raw, query))
+    .filter((job) => job && job.title)
+    .map((job) => ({ ...job, source: job.source || adapter.label }));
+}
+
+/**
+ * Run health checks for every registered adapter
+ */
+async function checkSourceHealth() {
+  const results = [];
+
+  for (const source of listSources()) {
+    const adapter = registry.get(source.name);
+    const startTime = Date.now();
+    try {
+      const health = await adapter.healthCheck(getSourceConfig(source.name));
+      results.push({
+        ...source,
+        ...health,
+        responseTimeMs: Date.now() - startTime,
+      });
+    } catch (error) {
+      results.push({
+        ...source,
+        ok: false,
+        message: error.message,
+        responseTimeMs: Date.now() - startTime,
+      });
+    }
+  }
+
+  return results;
+}
+
+registerSource(require("./adzuna"));
+registerSource(require("./weWorkRemotely"));
+registerSource(require("./remoteOk"));
+registerSource(require("./greenhouse"));
+registerSource(require("./lever"));
+
+module.exports = {
+  registerSource,
+  getSource,
+  listSources,
+  getEnabledSources,
+  fetchFromSource,
+  checkSourceHealth,
+};
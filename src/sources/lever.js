@@ -0,0 +1,92 @@
+/**
+ * Lever Source Adapter
+ *
+ * Reads public postings from the Lever Postings API
+ * (https://github.com/lever/postings-api). Companies are listed by site
+ * name in LEVER_COMPANIES; postings are filtered by the query keyword.
+ */
+
+const axios = require("axios");
+
+const API_BASE = "https://api.lever.co/v0/postings";
+
+const matchesKeyword = (text, keyword) => {
+  if (!keyword) return true;
+  const haystack = text.toLowerCase();
+  return keyword
+    .toLowerCase()
+    .split(/\s+/)
+    .every((word) => haystack.includes(word));
+};
+
+const titleCase = (slug) =>
+  slug.replace(/[-_]+/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+module.exports = {
+  name: "lever",
+  label: "Lever",
+
+  isConfigured(config) {
+    return config.companies && config.companies.length > 0;
+  },
+
+  async fetch(query, config) {
+    let results = [];
+
+    for (const company of config.companies) {
+      try {
+        const response = await axios.get(`${API_BASE}/${company}`, {
+          params: { mode: "json" },
+          timeout: 30000,
+        });
+        const postings = Array.isArray(response.data) ? response.data : [];
+        results = results.concat(
+          postings
+            .filter((posting) =>
+              matchesKeyword(
+                `${posting.text} ${posting.descriptionPlain || ""}`,
+                query.keyword,
+              ),
+            )
+            .map((posting) => ({ ...posting, company })),
+        );
+      } catch (error) {
+        console.error(`⚠️ Lever company "${company}" error:`, error.message);
+      }
+    }
+
+    return results;
+  },
+
+  normalize(posting) {
+    const categories = posting.categories || {};
+    return {
+      id: `lever-${posting.id}`,
+      title: posting.text,
+      company: titleCase(posting.company),
+      location: categories.location || "Unknown Location",
+      type: categories.commitment || "Full-time",
+      salary: "Not listed",
+      posted: new Date(posting.createdAt).toLocaleDateString(),
+      description: posting.descriptionPlain || "",
+      url: posting.hostedUrl,
+      source: "Lever",
+      workArrangement: posting.workplaceType, // remote, hybrid, on-site or unspecified
+    };
+  },
+
+  async healthCheck(config) {
+    if (!this.isConfigured(config)) {
+      return { ok: false, message: "LEVER_COMPANIES not set" };
+    }
+    const response = await axios.get(`${API_BASE}/${config.companies[0]}`, {
+      params: { mode: "json", limit: 1 },
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    return {
+      ok: response.status === 200,
+      message: `HTTP ${response.status}`,
+    };
+  },
+};
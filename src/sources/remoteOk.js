@@ -0,0 +1,37 @@
+/**
+ * RemoteOK Source Adapter
+ *
+ * Wraps the Puppeteer scraper in scraperService
+ */
+
+const axios = require("axios");
+const { scrapeRemoteOK } = require("../services/scraperService");
+
+module.exports = {
+  name: "remoteok",
+  label: "RemoteOK",
+
+  isConfigured() {
+    return true;
+  },
+
+  async fetch(query) {
+    return scrapeRemoteOK(query.keyword);
+  },
+
+  // The scraper already returns our job shape; every listing is remote
+  normalize(job) {
+    return { ...job, workArrangement: "remote" };
+  },
+
+  async healthCheck() {
+    const response = await axios.get("https://remoteok.com", {
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    return {
+      ok: response.status < 400,
+      message: `HTTP ${response.status}`,
+    };
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * We Work Remotely Source Adapter
+ *
+ * Wraps the Puppeteer scraper in scraperService
+ */
+
+const axios = require("axios");
+const { scrapeWeWorkRemotely } = require("../services/scraperService");
+
+module.exports = {
+  name: "weworkremotely",
+  label: "We Work Remotely",
+
+  isConfigured() {
+    return true;
+  },
+
+  async fetch(query) {
+    return scrapeWeWorkRemotely(query.keyword);
+  },
+
+  // The scraper already returns our job shape; every listing is remote
+  normalize(job) {
+    return { ...job, workArrangement: "remote" };
+  },
+
+  async healthCheck() {
+    const response = await axios.get("https://weworkremotely.com", {
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    return {
+      ok: response.status < 400,
+      message: `HTTP ${response.status}`,
+    };
+  },
+};
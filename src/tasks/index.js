@@ -0,0 +1,117 @@
+/**
+ * Queue Task Handlers
+ *
+ * Maps queue_jobs.type to the function worker.js runs for it. A handler
+ * receives the job payload and the claimed queue job, and its return
+ * value is stored as the job result. Throwing schedules a retry.
+ */
+
+const { runScrapeProfiles } = require("../services/jobService");
+const { getProfileById } = require("../services/scrapeProfileService");
+const { enrichJobDescriptions } = require("../services/jobEnricherService");
+const { recordExpiredJobs } = require("../services/jobChangeService");
+const { checkJobLiveness } = require("../services/livenessService");
+const { fanOutJobs, sendDelivery } = require("../services/webhookService");
+const {
+  runExport,
+  cleanupExpiredExports,
+} = require("../services/exportService");
+const { runBillingLifecycle } = require("../services/billingLifecycleService");
+
+const tasks = {
+  /**
+   * Run all active scrape profiles, or one profile when payload.profileId is set
+   */
+  async scrape(payload) {
+    let profiles;
+    if (payload.profileId) {
+      const profile = await getProfileById(payload.profileId);
+      if (!profile) {
+        throw new Error(`Scrape profile ${payload.profileId} not found`);
+      }
+      profiles = [profile];
+    }
+
+    const report = await runScrapeProfiles(profiles);
+    if (!report) {
+      throw new Error("Another scrape is already running in this process");
+    }
+    return report;
+  },
+
+  /**
+   * Fetch full descriptions for jobs that only have a snippet
+   */
+  async enrich(payload, job) {
+    return enrichJobDescriptions({
+      queueJobId: job.id,
+      triggeredBy: payload.triggeredBy || "queue",
+    });
+  },
+
+  /**
+   * Log jobs that expired since the last sweep to the change feed
+   */
+  async "expire-sweep"() {
+    return { expired: await recordExpiredJobs() };
+  },
+
+  /**
+   * Revisit a batch of job URLs and hide postings that were closed or removed
+   */
+  async "liveness-check"() {
+    return checkJobLiveness();
+  },
+
+  /**
+   * Queue a delivery for every webhook whose filter matches newly added jobs
+   */
+  async "webhook-fanout"(payload) {
+    return fanOutJobs(payload.jobIds || []);
+  },
+
+  /**
+   * POST one webhook delivery; a failure is retried with backoff by the queue
+   */
+  async "webhook-delivery"(payload, job) {
+    return sendDelivery(payload.deliveryId, {
+      finalAttempt: job.attempts >= job.maxAttempts,
+    });
+  },
+
+  /**
+   * Write a bulk export file
+   */
+  async export(payload, job) {
+    return runExport(payload.exportId, {
+      finalAttempt: job.attempts >= job.maxAttempts,
+    });
+  },
+
+  /**
+   * Delete export files past their retention period
+   */
+  async "export-cleanup"() {
+    return { expired: await cleanupExpiredExports() };
+  },
+
+  /**
+   * Reconcile missed renewals, end canceled subscriptions and run dunning
+   * for failed payments
+   */
+  async "billing-lifecycle"() {
+    return runBillingLifecycle();
+  },
+};
+
+/**
+ * Get the handler for a task type
+ */
+function getTask(type) {
+  return Object.prototype.hasOwnProperty.call(tasks, type) ? tasks[type] : null;
+}
+
+module.exports = {
+  tasks,
+  getTask,
+};
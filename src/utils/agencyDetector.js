@@ -0,0 +1,75 @@
+/**
+ * Agency Detector
+ *
+ * Tells staffing agencies and reposters apart from direct employers. A
+ * company is an agency when it is on the known list
+ * (src/config/staffingAgencies.js) or its name says so ("Acme Staffing",
+ * "XYZ Recruiting"); a single job is an agency posting when it comes from
+ * such a company or its text is written on behalf of a client ("our client
+ * is seeking").
+ */
+
+const { normalizeCompany } = require("./jobIdentity");
+const { KNOWN_AGENCIES } = require("../config/staffingAgencies");
+
+// "Personnel" and "Placement" only as the trade itself ("Acme Personnel",
+// "Personnel Services"), not "Personnel Security Office" or "Placement Labs"
+const AGENCY_NAME_PATTERN =
+  /\b(staffing|recruit(ing|ment|ers?)|headhunt(ers?|ing)|talent (solutions|partners|acquisition|group)|(personnel|placement) (services|agency|solutions|group)|workforce solutions|search (group|partners))\b|\b(personnel|placements)(,?\s+(inc|llc|ltd|corp)\.?)?\s*$/i;
+
+// Written for someone else's opening. Each phrase alone is enough. Contractor
+// boilerplate about clients ("support our client's mission", "our client in
+// the Intelligence Community") is not recruiter phrasing and must not match.
+const AGENCY_TEXT_PATTERNS = [
+  /\b(our|my) client\b(,[^.\n]{0,80},)?\s+(is|are) (currently |actively )?(seeking|looking for|searching for|hiring|recruiting|in need of)\b/i,
+  /\bon behalf of (our|a|one of our) clients?\b/i,
+  /\b(hiring|recruiting|searching|looking) for (one of )?our (valued |direct )?clients?\b/i,
+  /\bwe are (currently )?recruiting (for|on behalf of) (a|an|our)\b/i,
+  /\bwe have (been )?partnered with (a|an)\b[^.\n]{0,60}\bto (find|fill|hire|identify)\b/i,
+  /\b(a|an) (leading|well[- ]known|prestigious|fast[- ]growing)\b[^.\n]{0,60}\bclient,? (is|are) (currently |actively )?(seeking|looking for|searching for|hiring|recruiting)\b/i,
+  /\bthis is a (contract|contract[- ]to[- ]hire|direct[- ]hire) placement\b/i,
+];
+
+let agencyKeys = null;
+
+const agencyKey = (name) => normalizeCompany(name).replace(/^the\s+/, "");
+
+/**
+ * Whether a company name belongs to a staffing agency
+ */
+function isAgencyName(name) {
+  if (!agencyKeys) agencyKeys = new Set(KNOWN_AGENCIES.map(agencyKey));
+  const text = String(name || "");
+  return agencyKeys.has(agencyKey(text)) || AGENCY_NAME_PATTERN.test(text);
+}
+
+/**
+ * Whether a job's title or description is written on behalf of a client
+ */
+function hasAgencyLanguage(job) {
+  const text = `${job.title || ""}\n${job.description || ""}`;
+  return AGENCY_TEXT_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+/**
+ * Classify a job as an agency posting
+ * @param {object} job - { company, title, description }
+ * @param {object} [options]
+ * @param {boolean} [options.companyIsAgency] - The company is flagged as an
+ *   agency (companies.is_staffing_agency, which an admin may have set or
+ *   cleared by hand); otherwise the name is checked
+ * @returns {boolean}
+ */
+function classifyAgency(job, options = {}) {
+  const companyIsAgency =
+    options.companyIsAgency !== undefined
+      ? Boolean(options.companyIsAgency)
+      : isAgencyName(job.company);
+  return companyIsAgency || hasAgencyLanguage(job);
+}
+
+module.exports = {
+  isAgencyName,
+  hasAgencyLanguage,
+  classifyAgency,
+};
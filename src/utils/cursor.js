@@ -0,0 +1,73 @@
+/**
+ * Pagination Cursors
+ *
+ * Opaque base64url tokens for keyset pagination. A cursor records the sort
+ * field and order it was issued for, the sort value and id of the row it
+ * points at, and which way to page from there.
+ */
+
+/**
+ * Encode a cursor
+ * @param {object} position
+ * @param {string} position.sort - Sort field the page was ordered by
+ * @param {string} position.order - "asc" or "desc"
+ * @param {*} position.value - Sort value of the boundary row (Date, number, string or null)
+ * @param {string} position.id - id of the boundary row
+ * @param {"next"|"prev"} position.direction - Page after or before the row
+ * @returns {string} Opaque token
+ */
+function encodeCursor({ sort, order, value, id, direction }) {
+  const payload = {
+    s: sort,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? "date" : undefined,
+    i: id,
+    d: direction,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decode a cursor
+ * @param {string} token - Token from next_cursor / prev_cursor
+ * @returns {object|null} { sort, order, value, id, direction }, or null if malformed
+ */
+function decodeCursor(token) {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(String(token), "base64url").toString("utf8"),
+    );
+    if (
+      !payload ||
+      typeof payload.s !== "string" ||
+      !["asc", "desc"].includes(payload.o) ||
+      payload.i === undefined ||
+      payload.i === null ||
+      !["next", "prev"].includes(payload.d)
+    ) {
+      return null;
+    }
+
+    let value = payload.v === undefined ? null : payload.v;
+    if (payload.t === "date") {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    }
+
+    return {
+      sort: payload.s,
+      order: payload.o,
+      value,
+      id: String(payload.i),
+      direction: payload.d,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
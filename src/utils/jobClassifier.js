@@ -0,0 +1,195 @@
+/**
+ * Job Classifier
+ *
+ * Assigns a seniority level and a normalized employment type from the
+ * title, the source's type label and the description. Sources label type
+ * inconsistently ("Full-Time", "full_time", "Contract/Full-time") and some
+ * adapters default everything to "Full-time", so the title is trusted
+ * first and a plain full-time label last.
+ */
+
+const SENIORITY_LEVELS = [
+  "intern",
+  "junior",
+  "mid",
+  "senior",
+  "lead",
+  "manager",
+  "director",
+];
+
+const EMPLOYMENT_TYPES = [
+  "full-time",
+  "part-time",
+  "contract",
+  "internship",
+  "temporary",
+];
+
+// Checked in order, so "Senior Manager" is a manager and "Lead Intern" an intern
+const SENIORITY_TITLE_PATTERNS = [
+  ["intern", /\b(intern|internship|co-?op)\b/i],
+  [
+    "director",
+    /\b(director|head of|vp|svp|evp|vice president|chief|ciso|cto|cio|cso)\b/i,
+  ],
+  // Product, project and program managers manage work, not people
+  [
+    "manager",
+    /\b(?<!(product|project|program|account|case|content|community|office|property)\s)manager\b|\bmanagement\b(?!\s+(analyst|specialist|engineer|consultant))/i,
+  ],
+  ["lead", /\b(lead|principal|staff|distinguished|architect)\b/i],
+  ["senior", /\b(senior|sr\.?|expert)\b|\b(III|IV)\b|\blevel\s*[345]\b/i],
+  [
+    "junior",
+    /\b(junior|jr\.?|entry[\s-]+level|associate|graduate|new grad|apprentice|trainee)\b|\blevel\s*1\b/i,
+  ],
+  ["mid", /\b(mid[\s-]+level|intermediate)\b|\bII\b|\blevel\s*2\b/i],
+];
+
+// Case-sensitive: "Analyst I" but not the word "I"
+const JUNIOR_NUMERAL = /\s(I|1)\s*($|[-–(,|/])/;
+
+// "5+ years of experience", "3-5 years' experience", "minimum of 7 years"
+const YEARS_PATTERN =
+  /\b(\d{1,2})\s*(\+|-\s*\d{1,2}|to\s+\d{1,2})?\s*(years?|yrs?)['’]?\s+(of\s+)?([\w-]+\s+){0,3}experience\b/i;
+
+const SENIORITY_DESCRIPTION_PATTERNS = [
+  ["intern", /\b(this|our) (summer )?internship\b/i],
+  ["junior", /\b(entry[\s-]+level|new grads?|recent graduates?)\b/i],
+];
+
+// Source type labels -> employment type
+const TYPE_ALIASES = {
+  "full-time": "full-time",
+  "full time": "full-time",
+  full_time: "full-time",
+  fulltime: "full-time",
+  permanent: "full-time",
+  "part-time": "part-time",
+  "part time": "part-time",
+  part_time: "part-time",
+  parttime: "part-time",
+  contract: "contract",
+  contractor: "contract",
+  "contract-to-hire": "contract",
+  "contract to hire": "contract",
+  contract_to_hire: "contract",
+  c2h: "contract",
+  c2c: "contract",
+  freelance: "contract",
+  internship: "internship",
+  intern: "internship",
+  temporary: "temporary",
+  temp: "temporary",
+  seasonal: "temporary",
+};
+
+// Mixed labels ("Contract/Full-time", "Full-time, Part-time") resolve to the
+// least permanent type listed
+const MIXED_TYPE_PRECEDENCE = [
+  "contract",
+  "internship",
+  "temporary",
+  "part-time",
+  "full-time",
+];
+const TYPE_LABEL_SEPARATOR = /\s*(?:[/,|&+;()]|\bor\b|\band\b)\s*/;
+
+const TYPE_TITLE_PATTERNS = [
+  ["internship", /\b(intern|internship|co-?op)\b/i],
+  ["part-time", /\bpart[\s-]?time\b/i],
+  ["temporary", /\b(temporary|temp|seasonal)\b/i],
+  ["contract", /\b(contract|contractor|freelance|c2c|c2h|1099)\b/i],
+];
+
+const TYPE_DESCRIPTION_PATTERNS = [
+  [
+    "internship",
+    /\b(this|our) (paid |summer |\d+[\s-]week )?internship\b|\binternship (program|position|role)\b/i,
+  ],
+  [
+    "part-time",
+    /\b(this|the) (role|position|job) is part[\s-]?time\b|\bpart[\s-]?time (role|position|job|schedule)\b|\b\d{1,2}\s*(hours|hrs) (per|a|\/) ?week\b(?=.*part[\s-]?time)/i,
+  ],
+  [
+    "temporary",
+    /\b(temporary|seasonal) (role|position|job|assignment)\b|\btemp[\s-]to[\s-]perm\b/i,
+  ],
+  [
+    "contract",
+    /\bcontract[\s-]to[\s-]hire\b|\b\d{1,2}[\s-]*(\+\s*)?(month|mo)s?\b[^.\n]{0,20}\bcontract\b|\b(this|the) (role|position|job) is (a )?contract\b|\bcontract (role|position|assignment|opportunity)\b|\b(w2|c2c|corp[\s-]to[\s-]corp|1099)\b/i,
+  ],
+];
+
+const firstMatch = (patterns, text) => {
+  if (!text) return null;
+  const match = patterns.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+};
+
+/**
+ * Seniority implied by required years of experience
+ */
+function seniorityFromYears(description) {
+  const match = YEARS_PATTERN.exec(description || "");
+  if (!match) return null;
+  const years = parseInt(match[1]);
+  if (years > 30) return null;
+  if (years < 2) return "junior";
+  if (years < 5) return "mid";
+  return "senior";
+}
+
+/**
+ * Classify a job's seniority
+ * @param {object} job - { title, description }
+ * @returns {string|null} One of SENIORITY_LEVELS, or null when unknown
+ */
+function classifySeniority(job) {
+  const title = String(job.title || "");
+  return (
+    firstMatch(SENIORITY_TITLE_PATTERNS, title) ||
+    (JUNIOR_NUMERAL.test(title) ? "junior" : null) ||
+    firstMatch(SENIORITY_DESCRIPTION_PATTERNS, job.description) ||
+    seniorityFromYears(job.description)
+  );
+}
+
+/**
+ * Normalize a source's type label ("Full-Time", "full_time", "C2H",
+ * "Contract/Full-time") to an employment type
+ * @returns {string|null} null when unknown
+ */
+function normalizeEmploymentType(value) {
+  if (value === undefined || value === null) return null;
+  const types = String(value)
+    .toLowerCase()
+    .split(TYPE_LABEL_SEPARATOR)
+    .map((part) => TYPE_ALIASES[part.trim().replace(/\s+/g, " ")])
+    .filter(Boolean);
+  return MIXED_TYPE_PRECEDENCE.find((type) => types.includes(type)) || null;
+}
+
+/**
+ * Classify a job's employment type
+ * @param {object} job - { type, title, description }
+ * @returns {string|null} One of EMPLOYMENT_TYPES, or null when unknown
+ */
+function classifyEmploymentType(job) {
+  const labelled = normalizeEmploymentType(job.type);
+  return (
+    firstMatch(TYPE_TITLE_PATTERNS, job.title) ||
+    (labelled && labelled !== "full-time" ? labelled : null) ||
+    firstMatch(TYPE_DESCRIPTION_PATTERNS, job.description) ||
+    labelled
+  );
+}
+
+module.exports = {
+  SENIORITY_LEVELS,
+  EMPLOYMENT_TYPES,
+  classifySeniority,
+  normalizeEmploymentType,
+  classifyEmploymentType,
+};
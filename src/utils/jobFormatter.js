@@ -0,0 +1,97 @@
+/**
+ * Job Formatter
+ *
+ * The public shape of a job, shared by the v1 API, the change feed and
+ * webhook payloads so every consumer sees the same fields.
+ */
+
+const { formatSkill } = require("./skillExtractor");
+const { formatClearance } = require("./requirementDetector");
+
+/**
+ * Public status: active, closed (applications closed), removed (posting
+ * taken down) or expired (not verified before expires_at)
+ */
+function formatStatus(job) {
+  const status = job.status || "active";
+  if (
+    status === "active" &&
+    job.expires_at &&
+    new Date(job.expires_at) <= new Date()
+  ) {
+    return "expired";
+  }
+  return status;
+}
+
+/**
+ * Public shape of a detected certification
+ */
+function formatCertification(cert) {
+  const skill = formatSkill(cert.slug);
+  return {
+    slug: cert.slug,
+    name: skill ? skill.name : cert.slug,
+    requirement: cert.requirement,
+  };
+}
+
+/**
+ * Format a jobs row (with attached sources) for API consumers
+ * @param {object} job - Row from jobService
+ * @param {boolean} [includeFullDescription] - Otherwise the description is cut to 300 characters
+ * @returns {object}
+ */
+function formatJobResponse(job, includeFullDescription = false) {
+  return {
+    id: job.id,
+    title: job.title,
+    company: job.company,
+    companyId: job.company_id || null,
+    isAgency: Boolean(job.is_agency),
+    location: job.location,
+    geo: {
+      city: job.city || null,
+      state: job.state_code || null,
+      country: job.country || null,
+      lat: job.lat != null ? Number(job.lat) : null,
+      lng: job.lng != null ? Number(job.lng) : null,
+    },
+    salary: job.salary || null,
+    salaryMin: job.salary_min ? Number(job.salary_min) : null,
+    salaryMax: job.salary_max ? Number(job.salary_max) : null,
+    salaryCurrency: job.salary_currency || null,
+    salaryPeriod: job.salary_period || null,
+    type: job.type || "Full-time",
+    employmentType: job.employment_type || null,
+    seniority: job.seniority || null,
+    workArrangement: job.work_arrangement || null,
+    source: job.source,
+    url: job.url,
+    sources: (job.sources || []).map((source) => ({
+      source: source.source,
+      sourceJobId: source.source_job_id,
+      url: source.url,
+      firstSeenAt: source.first_seen_at,
+      lastSeenAt: source.last_seen_at,
+    })),
+    easyApply: Boolean(job.easy_apply),
+    skills: (job.skills || []).map(formatSkill).filter(Boolean),
+    clearance: formatClearance(job.clearance_level, job.clearance_polygraph),
+    certifications: (job.certifications || []).map(formatCertification),
+    description: includeFullDescription
+      ? job.description
+      : job.description
+        ? job.description.substring(0, 300) + "..."
+        : null,
+    status: formatStatus(job),
+    lastVerifiedAt: job.last_verified_at || null,
+    postedAt: job.added_at,
+    updatedAt: job.updated_at || null,
+    expiresAt: job.expires_at,
+  };
+}
+
+module.exports = {
+  formatJobResponse,
+};
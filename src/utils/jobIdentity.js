@@ -0,0 +1,178 @@
+/**
+ * Job Identity
+ *
+ * Deterministic job IDs and cross-source fingerprints. The same posting
+ * must get the same ID on every scrape, and the same role listed on
+ * LinkedIn, Indeed and Adzuna must share one fingerprint.
+ */
+
+const crypto = require("crypto");
+const { US_STATES } = require("../config/usStates");
+
+const COMPANY_SUFFIXES =
+  /\b(inc|incorporated|llc|l l c|ltd|limited|corp|corporation|co|company|plc|gmbh|lp|llp)\b/g;
+
+// Geographic filler only: "Remote" and "On-site" listings of one role are
+// different postings and must not share a fingerprint
+const LOCATION_NOISE =
+  /\b(greater|metropolitan|metro|area|united states|usa|us)\b/g;
+
+// Work arrangement words, read from the raw text so "(On-site)" counts
+const ARRANGEMENTS = [
+  ["remote", /\bremote\b/i],
+  ["hybrid", /\bhybrid\b/i],
+  ["onsite", /\b(on[\s-]?site|in[\s-]office)\b/i],
+];
+const ARRANGEMENT_WORDS = /\b(remote|hybrid|on site|onsite|in office)\b/g;
+
+// Query parameters that vary between visits without changing the posting
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^ref/,
+  /^trk/,
+  /^tracking/,
+  /^from$/,
+  /^src$/,
+  /^source$/,
+];
+
+// jobs.id and job_sources.source_job_id are VARCHAR(255)
+const MAX_JOB_ID_LENGTH = 255;
+
+const sha1 = (value) => crypto.createHash("sha1").update(value).digest("hex");
+
+/**
+ * Lowercase, strip accents, parentheticals and punctuation
+ */
+function normalizeText(value) {
+  return String(value || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeCompany(company) {
+  return normalizeText(company)
+    .replace(COMPANY_SUFFIXES, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeLocation(location) {
+  const raw = String(location || "");
+  let text = normalizeText(raw).replace(ARRANGEMENT_WORDS, " ");
+
+  // Replace full state names with their codes
+  for (const [name, code] of Object.entries(US_STATES)) {
+    text = text.replace(new RegExp(`\\b${name}\\b`, "g"), code.toLowerCase());
+  }
+
+  const arrangements = ARRANGEMENTS.filter(([, pattern]) =>
+    pattern.test(raw),
+  ).map(([name]) => name);
+
+  return [text.replace(LOCATION_NOISE, " "), ...arrangements]
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Canonical form of a posting URL (no tracking params, fragment or trailing slash)
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    for (const key of Array.from(parsed.searchParams.keys())) {
+      if (TRACKING_PARAMS.some((pattern) => pattern.test(key))) {
+        parsed.searchParams.delete(key);
+      }
+    }
+    parsed.searchParams.sort();
+    return (
+      parsed.hostname.replace(/^www\./, "").toLowerCase() +
+      parsed.pathname.replace(/\/+$/, "") +
+      (parsed.search || "")
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fingerprint used to detect the same role across sources
+ * @param {object} job - Job with title, company and location
+ * @returns {string} SHA-1 hex digest
+ */
+function jobFingerprint(job) {
+  return sha1(
+    [
+      normalizeText(job.title),
+      normalizeCompany(job.company),
+      normalizeLocation(job.location),
+    ].join("|"),
+  );
+}
+
+/**
+ * Derive a deterministic ID from a prefix and a native ID or URL
+ * @param {string} prefix - Source prefix, e.g. "wwr"
+ * @param {string} value - Native ID or posting URL
+ */
+function stableJobId(prefix, value) {
+  return `${prefix}-${sha1(String(value)).substring(0, 16)}`;
+}
+
+/**
+ * ID prefix for a source, e.g. "We Work Remotely" -> "we-work-remotely"
+ */
+function sourcePrefix(source) {
+  return normalizeText(source || "job").replace(/\s+/g, "-");
+}
+
+/**
+ * Namespace a source's native ID so IDs from different sources can't
+ * collide ("12345" from Adzuna -> "adzuna-12345"); IDs that already carry
+ * the prefix are kept. An ID too long for the key once prefixed is hashed,
+ * as stableJobId does, rather than truncated into another job's ID.
+ */
+function namespacedJobId(source, id) {
+  const prefix = sourcePrefix(source);
+  const value = String(id);
+  const namespaced = value.startsWith(`${prefix}-`)
+    ? value
+    : `${prefix}-${value}`;
+  return namespaced.length > MAX_JOB_ID_LENGTH
+    ? stableJobId(prefix, value)
+    : namespaced;
+}
+
+/**
+ * Return the job's ID: its native ID namespaced by source, or one derived
+ * from its URL or content when missing
+ */
+function ensureJobId(job) {
+  if (job.id) return namespacedJobId(job.source, job.id);
+
+  const prefix = sourcePrefix(job.source);
+  const url = job.url ? normalizeUrl(job.url) : null;
+  return stableJobId(prefix, url || jobFingerprint(job));
+}
+
+module.exports = {
+  MAX_JOB_ID_LENGTH,
+  normalizeText,
+  normalizeCompany,
+  normalizeLocation,
+  normalizeUrl,
+  jobFingerprint,
+  stableJobId,
+  sourcePrefix,
+  namespacedJobId,
+  ensureJobId,
+};
@@ -0,0 +1,120 @@
+/**
+ * Job Validator
+ *
+ * Checks uploaded jobs (Chrome extension, ingest API keys) before they reach
+ * the database. Length caps follow the jobs table columns.
+ */
+
+const { normalizeWorkArrangement } = require("./workArrangement");
+const { getUploadSourceNames } = require("../config/sources");
+
+const MAX_BATCH_SIZE = parseInt(process.env.INGEST_MAX_BATCH_SIZE) || 500;
+
+// field -> { required, max }
+const FIELD_RULES = {
+  id: { max: 255 },
+  title: { required: true, max: 255 },
+  company: { required: true, max: 255 },
+  location: { max: 255 },
+  type: { max: 100 },
+  salary: { max: 100 },
+  posted: { max: 100 },
+  description: { max: 20000 },
+  url: { required: true, max: 2048 },
+  source: { max: 100 },
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate and clean one uploaded job
+ * @param {*} raw - One element of the uploaded array
+ * @returns {{ job: object|null, errors: string[] }} job is null when invalid
+ */
+function validateJob(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { job: null, errors: ["Job must be an object"] };
+  }
+
+  const job = {};
+  const errors = [];
+
+  // The extension sends `link` on some boards
+  const input = { ...raw, url: raw.url || raw.link };
+
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    let value = input[field];
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors.push(`${field} is required`);
+      continue;
+    }
+    if (typeof value === "number" && field === "id") {
+      value = String(value);
+    }
+    if (typeof value !== "string") {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+
+    value = value.trim();
+    if (!value) {
+      if (rule.required) errors.push(`${field} is required`);
+      continue;
+    }
+    if (value.length > rule.max) {
+      errors.push(`${field} exceeds ${rule.max} characters`);
+      continue;
+    }
+    job[field] = value;
+  }
+
+  if (job.url && !isHttpUrl(job.url)) {
+    errors.push("url must be an http(s) URL");
+  }
+
+  // Only the upload sources (see src/config/sources.js), in their stored
+  // spelling; an ID longer than the key once namespaced is hashed at ingest
+  if (job.source) {
+    const sources = getUploadSourceNames();
+    const source = sources.find(
+      (name) => name.toLowerCase() === job.source.toLowerCase(),
+    );
+    if (source) {
+      job.source = source;
+    } else {
+      errors.push(`source must be one of ${sources.join(", ")}`);
+    }
+  }
+
+  if (raw.easyApply !== undefined && typeof raw.easyApply !== "boolean") {
+    errors.push("easyApply must be a boolean");
+  } else {
+    job.easyApply = raw.easyApply === true;
+  }
+
+  // Set by the extension from LinkedIn's remote/hybrid/on-site search filter
+  if (raw.workArrangement !== undefined && raw.workArrangement !== null) {
+    const workArrangement = normalizeWorkArrangement(raw.workArrangement);
+    if (workArrangement) {
+      job.workArrangement = workArrangement;
+    } else {
+      errors.push("workArrangement must be remote, hybrid or onsite");
+    }
+  }
+
+  return errors.length > 0 ? { job: null, errors } : { job, errors };
+}
+
+module.exports = {
+  validateJob,
+  MAX_BATCH_SIZE,
+  FIELD_RULES,
+};
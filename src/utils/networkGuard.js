@@ -0,0 +1,111 @@
+/**
+ * Network Guard
+ *
+ * Keeps server-side requests to user-supplied URLs (webhooks) off our own
+ * network: loopback, private, link-local (including the cloud metadata
+ * endpoint 169.254.169.254), carrier-grade NAT, multicast and reserved
+ * addresses are refused. Hostnames are checked on every connection through
+ * the agents' DNS lookup, so a name that later re-resolves to a private
+ * address is caught too.
+ */
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv4"),
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  BLOCKED_NETWORKS.addSubnet(network, prefix, "ipv6"),
+);
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 6) {
+    // IPv4-mapped ("::ffff:10.0.0.1") is checked as the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_NETWORKS.check(mapped[1], "ipv4");
+    return BLOCKED_NETWORKS.check(address, "ipv6");
+  }
+  return BLOCKED_NETWORKS.check(address, "ipv4");
+}
+
+/**
+ * Reason a URL can't be requested before any DNS lookup (IP literals and
+ * localhost), or null
+ */
+function blockedHostReason(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  } catch (error) {
+    return "Invalid URL";
+  }
+  if (hostname === "localhost" || hostname.endsWith(".localhost")) {
+    return "Endpoint host is not allowed";
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return "Endpoint address is not allowed";
+  }
+  return null;
+}
+
+/**
+ * dns.lookup that fails for hostnames resolving to a private address
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = "EADDRBLOCKED";
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// For axios: { httpAgent: publicAgents.http, httpsAgent: publicAgents.https }
+const publicAgents = {
+  http: new http.Agent({ lookup: publicLookup }),
+  https: new https.Agent({ lookup: publicLookup }),
+};
+
+module.exports = {
+  isPrivateAddress,
+  blockedHostReason,
+  publicLookup,
+  publicAgents,
+};
@@ -0,0 +1,202 @@
+/**
+ * Requirement Detector
+ *
+ * Reads the security clearance and certifications a job asks for out of
+ * its title and description. The clearance is the highest level mentioned
+ * (a TS/SCI role also needs Secret); certifications come from the
+ * "certification" entries of the skill taxonomy, each marked required or
+ * preferred from the wording of its sentence or the section it sits in.
+ */
+
+const { findSkillMentions } = require("./skillExtractor");
+
+// Lowest to highest
+const CLEARANCE_LEVELS = ["public-trust", "secret", "top-secret", "ts-sci"];
+
+const CLEARANCE_NAMES = {
+  "public-trust": "Public Trust",
+  secret: "Secret",
+  "top-secret": "Top Secret",
+  "ts-sci": "TS/SCI",
+};
+
+const CERTIFICATION_REQUIREMENTS = ["required", "preferred"];
+
+// Highest first; "Top Secret clearance" also matches the secret pattern
+const CLEARANCE_PATTERNS = [
+  [
+    "ts-sci",
+    /\bTS\s*[/-]?\s*SCI\b|\btop\s+secret\s*[/-]\s*SCI\b|\btop\s+secret\b[^.\n]{0,30}\bSCI\b/gi,
+  ],
+  ["top-secret", /\btop[\s-]+secret\b|\bTS\s+(security\s+)?clearance\b/gi],
+  [
+    "secret",
+    /\bsecret\s+(security\s+)?clearance\b|\b(active|current|interim|final)\s+secret\b|\bclearance(\s+level)?\s*[:\-–]\s*secret\b/gi,
+  ],
+  ["public-trust", /\bpublic[\s-]+trust\b/gi],
+];
+
+const POLYGRAPH_PATTERN =
+  /\b(full[\s-]+scope|CI|counter-?intelligence|lifestyle)\s+poly(graph)?\b|\bpolygraph\b|\b(with|w\/)\s*(a\s+)?poly\b/i;
+
+// "No clearance required", "clearance is not required"
+const NEGATED_PATTERN =
+  /\b(no|without)\s+(security\s+)?clearance\b|\bclearance\s+(is\s+)?not\s+(required|needed|necessary)\b/i;
+
+const PREFERRED_PATTERN =
+  /\b(prefer(red|ably)?|(is\s+)?a\s+plus|nice[\s-]+to[\s-]+have|desired|desirable|bonus|ideally|advantageous)\b/i;
+
+const REQUIRED_PATTERN =
+  /\b(requires?|required|requirements?|must|mandatory|minimum|needs?|needed|8570|8140)\b|\bwithin\s+\d+\s+(days|months)\b/i;
+
+// Section headings ("Preferred Qualifications:", "Must have") on their own
+// line; checked preferred first since "Preferred Qualifications" is also a
+// qualifications heading
+const PREFERRED_HEADING =
+  /\b(preferred|desired|nice[\s-]+to[\s-]+have|bonus|pluses|plus)\b/i;
+const REQUIRED_HEADING =
+  /\b(required|requirements|qualifications|must[\s-]+haves?|minimum|basic|what\s+you('ll|\s+will)?\s+need)\b/i;
+const MAX_HEADING_LENGTH = 60;
+
+/**
+ * The sentence or bullet around a match
+ */
+function segmentAround(text, start, end) {
+  const before = text.slice(0, start);
+  const from =
+    Math.max(
+      before.lastIndexOf("\n"),
+      before.lastIndexOf(". "),
+      before.lastIndexOf(";"),
+      before.lastIndexOf("•"),
+    ) + 1;
+  const after = text.slice(end).search(/\n|\.\s|;|•/);
+  return text.slice(from, after === -1 ? text.length : end + after);
+}
+
+/**
+ * Requirement implied by the nearest heading above a position
+ * @returns {string|null} required, preferred or null
+ */
+function headingRequirement(text, position) {
+  const lines = text.slice(0, position).split("\n");
+  lines.pop(); // The line the match is on
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim().replace(/:$/, "");
+    if (!line || line.length > MAX_HEADING_LENGTH) continue;
+    if (PREFERRED_HEADING.test(line)) return "preferred";
+    if (REQUIRED_HEADING.test(line)) return "required";
+  }
+  return null;
+}
+
+/**
+ * Highest clearance level a text asks for
+ * @returns {{ level: string|null, polygraph: boolean }}
+ */
+function detectClearance(text) {
+  const content = String(text || "");
+  let level = null;
+
+  for (const [candidate, pattern] of CLEARANCE_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      const segment = segmentAround(
+        content,
+        match.index,
+        match.index + match[0].length,
+      );
+      if (!NEGATED_PATTERN.test(segment)) {
+        level = candidate;
+        break;
+      }
+    }
+    if (level) break;
+  }
+
+  return {
+    level,
+    polygraph: Boolean(level) && POLYGRAPH_PATTERN.test(content),
+  };
+}
+
+/**
+ * Certifications a text asks for. The wording of the sentence decides
+ * first ("CISSP preferred", "must hold Security+"), then the section
+ * heading it sits under. A title mention with no wording either way is
+ * required; a description mention is preferred, so the filter never hides a
+ * job behind a certification it merely mentions.
+ * @param {{ title: string, description: string }} job
+ * @returns {Array<{ slug: string, requirement: "required"|"preferred" }>}
+ */
+function detectCertifications(job) {
+  const requirements = new Map();
+
+  const record = (slug, requirement) => {
+    if (requirements.get(slug) !== "required") {
+      requirements.set(slug, requirement);
+    }
+  };
+
+  for (const [text, isTitle] of [
+    [String(job.title || ""), true],
+    [String(job.description || ""), false],
+  ]) {
+    for (const { slug, start, end } of findSkillMentions(text, {
+      category: "certification",
+    })) {
+      const segment = isTitle ? text : segmentAround(text, start, end);
+      if (PREFERRED_PATTERN.test(segment)) {
+        record(slug, "preferred");
+      } else if (REQUIRED_PATTERN.test(segment)) {
+        record(slug, "required");
+      } else {
+        record(
+          slug,
+          isTitle ? "required" : headingRequirement(text, start) || "preferred",
+        );
+      }
+    }
+  }
+
+  return [...requirements].map(([slug, requirement]) => ({
+    slug,
+    requirement,
+  }));
+}
+
+/**
+ * Clearance and certification requirements of a job
+ * @param {{ title: string, description: string }} job
+ * @returns {{ clearance: { level: string|null, polygraph: boolean }, certifications: Array<{ slug, requirement }> }}
+ */
+function detectRequirements(job) {
+  return {
+    clearance: detectClearance(`${job.title || ""}\n${job.description || ""}`),
+    certifications: detectCertifications(job),
+  };
+}
+
+/**
+ * Public shape of a clearance requirement
+ * @returns {object|null} { level, name, polygraph }
+ */
+function formatClearance(level, polygraph) {
+  if (!CLEARANCE_NAMES[level]) return null;
+  return {
+    level,
+    name: CLEARANCE_NAMES[level],
+    polygraph: Boolean(polygraph),
+  };
+}
+
+module.exports = {
+  CLEARANCE_LEVELS,
+  CERTIFICATION_REQUIREMENTS,
+  detectClearance,
+  detectCertifications,
+  detectRequirements,
+  formatClearance,
+};
@@ -0,0 +1,196 @@
+/**
+ * Salary Parser
+ *
+ * Converts the free-text salary strings produced by our sources into
+ * structured values (min, max, currency, period). Handles formats such as:
+ * - Adzuna:   "$80000 - $120000"
+ * - RemoteOK: "💰 $80k - $120k"
+ * - LinkedIn: "$101K/yr - $120.4K/yr", "$45/hr - $55/hr"
+ * - Indeed:   "$80,000 - $120,000 a year", "From $25 an hour", "Up to $90,000 a year"
+ * - European grouping: "€50.000", "45.000 - 55.000 EUR", "€22,50/hr"
+ *
+ * A number only counts as pay when the text names a currency or a pay
+ * period, so "401k match" or "Competitive + 10 days PTO" parse to null.
+ */
+
+// Multi-character prefixes are checked before single symbols
+const CURRENCY_PREFIXES = [
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["AU$", "AUD"],
+  ["A$", "AUD"],
+  ["US$", "USD"],
+  ["$", "USD"],
+  ["£", "GBP"],
+  ["€", "EUR"],
+  ["₹", "INR"],
+];
+
+const CURRENCY_CODES = ["USD", "CAD", "AUD", "GBP", "EUR", "INR"];
+
+const PERIOD_PATTERNS = [
+  ["hour", /(\/\s*h(ou)?r\b|\bper\s+hour\b|\ban\s+hour\b|\bhourly\b)/i],
+  ["day", /(\/\s*day\b|\bper\s+day\b|\ba\s+day\b|\bdaily\b)/i],
+  ["week", /(\/\s*wk\b|\/\s*week\b|\bper\s+week\b|\ba\s+week\b|\bweekly\b)/i],
+  ["month", /(\/\s*mo(nth)?\b|\bper\s+month\b|\ba\s+month\b|\bmonthly\b)/i],
+  [
+    "year",
+    /(\/\s*yr\b|\/\s*year\b|\bper\s+(year|annum)\b|\ba\s+year\b|\bannual(ly)?\b|\bp\.?a\.?\b)/i,
+  ],
+];
+
+// Multipliers used to compare salaries posted for different periods
+const ANNUAL_MULTIPLIERS = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1,
+};
+
+const AMOUNT_REGEX = /(\d(?:[\d.,]*\d)?)(?:\s*([kKmM])\b)?/g;
+
+// Retirement plans read like amounts ("401k", "403(b)")
+const RETIREMENT_PLAN_REGEX = /\b40[13]\s*\(?[kb]\)?/gi;
+
+/**
+ * Convert a matched number to a value, working out whether "." and ","
+ * group thousands ("50.000", "80,000") or mark decimals ("120.4", "22,50")
+ * @param {string} raw - Digits with separators
+ * @param {boolean} hasSuffix - Followed by k or m ("101.500K" is decimal)
+ * @returns {number}
+ */
+function toNumber(raw, hasSuffix) {
+  const separators = raw.match(/[.,]/g) || [];
+  if (separators.length === 0) return parseFloat(raw);
+
+  let decimal = null;
+  const last = separators[separators.length - 1];
+  if (new Set(separators).size > 1) {
+    // Both kinds present: the last one marks decimals
+    decimal = last;
+  } else if (separators.length === 1) {
+    const fraction = raw.slice(raw.lastIndexOf(last) + 1);
+    if (fraction.length !== 3 || hasSuffix) decimal = last;
+  }
+
+  const grouping = decimal === "." ? "," : decimal === "," ? "." : /[.,]/g;
+  const normalized = raw.split(grouping).join("").replace(",", ".");
+  return parseFloat(normalized);
+}
+
+/**
+ * Detect the currency of a salary string
+ * @param {string} text - Raw salary text
+ * @returns {string|null} ISO 4217 currency code
+ */
+function detectCurrency(text) {
+  const upper = text.toUpperCase();
+  for (const [prefix, code] of CURRENCY_PREFIXES) {
+    if (upper.includes(prefix.toUpperCase())) return code;
+  }
+  for (const code of CURRENCY_CODES) {
+    if (new RegExp(`\\b${code}\\b`).test(upper)) return code;
+  }
+  return null;
+}
+
+/**
+ * Detect the pay period of a salary string
+ * @param {string} text - Raw salary text
+ * @returns {string|null} hour, day, week, month or year
+ */
+function detectPeriod(text) {
+  for (const [period, pattern] of PERIOD_PATTERNS) {
+    if (pattern.test(text)) return period;
+  }
+  return null;
+}
+
+/**
+ * Parse a salary string into structured values
+ * @param {string} text - Raw salary text
+ * @returns {object|null} { min, max, currency, period } or null when no amount is present
+ */
+function parseSalary(text) {
+  if (typeof text !== "string") return null;
+  text = text.replace(RETIREMENT_PLAN_REGEX, " ");
+  if (!/\d/.test(text) || !(detectCurrency(text) || detectPeriod(text))) {
+    return null;
+  }
+
+  const amounts = [];
+  for (const match of text.matchAll(AMOUNT_REGEX)) {
+    const suffix = (match[2] || "").toLowerCase();
+    const value = toNumber(match[1], Boolean(suffix));
+    amounts.push({ value, suffix });
+    if (amounts.length === 2) break;
+  }
+
+  if (amounts.length === 0) return null;
+
+  // "$80-120k" - a suffix on the upper bound applies to the lower bound too
+  if (
+    amounts.length === 2 &&
+    !amounts[0].suffix &&
+    amounts[1].suffix &&
+    amounts[0].value < 1000
+  ) {
+    amounts[0].suffix = amounts[1].suffix;
+  }
+
+  const values = amounts
+    .map(({ value, suffix }) => {
+      if (suffix === "k") return value * 1000;
+      if (suffix === "m") return value * 1000000;
+      return value;
+    })
+    .filter((value) => value > 0);
+
+  if (values.length === 0) return null;
+
+  let min = values[0];
+  let max = values.length > 1 ? values[1] : null;
+
+  if (max !== null && max < min) {
+    [min, max] = [max, min];
+  }
+
+  // Single open-ended bounds: "Up to $90,000" has no minimum
+  if (max === null && /\bup\s+to\b/i.test(text)) {
+    max = min;
+    min = null;
+  }
+
+  let period = detectPeriod(text);
+  if (!period) {
+    // Infer from magnitude when the source leaves the period out
+    const reference = min !== null ? min : max;
+    if (reference >= 10000) period = "year";
+    else if (reference < 300) period = "hour";
+  }
+
+  return {
+    min: min !== null ? Math.round(min * 100) / 100 : null,
+    max: max !== null ? Math.round(max * 100) / 100 : null,
+    currency: detectCurrency(text) || "USD",
+    period,
+  };
+}
+
+/**
+ * Convert an amount to its yearly equivalent
+ * @param {number} amount - Salary amount
+ * @param {string} period - Pay period of the amount
+ * @returns {number|null} Annualized amount
+ */
+function annualize(amount, period) {
+  if (amount === null || amount === undefined) return null;
+  return amount * (ANNUAL_MULTIPLIERS[period] || 1);
+}
+
+module.exports = {
+  parseSalary,
+  annualize,
+  ANNUAL_MULTIPLIERS,
+};
@@ -0,0 +1,196 @@
+/**
+ * Search Query Builder
+ *
+ * Turns a user search string into a MySQL FULLTEXT (BOOLEAN MODE) condition
+ * with a relevance score.
+ *
+ * Syntax:
+ *   security engineer     both words (prefix match: "secur" finds "security")
+ *   "incident response"   exact phrase
+ *   +python               must contain
+ *   -intern               must not contain
+ *
+ * InnoDB skips tokens shorter than innodb_ft_min_token_size and can't index
+ * symbols, so terms like "IT", "QA", "C#" or ".NET" fall back to a
+ * whole-word REGEXP (a plain LIKE '%it%' would also match "security").
+ */
+
+const SEARCHABLE_FIELDS = ["title", "company", "description"];
+
+// Must match innodb_ft_min_token_size on the server (default 3)
+const FT_MIN_TOKEN_SIZE = parseInt(process.env.FT_MIN_TOKEN_SIZE) || 3;
+
+// Operators that mean something inside AGAINST(... IN BOOLEAN MODE)
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Whole-word pattern for the REGEXP fallback
+ */
+const wordPattern = (text) =>
+  `(^|[^[:alnum:]])${escapeRegExp(text)}([^[:alnum:]]|$)`;
+
+/**
+ * Condition matching a term as a whole word in any of the fields
+ */
+const fallbackCondition = (fields) =>
+  `(${fields.map((field) => `${field} REGEXP ?`).join(" OR ")})`;
+
+/**
+ * Split a query into terms
+ * @param {string} query - Raw search string
+ * @returns {Array<{text: string, phrase: boolean, operator: "+"|"-"|null}>}
+ */
+function parseSearchQuery(query) {
+  const terms = [];
+  const pattern = /([+-]?)(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ""))) !== null) {
+    const [, operator, phrase, word] = match;
+    const text = (phrase !== undefined ? phrase : word).trim();
+    if (!text) continue;
+    terms.push({
+      text,
+      phrase: phrase !== undefined,
+      operator: operator || null,
+    });
+  }
+
+  return terms;
+}
+
+/**
+ * Whether FULLTEXT can match this term, or it needs the LIKE fallback
+ */
+function isIndexable(term) {
+  const words = term.text.split(/\s+/);
+  return words.every(
+    (word) =>
+      word.length >= FT_MIN_TOKEN_SIZE &&
+      word.replace(BOOLEAN_OPERATORS, "") === word &&
+      /^[\p{L}\p{N}_'-]+$/u.test(word),
+  );
+}
+
+/**
+ * Resolve the requested field list against the searchable columns
+ * @param {string|string[]} fields - e.g. "title,company"
+ * @returns {string[]|null} Columns, or null if any field is unknown
+ */
+function resolveSearchFields(fields) {
+  if (!fields || fields.length === 0) return SEARCHABLE_FIELDS;
+  const list = (Array.isArray(fields) ? fields : String(fields).split(","))
+    .map((field) => field.trim().toLowerCase())
+    .filter((field) => field);
+  if (list.some((field) => !SEARCHABLE_FIELDS.includes(field))) return null;
+  return list.length > 0 ? Array.from(new Set(list)) : SEARCHABLE_FIELDS;
+}
+
+/**
+ * MATCH() expression for the fields. The three-column index covers a full
+ * search; any subset is scored per column (each has its own index).
+ */
+function matchSql(fields) {
+  if (fields.length === SEARCHABLE_FIELDS.length) {
+    return [
+      `MATCH(${SEARCHABLE_FIELDS.join(", ")}) AGAINST(? IN BOOLEAN MODE)`,
+    ];
+  }
+  return fields.map((field) => `MATCH(${field}) AGAINST(? IN BOOLEAN MODE)`);
+}
+
+/**
+ * Build the WHERE condition and score expression for a search
+ * @param {string} query - Raw search string
+ * @param {object} options - { fields, exact }
+ * @returns {{ condition: string, params: any[], scoreSql: string, scoreParams: any[] }|null}
+ *   null when the query has no usable terms
+ */
+function buildSearch(query, options = {}) {
+  const fields = resolveSearchFields(options.fields) || SEARCHABLE_FIELDS;
+  const terms = options.exact
+    ? [
+        {
+          text: String(query || "")
+            .replace(/"/g, "")
+            .trim(),
+          phrase: true,
+          operator: "+",
+        },
+      ]
+    : parseSearchQuery(query);
+  if (terms.length === 0 || !terms[0].text) return null;
+
+  const booleanParts = [];
+  const conditions = [];
+  const params = [];
+
+  for (const term of terms) {
+    if (isIndexable(term)) {
+      const text = term.phrase ? `"${term.text}"` : `${term.text}*`;
+      // Plain words are required, like the old LIKE search
+      booleanParts.push(`${term.operator === "-" ? "-" : "+"}${text}`);
+      continue;
+    }
+
+    const condition = fallbackCondition(fields);
+    conditions.push(term.operator === "-" ? `NOT ${condition}` : condition);
+    fields.forEach(() => params.push(wordPattern(term.text)));
+  }
+
+  let scoreSql = "0";
+  const scoreParams = [];
+
+  if (booleanParts.some((part) => part.startsWith("+"))) {
+    const against = booleanParts.join(" ");
+    const matches = matchSql(fields);
+    const required = booleanParts.filter((part) => part.startsWith("+"));
+    const excluded = booleanParts.filter((part) => part.startsWith("-"));
+
+    if (matches.length === 1) {
+      conditions.unshift(`${matches[0]} > 0`);
+      params.unshift(against);
+    } else {
+      // Every required term must appear in at least one field, and no
+      // excluded term in any of them
+      const termConditions = required.map(() => `(${matches.join(" OR ")})`);
+      const termParams = required.flatMap((part) =>
+        matches.map(() => part.substring(1)),
+      );
+      excluded.forEach((part) => {
+        termConditions.push(`NOT (${matches.join(" OR ")})`);
+        matches.forEach(() => termParams.push(part.substring(1)));
+      });
+      conditions.unshift(...termConditions);
+      params.unshift(...termParams);
+    }
+
+    scoreSql = matches.join(" + ");
+    matches.forEach(() => scoreParams.push(against));
+  } else if (booleanParts.length > 0) {
+    // Only exclusions are indexable: FULLTEXT can't match on "-term" alone
+    booleanParts.forEach((part) => {
+      conditions.push(`NOT ${fallbackCondition(fields)}`);
+      const text = part.substring(1).replace(/^"|"$|\*$/g, "");
+      fields.forEach(() => params.push(wordPattern(text)));
+    });
+  }
+
+  if (conditions.length === 0) return null;
+
+  return {
+    condition: `(${conditions.join(" AND ")})`,
+    params,
+    scoreSql: `(${scoreSql})`,
+    scoreParams,
+  };
+}
+
+module.exports = {
+  SEARCHABLE_FIELDS,
+  parseSearchQuery,
+  resolveSearchFields,
+  buildSearch,
+};
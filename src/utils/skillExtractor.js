@@ -0,0 +1,137 @@
+/**
+ * Skill Extractor
+ *
+ * Tags text with skills from the taxonomy in src/config/skills.js. Aliases
+ * match as whole words; when matches for different skills overlap ("SOC"
+ * in "SOC 2", "Secret clearance" in "Top Secret clearance") only the
+ * longest counts.
+ */
+
+const { SKILLS, SKILL_CATEGORIES } = require("../config/skills");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+let matchers = null;
+let skillsBySlug = null;
+let skillsByKey = null;
+
+/**
+ * Compile one regex per skill, and lookups by slug / name / alias
+ */
+function loadMatchers() {
+  if (matchers) return matchers;
+
+  matchers = SKILLS.map((skill) => {
+    const alternatives = [...skill.aliases]
+      .sort((a, b) => b.length - a.length)
+      .map((alias) => escapeRegExp(alias).replace(/\s+/g, "\\s+"));
+    return {
+      slug: skill.slug,
+      category: skill.category,
+      pattern: new RegExp(
+        `(?<![A-Za-z0-9])(?:${alternatives.join("|")})(?![A-Za-z0-9+#])`,
+        skill.caseSensitive ? "g" : "gi",
+      ),
+    };
+  });
+
+  skillsBySlug = new Map(SKILLS.map((skill) => [skill.slug, skill]));
+  skillsByKey = new Map();
+  for (const skill of SKILLS) {
+    for (const key of [skill.slug, skill.name, ...skill.aliases]) {
+      skillsByKey.set(key.toLowerCase(), skill);
+    }
+  }
+
+  return matchers;
+}
+
+/**
+ * Where each skill is mentioned in a piece of text
+ * @param {string} text
+ * @param {object} [options] - { category } to only look for one category
+ * @returns {Array<{ slug: string, start: number, end: number }>} In text order
+ */
+function findSkillMentions(text, options = {}) {
+  const content = String(text || "");
+  if (!content.trim()) return [];
+
+  const spans = [];
+  for (const { slug, category, pattern } of loadMatchers()) {
+    if (options.category && category !== options.category) continue;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      spans.push({
+        slug,
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  }
+
+  // Longest first, dropping matches that overlap a longer one
+  spans.sort((a, b) => b.end - b.start - (a.end - a.start));
+  const kept = [];
+  for (const span of spans) {
+    const overlaps = kept.some(
+      (other) =>
+        other.slug !== span.slug &&
+        other.start < span.end &&
+        span.start < other.end,
+    );
+    if (!overlaps) kept.push(span);
+  }
+
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Skills mentioned in a piece of text
+ * @param {string} text - Title and description
+ * @returns {string[]} Skill slugs in taxonomy order
+ */
+function extractSkills(text) {
+  const found = new Set(findSkillMentions(text).map((span) => span.slug));
+  return SKILLS.filter((skill) => found.has(skill.slug)).map(
+    (skill) => skill.slug,
+  );
+}
+
+/**
+ * Resolve a slug, name or alias ("security-plus", "Security+", "sec+") to
+ * its skill
+ * @returns {object|null} Taxonomy entry
+ */
+function findSkill(value) {
+  loadMatchers();
+  return (
+    skillsByKey.get(
+      String(value || "")
+        .trim()
+        .toLowerCase(),
+    ) || null
+  );
+}
+
+/**
+ * Public shape of a skill
+ */
+function formatSkill(slug) {
+  loadMatchers();
+  const skill = skillsBySlug.get(slug);
+  if (!skill) return null;
+  return {
+    slug: skill.slug,
+    name: skill.name,
+    category: skill.category,
+    categoryName: SKILL_CATEGORIES[skill.category] || skill.category,
+  };
+}
+
+module.exports = {
+  findSkillMentions,
+  extractSkills,
+  findSkill,
+  formatSkill,
+};
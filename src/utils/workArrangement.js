@@ -0,0 +1,114 @@
+/**
+ * Work Arrangement
+ *
+ * Classifies a job as remote, hybrid or onsite from, in order of trust: a
+ * flag from the source (LinkedIn's f_WT search filter, Lever's
+ * workplaceType, remote-only boards), the location, the title and the
+ * description. Replaces `location LIKE '%remote%'`, which missed remote
+ * roles listed under a city and caught "Remote-first office in NYC".
+ */
+
+const WORK_ARRANGEMENTS = ["remote", "hybrid", "onsite"];
+
+// Source flag spellings -> arrangement
+const ALIASES = {
+  remote: "remote",
+  "fully remote": "remote",
+  "work from home": "remote",
+  wfh: "remote",
+  hybrid: "hybrid",
+  onsite: "onsite",
+  "on-site": "onsite",
+  "on site": "onsite",
+  "in-office": "onsite",
+  "in office": "onsite",
+  office: "onsite",
+};
+
+// LinkedIn's f_WT search filter values
+const LINKEDIN_WORK_TYPES = { 1: "onsite", 2: "remote", 3: "hybrid" };
+
+// "Remote/Unknown" is the extension's placeholder when a card has no location
+const PLACEHOLDER_LOCATIONS =
+  /^(remote\s*\/\s*unknown|unknown( location)?|n\/a)$/i;
+
+const LOCATION_PATTERNS = [
+  ["hybrid", /\bhybrid\b/i],
+  ["onsite", /\b(on-?site|in[- ]office)\b/i],
+  // "Remote-first office in NYC" is an office, not a remote role
+  [
+    "remote",
+    /\b(remote|anywhere|work from home|wfh)\b(?![- ](first|friendly)\b)/i,
+  ],
+];
+
+// Only bracketed or separated tags: "Remote Sensing Analyst" is not remote
+const TITLE_PATTERNS = [
+  ["hybrid", /(\(|\[|[-–|,]\s*)hybrid\b|\bhybrid(\)|\]|\s*$)/i],
+  ["onsite", /(\(|\[|[-–|,]\s*)(on-?site|in[- ]office)\b/i],
+  [
+    "remote",
+    /(\(|\[|[-–|,]\s*)remote\b(?![- ](first|friendly)\b)|^remote\s*[-–|:,]|\bremote(\)|\]|\s*$)/i,
+  ],
+];
+
+// Checked in order: an explicit "not remote" beats a later "remote"
+const DESCRIPTION_PATTERNS = [
+  [
+    "onsite",
+    /\b(not|isn'?t|is not) (a |an )?(fully )?remote\b|\bno remote\b|\b(must|required to) (be able to )?work (on-?site|in[- ](the )?office)\b|\b(100% |fully )?on-?site (role|position|job)\b/i,
+  ],
+  [
+    "hybrid",
+    /\bhybrid (role|position|job|schedule|work|model|arrangement)\b|\b(this|the) (role|position|job) is hybrid\b|\b\d (days?|x) (a|per) week (in|at) (the |our )?office\b/i,
+  ],
+  [
+    "remote",
+    /\b(fully|100%|completely) remote\b|\bremote[- ](role|position|job|opportunity)\b|\b(this|the) (role|position|job) is remote\b|\bwork from anywhere\b/i,
+  ],
+];
+
+const firstMatch = (patterns, text) => {
+  if (!text) return null;
+  const match = patterns.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+};
+
+/**
+ * Normalize a source flag ("Remote", "on-site", LinkedIn f_WT "2") to an
+ * arrangement
+ * @returns {string|null} remote, hybrid, onsite or null when unknown
+ */
+function normalizeWorkArrangement(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase();
+  return ALIASES[text] || LINKEDIN_WORK_TYPES[text] || null;
+}
+
+/**
+ * Classify a job's work arrangement
+ * @param {object} job - { workArrangement, location, title, description }
+ * @param {object} [options]
+ * @param {boolean} [options.hasPlace] - The location resolved to a city or
+ *   state; with no other signal the job is taken to be onsite there
+ * @returns {string|null} remote, hybrid, onsite or null when unknown
+ */
+function classifyWorkArrangement(job, options = {}) {
+  const location = String(job.location || "").trim();
+
+  return (
+    normalizeWorkArrangement(job.workArrangement) ||
+    (PLACEHOLDER_LOCATIONS.test(location)
+      ? null
+      : firstMatch(LOCATION_PATTERNS, location)) ||
+    firstMatch(TITLE_PATTERNS, job.title) ||
+    firstMatch(DESCRIPTION_PATTERNS, job.description) ||
+    (options.hasPlace ? "onsite" : null)
+  );
+}
+
+module.exports = {
+  WORK_ARRANGEMENTS,
+  normalizeWorkArrangement,
+  classifyWorkArrangement,
+};
@@ -0,0 +1,45 @@
+/**
+ * Agency Detector tests
+ *
+ * Usage: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isAgencyName,
+  hasAgencyLanguage,
+} = require("../src/utils/agencyDetector");
+
+test("flags recruiter phrasing", () => {
+  [
+    "Our client is seeking a Senior Java Developer.",
+    "Our client, a leading fintech firm in NYC, is looking for a DevOps engineer.",
+    "We are recruiting on behalf of our client.",
+    "A leading healthcare client is seeking an RN.",
+    "This is a contract-to-hire placement.",
+  ].forEach((description) =>
+    assert.equal(hasAgencyLanguage({ description }), true, description),
+  );
+});
+
+test("does not flag government-contractor boilerplate", () => {
+  [
+    "Support our client's mission to protect the nation.",
+    "Supporting our client in the Intelligence Community, you will build data pipelines.",
+    "We deliver solutions for our client agencies across DoD.",
+  ].forEach((description) =>
+    assert.equal(hasAgencyLanguage({ description }), false, description),
+  );
+});
+
+test("flags agency names but not names that merely mention the words", () => {
+  [
+    "Acme Personnel",
+    "Express Personnel Services",
+    "ABC Placements, Inc.",
+  ].forEach((name) => assert.equal(isAgencyName(name), true, name));
+  ["Personnel Security Office", "Placement Labs"].forEach((name) =>
+    assert.equal(isAgencyName(name), false, name),
+  );
+});
@@ -0,0 +1,541 @@
+/**
+ * Billing webhook tests
+ *
+ * Posts Square and PayPal webhooks to the billing routes, and returns from
+ * checkout through /billing/success, with both providers' APIs served by
+ * local stubs (SQUARE_API_BASE_URL, PAYPAL_API_BASE_URL) and the database
+ * held in memory.
+ *
+ * Usage: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const SQUARE_WEBHOOK_URL = "https://jobs.example.com/webhooks/square";
+const SQUARE_SIGNATURE_KEY = "square-test-signature-key";
+const PAYPAL_VALID_SIGNATURE = "paypal-valid-signature";
+
+Object.assign(process.env, {
+  SQUARE_ACCESS_TOKEN: "square-test-token",
+  SQUARE_WEBHOOK_SIGNATURE_KEY: SQUARE_SIGNATURE_KEY,
+  SQUARE_WEBHOOK_URL,
+  PAYPAL_CLIENT_ID: "paypal-test-client",
+  PAYPAL_CLIENT_SECRET: "paypal-test-secret",
+  PAYPAL_WEBHOOK_ID: "paypal-test-webhook",
+});
+
+const { pool } = require("../src/config/database");
+const { installMemoryPool } = require("./helpers/memoryPool");
+const { PLAN_PRICES } = require("../src/services/billingService");
+const billingRoutes = require("../src/routes/billing");
+
+const db = installMemoryPool(pool);
+
+// Square invoices by ID: { order_id }
+const squareInvoices = new Map();
+// PayPal subscriptions by ID, as GET /v1/billing/subscriptions returns them
+const paypalSubscriptions = new Map();
+
+/**
+ * Local stand-in for the Square and PayPal REST APIs
+ */
+function providerStub(req, res) {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const send = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(data));
+    };
+
+    const invoice = req.url.match(/^\/v2\/invoices\/([^/]+)$/);
+    if (invoice) {
+      const found = squareInvoices.get(decodeURIComponent(invoice[1]));
+      return found
+        ? send(200, { invoice: { id: invoice[1], ...found } })
+        : send(404, { errors: [{ detail: "Invoice not found" }] });
+    }
+    const paypalSubscription = req.url.match(
+      /^\/v1\/billing\/subscriptions\/([^/]+)$/,
+    );
+    if (paypalSubscription) {
+      const found = paypalSubscriptions.get(
+        decodeURIComponent(paypalSubscription[1]),
+      );
+      return found
+        ? send(200, found)
+        : send(404, { message: "Subscription not found" });
+    }
+    if (req.url === "/v1/oauth2/token") {
+      return send(200, { access_token: "paypal-access", expires_in: 3600 });
+    }
+    if (req.url === "/v1/notifications/verify-webhook-signature") {
+      const { transmission_sig: signature } = JSON.parse(body);
+      return send(200, {
+        verification_status:
+          signature === PAYPAL_VALID_SIGNATURE ? "SUCCESS" : "FAILURE",
+      });
+    }
+    send(404, { message: `No stub for ${req.method} ${req.url}` });
+  });
+}
+
+let stubServer;
+let appServer;
+let appUrl;
+
+const listen = (server) =>
+  new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`),
+    ),
+  );
+
+test.before(async () => {
+  stubServer = http.createServer(providerStub);
+  const stubUrl = await listen(stubServer);
+  process.env.SQUARE_API_BASE_URL = stubUrl;
+  process.env.PAYPAL_API_BASE_URL = stubUrl;
+
+  // As mounted in server.js: webhooks are signed over the raw body
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    }),
+  );
+  app.set("view engine", "ejs");
+  app.set("views", path.join(__dirname, "../views"));
+  app.use("/", billingRoutes);
+  appServer = http.createServer(app);
+  appUrl = await listen(appServer);
+});
+
+test.after(() => {
+  stubServer.closeAllConnections();
+  stubServer.close();
+  appServer.closeAllConnections();
+  appServer.close();
+});
+
+test.beforeEach(() => {
+  db.reset();
+  squareInvoices.clear();
+  paypalSubscriptions.clear();
+  db.tables.users.push({ id: 1, email: "buyer@example.com", plan: "free" });
+});
+
+const squareSignature = (body) =>
+  crypto
+    .createHmac("sha256", SQUARE_SIGNATURE_KEY)
+    .update(SQUARE_WEBHOOK_URL + body)
+    .digest("base64");
+
+async function postSquare(event, signature) {
+  const body = JSON.stringify(event);
+  const response = await fetch(`${appUrl}/webhooks/square`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-square-hmacsha256-signature":
+        signature === undefined ? squareSignature(body) : signature,
+    },
+    body,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function postPayPal(event, signature = PAYPAL_VALID_SIGNATURE) {
+  const response = await fetch(`${appUrl}/webhooks/paypal`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "paypal-auth-algo": "SHA256withRSA",
+      "paypal-cert-url": "https://api.paypal.com/cert.pem",
+      "paypal-transmission-id": crypto.randomUUID(),
+      "paypal-transmission-sig": signature,
+      "paypal-transmission-time": new Date().toISOString(),
+    },
+    body: JSON.stringify(event),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Return from checkout as user 1, without following the redirect
+ */
+async function checkoutReturn(query) {
+  const token = jwt.sign(
+    { userId: 1 },
+    process.env.JWT_SECRET || "your-super-secret-jwt-key-change-in-production",
+  );
+  const response = await fetch(`${appUrl}/billing/success?${query}`, {
+    headers: { Authorization: `Bearer ${token}` },
+    redirect: "manual",
+  });
+  return {
+    status: response.status,
+    location: response.headers.get("location"),
+  };
+}
+
+function pendingSession(provider, fields) {
+  db.tables.checkout_sessions.push({
+    id: `session-${provider}`,
+    user_id: 1,
+    provider,
+    plan: "pro",
+    status: "pending",
+    provider_checkout_id: null,
+    provider_order_id: null,
+    ...fields,
+  });
+}
+
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const squareSubscriptionEvent = (eventId, type, subscription) => ({
+  event_id: eventId,
+  type,
+  data: {
+    object: {
+      subscription: {
+        id: "sq-sub-1",
+        customer_id: "sq-customer-1",
+        plan_variation_id: PLAN_PRICES.square.pro,
+        status: "ACTIVE",
+        invoice_ids: ["sq-invoice-1"],
+        charged_through_date: daysFromNow(30).slice(0, 10),
+        ...subscription,
+      },
+    },
+  },
+});
+
+const paypalSubscriptionEvent = (eventId, eventType, resource) => ({
+  id: eventId,
+  event_type: eventType,
+  resource: {
+    id: "I-PAYPAL-1",
+    status: "ACTIVE",
+    plan_id: PLAN_PRICES.paypal.pro,
+    custom_id: "1",
+    subscriber: { payer_id: "payer-1" },
+    billing_info: { next_billing_time: daysFromNow(30) },
+    ...resource,
+  },
+});
+
+const user = () => db.tables.users[0];
+const subscription = () => db.tables.subscriptions[0];
+const transitions = () =>
+  db.tables.subscription_transitions.map((t) => t.to_status);
+
+// ============================================
+// Signatures
+// ============================================
+
+test("square: accepts a correctly signed webhook", async () => {
+  const result = await postSquare({ event_id: "sq-evt-ping", type: "ping" });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.received, true);
+  assert.equal(db.tables.billing_events.length, 1);
+});
+
+test("square: rejects a bad or missing signature", async () => {
+  const event = { event_id: "sq-evt-forged", type: "ping" };
+  const forged = squareSignature(JSON.stringify({ ...event, type: "other" }));
+  assert.equal((await postSquare(event, forged)).status, 401);
+  assert.equal((await postSquare(event, "")).status, 401);
+  assert.equal(db.tables.billing_events.length, 0);
+});
+
+test("paypal: accepts a webhook PayPal verifies", async () => {
+  const result = await postPayPal({ id: "WH-PING", event_type: "PING" });
+  assert.equal(result.status, 200);
+  assert.equal(db.tables.billing_events.length, 1);
+});
+
+test("paypal: rejects a webhook PayPal does not verify", async () => {
+  const result = await postPayPal(
+    { id: "WH-FORGED", event_type: "PING" },
+    "forged-signature",
+  );
+  assert.equal(result.status, 401);
+  assert.equal(db.tables.billing_events.length, 0);
+});
+
+// ============================================
+// Square lifecycle
+// ============================================
+
+test("square: moves a subscription through active, past_due and canceled", async () => {
+  pendingSession("square", { provider_order_id: "sq-order-1" });
+  squareInvoices.set("sq-invoice-1", { order_id: "sq-order-1" });
+
+  const created = await postSquare(
+    squareSubscriptionEvent("sq-evt-1", "subscription.created"),
+  );
+  assert.equal(created.status, 200);
+  assert.equal(subscription().status, "active");
+  assert.equal(subscription().user_id, 1);
+  assert.equal(user().plan, "pro");
+  assert.equal(db.tables.checkout_sessions[0].status, "completed");
+
+  await postSquare({
+    event_id: "sq-evt-2",
+    type: "invoice.scheduled_charge_failed",
+    data: { object: { invoice: { subscription_id: "sq-sub-1" } } },
+  });
+  assert.equal(subscription().status, "past_due");
+  assert.ok(subscription().past_due_since);
+  assert.equal(user().plan, "pro");
+
+  await postSquare(
+    squareSubscriptionEvent("sq-evt-3", "subscription.updated", {
+      status: "CANCELED",
+      charged_through_date: daysFromNow(-1).slice(0, 10),
+    }),
+  );
+  assert.equal(subscription().status, "canceled");
+  assert.equal(user().plan, "free");
+  assert.deepEqual(transitions(), ["active", "past_due", "canceled"]);
+});
+
+test("square: a charge failing after the cancel keeps the user on free", async () => {
+  pendingSession("square", { provider_order_id: "sq-order-1" });
+  squareInvoices.set("sq-invoice-1", { order_id: "sq-order-1" });
+
+  await postSquare(squareSubscriptionEvent("sq-evt-1", "subscription.created"));
+  await postSquare(
+    squareSubscriptionEvent("sq-evt-2", "subscription.updated", {
+      status: "CANCELED",
+      charged_through_date: daysFromNow(-1).slice(0, 10),
+    }),
+  );
+  assert.equal(user().plan, "free");
+
+  const late = await postSquare({
+    event_id: "sq-evt-3",
+    type: "invoice.scheduled_charge_failed",
+    data: { object: { invoice: { subscription_id: "sq-sub-1" } } },
+  });
+  assert.equal(late.status, 200);
+  assert.equal(subscription().status, "canceled");
+  assert.equal(user().plan, "free");
+  assert.deepEqual(transitions(), ["active", "canceled"]);
+});
+
+test("square: skips a redelivered event", async () => {
+  pendingSession("square", { provider_order_id: "sq-order-1" });
+  squareInvoices.set("sq-invoice-1", { order_id: "sq-order-1" });
+  const event = squareSubscriptionEvent("sq-evt-1", "subscription.created");
+
+  assert.equal((await postSquare(event)).body.duplicate, false);
+  const again = await postSquare(event);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(db.tables.billing_events.length, 1);
+  assert.equal(db.tables.subscriptions.length, 1);
+  assert.deepEqual(transitions(), ["active"]);
+});
+
+test("square: fails an unmatched subscription so Square retries it", async (t) => {
+  t.mock.method(console, "error", () => {});
+  pendingSession("square", { provider_order_id: "sq-order-1" });
+  squareInvoices.set("sq-invoice-1", { order_id: "someone-elses-order" });
+  const event = squareSubscriptionEvent("sq-evt-1", "subscription.created");
+
+  assert.equal((await postSquare(event)).status, 500);
+  assert.equal(db.tables.billing_events.length, 0);
+  assert.equal(db.tables.subscriptions.length, 0);
+  assert.equal(user().plan, "free");
+
+  // The retry lands once the invoice's order matches the checkout
+  squareInvoices.set("sq-invoice-1", { order_id: "sq-order-1" });
+  assert.equal((await postSquare(event)).status, 200);
+  assert.equal(subscription().status, "active");
+  assert.equal(user().plan, "pro");
+});
+
+// ============================================
+// PayPal lifecycle
+// ============================================
+
+test("paypal: moves a subscription through active, past_due and canceled", async () => {
+  pendingSession("paypal", { provider_checkout_id: "I-PAYPAL-1" });
+
+  await postPayPal(
+    paypalSubscriptionEvent("WH-1", "BILLING.SUBSCRIPTION.ACTIVATED"),
+  );
+  assert.equal(subscription().status, "active");
+  assert.equal(user().plan, "pro");
+
+  await postPayPal({
+    id: "WH-2",
+    event_type: "BILLING.SUBSCRIPTION.PAYMENT.FAILED",
+    resource: { id: "I-PAYPAL-1" },
+  });
+  assert.equal(subscription().status, "past_due");
+  assert.equal(user().plan, "pro");
+
+  await postPayPal(
+    paypalSubscriptionEvent("WH-3", "BILLING.SUBSCRIPTION.CANCELLED", {
+      status: "CANCELLED",
+      billing_info: { next_billing_time: daysFromNow(-1) },
+    }),
+  );
+  assert.equal(subscription().status, "canceled");
+  assert.equal(user().plan, "free");
+  assert.deepEqual(transitions(), ["active", "past_due", "canceled"]);
+});
+
+test("paypal: a payment failing after the cancel keeps the user on free", async () => {
+  pendingSession("paypal", { provider_checkout_id: "I-PAYPAL-1" });
+
+  await postPayPal(
+    paypalSubscriptionEvent("WH-1", "BILLING.SUBSCRIPTION.ACTIVATED"),
+  );
+  await postPayPal(
+    paypalSubscriptionEvent("WH-2", "BILLING.SUBSCRIPTION.CANCELLED", {
+      status: "CANCELLED",
+      billing_info: { next_billing_time: daysFromNow(-1) },
+    }),
+  );
+  assert.equal(user().plan, "free");
+
+  const late = await postPayPal({
+    id: "WH-3",
+    event_type: "BILLING.SUBSCRIPTION.PAYMENT.FAILED",
+    resource: { id: "I-PAYPAL-1" },
+  });
+  assert.equal(late.status, 200);
+  assert.equal(subscription().status, "canceled");
+  assert.equal(user().plan, "free");
+  assert.deepEqual(transitions(), ["active", "canceled"]);
+});
+
+test("paypal: skips a redelivered event", async () => {
+  pendingSession("paypal", { provider_checkout_id: "I-PAYPAL-1" });
+  const event = paypalSubscriptionEvent(
+    "WH-1",
+    "BILLING.SUBSCRIPTION.ACTIVATED",
+  );
+
+  assert.equal((await postPayPal(event)).body.duplicate, false);
+  const again = await postPayPal(event);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(db.tables.billing_events.length, 1);
+  assert.deepEqual(transitions(), ["active"]);
+});
+
+// ============================================
+// Checkout return
+// ============================================
+
+test("success: a crafted return URL does not upgrade the plan", async () => {
+  db.tables.users.push({ id: 2, email: "other@example.com", plan: "free" });
+  pendingSession("paypal", { provider_checkout_id: "I-PAYPAL-1" });
+  db.tables.checkout_sessions.push({
+    id: "session-other-user",
+    user_id: 2,
+    provider: "paypal",
+    plan: "enterprise",
+    status: "pending",
+    provider_checkout_id: "I-PAYPAL-2",
+  });
+  // Approved on PayPal but not yet active
+  paypalSubscriptions.set(
+    "I-PAYPAL-1",
+    paypalSubscriptionEvent("-", "-", { status: "APPROVAL_PENDING" }).resource,
+  );
+
+  for (const query of [
+    "plan=enterprise&status=COMPLETED",
+    "session=made-up&plan=enterprise",
+    "session=session-other-user",
+  ]) {
+    const result = await checkoutReturn(query);
+    assert.equal(result.status, 302, query);
+    assert.equal(result.location, "/billing?error=checkout_invalid", query);
+  }
+
+  const pending = await checkoutReturn(
+    "session=session-paypal&plan=enterprise&subscription_id=I-PAYPAL-1",
+  );
+  assert.equal(pending.status, 200);
+  assert.equal(user().plan, "free");
+  assert.equal(db.tables.users[1].plan, "free");
+  assert.equal(db.tables.subscriptions.length, 0);
+  assert.equal(db.tables.checkout_sessions[0].status, "pending");
+});
+
+test("success: activates the plan once PayPal confirms the user's own session", async () => {
+  pendingSession("paypal", { provider_checkout_id: "I-PAYPAL-1" });
+  paypalSubscriptions.set(
+    "I-PAYPAL-1",
+    paypalSubscriptionEvent("-", "-").resource,
+  );
+
+  const result = await checkoutReturn("session=session-paypal");
+  assert.equal(result.status, 200);
+  assert.equal(subscription().status, "active");
+  assert.equal(user().plan, "pro");
+  assert.equal(db.tables.checkout_sessions[0].status, "completed");
+});
+
+test("success: a completed checkout session cannot be reused", async () => {
+  pendingSession("paypal", { provider_checkout_id: "I-PAYPAL-1" });
+  paypalSubscriptions.set(
+    "I-PAYPAL-1",
+    paypalSubscriptionEvent("-", "-").resource,
+  );
+  await checkoutReturn("session=session-paypal");
+  assert.equal(user().plan, "pro");
+
+  // The subscription ends; returning through the old link changes nothing
+  await postPayPal(
+    paypalSubscriptionEvent("WH-1", "BILLING.SUBSCRIPTION.CANCELLED", {
+      status: "CANCELLED",
+      billing_info: { next_billing_time: daysFromNow(-1) },
+    }),
+  );
+  assert.equal(user().plan, "free");
+
+  const again = await checkoutReturn("session=session-paypal");
+  assert.equal(again.status, 200);
+  assert.equal(user().plan, "free");
+  assert.equal(db.tables.subscriptions.length, 1);
+  assert.deepEqual(transitions(), ["active", "canceled"]);
+});
+
+test("square: a completed checkout cannot activate a second subscription", async (t) => {
+  t.mock.method(console, "error", () => {});
+  pendingSession("square", { provider_order_id: "sq-order-1" });
+  squareInvoices.set("sq-invoice-1", { order_id: "sq-order-1" });
+  await postSquare(squareSubscriptionEvent("sq-evt-1", "subscription.created"));
+  assert.equal(db.tables.checkout_sessions[0].status, "completed");
+
+  // Another subscription pointing at the same paid order
+  squareInvoices.set("sq-invoice-2", { order_id: "sq-order-1" });
+  const reused = await postSquare(
+    squareSubscriptionEvent("sq-evt-2", "subscription.created", {
+      id: "sq-sub-2",
+      plan_variation_id: PLAN_PRICES.square.enterprise,
+      invoice_ids: ["sq-invoice-2"],
+    }),
+  );
+  assert.equal(reused.status, 500);
+  assert.equal(db.tables.subscriptions.length, 1);
+  assert.equal(user().plan, "pro");
+});
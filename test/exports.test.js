@@ -0,0 +1,139 @@
+/**
+ * Export tests
+ *
+ * Signed download links only open the export they were issued for, until
+ * they expire, and an export never writes past the monthly row quota.
+ *
+ * Usage: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+process.env.EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "exports-"));
+
+const { pool } = require("../src/config/database");
+const { installMemoryPool } = require("./helpers/memoryPool");
+const { getPlan } = require("../src/config/plans");
+const {
+  createDownloadLink,
+  runExport,
+} = require("../src/services/exportService");
+const exportRoutes = require("../src/routes/exports");
+
+const db = installMemoryPool(pool);
+
+const FILE_NAME = "export-1-test.csv";
+const CONTENTS = "id,title\nadzuna-1,Security Engineer\n";
+
+let server;
+let appUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use("/", exportRoutes);
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  appUrl = `http://127.0.0.1:${server.address().port}`;
+  fs.writeFileSync(path.join(process.env.EXPORT_DIR, FILE_NAME), CONTENTS);
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(process.env.EXPORT_DIR, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  db.reset();
+  db.tables.users.push({
+    id: 1,
+    email: "data@example.com",
+    plan: "enterprise",
+  });
+  [1, 2].forEach((id) =>
+    db.tables.job_exports.push({
+      id,
+      user_id: 1,
+      format: "csv",
+      filters: "{}",
+      status: "completed",
+      file_name: FILE_NAME,
+      expires_at: new Date(Date.now() + 3600000),
+    }),
+  );
+});
+
+const completedExport = (id) => ({
+  id,
+  status: "completed",
+  expiresAt: new Date(Date.now() + 3600000),
+});
+
+async function download(link) {
+  const response = await fetch(`${appUrl}${link}`);
+  return { status: response.status, body: await response.text() };
+}
+
+test("a signed link downloads the export", async () => {
+  const { url } = createDownloadLink(completedExport(1));
+  const result = await download(url);
+  assert.equal(result.status, 200);
+  assert.equal(result.body, CONTENTS);
+});
+
+test("a tampered download link is rejected", async () => {
+  const { url } = createDownloadLink(completedExport(1));
+  const link = new URL(url, appUrl);
+  const expires = link.searchParams.get("expires");
+  const signature = link.searchParams.get("signature");
+
+  const tampered = [
+    // Another export with this export's signature
+    `/api/exports/2/download?expires=${expires}&signature=${signature}`,
+    // A later expiry
+    `/api/exports/1/download?expires=${Number(expires) + 86400}&signature=${signature}`,
+    // A flipped signature character
+    `/api/exports/1/download?expires=${expires}&signature=${signature.slice(0, -1)}${signature.endsWith("0") ? "1" : "0"}`,
+    `/api/exports/1/download?expires=${expires}`,
+  ];
+  for (const url of tampered) {
+    const result = await download(url);
+    assert.equal(result.status, 403, url);
+    assert.equal(
+      JSON.parse(result.body).error,
+      "Invalid or expired download link",
+    );
+  }
+});
+
+test("an expired download link is rejected", async () => {
+  const { url } = createDownloadLink({
+    ...completedExport(1),
+    expiresAt: new Date(Date.now() - 60000),
+  });
+  const result = await download(url);
+  assert.equal(result.status, 403);
+});
+
+test("an export fails once the monthly row quota is used up", async () => {
+  db.tables.job_exports[0].status = "pending";
+  db.tables.monthly_usage.push({
+    user_id: 1,
+    usage_month: new Date().toISOString().slice(0, 7),
+    total_rows: getPlan("enterprise").rowLimit,
+  });
+
+  const result = await runExport(1);
+  assert.deepEqual(result, {
+    exported: 0,
+    reason: "Monthly row quota exhausted",
+  });
+  assert.equal(db.tables.job_exports[0].status, "failed");
+  assert.equal(db.tables.job_exports[0].error, "Monthly row quota exhausted");
+});
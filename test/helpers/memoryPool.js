@@ -0,0 +1,379 @@
+/**
+ * In-memory stand-in for the MySQL pool, for tests that run without a
+ * database. It answers only the statements the routes under test issue
+ * (anything else throws, so a new query shows up as a test failure) and
+ * restores a snapshot on rollback so transactions behave.
+ *
+ * Usage:
+ *   const db = installMemoryPool(pool); // patches the shared pool in place
+ *   db.tables.users.push({ id: 1, plan: "free" });
+ */
+
+const TABLES = [
+  "users",
+  "api_keys",
+  "checkout_sessions",
+  "subscriptions",
+  "subscription_transitions",
+  "billing_events",
+  "plan_changes",
+  "webhooks",
+  "webhook_deliveries",
+  "monthly_usage",
+  "job_exports",
+];
+
+const LIVE = ["active", "past_due", "trialing"];
+
+const rows = (list) => [list.map((row) => ({ ...row }))];
+const ok = (affectedRows, insertId = 0) => [{ affectedRows, insertId }];
+
+function insert(db, table, row) {
+  const id = db.tables[table].length + 1;
+  db.tables[table].push({ id, ...row });
+  return ok(1, id);
+}
+
+function update(list, match, changes) {
+  const hits = list.filter(match);
+  hits.forEach((row) => Object.assign(row, changes));
+  return ok(hits.length);
+}
+
+// [statement, handler(db, params)] - statements are matched with whitespace
+// collapsed, from the start
+const STATEMENTS = [
+  [
+    /^SELECT ak\.id, ak\.user_id, .* FROM api_keys ak JOIN users u ON ak\.user_id = u\.id WHERE ak\.key_hash = \?/,
+    (db, [keyHash]) =>
+      rows(
+        db.tables.api_keys
+          .filter((k) => k.key_hash === keyHash)
+          .map((k) => {
+            const u = db.tables.users.find((row) => row.id === k.user_id);
+            return {
+              ...k,
+              email: u.email,
+              plan: u.plan,
+              user_active: u.is_active !== false,
+            };
+          }),
+      ),
+  ],
+  [
+    /^UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = \?/,
+    (db, [id]) =>
+      update(db.tables.api_keys, (k) => k.id === id, {
+        last_used_at: new Date(),
+      }),
+  ],
+  [
+    /^SELECT id FROM billing_events WHERE provider = \? AND event_id = \?/,
+    (db, [provider, eventId]) =>
+      rows(
+        db.tables.billing_events
+          .filter((e) => e.provider === provider && e.event_id === eventId)
+          .map(({ id }) => ({ id })),
+      ),
+  ],
+  [
+    /^INSERT IGNORE INTO billing_events/,
+    (db, [provider, eventId, eventType, payload]) =>
+      db.tables.billing_events.some(
+        (e) => e.provider === provider && e.event_id === eventId,
+      )
+        ? ok(0)
+        : insert(db, "billing_events", {
+            provider,
+            event_id: eventId,
+            event_type: eventType,
+            payload,
+            subscription_id: null,
+          }),
+  ],
+  [
+    /^UPDATE billing_events SET subscription_id = \? WHERE id = \?/,
+    (db, [subscriptionId, id]) =>
+      update(db.tables.billing_events, (e) => e.id === id, {
+        subscription_id: subscriptionId,
+      }),
+  ],
+  [
+    /^SELECT (id|\*) FROM subscriptions WHERE provider = (\?|'square') AND provider_subscription_id = \?/,
+    (db, params) => {
+      const [provider, id] =
+        params.length === 2 ? params : ["square", params[0]];
+      return rows(
+        db.tables.subscriptions
+          .filter(
+            (s) => s.provider === provider && s.provider_subscription_id === id,
+          )
+          .reverse(),
+      );
+    },
+  ],
+  [
+    /^SELECT \* FROM subscriptions WHERE user_id = \? AND status IN/,
+    (db, [userId]) =>
+      rows(
+        db.tables.subscriptions.filter(
+          (s) => s.user_id === userId && [...LIVE, "paused"].includes(s.status),
+        ),
+      ),
+  ],
+  [
+    /^SELECT id FROM subscriptions WHERE user_id = \? AND id <> \? AND status IN/,
+    (db, [userId, id]) =>
+      rows(
+        db.tables.subscriptions.filter(
+          (s) => s.user_id === userId && s.id !== id && LIVE.includes(s.status),
+        ),
+      ),
+  ],
+  [
+    /^INSERT INTO subscriptions/,
+    (db, [userId, provider, providerId, customerId, plan, status, end, cape]) =>
+      insert(db, "subscriptions", {
+        user_id: userId,
+        provider,
+        provider_subscription_id: providerId,
+        provider_customer_id: customerId,
+        plan,
+        status,
+        past_due_since: null,
+        current_period_start: new Date(),
+        current_period_end: end,
+        cancel_at_period_end: cape,
+      }),
+  ],
+  [
+    /^UPDATE subscriptions SET plan = \?, cancel_at_period_end = \?/,
+    (db, [plan, cape, customerId, , end, id]) =>
+      update(db.tables.subscriptions, (s) => s.id === id, {
+        plan,
+        cancel_at_period_end: cape,
+        ...(customerId ? { provider_customer_id: customerId } : {}),
+        current_period_end: end,
+      }),
+  ],
+  [
+    /^UPDATE subscriptions SET status = \?, past_due_since = /,
+    (db, [status, , id]) => {
+      const subscription = db.tables.subscriptions.find((s) => s.id === id);
+      return update(db.tables.subscriptions, (s) => s.id === id, {
+        status,
+        past_due_since:
+          status === "past_due"
+            ? (subscription && subscription.past_due_since) || new Date()
+            : null,
+      });
+    },
+  ],
+  [
+    /^INSERT INTO subscription_transitions/,
+    (db, [subscriptionId, userId, from, to, reason, details, eventId]) =>
+      insert(db, "subscription_transitions", {
+        subscription_id: subscriptionId,
+        user_id: userId,
+        from_status: from,
+        to_status: to,
+        reason,
+        details,
+        billing_event_id: eventId,
+      }),
+  ],
+  [
+    /^SELECT \* FROM checkout_sessions WHERE provider = '(square|paypal)' AND provider_(order|checkout)_id = \? AND status = 'pending'/,
+    (db, [id], match) =>
+      rows(
+        db.tables.checkout_sessions.filter(
+          (c) =>
+            c.provider === match[1] &&
+            c[`provider_${match[2]}_id`] === id &&
+            c.status === "pending",
+        ),
+      ),
+  ],
+  [
+    /^SELECT \* FROM checkout_sessions WHERE id = \? AND user_id = \?/,
+    (db, [id, userId]) =>
+      rows(
+        db.tables.checkout_sessions.filter(
+          (c) => c.id === id && c.user_id === userId,
+        ),
+      ),
+  ],
+  [
+    /^UPDATE checkout_sessions SET status = 'completed', completed_at = NOW\(\), subscription_id = \? WHERE id = \?/,
+    (db, [subscriptionId, id]) =>
+      update(db.tables.checkout_sessions, (c) => c.id === id, {
+        status: "completed",
+        completed_at: new Date(),
+        subscription_id: subscriptionId,
+      }),
+  ],
+  [
+    /^SELECT id, email, first_name, last_name, plan, role, is_active, created_at FROM users WHERE id = \?/,
+    (db, [id]) =>
+      rows(
+        db.tables.users
+          .filter((u) => u.id === id)
+          .map((u) => ({ ...u, is_active: u.is_active !== false })),
+      ),
+  ],
+  [
+    /^SELECT plan FROM users WHERE id = \?/,
+    (db, [id]) =>
+      rows(
+        db.tables.users
+          .filter((u) => u.id === id)
+          .map(({ plan }) => ({ plan })),
+      ),
+  ],
+  [
+    /^UPDATE users SET plan = \? WHERE id = \?/,
+    (db, [plan, id]) => update(db.tables.users, (u) => u.id === id, { plan }),
+  ],
+  [
+    /^INSERT INTO plan_changes/,
+    (db, [userId, from, to, reason]) =>
+      insert(db, "plan_changes", {
+        user_id: userId,
+        from_plan: from,
+        to_plan: to,
+        reason,
+      }),
+  ],
+  [
+    /^SELECT total_rows FROM monthly_usage WHERE user_id = \? AND usage_month = \?/,
+    (db, [userId, month]) =>
+      rows(
+        db.tables.monthly_usage
+          .filter((u) => u.user_id === userId && u.usage_month === month)
+          .map(({ total_rows }) => ({ total_rows })),
+      ),
+  ],
+  [
+    /^SELECT \* FROM job_exports WHERE id = \? AND status = 'completed' AND expires_at > NOW\(\)/,
+    (db, [id]) =>
+      rows(
+        db.tables.job_exports.filter(
+          (e) =>
+            e.id === Number(id) &&
+            e.status === "completed" &&
+            e.expires_at > new Date(),
+        ),
+      ),
+  ],
+  [
+    /^SELECT \* FROM job_exports WHERE id = \?/,
+    (db, [id]) =>
+      rows(db.tables.job_exports.filter((e) => e.id === Number(id))),
+  ],
+  [
+    /^UPDATE job_exports SET status = '(running|failed)', (started_at = NOW\(\), row_count = 0, error = NULL|error = '([^']*)', completed_at = NOW\(\)) WHERE id = \?/,
+    (db, [id], match) =>
+      update(db.tables.job_exports, (e) => e.id === id, {
+        status: match[1],
+        ...(match[1] === "running"
+          ? { started_at: new Date(), row_count: 0, error: null }
+          : { error: match[3], completed_at: new Date() }),
+      }),
+  ],
+  [
+    /^SELECT d\.id, d\.event, d\.payload, w\.id AS webhook_id, .* FROM webhook_deliveries d JOIN webhooks w ON w\.id = d\.webhook_id JOIN users u ON u\.id = w\.user_id WHERE d\.id = \?/,
+    (db, [id]) =>
+      rows(
+        db.tables.webhook_deliveries
+          .filter((d) => d.id === id)
+          .map((d) => {
+            const w = db.tables.webhooks.find((row) => row.id === d.webhook_id);
+            const u = db.tables.users.find((row) => row.id === w.user_id);
+            return {
+              id: d.id,
+              event: d.event,
+              payload: d.payload,
+              webhook_id: w.id,
+              url: w.url,
+              secret: w.secret,
+              is_active: w.is_active,
+              plan: u.plan,
+            };
+          }),
+      ),
+  ],
+  [
+    /^UPDATE webhook_deliveries SET status = 'failed', error = \?, response_body = NULL WHERE id = \?/,
+    (db, [error, id]) =>
+      update(db.tables.webhook_deliveries, (d) => d.id === id, {
+        status: "failed",
+        error,
+      }),
+  ],
+  [
+    /^UPDATE webhook_deliveries SET status = \?, attempts = attempts \+ 1, response_status = \?, response_body = \?, error = \?/,
+    (db, [status, responseStatus, responseBody, error, , , id]) => {
+      const delivery = db.tables.webhook_deliveries.find((d) => d.id === id);
+      return update(db.tables.webhook_deliveries, (d) => d.id === id, {
+        status,
+        attempts: ((delivery && delivery.attempts) || 0) + 1,
+        response_status: responseStatus,
+        response_body: responseBody,
+        error,
+      });
+    },
+  ],
+  [
+    /^UPDATE webhooks SET consecutive_failures = 0, last_delivery_at = NOW\(\) WHERE id = \?/,
+    (db, [id]) =>
+      update(db.tables.webhooks, (w) => w.id === id, {
+        consecutive_failures: 0,
+        last_delivery_at: new Date(),
+      }),
+  ],
+];
+
+function run(db, sql, params = []) {
+  const text = sql.replace(/\s+/g, " ").trim();
+  for (const [pattern, handler] of STATEMENTS) {
+    const match = pattern.exec(text);
+    if (match) return handler(db, params, match);
+  }
+  throw new Error(`memoryPool: unsupported statement: ${text}`);
+}
+
+/**
+ * Answer the pool's queries from memory
+ * @param {object} pool - The shared mysql2 pool (src/config/database)
+ * @returns {object} { tables, reset() }
+ */
+function installMemoryPool(pool) {
+  const db = { tables: {} };
+  db.reset = () => TABLES.forEach((table) => (db.tables[table] = []));
+  db.reset();
+
+  const query = async (sql, params) => run(db, sql, params);
+  pool.execute = query;
+  pool.query = query;
+  pool.getConnection = async () => {
+    let snapshot = null;
+    return {
+      execute: query,
+      query,
+      beginTransaction: async () => {
+        snapshot = structuredClone(db.tables);
+      },
+      commit: async () => {
+        snapshot = null;
+      },
+      rollback: async () => {
+        if (snapshot) db.tables = snapshot;
+        snapshot = null;
+      },
+      release: () => {},
+    };
+  };
+  return db;
+}
+
+module.exports = { installMemoryPool };
@@ -0,0 +1,33 @@
+/**
+ * Job Identity tests
+ *
+ * Usage: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_JOB_ID_LENGTH,
+  ensureJobId,
+  namespacedJobId,
+} = require("../src/utils/jobIdentity");
+
+test("namespaces native IDs by source", () => {
+  assert.equal(namespacedJobId("Adzuna", "12345"), "adzuna-12345");
+  assert.equal(namespacedJobId("Adzuna", "adzuna-12345"), "adzuna-12345");
+  assert.notEqual(
+    ensureJobId({ source: "Adzuna", id: "12345" }),
+    ensureJobId({ source: "Indeed", id: "12345" }),
+  );
+});
+
+test("hashes a long native ID instead of overflowing the key", () => {
+  const longId = "a".repeat(250);
+  const id = ensureJobId({ source: "Adzuna", id: longId });
+  assert.ok(id.length <= MAX_JOB_ID_LENGTH, `${id.length} characters`);
+  assert.match(id, /^adzuna-[0-9a-f]{16}$/);
+
+  // Stable across scrapes, distinct for IDs sharing a long common prefix
+  assert.equal(ensureJobId({ source: "Adzuna", id: longId }), id);
+  assert.notEqual(ensureJobId({ source: "Adzuna", id: `${longId}b` }), id);
+});
@@ -0,0 +1,139 @@
+/**
+ * Job upload tests
+ *
+ * POST /api/upload with API keys held in memory: the "ingest" scope is
+ * required and invalid rows are rejected before anything is stored.
+ *
+ * Usage: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const express = require("express");
+
+const { pool } = require("../src/config/database");
+const { installMemoryPool } = require("./helpers/memoryPool");
+const { validateJob } = require("../src/utils/jobValidator");
+const { MAX_JOB_ID_LENGTH, ensureJobId } = require("../src/utils/jobIdentity");
+const jobRoutes = require("../src/routes/jobs");
+
+const db = installMemoryPool(pool);
+
+// The route logs each upload; keep it out of the test runner's output
+test.mock.method(console, "log", () => {});
+
+const INGEST_KEY = "jbj_test_ingest_key";
+const READ_KEY = "jbj_test_read_key";
+
+let server;
+let appUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/", jobRoutes);
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  appUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => {
+  db.reset();
+  db.tables.users.push({ id: 1, email: "ingest@example.com", plan: "pro" });
+  [
+    [INGEST_KEY, "read,ingest"],
+    [READ_KEY, "read"],
+  ].forEach(([key, scopes], i) =>
+    db.tables.api_keys.push({
+      id: i + 1,
+      user_id: 1,
+      name: scopes,
+      key_hash: crypto.createHash("sha256").update(key).digest("hex"),
+      scopes,
+      use_saved_locations: false,
+      is_active: true,
+    }),
+  );
+});
+
+async function upload(jobs, apiKey) {
+  const response = await fetch(`${appUrl}/api/upload`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { "X-API-Key": apiKey } : {}),
+    },
+    body: JSON.stringify(jobs),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const validJob = {
+  id: "4012345678",
+  title: "Security Engineer",
+  company: "Acme",
+  url: "https://www.linkedin.com/jobs/view/4012345678",
+  source: "LinkedIn",
+};
+
+test("upload requires an API key", async () => {
+  const result = await upload([validJob]);
+  assert.equal(result.status, 401);
+});
+
+test("upload requires the ingest scope", async () => {
+  const result = await upload([validJob], READ_KEY);
+  assert.equal(result.status, 403);
+  assert.equal(result.body.error, "Insufficient API key scope");
+});
+
+test("upload rejects invalid rows before storing anything", async () => {
+  const result = await upload(
+    [
+      { ...validJob, title: "" },
+      { ...validJob, url: "javascript:alert(1)" },
+      { ...validJob, source: "adzuna", id: "12345" },
+      { ...validJob, id: "x".repeat(256) },
+      "not a job",
+    ],
+    INGEST_KEY,
+  );
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.rejected, 5);
+  assert.equal(result.body.added, 0);
+  assert.deepEqual(
+    result.body.results.map((row) => row.status),
+    ["rejected", "rejected", "rejected", "rejected", "rejected"],
+  );
+  assert.deepEqual(result.body.results[0].reasons, ["title is required"]);
+  assert.deepEqual(result.body.results[1].reasons, [
+    "url must be an http(s) URL",
+  ]);
+  assert.match(result.body.results[2].reasons[0], /^source must be one of/);
+});
+
+test("validation keeps uploads to the upload sources", () => {
+  assert.equal(
+    validateJob({ ...validJob, source: "linkedin" }).job.source,
+    "LinkedIn",
+  );
+  assert.equal(validateJob({ ...validJob, source: "Adzuna" }).job, null);
+  assert.equal(
+    validateJob({ ...validJob, source: undefined }).job.source,
+    undefined,
+  );
+});
+
+test("a valid long ID still fits the key once namespaced", () => {
+  const { job } = validateJob({ ...validJob, id: "9".repeat(250) });
+  assert.ok(job);
+  assert.ok(ensureJobId(job).length <= MAX_JOB_ID_LENGTH);
+});
@@ -0,0 +1,99 @@
+/**
+ * Webhook delivery signature tests
+ *
+ * Sends a delivery to a local receiver (private networks allowed for this
+ * file only) and checks the receiver can verify X-Webhook-Signature.
+ *
+ * Usage: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = "true";
+
+const { pool } = require("../src/config/database");
+const { installMemoryPool } = require("./helpers/memoryPool");
+const { signPayload, sendDelivery } = require("../src/services/webhookService");
+
+const db = installMemoryPool(pool);
+
+const SECRET = "whsec_test_secret";
+const PAYLOAD = JSON.stringify({ event: "jobs.created", jobs: [{ id: "a" }] });
+
+/**
+ * What a receiver does: recompute the HMAC over "<timestamp>.<raw body>"
+ */
+function verify(headers, body, secret) {
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${headers["x-webhook-timestamp"]}.${body}`)
+    .digest("hex")}`;
+  const received = String(headers["x-webhook-signature"] || "");
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+  );
+}
+
+let receiver;
+let received;
+
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received = { headers: req.headers, body };
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+  db.tables.users.push({ id: 1, email: "dev@example.com", plan: "pro" });
+  db.tables.webhooks.push({
+    id: 1,
+    user_id: 1,
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    secret: SECRET,
+    is_active: true,
+  });
+  db.tables.webhook_deliveries.push({
+    id: 1,
+    webhook_id: 1,
+    event: "jobs.created",
+    payload: PAYLOAD,
+    status: "pending",
+    attempts: 0,
+  });
+});
+
+test.after(() => {
+  receiver.closeAllConnections();
+  receiver.close();
+});
+
+test("signPayload is HMAC-SHA256 of timestamp and body", () => {
+  const expected = crypto
+    .createHmac("sha256", SECRET)
+    .update(`1700000000.${PAYLOAD}`)
+    .digest("hex");
+  assert.equal(signPayload(SECRET, 1700000000, PAYLOAD), expected);
+});
+
+test("a delivered payload verifies with the secret and fails otherwise", async () => {
+  const result = await sendDelivery(1);
+  assert.equal(result.delivered, true);
+  assert.equal(db.tables.webhook_deliveries[0].status, "succeeded");
+
+  assert.equal(received.body, PAYLOAD);
+  assert.equal(verify(received.headers, received.body, SECRET), true);
+  assert.equal(verify(received.headers, received.body, "wrong"), false);
+  assert.equal(
+    verify(received.headers, `${received.body} `, SECRET),
+    false,
+    "tampered body",
+  );
+});
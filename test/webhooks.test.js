@@ -0,0 +1,109 @@
+/**
+ * Webhook endpoint guard tests
+ *
+ * Private, loopback and link-local endpoints are refused when a webhook is
+ * saved, when a delivery is sent, and when a hostname resolves to one.
+ *
+ * Usage: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+
+const { pool } = require("../src/config/database");
+const { installMemoryPool } = require("./helpers/memoryPool");
+const {
+  isPrivateAddress,
+  blockedHostReason,
+  publicLookup,
+} = require("../src/utils/networkGuard");
+const {
+  validateWebhook,
+  sendDelivery,
+} = require("../src/services/webhookService");
+
+const db = installMemoryPool(pool);
+
+test("private, loopback and link-local addresses are private", () => {
+  [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "fc00::1",
+    "fe80::1",
+    "::ffff:10.0.0.1",
+  ].forEach((address) =>
+    assert.equal(isPrivateAddress(address), true, address),
+  );
+  ["8.8.8.8", "1.1.1.1", "2606:4700:4700::1111"].forEach((address) =>
+    assert.equal(isPrivateAddress(address), false, address),
+  );
+});
+
+test("localhost and private IP literals are blocked before any lookup", () => {
+  [
+    "http://localhost:3000/hook",
+    "http://api.localhost/hook",
+    "http://127.0.0.1/hook",
+    "http://[::1]/hook",
+    "http://169.254.169.254/latest/meta-data/",
+  ].forEach((url) => assert.ok(blockedHostReason(url), url));
+  assert.equal(blockedHostReason("https://hooks.example.com/jobs"), null);
+});
+
+test("a hostname resolving to a private address fails the lookup", async () => {
+  const error = await new Promise((resolve) =>
+    publicLookup("localhost", {}, (lookupError) => resolve(lookupError)),
+  );
+  assert.ok(error);
+  assert.equal(error.code, "EADDRBLOCKED");
+});
+
+test("saving a webhook with a private endpoint is refused", () => {
+  ["http://127.0.0.1:8080/hook", "http://10.0.0.5/hook"].forEach((url) =>
+    assert.ok(
+      validateWebhook({ url }).errors.includes(
+        "url must point to a public host",
+      ),
+      url,
+    ),
+  );
+  assert.deepEqual(
+    validateWebhook({ url: "https://hooks.example.com/jobs" }).errors,
+    [],
+  );
+});
+
+test("a delivery to a private endpoint is not sent", async () => {
+  db.tables.users.push({ id: 1, email: "dev@example.com", plan: "pro" });
+  db.tables.webhooks.push({
+    id: 1,
+    user_id: 1,
+    url: "http://127.0.0.1:9/hook",
+    secret: "whsec_test",
+    is_active: true,
+  });
+  db.tables.webhook_deliveries.push({
+    id: 1,
+    webhook_id: 1,
+    event: "jobs.created",
+    payload: "{}",
+    status: "pending",
+    attempts: 0,
+  });
+
+  const result = await sendDelivery(1);
+  assert.equal(result.skipped, true);
+  assert.equal(db.tables.webhook_deliveries[0].status, "failed");
+  assert.equal(
+    db.tables.webhook_deliveries[0].error,
+    "Endpoint address is not allowed",
+  );
+});
@@ -0,0 +1,180 @@
+/**
+ * Background Worker
+ *
+ * Drains the MySQL job queue (scrapes, enrichment, ...) and schedules the
+ * recurring scrape. Run one or more of these next to the web server;
+ * leases make sure each queued job is handled by exactly one worker.
+ *
+ * Usage: node worker.js
+ *
+ * Environment:
+ * WORKER_POLL_INTERVAL_MS=5000      How often to poll when the queue is empty
+ * QUEUE_LEASE_SECONDS=300           Lease length, renewed while a job runs
+ * SCRAPE_INTERVAL_MINUTES=60        Scrape schedule (0 disables it)
+ * EXPIRE_SWEEP_INTERVAL_MINUTES=15  How often expired jobs are logged to the
+ *                                   change feed (0 disables it)
+ * EXPORT_CLEANUP_INTERVAL_MINUTES=60 How often expired export files are
+ *                                   deleted (0 disables it)
+ * LIVENESS_CHECK_INTERVAL_MINUTES=30 How often a batch of job URLs is
+ *                                   revisited (0 disables it; see
+ *                                   src/services/livenessService.js)
+ * BILLING_LIFECYCLE_INTERVAL_MINUTES=60 How often renewals, period-end
+ *                                   cancellations and dunning run (0
+ *                                   disables it; see
+ *                                   src/services/billingLifecycleService.js)
+ */
+
+require("dotenv").config();
+const os = require("os");
+const { initDB } = require("./src/config/database");
+const queue = require("./src/services/queueService");
+const { failOrphanedRuns } = require("./src/services/enrichmentRunService");
+const { failOrphanedDeliveries } = require("./src/services/webhookService");
+const { failOrphanedExports } = require("./src/services/exportService");
+const { getTask } = require("./src/tasks");
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 5000;
+const LEASE_SECONDS = parseInt(process.env.QUEUE_LEASE_SECONDS) || 300;
+const intervalFromEnv = (name, fallback) =>
+  process.env[name] !== undefined ? parseInt(process.env[name]) : fallback;
+
+// Recurring tasks: type -> interval in minutes (0 disables it)
+const RECURRING_TASKS = {
+  scrape: intervalFromEnv("SCRAPE_INTERVAL_MINUTES", 60),
+  "expire-sweep": intervalFromEnv("EXPIRE_SWEEP_INTERVAL_MINUTES", 15),
+  "export-cleanup": intervalFromEnv("EXPORT_CLEANUP_INTERVAL_MINUTES", 60),
+  "liveness-check": intervalFromEnv("LIVENESS_CHECK_INTERVAL_MINUTES", 30),
+  "billing-lifecycle": intervalFromEnv(
+    "BILLING_LIFECYCLE_INTERVAL_MINUTES",
+    60,
+  ),
+};
+
+let stopping = false;
+const lastScheduledSlots = {};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Enqueue each recurring task for the current interval. The slot number is
+ * part of the unique key, so several workers only ever create one job per
+ * interval.
+ */
+async function scheduleRecurringJobs() {
+  for (const [type, minutes] of Object.entries(RECURRING_TASKS)) {
+    if (!minutes) continue;
+
+    const slot = Math.floor(Date.now() / (minutes * 60000));
+    if (slot === lastScheduledSlots[type]) continue;
+
+    const { job, created } = await queue.enqueue(
+      type,
+      {},
+      { uniqueKey: `${type}:${minutes}:${slot}` },
+    );
+    if (created) {
+      console.log(`🗓️  Scheduled ${type} (queue job ${job.id})`);
+    }
+    lastScheduledSlots[type] = slot;
+  }
+}
+
+/**
+ * Run one claimed job, renewing its lease until the handler settles
+ */
+async function runJob(job) {
+  const handler = getTask(job.type);
+  console.log(
+    `▶️  Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts}`,
+  );
+
+  const heartbeat = setInterval(
+    () => {
+      queue.extendLease(job.id, WORKER_ID, LEASE_SECONDS).catch((error) => {
+        console.error(
+          `⚠️ Lease renewal failed for job ${job.id}:`,
+          error.message,
+        );
+      });
+    },
+    (LEASE_SECONDS * 1000) / 3,
+  );
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for task "${job.type}"`);
+    }
+    const result = await handler(job.payload, job);
+    await queue.completeJob(job.id, WORKER_ID, result);
+    console.log(`✅ Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    const status = await queue.failJob(job.id, WORKER_ID, error);
+    console.error(
+      `❌ Job ${job.id} (${job.type}) failed: ${error.message}` +
+        (status === "pending" ? " - will retry" : ""),
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function work() {
+  await initDB();
+  console.log(`👷 Worker ${WORKER_ID} started`);
+
+  while (!stopping) {
+    try {
+      const recovered = await queue.recoverExpiredLeases();
+      if (recovered > 0) {
+        console.log(`♻️  Recovered ${recovered} job(s) with expired leases`);
+      }
+      const orphaned = await failOrphanedRuns();
+      if (orphaned > 0) {
+        console.log(`♻️  Marked ${orphaned} orphaned enrichment run(s) failed`);
+      }
+      const orphanedDeliveries = await failOrphanedDeliveries();
+      if (orphanedDeliveries > 0) {
+        console.log(
+          `♻️  Marked ${orphanedDeliveries} orphaned webhook deliveries failed`,
+        );
+      }
+      const orphanedExports = await failOrphanedExports();
+      if (orphanedExports > 0) {
+        console.log(`♻️  Marked ${orphanedExports} orphaned export(s) failed`);
+      }
+
+      await scheduleRecurringJobs();
+
+      const job = await queue.claimNext(WORKER_ID, {
+        leaseSeconds: LEASE_SECONDS,
+      });
+      if (job) {
+        await runJob(job);
+        continue;
+      }
+    } catch (error) {
+      console.error("⚠️ Worker loop error:", error.message);
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  console.log(`👋 Worker ${WORKER_ID} stopped`);
+}
+
+// Finish the current job before exiting
+const shutdown = () => {
+  if (stopping) process.exit(1);
+  console.log("⏹️  Stopping after the current job (signal again to force)...");
+  stopping = true;
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+work()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("💥 Worker crashed:", error);
+    process.exit(1);
+  });